@@ -0,0 +1,105 @@
+import { NextResponse } from 'next/server';
+import {
+  syncPartReturnTracking
+} from '../../../../../services/trackingService';
+import { authenticateRequest } from '../../../../../lib/supabaseServer';
+import { requireApiScope } from '../../../../../utils/apiUtils';
+import { shouldSkipShip24, getTrackingUrl, isTrackingRateLimitError } from '../../../../../utils/trackingUtils';
+
+/**
+ * GET /api/tracking/[id]/return
+ * Get and refresh tracking status for a part's return shipment
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const partId = parseInt(id, 10);
+
+    if (isNaN(partId)) {
+      return NextResponse.json(
+        { error: 'Invalid part ID' },
+        { status: 400 }
+      );
+    }
+
+    // Refreshing writes tracking data back to the part, so tokens need parts:write
+    const auth = await authenticateRequest(request);
+    const scopeError = requireApiScope(auth, 'parts:write');
+    if (scopeError) return scopeError;
+    const { supabase } = auth;
+
+    const { data: part, error } = await supabase
+      .from('parts')
+      .select('*')
+      .eq('id', partId)
+      .single();
+
+    if (error || !part) {
+      return NextResponse.json(
+        { error: 'Part not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!part.return_tracking) {
+      return NextResponse.json(
+        { error: 'Part has no return tracking number' },
+        { status: 400 }
+      );
+    }
+
+    // Skip URLs and Amazon tracking - return external link info
+    if (shouldSkipShip24(part.return_tracking)) {
+      return NextResponse.json({
+        success: true,
+        tracking: {
+          return_tracking_status: 'External',
+          tracking_url: getTrackingUrl(part.return_tracking) || part.return_tracking
+        }
+      });
+    }
+
+    const trackingData = await syncPartReturnTracking(part, supabase);
+
+    return NextResponse.json({
+      success: true,
+      tracking: trackingData
+    });
+  } catch (error) {
+    console.error('Error fetching return tracking:', error);
+
+    // Handle rate limit error - return cached data if available
+    if (isTrackingRateLimitError(error)) {
+      const { id } = await params;
+      const partId = parseInt(id, 10);
+
+      const { supabase: supabaseClient } = await authenticateRequest(request);
+
+      const { data: part } = await supabaseClient
+        .from('parts')
+        .select('return_tracking_status, return_tracking_location, return_tracking_checkpoints, return_tracking_updated_at')
+        .eq('id', partId)
+        .single();
+
+      if (part?.return_tracking_status) {
+        return NextResponse.json({
+          success: true,
+          tracking: part,
+          rateLimited: true,
+          rateLimitMessage: 'API rate limit reached. Showing cached data.'
+        });
+      }
+
+      return NextResponse.json({
+        success: false,
+        error: 'API rate limit reached. Please try again later.',
+        rateLimited: true
+      }, { status: 429 });
+    }
+
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch return tracking' },
+      { status: 500 }
+    );
+  }
+}
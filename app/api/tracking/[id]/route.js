@@ -2,8 +2,10 @@ import { NextResponse } from 'next/server';
 import {
   syncPartTracking
 } from '../../../../services/trackingService';
-import { createServerClient } from '../../../../lib/supabaseServer';
-import { shouldSkipShip24, getTrackingUrl } from '../../../../utils/trackingUtils';
+import { authenticateRequest } from '../../../../lib/supabaseServer';
+import { getNotificationClient, notifySyncedParts } from '../../../../services/notificationService';
+import { requireApiScope } from '../../../../utils/apiUtils';
+import { shouldSkipShip24, getTrackingUrl, isTrackingRateLimitError } from '../../../../utils/trackingUtils';
 
 /**
  * GET /api/tracking/[id]
@@ -21,8 +23,12 @@ export async function GET(request, { params }) {
       );
     }
 
-    // Create authenticated Supabase client from request
-    const supabase = createServerClient(request);
+    // Create authenticated Supabase client from request (session or API token)
+    // Refreshing writes tracking data back to the part, so tokens need parts:write
+    const auth = await authenticateRequest(request);
+    const scopeError = requireApiScope(auth, 'parts:write');
+    if (scopeError) return scopeError;
+    const { supabase } = auth;
 
     // Get the part from database
     const { data: part, error } = await supabase
@@ -56,36 +62,34 @@ export async function GET(request, { params }) {
       });
     }
 
-    // Sync with Ship24 and update database (pass authenticated client)
-    const trackingData = await syncPartTracking(part, supabase);
+    // Sync with the tracking provider and update database (pass authenticated client)
+    // The part is marked shipped or delivered when the carrier says so, unless the user opted out
+    const { tracking: trackingData, advanced, parts } = await syncPartTracking(part, supabase);
 
-    // Check if package was delivered and auto-update part status
-    let isDelivered = part.delivered;
-    if (trackingData?.tracking_status === 'Delivered' && !part.delivered) {
-      await supabase
-        .from('parts')
-        .update({ delivered: true })
-        .eq('id', partId);
-      isDelivered = true;
+    // Delivery notifications go out for statuses found here as for the webhook
+    const notificationClient = getNotificationClient();
+    if (notificationClient) {
+      await notifySyncedParts(parts, trackingData, notificationClient);
     }
 
     return NextResponse.json({
       success: true,
       tracking: {
         ...trackingData,
-        delivered: isDelivered
-      }
+        delivered: part.delivered || advanced.some(entry => entry.status === 'delivered')
+      },
+      advanced
     });
   } catch (error) {
     console.error('Error fetching tracking:', error);
 
     // Handle rate limit error - return cached data if available
-    if (error.message?.includes('429') || error.message?.includes('rate limit')) {
+    if (isTrackingRateLimitError(error)) {
       const { id } = await params;
       const partId = parseInt(id, 10);
 
       // Create authenticated client for error handling
-      const supabaseClient = createServerClient(request);
+      const { supabase: supabaseClient } = await authenticateRequest(request);
 
       // Get cached tracking data from database
       const { data: part } = await supabaseClient
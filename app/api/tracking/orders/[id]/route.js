@@ -0,0 +1,122 @@
+import { NextResponse } from 'next/server';
+import {
+  syncOrderTracking
+} from '../../../../../services/trackingService';
+import { authenticateRequest } from '../../../../../lib/supabaseServer';
+import { getNotificationClient, notifySyncedParts } from '../../../../../services/notificationService';
+import { requireApiScope } from '../../../../../utils/apiUtils';
+import { shouldSkipShip24, getTrackingUrl, isTrackingRateLimitError } from '../../../../../utils/trackingUtils';
+
+/**
+ * GET /api/tracking/orders/[id]
+ * Get and refresh tracking status for a vendor order
+ * One tracking lookup updates every part in the order
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    const orderId = parseInt(id, 10);
+
+    if (isNaN(orderId)) {
+      return NextResponse.json(
+        { error: 'Invalid order ID' },
+        { status: 400 }
+      );
+    }
+
+    // Create authenticated Supabase client from request (session or API token)
+    // Refreshing writes tracking data back to the parts, so tokens need parts:write
+    const auth = await authenticateRequest(request);
+    const scopeError = requireApiScope(auth, 'parts:write');
+    if (scopeError) return scopeError;
+    const { supabase } = auth;
+
+    // Get the order from database
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('id', orderId)
+      .single();
+
+    if (error || !order) {
+      return NextResponse.json(
+        { error: 'Order not found' },
+        { status: 404 }
+      );
+    }
+
+    if (!order.tracking) {
+      return NextResponse.json(
+        { error: 'Order has no tracking number' },
+        { status: 400 }
+      );
+    }
+
+    // Skip URLs and Amazon tracking - return external link info
+    if (shouldSkipShip24(order.tracking)) {
+      return NextResponse.json({
+        success: true,
+        tracking: {
+          tracking_status: 'External',
+          tracking_url: getTrackingUrl(order.tracking) || order.tracking
+        }
+      });
+    }
+
+    // Sync with the tracking provider and update all parts in the order (pass authenticated client)
+    // Parts are marked shipped or delivered when the carrier says so, unless the user opted out
+    const { tracking: trackingData, advanced, parts } = await syncOrderTracking(order, supabase);
+
+    // Delivery notifications go out for statuses found here as for the webhook
+    const notificationClient = getNotificationClient();
+    if (notificationClient) {
+      await notifySyncedParts(parts, trackingData, notificationClient);
+    }
+
+    return NextResponse.json({
+      success: true,
+      tracking: trackingData,
+      advanced
+    });
+  } catch (error) {
+    console.error('Error fetching order tracking:', error);
+
+    // Handle rate limit error - return cached data if available
+    if (isTrackingRateLimitError(error)) {
+      const { id } = await params;
+      const orderId = parseInt(id, 10);
+
+      // Create authenticated client for error handling
+      const { supabase: supabaseClient } = await authenticateRequest(request);
+
+      // All parts in an order share tracking data - any one has the cached copy
+      const { data: part } = await supabaseClient
+        .from('parts')
+        .select('tracking_status, tracking_location, tracking_checkpoints, tracking_updated_at')
+        .eq('order_id', orderId)
+        .not('tracking_status', 'is', null)
+        .limit(1)
+        .maybeSingle();
+
+      if (part?.tracking_status) {
+        return NextResponse.json({
+          success: true,
+          tracking: part,
+          rateLimited: true,
+          rateLimitMessage: 'API rate limit reached. Showing cached data.'
+        });
+      }
+
+      return NextResponse.json({
+        success: false,
+        error: 'API rate limit reached. Please try again later.',
+        rateLimited: true
+      }, { status: 429 });
+    }
+
+    return NextResponse.json(
+      { error: error.message || 'Failed to fetch tracking' },
+      { status: 500 }
+    );
+  }
+}
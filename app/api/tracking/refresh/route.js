@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { createServiceClient } from '../../../../lib/supabaseServer';
+import { runScheduledTrackingRefresh } from '../../../../services/trackingRefreshService';
+
+// Never prerendered or cached: every call runs the job
+export const dynamic = 'force-dynamic';
+
+// Room for a run of TRACKING_REFRESH_MAX_SECONDS (50 by default) plus its log write
+export const maxDuration = 60;
+
+/**
+ * Check the call comes from the scheduler
+ * The job reads every user's parts, so it refuses to run without CRON_SECRET
+ * @param {Request} request - Incoming request
+ * @returns {boolean} True if the request carries the secret
+ */
+const verifyCronSecret = (request) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    console.error('CRON_SECRET not configured, refusing scheduled tracking refresh');
+    return false;
+  }
+
+  return request.headers.get('authorization') === `Bearer ${secret}`;
+};
+
+/**
+ * GET /api/tracking/refresh
+ * Scheduled job: refresh stale tracking for all users
+ * Header: Authorization: Bearer <CRON_SECRET>
+ */
+export async function GET(request) {
+  if (!verifyCronSecret(request)) {
+    return NextResponse.json(
+      { error: 'Invalid authorization' },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const summary = await runScheduledTrackingRefresh(createServiceClient());
+
+    if (summary.status === 'failed') {
+      return NextResponse.json(
+        { success: false, error: summary.error, summary },
+        { status: 500 }
+      );
+    }
+
+    return NextResponse.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error running scheduled tracking refresh:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to refresh trackings' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,30 +1,33 @@
 import { NextResponse } from 'next/server';
 import {
-  createShip24Tracking,
-  normalizeTrackingData,
+  createTracking,
+  getTrackingSettings,
   updatePartTracking,
+  updateOrderTracking,
   refreshAllActiveTrackings
 } from '../../../services/trackingService';
-import { createServerClient } from '../../../lib/supabaseServer';
+import { authenticateRequest } from '../../../lib/supabaseServer';
+import { getNotificationClient, notifySyncedParts } from '../../../services/notificationService';
+import { requireApiScope } from '../../../utils/apiUtils';
 import { shouldSkipShip24 } from '../../../utils/trackingUtils';
 
 /**
  * POST /api/tracking
- * Create a new tracking for a part
- * Body: { partId, trackingNumber, title? }
+ * Create a new tracking for a part, or for every part in a vendor order
+ * Body: { partId | orderId, trackingNumber, title? }
  */
 export async function POST(request) {
   try {
-    const { partId, trackingNumber, title } = await request.json();
+    const { partId, orderId, trackingNumber, title } = await request.json();
 
-    if (!partId || !trackingNumber) {
+    if ((!partId && !orderId) || !trackingNumber) {
       return NextResponse.json(
-        { error: 'partId and trackingNumber are required' },
+        { error: 'partId or orderId, and trackingNumber are required' },
         { status: 400 }
       );
     }
 
-    // Skip URLs and Amazon tracking - they don't need Ship24 API
+    // Skip URLs and Amazon tracking - no tracking provider can follow them
     if (shouldSkipShip24(trackingNumber)) {
       return NextResponse.json(
         { error: 'This tracking type is not supported for API tracking' },
@@ -32,15 +35,22 @@ export async function POST(request) {
       );
     }
 
-    // Create authenticated Supabase client from request
-    const supabase = createServerClient(request);
+    // Create authenticated Supabase client from request (session or API token)
+    const auth = await authenticateRequest(request);
+    const scopeError = requireApiScope(auth, 'parts:write');
+    if (scopeError) return scopeError;
+    const { supabase, user } = auth;
 
-    // Create tracking in Ship24
-    const tracking = await createShip24Tracking(trackingNumber, title);
+    // Create tracking with the user's provider for this carrier
+    const settings = user ? await getTrackingSettings(user.id, supabase) : null;
+    const normalizedData = await createTracking(trackingNumber, { title, settings });
 
-    // Normalize and save to our database (pass authenticated client)
-    const normalizedData = normalizeTrackingData(tracking);
-    await updatePartTracking(partId, normalizedData, supabase);
+    // Save to our database (pass authenticated client)
+    if (orderId) {
+      await updateOrderTracking(orderId, normalizedData, supabase);
+    } else {
+      await updatePartTracking(partId, normalizedData, supabase);
+    }
 
     return NextResponse.json({
       success: true,
@@ -71,10 +81,19 @@ export async function GET(request) {
       );
     }
 
-    // Create authenticated Supabase client from request
-    const supabase = createServerClient(request);
+    // Create authenticated Supabase client from request (session or API token)
+    const auth = await authenticateRequest(request);
+    const scopeError = requireApiScope(auth, 'parts:write');
+    if (scopeError) return scopeError;
+    const { supabase } = auth;
 
-    const results = await refreshAllActiveTrackings(userId, supabase);
+    // Delivery notifications go out for statuses found here as for the webhook
+    const notificationClient = getNotificationClient();
+    const results = await refreshAllActiveTrackings(
+      userId,
+      supabase,
+      notificationClient && ((parts, trackingData) => notifySyncedParts(parts, trackingData, notificationClient))
+    );
 
     return NextResponse.json({
       success: true,
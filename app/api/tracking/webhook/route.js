@@ -1,44 +1,103 @@
 import { NextResponse } from 'next/server';
 import { supabase } from '../../../../lib/supabase';
+import { createServiceClient } from '../../../../lib/supabaseServer';
+import { toReturnTrackingFields } from '../../../../utils/trackingUtils';
+import { getTrackingProvider } from '../../../../services/trackingProviders';
+import { applyTrackingData, getTrackingSettings } from '../../../../services/trackingService';
+import { notifyTrackingStatus } from '../../../../services/notificationService';
 
 /**
- * Map Ship24 statusMilestone to our display format
+ * Get the provider a webhook call is for
+ * Ship24 posts to the bare endpoint; other providers add ?provider=<name>
+ * @param {Request} request - Incoming request
+ * @returns {Object|null} Tracking provider, or null if unknown
  */
-const normalizeStatusMilestone = (statusMilestone) => {
-  const statusMap = {
-    'pending': 'Pending',
-    'info_received': 'InfoReceived',
-    'in_transit': 'InTransit',
-    'out_for_delivery': 'OutForDelivery',
-    'attempt_fail': 'AttemptFail',
-    'delivered': 'Delivered',
-    'available_for_pickup': 'AvailableForPickup',
-    'exception': 'Exception',
-    'expired': 'Expired'
-  };
-  return statusMap[statusMilestone] || 'Pending';
+const getWebhookProvider = (request) => {
+  const { searchParams } = new URL(request.url);
+  return getTrackingProvider(searchParams.get('provider') || 'ship24');
 };
 
 /**
- * Verify Ship24 webhook authorization
- * Ship24 sends the webhook secret in the Authorization header
- * @param {Request} request - Incoming request
- * @returns {boolean} Whether authorization is valid
+ * Get the Supabase client the webhook writes with
+ * Parts belong to many users, so the service role client is used when
+ * SUPABASE_SERVICE_ROLE_KEY is set; delivery notifications need it. It
+ * bypasses RLS, so it is only handed out for providers whose webhook calls
+ * are verified against a configured secret.
+ * @param {Object} provider - Tracking provider the call is for
+ * @returns {Object} { client, canNotify }, or { error } if the webhook can't be trusted with the service role
  */
-const verifyAuthorization = (request) => {
-  const secret = process.env.SHIP24_WEBHOOK_SECRET;
-  if (!secret) {
-    console.warn('SHIP24_WEBHOOK_SECRET not configured, skipping verification');
-    return true; // Allow in development
+const getWebhookClient = (provider) => {
+  if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    if (!provider.hasWebhookSecret()) {
+      return { error: 'Webhook secret not configured' };
+    }
+    return { client: createServiceClient(), canNotify: true };
   }
+  return { client: supabase, canNotify: false };
+};
 
-  const authHeader = request.headers.get('authorization');
-  if (!authHeader) {
-    return false;
+/**
+ * Apply a tracking update to every part using the tracking number,
+ * outbound or as its return shipment
+ * Outbound parts are marked shipped or delivered per their owner's auto-advance
+ * setting, and their owner is notified of delivery milestones
+ * @param {string} trackingNumber - Tracking number from the webhook
+ * @param {Object} trackingData - Normalized tracking fields
+ * @param {Object} webhookClient - { client, canNotify } from getWebhookClient
+ * @returns {Promise<number>} Number of parts updated
+ */
+const applyTrackingUpdate = async (trackingNumber, trackingData, { client, canNotify }) => {
+  // Find the part by tracking number
+  const { data: parts, error: findError } = await client
+    .from('parts')
+    .select('id, user_id, part, tracking, purchased, shipped, delivered, tracking_status')
+    .eq('tracking', trackingNumber);
+
+  // Parts whose return shipment uses this tracking number
+  const { data: returnParts, error: findReturnError } = await client
+    .from('parts')
+    .select('id')
+    .eq('return_tracking', trackingNumber);
+
+  if (findError || findReturnError) {
+    throw findError || findReturnError;
   }
 
-  // Ship24 sends the secret directly in the Authorization header
-  return authHeader === secret || authHeader === `Bearer ${secret}`;
+  // Update all matching parts, loading each owner's settings once
+  const settingsByUser = new Map();
+  for (const part of parts || []) {
+    try {
+      if (!settingsByUser.has(part.user_id)) {
+        settingsByUser.set(part.user_id, await getTrackingSettings(part.user_id, client));
+      }
+      await applyTrackingData([part], trackingData, settingsByUser.get(part.user_id), client);
+    } catch (updateError) {
+      console.error(`Error updating part ${part.id}:`, updateError);
+      continue;
+    }
+
+    if (canNotify) {
+      try {
+        await notifyTrackingStatus(part, trackingData, client);
+      } catch (notifyError) {
+        console.error(`Error sending notifications for part ${part.id}:`, notifyError);
+      }
+    }
+  }
+
+  // Update return shipments
+  for (const part of returnParts || []) {
+    const { error: updateError } = await client
+      .from('parts')
+      .update(toReturnTrackingFields(trackingData))
+      .eq('id', part.id);
+
+    if (updateError) {
+      console.error(`Error updating return tracking for part ${part.id}:`, updateError);
+    }
+  }
+
+  return (parts?.length || 0) + (returnParts?.length || 0);
 };
 
 /**
@@ -50,13 +109,30 @@ export async function HEAD() {
 }
 
 /**
- * POST /api/tracking/webhook
- * Receive tracking updates from Ship24
+ * POST /api/tracking/webhook[?provider=<name>]
+ * Receive tracking updates from a tracking provider (Ship24 by default)
  */
 export async function POST(request) {
   try {
+    const provider = getWebhookProvider(request);
+    if (!provider) {
+      return NextResponse.json(
+        { error: 'Unknown tracking provider' },
+        { status: 404 }
+      );
+    }
+
+    const webhookClient = getWebhookClient(provider);
+    if (webhookClient.error) {
+      console.error(`Refusing ${provider.name} webhook: ${webhookClient.error}`);
+      return NextResponse.json(
+        { error: webhookClient.error },
+        { status: 503 }
+      );
+    }
+
     // Verify webhook authorization
-    if (!verifyAuthorization(request)) {
+    if (!provider.verifyWebhook(request)) {
       console.error('Invalid webhook authorization');
       return NextResponse.json(
         { error: 'Invalid authorization' },
@@ -65,78 +141,34 @@ export async function POST(request) {
     }
 
     const payload = await request.json();
+    const trackings = provider.parseWebhook(payload);
 
-    // Ship24 webhook payload structure
-    const { trackerId, trackingNumber, shipment, events } = payload;
-
-    if (!trackingNumber) {
+    if (trackings.length === 0) {
       return NextResponse.json(
         { error: 'Invalid payload - missing trackingNumber' },
         { status: 400 }
       );
     }
 
-    // Find the part by tracking number
-    const { data: parts, error: findError } = await supabase
-      .from('parts')
-      .select('id, delivered')
-      .eq('tracking', trackingNumber);
-
-    if (findError) {
-      console.error('Error finding part:', findError);
-      return NextResponse.json(
-        { error: 'Database error' },
-        { status: 500 }
-      );
+    let updated = 0;
+    for (const { trackingNumber, tracking } of trackings) {
+      try {
+        updated += await applyTrackingUpdate(trackingNumber, provider.normalizeTracking(tracking), webhookClient);
+      } catch (error) {
+        console.error('Error finding part:', error);
+        return NextResponse.json(
+          { error: 'Database error' },
+          { status: 500 }
+        );
+      }
     }
 
-    if (!parts || parts.length === 0) {
+    if (updated === 0) {
       // Part not found - might be tracking from another source
       return NextResponse.json({ success: true, message: 'No matching part' });
     }
 
-    // Get status and last event info
-    const statusMilestone = shipment?.statusMilestone || events?.[0]?.statusMilestone || 'pending';
-    const lastEvent = events?.[0]; // Ship24 returns events in reverse chronological order
-    const normalizedStatus = normalizeStatusMilestone(statusMilestone);
-
-    // Update all matching parts
-    for (const part of parts) {
-      const updateData = {
-        ship24_id: trackerId,
-        tracking_status: normalizedStatus,
-        tracking_substatus: lastEvent?.statusCode || null,
-        tracking_location: lastEvent?.location?.city || lastEvent?.location?.country || null,
-        tracking_eta: shipment?.delivery?.estimatedDeliveryDate || null,
-        tracking_updated_at: new Date().toISOString(),
-        tracking_checkpoints: (events || []).map(event => ({
-          checkpoint_time: event.datetime,
-          message: event.status,
-          location: event.location?.city || event.location?.country,
-          status: event.statusMilestone,
-          statusCode: event.statusCode
-        }))
-      };
-
-      // Auto-mark as delivered if Ship24 says delivered
-      if (normalizedStatus === 'Delivered' && !part.delivered) {
-        updateData.delivered = true;
-      }
-
-      const { error: updateError } = await supabase
-        .from('parts')
-        .update(updateData)
-        .eq('id', part.id);
-
-      if (updateError) {
-        console.error(`Error updating part ${part.id}:`, updateError);
-      }
-    }
-
-    return NextResponse.json({
-      success: true,
-      updated: parts.length
-    });
+    return NextResponse.json({ success: true, updated });
   } catch (error) {
     console.error('Webhook error:', error);
     return NextResponse.json(
@@ -153,6 +185,6 @@ export async function POST(request) {
 export async function GET() {
   return NextResponse.json({
     status: 'ok',
-    message: 'Ship24 webhook endpoint is active'
+    message: 'Tracking webhook endpoint is active'
   });
 }
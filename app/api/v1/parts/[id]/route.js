@@ -0,0 +1,103 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parseId,
+  readJsonBody,
+  preparePartFields,
+  checkLinkedRecords,
+  PART_LINK_FIELDS
+} from '../../../../../utils/apiUtils';
+import { getTrackingPurgeFields } from '../../../../../utils/trackingUtils';
+
+/**
+ * Load a part owned by the user
+ * @returns {Promise<Object|null>} Part row or null if not found
+ */
+const findPart = async (supabase, userId, partId) => {
+  const { data, error } = await supabase
+    .from('parts')
+    .select('*')
+    .eq('id', partId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * GET /api/v1/parts/[id]
+ * Get a single part
+ */
+export const GET = withApiAuth(async ({ supabase, user, params }) => {
+  const partId = parseId(params.id);
+  if (!partId) return apiError('Invalid part ID');
+
+  const part = await findPart(supabase, user.id, partId);
+  if (!part) return apiError('Part not found', 404);
+
+  return NextResponse.json({ data: part });
+});
+
+/**
+ * PATCH /api/v1/parts/[id]
+ * Update a part (partial update, total is recalculated when costs change)
+ */
+export const PATCH = withApiAuth(async ({ request, supabase, user, params }) => {
+  const partId = parseId(params.id);
+  if (!partId) return apiError('Invalid part ID');
+
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  const existingPart = await findPart(supabase, user.id, partId);
+  if (!existingPart) return apiError('Part not found', 404);
+
+  const { values, error: validationError } = preparePartFields(body, existingPart);
+  if (validationError) return apiError(validationError);
+
+  if (Object.keys(values).length === 0) {
+    return apiError('No updatable fields provided');
+  }
+
+  const linkError = await checkLinkedRecords(supabase, user.id, values, PART_LINK_FIELDS);
+  if (linkError) return linkError;
+
+  // Changing or removing the tracking number invalidates cached tracking data
+  if (values.tracking !== undefined && (values.tracking || '') !== (existingPart.tracking || '')) {
+    Object.assign(values, getTrackingPurgeFields());
+  }
+
+  const { data, error } = await supabase
+    .from('parts')
+    .update(values)
+    .eq('id', partId)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data });
+}, { scope: 'parts:write' });
+
+/**
+ * DELETE /api/v1/parts/[id]
+ * Delete a part
+ */
+export const DELETE = withApiAuth(async ({ supabase, user, params }) => {
+  const partId = parseId(params.id);
+  if (!partId) return apiError('Invalid part ID');
+
+  const existingPart = await findPart(supabase, user.id, partId);
+  if (!existingPart) return apiError('Part not found', 404);
+
+  const { error } = await supabase
+    .from('parts')
+    .delete()
+    .eq('id', partId)
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+  return new NextResponse(null, { status: 204 });
+}, { scope: 'parts:write' });
@@ -0,0 +1,109 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parsePagination,
+  parseBooleanParam,
+  paginatedResponse,
+  readJsonBody,
+  preparePartFields,
+  checkLinkedRecords,
+  PART_STATUS_FLAGS,
+  PART_LINK_FIELDS
+} from '../../../../utils/apiUtils';
+
+const SORTABLE_FIELDS = ['id', 'part', 'vendor', 'price', 'total', 'created_at'];
+
+/**
+ * GET /api/v1/parts
+ * List parts with pagination and filtering
+ * Query: limit, offset, status, vendor, project_id, vehicle_id, archived, q, sort, order
+ */
+export const GET = withApiAuth(async ({ request, supabase, user }) => {
+  const { searchParams } = new URL(request.url);
+  const pagination = parsePagination(searchParams);
+
+  const sort = SORTABLE_FIELDS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'id';
+  const ascending = searchParams.get('order') !== 'desc';
+
+  let query = supabase
+    .from('parts')
+    .select('*', { count: 'exact' })
+    .eq('user_id', user.id);
+
+  const status = searchParams.get('status');
+  if (status) {
+    const flags = PART_STATUS_FLAGS[status];
+    if (!flags) {
+      return apiError(`Invalid status. Expected one of: ${Object.keys(PART_STATUS_FLAGS).join(', ')}`);
+    }
+    for (const [column, value] of Object.entries(flags)) {
+      query = query.eq(column, value);
+    }
+  }
+
+  const vendor = searchParams.get('vendor');
+  if (vendor) query = query.eq('vendor', vendor);
+
+  const projectId = searchParams.get('project_id');
+  if (projectId) query = query.eq('project_id', projectId);
+
+  const vehicleId = searchParams.get('vehicle_id');
+  if (vehicleId) query = query.eq('vehicle_id', vehicleId);
+
+  const archived = parseBooleanParam(searchParams, 'archived');
+  if (archived !== null) query = query.eq('archived', archived);
+
+  const search = searchParams.get('q');
+  if (search) {
+    // Strip characters that have meaning in PostgREST filter syntax
+    const term = search.replace(/[%,()]/g, ' ').trim();
+    if (term) {
+      query = query.or(`part.ilike.%${term}%,part_number.ilike.%${term}%,vendor.ilike.%${term}%`);
+    }
+  }
+
+  const { data, error, count } = await query
+    .order(sort, { ascending })
+    .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) throw error;
+  return paginatedResponse(data, count, pagination);
+});
+
+/**
+ * POST /api/v1/parts
+ * Create a part
+ * Body: part fields (snake_case) plus optional status ('pending' | 'purchased' | 'shipped' | 'delivered' | 'installed')
+ */
+export const POST = withApiAuth(async ({ request, supabase, user }) => {
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  if (!body.part || !String(body.part).trim()) {
+    return apiError('part is required');
+  }
+
+  // New parts default to pending unless a status or explicit status flags are given
+  const hasStatusFlags = ['purchased', 'shipped', 'delivered'].some(flag => body[flag] !== undefined);
+  const { values, error: validationError } = preparePartFields(
+    body.status === undefined && !hasStatusFlags ? { ...body, status: 'pending' } : body
+  );
+  if (validationError) return apiError(validationError);
+
+  const linkError = await checkLinkedRecords(supabase, user.id, values, PART_LINK_FIELDS);
+  if (linkError) return linkError;
+
+  const { data, error } = await supabase
+    .from('parts')
+    .insert({
+      ...values,
+      user_id: user.id,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data }, { status: 201 });
+}, { scope: 'parts:write' });
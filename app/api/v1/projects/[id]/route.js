@@ -0,0 +1,126 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parseId,
+  readJsonBody,
+  pickFields,
+  checkLinkedRecords,
+  PROJECT_API_FIELDS,
+  PROJECT_LINK_FIELDS
+} from '../../../../../utils/apiUtils';
+import { validateBudget } from '../../../../../utils/validationUtils';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Load a project owned by the user
+ * @returns {Promise<Object|null>} Project row or null if not found
+ */
+const findProject = async (supabase, userId, projectId) => {
+  const { data, error } = await supabase
+    .from('projects')
+    .select('*')
+    .eq('id', projectId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * GET /api/v1/projects/[id]
+ * Get a single project, including its linked parts
+ */
+export const GET = withApiAuth(async ({ supabase, user, params }) => {
+  const projectId = parseId(params.id);
+  if (!projectId) return apiError('Invalid project ID');
+
+  const project = await findProject(supabase, user.id, projectId);
+  if (!project) return apiError('Project not found', 404);
+
+  const { data: parts, error } = await supabase
+    .from('parts')
+    .select('*')
+    .eq('project_id', projectId)
+    .eq('user_id', user.id)
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return NextResponse.json({ data: { ...project, parts: parts || [] } });
+});
+
+/**
+ * PATCH /api/v1/projects/[id]
+ * Update a project (partial update)
+ */
+export const PATCH = withApiAuth(async ({ request, supabase, user, params }) => {
+  const projectId = parseId(params.id);
+  if (!projectId) return apiError('Invalid project ID');
+
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  const existingProject = await findProject(supabase, user.id, projectId);
+  if (!existingProject) return apiError('Project not found', 404);
+
+  const values = pickFields(body, PROJECT_API_FIELDS);
+  if (Object.keys(values).length === 0) {
+    return apiError('No updatable fields provided');
+  }
+
+  if (values.priority !== undefined && !PRIORITIES.includes(values.priority)) {
+    return apiError(`Invalid priority. Expected one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  if (values.budget !== undefined) {
+    let budgetError = null;
+    const budgetValidation = validateBudget(values.budget, { warning: (message) => { budgetError = message; } });
+    if (!budgetValidation.isValid) return apiError(budgetError);
+    values.budget = budgetValidation.value;
+  }
+
+  const linkError = await checkLinkedRecords(supabase, user.id, values, PROJECT_LINK_FIELDS);
+  if (linkError) return linkError;
+
+  const { data, error } = await supabase
+    .from('projects')
+    .update(values)
+    .eq('id', projectId)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data });
+}, { scope: 'projects:write' });
+
+/**
+ * DELETE /api/v1/projects/[id]
+ * Delete a project (linked parts are kept and unlinked)
+ */
+export const DELETE = withApiAuth(async ({ supabase, user, params }) => {
+  const projectId = parseId(params.id);
+  if (!projectId) return apiError('Invalid project ID');
+
+  const existingProject = await findProject(supabase, user.id, projectId);
+  if (!existingProject) return apiError('Project not found', 404);
+
+  const { error: unlinkError } = await supabase
+    .from('parts')
+    .update({ project_id: null })
+    .eq('project_id', projectId)
+    .eq('user_id', user.id);
+
+  if (unlinkError) throw unlinkError;
+
+  const { error } = await supabase
+    .from('projects')
+    .delete()
+    .eq('id', projectId)
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+  return new NextResponse(null, { status: 204 });
+}, { scope: 'projects:write' });
@@ -0,0 +1,112 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parsePagination,
+  parseBooleanParam,
+  paginatedResponse,
+  readJsonBody,
+  pickFields,
+  checkLinkedRecords,
+  PROJECT_API_FIELDS,
+  PROJECT_LINK_FIELDS
+} from '../../../../utils/apiUtils';
+import { validateBudget } from '../../../../utils/validationUtils';
+
+const SORTABLE_FIELDS = ['id', 'name', 'budget', 'priority', 'display_order'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * GET /api/v1/projects
+ * List projects with pagination and filtering
+ * Query: limit, offset, vehicle_id, priority, archived, paused, q, sort, order
+ */
+export const GET = withApiAuth(async ({ request, supabase, user }) => {
+  const { searchParams } = new URL(request.url);
+  const pagination = parsePagination(searchParams);
+
+  const sort = SORTABLE_FIELDS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'display_order';
+  const ascending = searchParams.get('order') !== 'desc';
+
+  let query = supabase
+    .from('projects')
+    .select('*', { count: 'exact' })
+    .eq('user_id', user.id);
+
+  const vehicleId = searchParams.get('vehicle_id');
+  if (vehicleId) query = query.eq('vehicle_id', vehicleId);
+
+  const priority = searchParams.get('priority');
+  if (priority) {
+    if (!PRIORITIES.includes(priority)) {
+      return apiError(`Invalid priority. Expected one of: ${PRIORITIES.join(', ')}`);
+    }
+    query = query.eq('priority', priority);
+  }
+
+  const archived = parseBooleanParam(searchParams, 'archived');
+  if (archived !== null) query = query.eq('archived', archived);
+
+  const paused = parseBooleanParam(searchParams, 'paused');
+  if (paused !== null) query = query.eq('paused', paused);
+
+  const search = searchParams.get('q');
+  if (search) {
+    const term = search.replace(/[%,()]/g, ' ').trim();
+    if (term) {
+      query = query.or(`name.ilike.%${term}%,description.ilike.%${term}%`);
+    }
+  }
+
+  const { data, error, count } = await query
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending: true })
+    .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) throw error;
+  return paginatedResponse(data, count, pagination);
+});
+
+/**
+ * POST /api/v1/projects
+ * Create a project
+ * Body: project fields (snake_case)
+ */
+export const POST = withApiAuth(async ({ request, supabase, user }) => {
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  if (!body.name || !String(body.name).trim()) {
+    return apiError('name is required');
+  }
+
+  const values = pickFields(body, PROJECT_API_FIELDS);
+
+  if (values.priority !== undefined && !PRIORITIES.includes(values.priority)) {
+    return apiError(`Invalid priority. Expected one of: ${PRIORITIES.join(', ')}`);
+  }
+
+  if (values.budget !== undefined) {
+    let budgetError = null;
+    const budgetValidation = validateBudget(values.budget, { warning: (message) => { budgetError = message; } });
+    if (!budgetValidation.isValid) return apiError(budgetError);
+    values.budget = budgetValidation.value;
+  }
+
+  const linkError = await checkLinkedRecords(supabase, user.id, values, PROJECT_LINK_FIELDS);
+  if (linkError) return linkError;
+
+  const { data, error } = await supabase
+    .from('projects')
+    .insert({
+      priority: 'medium',
+      todos: [],
+      ...values,
+      user_id: user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data }, { status: 201 });
+}, { scope: 'projects:write' });
@@ -0,0 +1,111 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parseId,
+  readJsonBody,
+  prepareVehicleFields
+} from '../../../../../utils/apiUtils';
+
+/**
+ * Load a vehicle owned by the user
+ * @returns {Promise<Object|null>} Vehicle row or null if not found
+ */
+const findVehicle = async (supabase, userId, vehicleId) => {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('*')
+    .eq('id', vehicleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * GET /api/v1/vehicles/[id]
+ * Get a single vehicle
+ */
+export const GET = withApiAuth(async ({ supabase, user, params }) => {
+  const vehicleId = parseId(params.id);
+  if (!vehicleId) return apiError('Invalid vehicle ID');
+
+  const vehicle = await findVehicle(supabase, user.id, vehicleId);
+  if (!vehicle) return apiError('Vehicle not found', 404);
+
+  return NextResponse.json({ data: vehicle });
+});
+
+/**
+ * PATCH /api/v1/vehicles/[id]
+ * Update a vehicle (partial update)
+ */
+export const PATCH = withApiAuth(async ({ request, supabase, user, params }) => {
+  const vehicleId = parseId(params.id);
+  if (!vehicleId) return apiError('Invalid vehicle ID');
+
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  const existingVehicle = await findVehicle(supabase, user.id, vehicleId);
+  if (!existingVehicle) return apiError('Vehicle not found', 404);
+
+  const { values, error: validationError } = prepareVehicleFields(body);
+  if (validationError) return apiError(validationError);
+  if (Object.keys(values).length === 0) {
+    return apiError('No updatable fields provided');
+  }
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .update(values)
+    .eq('id', vehicleId)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data });
+}, { scope: 'vehicles:write' });
+
+/**
+ * DELETE /api/v1/vehicles/[id]
+ * Delete a vehicle and clean up its document files from storage
+ * (document and service event rows are removed via CASCADE)
+ */
+export const DELETE = withApiAuth(async ({ supabase, user, params }) => {
+  const vehicleId = parseId(params.id);
+  if (!vehicleId) return apiError('Invalid vehicle ID');
+
+  const existingVehicle = await findVehicle(supabase, user.id, vehicleId);
+  if (!existingVehicle) return apiError('Vehicle not found', 404);
+
+  const { data: documents, error: documentsError } = await supabase
+    .from('vehicle_documents')
+    .select('file_url')
+    .eq('vehicle_id', vehicleId);
+
+  if (documentsError) throw documentsError;
+
+  const filePaths = (documents || [])
+    .filter(doc => doc.file_url)
+    .map(doc => {
+      const urlParts = doc.file_url.split('/vehicle-documents/');
+      return urlParts.length > 1 ? `vehicle-documents/${urlParts[1]}` : null;
+    })
+    .filter(Boolean);
+
+  if (filePaths.length > 0) {
+    await supabase.storage.from('vehicles').remove(filePaths);
+  }
+
+  const { error } = await supabase
+    .from('vehicles')
+    .delete()
+    .eq('id', vehicleId)
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+  return new NextResponse(null, { status: 204 });
+}, { scope: 'vehicles:write' });
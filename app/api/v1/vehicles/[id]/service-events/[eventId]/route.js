@@ -0,0 +1,113 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parseId,
+  readJsonBody,
+  prepareServiceEventFields,
+  checkLinkedParts,
+  syncServiceEventStock
+} from '../../../../../../../utils/apiUtils';
+
+/**
+ * Load a service event belonging to the user's vehicle
+ * @returns {Promise<Object|null>} Service event row or null if not found
+ */
+const findServiceEvent = async (supabase, userId, vehicleId, eventId) => {
+  const { data, error } = await supabase
+    .from('service_events')
+    .select('*')
+    .eq('id', eventId)
+    .eq('vehicle_id', vehicleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Parse and validate both route IDs
+ * @returns {{ vehicleId: number|null, eventId: number|null }}
+ */
+const parseRouteIds = (params) => ({
+  vehicleId: parseId(params.id),
+  eventId: parseId(params.eventId)
+});
+
+/**
+ * GET /api/v1/vehicles/[id]/service-events/[eventId]
+ * Get a single service event
+ */
+export const GET = withApiAuth(async ({ supabase, user, params }) => {
+  const { vehicleId, eventId } = parseRouteIds(params);
+  if (!vehicleId || !eventId) return apiError('Invalid vehicle or service event ID');
+
+  const event = await findServiceEvent(supabase, user.id, vehicleId, eventId);
+  if (!event) return apiError('Service event not found', 404);
+
+  return NextResponse.json({ data: event });
+});
+
+/**
+ * PATCH /api/v1/vehicles/[id]/service-events/[eventId]
+ * Update a service event (partial update)
+ * Parts linked or unlinked through linked_part_ids are taken out of or put back into stock
+ */
+export const PATCH = withApiAuth(async ({ request, supabase, user, params }) => {
+  const { vehicleId, eventId } = parseRouteIds(params);
+  if (!vehicleId || !eventId) return apiError('Invalid vehicle or service event ID');
+
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  const existingEvent = await findServiceEvent(supabase, user.id, vehicleId, eventId);
+  if (!existingEvent) return apiError('Service event not found', 404);
+
+  const { values, error: validationError } = prepareServiceEventFields(body);
+  if (validationError) return apiError(validationError);
+  if (Object.keys(values).length === 0) {
+    return apiError('No updatable fields provided');
+  }
+
+  const linkError = await checkLinkedParts(supabase, user.id, values.linked_part_ids);
+  if (linkError) return linkError;
+
+  const { data, error } = await supabase
+    .from('service_events')
+    .update(values)
+    .eq('id', eventId)
+    .eq('user_id', user.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  if (values.linked_part_ids !== undefined) {
+    await syncServiceEventStock(supabase, user.id, eventId, data.linked_part_ids, existingEvent.linked_part_ids);
+  }
+  return NextResponse.json({ data });
+}, { scope: 'vehicles:write' });
+
+/**
+ * DELETE /api/v1/vehicles/[id]/service-events/[eventId]
+ * Delete a service event
+ * Its installed parts are put back in stock first, while the event still exists to reference
+ */
+export const DELETE = withApiAuth(async ({ supabase, user, params }) => {
+  const { vehicleId, eventId } = parseRouteIds(params);
+  if (!vehicleId || !eventId) return apiError('Invalid vehicle or service event ID');
+
+  const existingEvent = await findServiceEvent(supabase, user.id, vehicleId, eventId);
+  if (!existingEvent) return apiError('Service event not found', 404);
+
+  await syncServiceEventStock(supabase, user.id, eventId, [], existingEvent.linked_part_ids);
+
+  const { error } = await supabase
+    .from('service_events')
+    .delete()
+    .eq('id', eventId)
+    .eq('user_id', user.id);
+
+  if (error) throw error;
+  return new NextResponse(null, { status: 204 });
+}, { scope: 'vehicles:write' });
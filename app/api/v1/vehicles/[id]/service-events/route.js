@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parseId,
+  parsePagination,
+  paginatedResponse,
+  readJsonBody,
+  prepareServiceEventFields,
+  checkLinkedParts,
+  syncServiceEventStock
+} from '../../../../../../utils/apiUtils';
+
+/**
+ * Check that a vehicle belongs to the user
+ * @returns {Promise<boolean>} Whether the vehicle exists for this user
+ */
+const vehicleExists = async (supabase, userId, vehicleId) => {
+  const { data, error } = await supabase
+    .from('vehicles')
+    .select('id')
+    .eq('id', vehicleId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+};
+
+/**
+ * GET /api/v1/vehicles/[id]/service-events
+ * List service events for a vehicle, newest first
+ * Query: limit, offset, from, to (YYYY-MM-DD, inclusive)
+ */
+export const GET = withApiAuth(async ({ request, supabase, user, params }) => {
+  const vehicleId = parseId(params.id);
+  if (!vehicleId) return apiError('Invalid vehicle ID');
+
+  if (!(await vehicleExists(supabase, user.id, vehicleId))) {
+    return apiError('Vehicle not found', 404);
+  }
+
+  const { searchParams } = new URL(request.url);
+  const pagination = parsePagination(searchParams);
+
+  let query = supabase
+    .from('service_events')
+    .select('*', { count: 'exact' })
+    .eq('vehicle_id', vehicleId)
+    .eq('user_id', user.id);
+
+  const from = searchParams.get('from');
+  if (from) query = query.gte('event_date', from);
+
+  const to = searchParams.get('to');
+  if (to) query = query.lte('event_date', to);
+
+  const { data, error, count } = await query
+    .order('event_date', { ascending: false })
+    .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) throw error;
+  return paginatedResponse(data, count, pagination);
+});
+
+/**
+ * POST /api/v1/vehicles/[id]/service-events
+ * Create a service event for a vehicle
+ * Body: { event_date, description, odometer?, notes?, linked_part_ids?, cost? }
+ * Linked parts in stock are taken out of stock, as in the app
+ */
+export const POST = withApiAuth(async ({ request, supabase, user, params }) => {
+  const vehicleId = parseId(params.id);
+  if (!vehicleId) return apiError('Invalid vehicle ID');
+
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  if (!body.event_date || !body.description || !String(body.description).trim()) {
+    return apiError('event_date and description are required');
+  }
+
+  if (!(await vehicleExists(supabase, user.id, vehicleId))) {
+    return apiError('Vehicle not found', 404);
+  }
+
+  const { values, error: validationError } = prepareServiceEventFields(body);
+  if (validationError) return apiError(validationError);
+
+  const linkError = await checkLinkedParts(supabase, user.id, values.linked_part_ids);
+  if (linkError) return linkError;
+
+  const { data, error } = await supabase
+    .from('service_events')
+    .insert({ ...values, vehicle_id: vehicleId, user_id: user.id })
+    .select()
+    .single();
+
+  if (error) throw error;
+  await syncServiceEventStock(supabase, user.id, data.id, data.linked_part_ids, []);
+  return NextResponse.json({ data }, { status: 201 });
+}, { scope: 'vehicles:write' });
@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+import {
+  withApiAuth,
+  apiError,
+  parsePagination,
+  parseBooleanParam,
+  paginatedResponse,
+  readJsonBody,
+  prepareVehicleFields
+} from '../../../../utils/apiUtils';
+
+const SORTABLE_FIELDS = ['id', 'name', 'nickname', 'year', 'display_order'];
+
+/**
+ * GET /api/v1/vehicles
+ * List vehicles with pagination and filtering
+ * Query: limit, offset, archived, q, sort, order
+ */
+export const GET = withApiAuth(async ({ request, supabase, user }) => {
+  const { searchParams } = new URL(request.url);
+  const pagination = parsePagination(searchParams);
+
+  const sort = SORTABLE_FIELDS.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'display_order';
+  const ascending = searchParams.get('order') !== 'desc';
+
+  let query = supabase
+    .from('vehicles')
+    .select('*', { count: 'exact' })
+    .eq('user_id', user.id);
+
+  const archived = parseBooleanParam(searchParams, 'archived');
+  if (archived !== null) query = query.eq('archived', archived);
+
+  const search = searchParams.get('q');
+  if (search) {
+    const term = search.replace(/[%,()]/g, ' ').trim();
+    if (term) {
+      query = query.or(`name.ilike.%${term}%,nickname.ilike.%${term}%,make.ilike.%${term}%,vin.ilike.%${term}%`);
+    }
+  }
+
+  const { data, error, count } = await query
+    .order(sort, { ascending, nullsFirst: false })
+    .order('id', { ascending: true })
+    .range(pagination.offset, pagination.offset + pagination.limit - 1);
+
+  if (error) throw error;
+  return paginatedResponse(data, count, pagination);
+});
+
+/**
+ * POST /api/v1/vehicles
+ * Create a vehicle
+ * Body: vehicle fields (snake_case)
+ */
+export const POST = withApiAuth(async ({ request, supabase, user }) => {
+  const body = await readJsonBody(request);
+  if (!body) return apiError('Request body must be a JSON object');
+
+  if (!body.nickname && !body.name) {
+    return apiError('nickname or name is required');
+  }
+
+  const { values, error: validationError } = prepareVehicleFields(body);
+  if (validationError) return apiError(validationError);
+
+  const { data, error } = await supabase
+    .from('vehicles')
+    .insert({ ...values, user_id: user.id })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return NextResponse.json({ data }, { status: 201 });
+}, { scope: 'vehicles:write' });
@@ -1,5 +1,5 @@
 import React, { useState, useMemo, useEffect, useRef } from 'react';
-import { Search, Package, PackageOpen, BadgeDollarSign, TrendingUp, Truck, CheckCircle, Clock, ChevronDown, Plus, X, ExternalLink, ChevronUp, Edit2, Trash2, Moon, Sun, ListChecks, GripVertical, ShoppingCart, Car, Upload, Gauge, Settings, Check, Archive, ChevronRight, Pause, Play, LogOut, LayoutGrid, LayoutList, Mail } from 'lucide-react';
+import { Search, Package, PackageOpen, BadgeDollarSign, TrendingUp, Truck, CheckCircle, Clock, ChevronDown, Plus, X, ExternalLink, ChevronUp, Edit2, Trash2, Moon, Sun, ListChecks, GripVertical, ShoppingCart, Car, Upload, Gauge, Settings, Check, Archive, ChevronRight, Pause, Play, LogOut, LayoutGrid, LayoutList, Mail, KeyRound, Coins, Boxes, PackageX, Undo2, Receipt, Wrench, LayoutDashboard, Bell } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 
 // Utilities
@@ -26,12 +26,20 @@ import {
 } from '../utils/styleUtils';
 import {
   calculateVehicleTotalSpent,
-  calculateProjectTotal
+  calculateProjectTotal,
+  calculateCostBreakdown
 } from '../utils/dataUtils';
 import {
   getTrackingUrl,
   getCarrierName
 } from '../utils/trackingUtils';
+import { isMissingExchangeRate } from '../utils/currencyUtils';
+import { getReturnStatusLabel, isOpenReturn } from '../utils/returnUtils';
+import { getPartVehicleId, parseOdometer } from '../utils/installUtils';
+import { matchesWarrantyFilter } from '../utils/warrantyUtils';
+import { PART_DATE_FIELDS, PART_DATE_RANGES, getPartDateFilterLabel, matchesPartDateFilter } from '../utils/partDateUtils';
+import { decodePartsViewQuery, replacePartsViewQuery } from '../utils/partsViewUtils';
+import { parsePartsQuery, matchesPartsQuery, queryFiltersArchived } from '../utils/partsQueryUtils';
 
 // UI Components
 import ConfirmDialog from './ui/ConfirmDialog';
@@ -56,12 +64,18 @@ import VehicleDetailModal from './modals/VehicleDetailModal';
 import DeleteAccountModal from './modals/DeleteAccountModal';
 import ManageVendorsModal from './modals/ManageVendorsModal';
 import UpdateLoginEmailModal from './modals/UpdateLoginEmailModal';
+import ApiTokensModal from './modals/ApiTokensModal';
+import CurrencySettingsModal from './modals/CurrencySettingsModal';
+import TrackingSettingsModal from './modals/TrackingSettingsModal';
+import NotificationSettingsModal from './modals/NotificationSettingsModal';
+import VendorOrdersModal from './modals/VendorOrdersModal';
 import NewUserConfirmModal from './modals/NewUserConfirmModal';
 
 // Tab Components
 import PartsTab from './tabs/PartsTab';
 import ProjectsTab from './tabs/ProjectsTab';
 import VehiclesTab from './tabs/VehiclesTab';
+import DashboardTab from './tabs/DashboardTab';
 
 // Custom Hooks
 import useDarkMode from '../hooks/useDarkMode';
@@ -71,6 +85,15 @@ import useDragDrop from '../hooks/useDragDrop';
 import useParts from '../hooks/useParts';
 import useProjects from '../hooks/useProjects';
 import useVehicles from '../hooks/useVehicles';
+import useApiTokens from '../hooks/useApiTokens';
+import useTrackingSettings from '../hooks/useTrackingSettings';
+import useNotificationSettings from '../hooks/useNotificationSettings';
+import useInventory from '../hooks/useInventory';
+import useSavedViews from '../hooks/useSavedViews';
+import usePartEvents from '../hooks/usePartEvents';
+import useCrossReferences from '../hooks/useCrossReferences';
+import useVehicleExpenses from '../hooks/useVehicleExpenses';
+import useCurrency from '../hooks/useCurrency';
 import useHoverCapability from '../hooks/useHoverCapability';
 import { useAuthContext } from './AuthProvider';
 import { useDemoContext } from './DemoProvider';
@@ -142,6 +165,32 @@ const Shako = ({ isDemo = false }) => {
   // Update login email modal state
   const [showUpdateEmailModal, setShowUpdateEmailModal] = useState(false);
 
+  // API tokens modal state
+  const [showApiTokensModal, setShowApiTokensModal] = useState(false);
+
+  // Currency settings modal state
+  const [showCurrencyModal, setShowCurrencyModal] = useState(false);
+
+  // Tracking settings modal state
+  const [showTrackingSettingsModal, setShowTrackingSettingsModal] = useState(false);
+
+  // Notification settings modal state
+  const [showNotificationSettingsModal, setShowNotificationSettingsModal] = useState(false);
+
+  // Vendor orders modal state
+  const [showOrdersModal, setShowOrdersModal] = useState(false);
+  const [ordersModalOrderId, setOrdersModalOrderId] = useState(null);
+
+  // Currency hook (home currency is needed by the parts hook for rate snapshots)
+  const {
+    homeCurrency,
+    exchangeRates,
+    loadCurrencySettings,
+    changeHomeCurrency,
+    saveExchangeRates,
+    deleteExchangeRate
+  } = useCurrency(userId, toast, isDemo);
+
   // Parts hook
   const {
     parts,
@@ -154,6 +203,7 @@ const Shako = ({ isDemo = false }) => {
     loadParts,
     loadVendors,
     updateVendorColor,
+    updateVendorProfile,
     addNewPart,
     createPartDirectly,
     updatePartStatus,
@@ -167,9 +217,68 @@ const Shako = ({ isDemo = false }) => {
     unlinkPartFromProject,
     updatePartProject,
     updatePartTrackingData,
+    notifyTrackingAdvance,
+    addManualCheckpoint,
+    deleteManualCheckpoint,
     getUniqueVendors,
-    importPartsFromCSV
-  } = useParts(userId, toast, isDemo);
+    bulkUpdateStatus,
+    bulkAssignProject,
+    bulkAssignVehicle,
+    bulkSetVendor,
+    bulkArchiveParts,
+    bulkDeleteParts,
+    importPartsFromCSV,
+    rebasePartsCurrency,
+    orders,
+    loadOrders,
+    saveOrder,
+    deleteOrder
+  } = useParts(userId, toast, isDemo, { homeCurrency, exchangeRates });
+
+  // Inventory hook (stock on hand for delivered parts)
+  const {
+    inventoryEvents,
+    stockThresholds,
+    loadInventory,
+    installFromStock,
+    adjustStock,
+    updateStorageLocation,
+    syncServiceEventStock,
+    saveStockThreshold
+  } = useInventory(userId, toast, isDemo, { parts, setParts });
+
+  // Saved views hook (named parts list filters)
+  const {
+    savedViews,
+    loadSavedViews,
+    saveView,
+    deleteView
+  } = useSavedViews(userId, toast, isDemo);
+
+  // Part history hook (loaded per part for the detail modal)
+  const {
+    partEvents,
+    partEventsPartId,
+    isLoadingPartEvents,
+    loadPartEvents
+  } = usePartEvents(userId, toast, isDemo);
+
+  // Part number cross-references hook (OEM/aftermarket equivalents)
+  const {
+    crossReferences,
+    loadCrossReferences,
+    addCrossReference,
+    deleteCrossReference
+  } = useCrossReferences(userId, toast, isDemo);
+
+  // Vehicle running expenses hook (loaded per vehicle for the detail modal)
+  const {
+    vehicleExpenses,
+    vehicleExpensesVehicleId,
+    loadVehicleExpenses,
+    addVehicleExpense,
+    deleteVehicleExpense
+  } = useVehicleExpenses(userId, toast, isDemo);
 
   // Projects hook
   const {
@@ -229,6 +338,37 @@ const Shako = ({ isDemo = false }) => {
     deleteVehicleImageFromStorage
   } = useVehicles(userId, toast, isDemo);
 
+  // API tokens hook
+  const {
+    apiTokens,
+    loadingApiTokens,
+    loadApiTokens,
+    createApiToken,
+    revokeApiToken
+  } = useApiTokens(userId, toast);
+
+  // Tracking settings hook
+  const {
+    trackingProvider,
+    carrierProviders,
+    trackingAutoAdvance,
+    loadTrackingSettings,
+    updateTrackingSettings
+  } = useTrackingSettings(userId, toast);
+
+  // Notification settings hook
+  const {
+    notificationPreferences,
+    notificationEmail,
+    pushEnabled,
+    pushSupported,
+    notificationLog,
+    loadNotificationSettings,
+    updateNotificationSettings,
+    enablePush,
+    disablePush
+  } = useNotificationSettings(userId, toast);
+
   // Note: Document and service event state is now managed via context (DocumentContext, ServiceEventContext)
   // and consumed directly by VehicleDetailModal
 
@@ -254,12 +394,24 @@ const Shako = ({ isDemo = false }) => {
     setIsSearching,
     partsDateFilter,
     setPartsDateFilter,
+    partsDateField,
+    setPartsDateField,
+    partsDateFrom,
+    setPartsDateFrom,
+    partsDateTo,
+    setPartsDateTo,
     isFilteringParts,
     setIsFilteringParts,
     showDateFilterDropdown,
     setShowDateFilterDropdown,
     showArchivedParts,
     setShowArchivedParts,
+    warrantyFilter,
+    setWarrantyFilter,
+    partsRowsPerPage,
+    setPartsRowsPerPage,
+    partsView,
+    applyPartsView,
     projectVehicleFilter,
     setProjectVehicleFilter,
     isFilteringProjects,
@@ -402,7 +554,7 @@ const Shako = ({ isDemo = false }) => {
   // LOCAL COMPONENT STATE
   // ========================================
 
-  const [activeTab, setActiveTab] = useState('vehicles'); // 'parts', 'projects', or 'vehicles'
+  const [activeTab, setActiveTab] = useState('vehicles'); // 'parts', 'projects', 'vehicles', or 'dashboard'
   const [previousTab, setPreviousTab] = useState('vehicles');
 
   // Vehicle layout mode state with localStorage persistence (default to compact)
@@ -526,12 +678,41 @@ const Shako = ({ isDemo = false }) => {
     setEditingPart
   );
 
+  // Save the new home currency, re-express every part's rate against it and
+  // convert the budgets and costs that were entered in the old one
+  const handleHomeCurrencyChange = async (newCurrency) => {
+    const previousCurrency = homeCurrency;
+    // Budgets and costs are converted with the setting; open service events and
+    // expenses reload when homeCurrency changes
+    const changed = await changeHomeCurrency(newCurrency);
+    if (!changed) return;
+
+    const missingRates = await rebasePartsCurrency(previousCurrency, newCurrency, exchangeRates);
+    loadProjects();
+    loadVehicles();
+
+    if (missingRates > 0) {
+      toast.warning(`${missingRates} part${missingRates !== 1 ? 's have' : ' has'} no rate to ${newCurrency} and will be counted 1:1. Add a rate to fix.`);
+    } else {
+      toast.success(`Totals now shown in ${newCurrency}`);
+    }
+  };
+
+  // Parts marked installed take the odometer reading of their vehicle
+  const getInstallDefaults = (partId) => {
+    const part = parts.find(p => p.id === partId);
+    const vehicleId = part ? getPartVehicleId(part, projects) : null;
+    const vehicle = vehicleId ? vehicles.find(v => v.id === vehicleId) : null;
+    return { installedOdometer: parseOdometer(vehicle?.odometer_range) };
+  };
+
   const handleUpdatePartStatus = (partId, newStatus) => updatePartStatus(
     partId,
     newStatus,
     setTrackingModalPartId,
     setShowTrackingModal,
-    setOpenDropdown
+    setOpenDropdown,
+    getInstallDefaults(partId)
   );
 
   // Status change handler for part detail modal (doesn't show tracking modal)
@@ -540,9 +721,35 @@ const Shako = ({ isDemo = false }) => {
     newStatus,
     null, // Skip tracking modal - user can add tracking via edit
     null,
-    null
+    null,
+    getInstallDefaults(partId)
   );
 
+  // Bulk actions for the parts selected in the parts table
+  const reportBulkUpdate = (count, verb = 'Updated') => {
+    if (count > 0) toast.success(`${verb} ${count} part${count !== 1 ? 's' : ''}`);
+  };
+
+  const partsBulkActions = {
+    updateStatus: async (partIds, status) => reportBulkUpdate(await bulkUpdateStatus(partIds, status, getInstallDefaults)),
+    assignProject: async (partIds, projectId) => reportBulkUpdate(await bulkAssignProject(partIds, projectId)),
+    assignVehicle: async (partIds, vehicleId) => reportBulkUpdate(await bulkAssignVehicle(partIds, vehicleId, projects)),
+    setVendor: async (partIds, vendor) => reportBulkUpdate(await bulkSetVendor(partIds, vendor)),
+    archive: async (partIds, archived) => reportBulkUpdate(
+      await bulkArchiveParts(partIds, archived),
+      archived ? 'Archived' : 'Unarchived'
+    ),
+    remove: (partIds) => {
+      setConfirmDialog({
+        isOpen: true,
+        title: 'Delete Parts',
+        message: `Are you sure you want to delete ${partIds.length} part${partIds.length !== 1 ? 's' : ''}? This action cannot be undone.`,
+        confirmText: 'Delete',
+        onConfirm: async () => reportBulkUpdate(await bulkDeleteParts(partIds), 'Deleted')
+      });
+    }
+  };
+
   // Check if there are unsaved changes in vehicle edit mode
   const hasUnsavedVehicleChanges = () => {
     if (!vehicleModalEditMode || vehicleModalEditMode !== 'vehicle' || !originalVehicleData || !viewingVehicle) {
@@ -591,11 +798,15 @@ const Shako = ({ isDemo = false }) => {
     // Check if any field has changed
     const fieldsToCheck = [
       'part', 'partNumber', 'vendor', 'tracking',
-      'price', 'shipping', 'duties', 'projectId'
+      'price', 'shipping', 'duties', 'tax', 'taxRate', 'discount', 'coreCharge', 'coreRefund',
+      'currency', 'exchangeRate', 'projectId', 'orderId',
+      'returnStatus', 'rmaNumber', 'returnTracking', 'refundAmount', 'refundedAt',
+      'status', 'installedAt', 'installedOdometer', 'installNotes',
+      'warrantyMonths', 'warrantyExpiresAt', 'warrantyTerms', 'warrantyDocumentId'
     ];
     for (const field of fieldsToCheck) {
-      // Use loose equality for projectId since it can be null or undefined
-      if (field === 'projectId') {
+      // Use loose equality for projectId/orderId since they can be null or undefined
+      if (field === 'projectId' || field === 'orderId') {
         if ((editingPart[field] || null) !== (originalPartData[field] || null)) {
           return true;
         }
@@ -667,6 +878,11 @@ const Shako = ({ isDemo = false }) => {
       loadParts();
       loadProjects();
       loadVendors();
+      loadCurrencySettings();
+      loadOrders();
+      loadInventory();
+      loadSavedViews();
+      loadCrossReferences();
 
       // Also load vehicles if user changed (to clear stale data)
       if (userChanged && activeTab === 'vehicles') {
@@ -727,7 +943,7 @@ const Shako = ({ isDemo = false }) => {
   // Swipe gesture handlers for tab navigation
   useEffect(() => {
     const minSwipeDistance = 50;
-    const tabs = ['vehicles', 'projects', 'parts'];
+    const tabs = ['vehicles', 'projects', 'parts', 'dashboard'];
 
     // Small delay to ensure DOM is ready
     const timeoutId = setTimeout(() => {
@@ -841,10 +1057,43 @@ const Shako = ({ isDemo = false }) => {
     setVendorFilter('all');
     setPartsDateFilter('all');
     setShowArchivedParts(false);
+    setWarrantyFilter('all');
     setOpenDropdown(null);
     setShowDateFilterDropdown(false);
   }, [activeTab]);
 
+  // A link with parts view parameters opens the parts tab with that view
+  // The view is applied once the tab switch has cleared the filters
+  const pendingPartsViewRef = useRef(null);
+  useEffect(() => {
+    const view = decodePartsViewQuery(window.location.search);
+    if (!view) return;
+    pendingPartsViewRef.current = view;
+    if (activeTab === 'parts') {
+      applyPartsView(view);
+      pendingPartsViewRef.current = null;
+    } else {
+      handleTabChange('parts');
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'parts' && pendingPartsViewRef.current) {
+      applyPartsView(pendingPartsViewRef.current);
+      pendingPartsViewRef.current = null;
+    }
+  }, [activeTab]);
+
+  // Keep the URL in step with the parts view so it can be bookmarked or shared
+  const partsViewQuery = activeTab === 'parts' ? replacePartsViewQuery('', partsView) : '';
+  useEffect(() => {
+    if (pendingPartsViewRef.current) return;
+    const search = replacePartsViewQuery(window.location.search, activeTab === 'parts' ? partsView : null);
+    if (search !== window.location.search.replace(/^\?/, '')) {
+      window.history.replaceState(window.history.state, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    }
+  }, [partsViewQuery]);
+
   // Handle email migration result (show toast on success or error)
   useEffect(() => {
     if (migrationResult) {
@@ -864,7 +1113,7 @@ const Shako = ({ isDemo = false }) => {
 
   // Keyboard navigation for tabs (Shift + Left/Right arrows)
   useEffect(() => {
-    const tabs = ['vehicles', 'projects', 'parts'];
+    const tabs = ['vehicles', 'projects', 'parts', 'dashboard'];
 
     const handleKeyDown = (e) => {
       // Only trigger with Shift key held
@@ -926,7 +1175,16 @@ const Shako = ({ isDemo = false }) => {
     );
   };
 
+  // Which date the parts list filters on and over what range
+  const partsDateFilterState = useMemo(() => ({
+    range: partsDateFilter,
+    field: partsDateField,
+    from: partsDateFrom,
+    to: partsDateTo
+  }), [partsDateFilter, partsDateField, partsDateFrom, partsDateTo]);
+
   const filteredParts = useMemo(() => {
+    const parsedQuery = parsePartsQuery(searchTerm);
     let sorted = parts
       .filter(part => {
         // Get project and vehicle for this part
@@ -934,17 +1192,9 @@ const Shako = ({ isDemo = false }) => {
         // Get vehicle from project or directly from part (for maintenance parts)
         const vehicleId = partProject?.vehicle_id || part.vehicleId;
         const partVehicle = vehicleId ? vehicles.find(v => v.id === vehicleId) : null;
-        // Check if this is a maintenance part (has vehicle but no project)
-        const isMaintenance = part.vehicleId && !part.projectId;
-
-        const searchLower = searchTerm.toLowerCase();
-        const matchesSearch = part.part.toLowerCase().includes(searchLower) ||
-                            part.partNumber.toLowerCase().includes(searchLower) ||
-                            part.vendor.toLowerCase().includes(searchLower) ||
-                            (partProject?.name?.toLowerCase().includes(searchLower)) ||
-                            (partVehicle?.name?.toLowerCase().includes(searchLower)) ||
-                            (partVehicle?.nickname?.toLowerCase().includes(searchLower)) ||
-                            (isMaintenance && 'maintenance'.includes(searchLower));
+
+        // Search box text is a query: plain words plus field filters (see utils/partsQueryUtils.js)
+        const matchesSearch = matchesPartsQuery(part, parsedQuery, { project: partProject, vehicle: partVehicle });
         const matchesStatus = statusFilter === 'all' ||
                              (statusFilter === 'delivered' && part.delivered) ||
                              (statusFilter === 'shipped' && part.shipped && !part.delivered) ||
@@ -956,26 +1206,15 @@ const Shako = ({ isDemo = false }) => {
           deliveredFilter === 'only' ? part.delivered :
           deliveredFilter === 'hide' ? !part.delivered && part.purchased : true;
 
-        // Date filter logic
-        let matchesDate = true;
-        if (partsDateFilter !== 'all' && part.createdAt) {
-          const partDate = new Date(part.createdAt);
-          const now = new Date();
-          const daysDiff = (now - partDate) / (1000 * 60 * 60 * 24);
-
-          if (partsDateFilter === '1week' && daysDiff > 7) {
-            matchesDate = false;
-          } else if (partsDateFilter === '2weeks' && daysDiff > 14) {
-            matchesDate = false;
-          } else if (partsDateFilter === '1month' && daysDiff > 30) {
-            matchesDate = false;
-          }
-        }
+        const matchesDate = matchesPartDateFilter(part, partsDateFilterState);
 
         // Archive filter logic: show archived only when filter is on, hide archived otherwise
-        const matchesArchive = showArchivedParts ? part.archived : !part.archived;
+        // A query with an archived term ("archived", "-archived") decides for itself
+        const matchesArchive = queryFiltersArchived(parsedQuery) ||
+                              (showArchivedParts ? part.archived : !part.archived);
+        const matchesWarranty = matchesWarrantyFilter(part, warrantyFilter);
 
-        return matchesSearch && matchesStatus && matchesVendor && matchesDeliveredFilter && matchesDate && matchesArchive;
+        return matchesSearch && matchesStatus && matchesVendor && matchesDeliveredFilter && matchesDate && matchesArchive && matchesWarranty;
       })
       .sort((a, b) => {
         let aVal, bVal;
@@ -1019,7 +1258,7 @@ const Shako = ({ isDemo = false }) => {
         }
       });
     return sorted;
-  }, [parts, searchTerm, statusFilter, vendorFilter, sortBy, sortOrder, projects, vehicles, deliveredFilter, partsDateFilter, showArchivedParts]);
+  }, [parts, searchTerm, statusFilter, vendorFilter, sortBy, sortOrder, projects, vehicles, deliveredFilter, partsDateFilterState, showArchivedParts, warrantyFilter]);
 
   // Get unique vendors from existing parts for the dropdown
   const uniqueVendors = useMemo(() => {
@@ -1043,10 +1282,9 @@ const Shako = ({ isDemo = false }) => {
       shipped: activeParts.filter(p => p.shipped && !p.delivered).length,
       purchased: activeParts.filter(p => p.purchased && !p.shipped).length,
       pending: activeParts.filter(p => !p.purchased).length,
-      totalCost: purchasedParts.reduce((sum, p) => sum + p.total, 0),
-      totalPrice: purchasedParts.reduce((sum, p) => sum + p.price, 0),
-      totalShipping: purchasedParts.reduce((sum, p) => sum + p.shipping, 0),
-      totalDuties: purchasedParts.reduce((sum, p) => sum + p.duties, 0),
+      openReturns: activeParts.filter(isOpenReturn).length,
+      refunded: activeParts.filter(p => p.returnStatus === 'refunded').length,
+      costs: calculateCostBreakdown(purchasedParts),
       archivedCount: parts.filter(p => p.archived).length,
     };
   }, [parts]);
@@ -1062,14 +1300,18 @@ const Shako = ({ isDemo = false }) => {
       shipped: filteredParts.filter(p => p.shipped && !p.delivered).length,
       purchased: filteredParts.filter(p => p.purchased && !p.shipped).length,
       pending: filteredParts.filter(p => !p.purchased).length,
-      totalCost: purchasedFilteredParts.reduce((sum, p) => sum + p.total, 0),
-      totalPrice: purchasedFilteredParts.reduce((sum, p) => sum + p.price, 0),
-      totalShipping: purchasedFilteredParts.reduce((sum, p) => sum + p.shipping, 0),
-      totalDuties: purchasedFilteredParts.reduce((sum, p) => sum + p.duties, 0),
+      openReturns: filteredParts.filter(isOpenReturn).length,
+      refunded: filteredParts.filter(p => p.returnStatus === 'refunded').length,
+      costs: calculateCostBreakdown(purchasedFilteredParts),
+      missingRates: purchasedFilteredParts.filter(p => isMissingExchangeRate(p, homeCurrency)).length,
     };
-  }, [filteredParts]);
+  }, [filteredParts, homeCurrency]);
 
   const getStatusIcon = (part) => {
+    if (part.returnStatus === 'refunded') return <Receipt className="w-4 h-4 text-teal-600" />;
+    if (part.returnStatus === 'return_in_transit') return <Undo2 className="w-4 h-4 text-purple-600" />;
+    if (part.returnStatus === 'returned') return <PackageX className="w-4 h-4 text-orange-600" />;
+    if (part.installed) return <Wrench className="w-4 h-4 text-indigo-600" />;
     if (part.delivered) return <CheckCircle className="w-4 h-4 text-green-600" />;
     if (part.shipped) return <Truck className="w-4 h-4 text-blue-600" />;
     if (part.purchased) return <ShoppingCart className="w-4 h-4 text-yellow-600" />;
@@ -1077,6 +1319,8 @@ const Shako = ({ isDemo = false }) => {
   };
 
   const getStatusText = (part) => {
+    if (part.returnStatus) return getReturnStatusLabel(part.returnStatus);
+    if (part.installed) return 'Installed';
     if (part.delivered) return 'Delivered';
     if (part.shipped) return 'Shipped';
     if (part.purchased) return 'Ordered';
@@ -1084,6 +1328,26 @@ const Shako = ({ isDemo = false }) => {
   };
 
   const getStatusColor = (part) => {
+    if (part.returnStatus === 'refunded') {
+      return darkMode
+        ? 'bg-teal-900/20 text-teal-400 border-teal-700/50'
+        : 'bg-teal-100 text-teal-800 border-teal-300';
+    }
+    if (part.returnStatus === 'return_in_transit') {
+      return darkMode
+        ? 'bg-purple-900/20 text-purple-400 border-purple-700/50'
+        : 'bg-purple-100 text-purple-800 border-purple-300';
+    }
+    if (part.returnStatus === 'returned') {
+      return darkMode
+        ? 'bg-orange-900/20 text-orange-400 border-orange-700/50'
+        : 'bg-orange-100 text-orange-800 border-orange-300';
+    }
+    if (part.installed) {
+      return darkMode
+        ? 'bg-indigo-900/20 text-indigo-400 border-indigo-700/50'
+        : 'bg-indigo-100 text-indigo-800 border-indigo-300';
+    }
     if (part.delivered) {
       return darkMode
         ? 'bg-green-900/20 text-green-400 border-green-700/50'
@@ -1105,6 +1369,18 @@ const Shako = ({ isDemo = false }) => {
   };
 
   const getStatusTextColor = (part) => {
+    if (part.returnStatus === 'refunded') {
+      return darkMode ? 'text-teal-400' : 'text-teal-700';
+    }
+    if (part.returnStatus === 'return_in_transit') {
+      return darkMode ? 'text-purple-400' : 'text-purple-700';
+    }
+    if (part.returnStatus === 'returned') {
+      return darkMode ? 'text-orange-400' : 'text-orange-700';
+    }
+    if (part.installed) {
+      return darkMode ? 'text-indigo-400' : 'text-indigo-700';
+    }
     if (part.delivered) {
       return darkMode ? 'text-green-400' : 'text-green-700';
     }
@@ -1132,7 +1408,16 @@ const Shako = ({ isDemo = false }) => {
   }
 
   return (
-    <AppProviders darkMode={darkMode} setDarkMode={setDarkMode} userId={userId} toast={toast} isDemo={isDemo}>
+    <AppProviders
+      darkMode={darkMode}
+      setDarkMode={setDarkMode}
+      userId={userId}
+      toast={toast}
+      isDemo={isDemo}
+      homeCurrency={homeCurrency}
+      exchangeRates={exchangeRates}
+      onServiceEventPartsChange={syncServiceEventStock}
+    >
     <div
       ref={swipeContainerRef}
       className={`min-h-screen p-3 sm:p-6 pb-20 sm:pb-6 transition-colors duration-200 ${
@@ -1323,6 +1608,73 @@ const Shako = ({ isDemo = false }) => {
                         <Settings className="w-5 h-5" />
                         <span>Manage Vendors</span>
                       </button>
+                      {/* Currency */}
+                      <button
+                        onClick={() => {
+                          closeMenuWithAnimation();
+                          setShowCurrencyModal(true);
+                        }}
+                        className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg transition-colors ${
+                          darkMode
+                            ? 'hover:bg-gray-700 text-gray-100'
+                            : 'hover:bg-slate-100 text-slate-700'
+                        }`}
+                      >
+                        <Coins className="w-5 h-5" />
+                        <span>Currency</span>
+                      </button>
+                      {/* Tracking - Hidden in demo mode */}
+                      {!isDemo && (
+                        <button
+                          onClick={() => {
+                            closeMenuWithAnimation();
+                            loadTrackingSettings();
+                            setShowTrackingSettingsModal(true);
+                          }}
+                          className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg transition-colors ${
+                            darkMode
+                              ? 'hover:bg-gray-700 text-gray-100'
+                              : 'hover:bg-slate-100 text-slate-700'
+                          }`}
+                        >
+                          <Truck className="w-5 h-5" />
+                          <span>Tracking</span>
+                        </button>
+                      )}
+                      {/* Notifications - Hidden in demo mode */}
+                      {!isDemo && (
+                        <button
+                          onClick={() => {
+                            closeMenuWithAnimation();
+                            loadNotificationSettings();
+                            setShowNotificationSettingsModal(true);
+                          }}
+                          className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg transition-colors ${
+                            darkMode
+                              ? 'hover:bg-gray-700 text-gray-100'
+                              : 'hover:bg-slate-100 text-slate-700'
+                          }`}
+                        >
+                          <Bell className="w-5 h-5" />
+                          <span>Notifications</span>
+                        </button>
+                      )}
+                      {/* Vendor Orders */}
+                      <button
+                        onClick={() => {
+                          closeMenuWithAnimation();
+                          setOrdersModalOrderId(null);
+                          setShowOrdersModal(true);
+                        }}
+                        className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg transition-colors ${
+                          darkMode
+                            ? 'hover:bg-gray-700 text-gray-100'
+                            : 'hover:bg-slate-100 text-slate-700'
+                        }`}
+                      >
+                        <Boxes className="w-5 h-5" />
+                        <span>Vendor Orders</span>
+                      </button>
                       {/* Update Login Email - Hidden in demo mode */}
                       {!isDemo && (
                         <button
@@ -1340,6 +1692,23 @@ const Shako = ({ isDemo = false }) => {
                           <span>Update Login Email</span>
                         </button>
                       )}
+                      {/* API Tokens - Hidden in demo mode */}
+                      {!isDemo && (
+                        <button
+                          onClick={() => {
+                            closeMenuWithAnimation();
+                            setShowApiTokensModal(true);
+                          }}
+                          className={`w-full flex items-center gap-3 px-3 py-2 rounded-lg transition-colors ${
+                            darkMode
+                              ? 'hover:bg-gray-700 text-gray-100'
+                              : 'hover:bg-slate-100 text-slate-700'
+                          }`}
+                        >
+                          <KeyRound className="w-5 h-5" />
+                          <span>API Tokens</span>
+                        </button>
+                      )}
                       {/* Sign Out / Exit Demo */}
                       <button
                         onClick={() => {
@@ -1395,9 +1764,9 @@ const Shako = ({ isDemo = false }) => {
                 <div
                   key={projectVehicleFilter === 'all' && partsDateFilter === 'all' ? 'filter-all' : activeTab}
                   className={(() => {
-                    // Always animate when coming from vehicles tab (filters are appearing)
+                    // Always animate when coming from the vehicles or dashboard tab (filters are appearing)
                     // Otherwise only animate if a filter is active (not 'all')
-                    if (previousTab !== 'vehicles' && projectVehicleFilter === 'all' && partsDateFilter === 'all') return '';
+                    if (!['vehicles', 'dashboard'].includes(previousTab) && projectVehicleFilter === 'all' && partsDateFilter === 'all') return '';
                     return 'slide-in-top';
                   })()}>
               {/* Vehicle Filter - Only visible on Projects tab */}
@@ -1522,10 +1891,8 @@ const Shako = ({ isDemo = false }) => {
                     style={{ fontFamily: 'ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, "Noto Sans", sans-serif' }}
                   >
                     <span>
-                      {partsDateFilter === 'all' && 'All'}
-                      {partsDateFilter === '1week' && <><span className="hidden sm:inline">1 week</span><span className="sm:hidden">1w</span></>}
-                      {partsDateFilter === '2weeks' && <><span className="hidden sm:inline">2 weeks</span><span className="sm:hidden">2w</span></>}
-                      {partsDateFilter === '1month' && <><span className="hidden sm:inline">1 month</span><span className="sm:hidden">1m</span></>}
+                      <span className="hidden sm:inline">{getPartDateFilterLabel(partsDateFilterState)}</span>
+                      <span className="sm:hidden">{getPartDateFilterLabel(partsDateFilterState, true)}</span>
                     </span>
                     <ChevronDown className="w-4 h-4" />
                   </button>
@@ -1535,7 +1902,7 @@ const Shako = ({ isDemo = false }) => {
                         className="fixed inset-0 z-10"
                         onClick={closeDateFilterDropdown}
                       />
-                      <div className={`absolute right-0 z-20 mt-1 w-auto rounded-lg border shadow-lg py-1 ${
+                      <div className={`absolute right-0 z-20 mt-1 w-64 rounded-lg border shadow-lg py-1 ${
                         dateFilterDropdownClosing ? 'dropdown-fade-out' : 'dropdown-fade-in'
                       } ${
                         darkMode ? 'bg-gray-800 border-gray-600' : 'bg-slate-50 border-slate-300'
@@ -1543,68 +1910,69 @@ const Shako = ({ isDemo = false }) => {
                         <div className={`px-3 py-1.5 text-xs font-medium uppercase tracking-tight border-b whitespace-nowrap ${
                           darkMode ? 'text-gray-400 border-gray-600' : 'text-gray-500 border-slate-200'
                         }`}>
-                          Filter by age
+                          Filter by date
                         </div>
-                        <button
-                          onClick={() => {
-                            setIsFilteringParts(true);
-                            setPartsDateFilter('all');
-                            closeDateFilterDropdown();
-                            setTimeout(() => setIsFilteringParts(false), 500);
-                          }}
-                          className={`w-full px-3 py-2 text-left text-sm ${
-                            partsDateFilter === 'all'
-                              ? darkMode ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'
-                              : darkMode ? 'hover:bg-gray-700 text-gray-100' : 'hover:bg-gray-100 text-gray-900'
-                          }`}
-                        >
-                          All
-                        </button>
-                        <button
-                          onClick={() => {
-                            setIsFilteringParts(true);
-                            setPartsDateFilter('1week');
-                            closeDateFilterDropdown();
-                            setTimeout(() => setIsFilteringParts(false), 500);
-                          }}
-                          className={`w-full px-3 py-2 text-left text-sm ${
-                            partsDateFilter === '1week'
-                              ? darkMode ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'
-                              : darkMode ? 'hover:bg-gray-700 text-gray-100' : 'hover:bg-gray-100 text-gray-900'
-                          }`}
-                        >
-                          1 week
-                        </button>
-                        <button
-                          onClick={() => {
-                            setIsFilteringParts(true);
-                            setPartsDateFilter('2weeks');
-                            closeDateFilterDropdown();
-                            setTimeout(() => setIsFilteringParts(false), 500);
-                          }}
-                          className={`w-full px-3 py-2 text-left text-sm ${
-                            partsDateFilter === '2weeks'
-                              ? darkMode ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'
-                              : darkMode ? 'hover:bg-gray-700 text-gray-100' : 'hover:bg-gray-100 text-gray-900'
-                          }`}
-                        >
-                          2 weeks
-                        </button>
-                        <button
-                          onClick={() => {
-                            setIsFilteringParts(true);
-                            setPartsDateFilter('1month');
-                            closeDateFilterDropdown();
-                            setTimeout(() => setIsFilteringParts(false), 500);
-                          }}
-                          className={`w-full px-3 py-2 text-left text-sm ${
-                            partsDateFilter === '1month'
-                              ? darkMode ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'
-                              : darkMode ? 'hover:bg-gray-700 text-gray-100' : 'hover:bg-gray-100 text-gray-900'
-                          }`}
-                        >
-                          1 month
-                        </button>
+                        <div className={`px-3 py-2 flex flex-wrap gap-1 border-b ${
+                          darkMode ? 'border-gray-600' : 'border-slate-200'
+                        }`}>
+                          {PART_DATE_FIELDS.map(option => (
+                            <button
+                              key={option.value}
+                              onClick={() => setPartsDateField(option.value)}
+                              className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+                                partsDateField === option.value
+                                  ? 'bg-blue-600 text-white'
+                                  : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-slate-200 text-slate-700 hover:bg-slate-300'
+                              }`}
+                            >
+                              {option.label}
+                            </button>
+                          ))}
+                        </div>
+                        {PART_DATE_RANGES.map(option => (
+                          <button
+                            key={option.value}
+                            onClick={() => {
+                              setPartsDateFilter(option.value);
+                              // A custom range stays open so the dates can be picked
+                              if (option.value === 'custom') return;
+                              setIsFilteringParts(true);
+                              closeDateFilterDropdown();
+                              setTimeout(() => setIsFilteringParts(false), 500);
+                            }}
+                            className={`w-full px-3 py-2 text-left text-sm ${
+                              partsDateFilter === option.value
+                                ? darkMode ? 'bg-blue-600 text-white' : 'bg-blue-600 text-white'
+                                : darkMode ? 'hover:bg-gray-700 text-gray-100' : 'hover:bg-gray-100 text-gray-900'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                        {partsDateFilter === 'custom' && (
+                          <div className="px-3 py-2 grid grid-cols-2 gap-2">
+                            {[
+                              { label: 'From', value: partsDateFrom, onChange: setPartsDateFrom, max: partsDateTo || undefined },
+                              { label: 'To', value: partsDateTo, onChange: setPartsDateTo, min: partsDateFrom || undefined }
+                            ].map(bound => (
+                              <label key={bound.label} className={`text-xs font-medium ${
+                                darkMode ? 'text-gray-400' : 'text-gray-500'
+                              }`}>
+                                {bound.label}
+                                <input
+                                  type="date"
+                                  value={bound.value}
+                                  min={bound.min}
+                                  max={bound.max}
+                                  onChange={(e) => bound.onChange(e.target.value)}
+                                  className={`mt-1 w-full px-2 py-1 rounded border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                                    darkMode ? 'bg-gray-700 border-gray-600 text-gray-100 [color-scheme:dark]' : 'bg-white border-slate-300 text-slate-800'
+                                  }`}
+                                />
+                              </label>
+                            ))}
+                          </div>
+                        )}
                       </div>
                     </>
                   )}
@@ -1654,21 +2022,23 @@ const Shako = ({ isDemo = false }) => {
                   </div>
                 </div>
               )}
-              <button
-                onClick={() => {
-                  if (activeTab === 'parts') setShowAddPartOptionsModal(true);
-                  else if (activeTab === 'projects') setShowAddProjectModal(true);
-                  else if (activeTab === 'vehicles') setShowAddVehicleModal(true);
-                }}
-                className={`p-2 sm:px-4 sm:py-2.5 rounded-lg shadow-md transition-colors bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2 sm:min-w-[149px] justify-center font-medium ${
-                  darkMode ? '' : ''
-                }`}
-              >
-                <Plus className="w-5 h-5" />
-                <span className="hidden sm:inline">
-                  {activeTab === 'vehicles' ? 'New vehicle' : activeTab === 'projects' ? 'New project' : 'New part'}
-                </span>
-              </button>
+              {activeTab !== 'dashboard' && (
+                <button
+                  onClick={() => {
+                    if (activeTab === 'parts') setShowAddPartOptionsModal(true);
+                    else if (activeTab === 'projects') setShowAddProjectModal(true);
+                    else if (activeTab === 'vehicles') setShowAddVehicleModal(true);
+                  }}
+                  className={`p-2 sm:px-4 sm:py-2.5 rounded-lg shadow-md transition-colors bg-blue-600 hover:bg-blue-700 text-white flex items-center gap-2 sm:min-w-[149px] justify-center font-medium ${
+                    darkMode ? '' : ''
+                  }`}
+                >
+                  <Plus className="w-5 h-5" />
+                  <span className="hidden sm:inline">
+                    {activeTab === 'vehicles' ? 'New vehicle' : activeTab === 'projects' ? 'New project' : 'New part'}
+                  </span>
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -1774,6 +2144,25 @@ const Shako = ({ isDemo = false }) => {
               {activeTab === 'parts' ? <PackageOpen className="w-5 h-5" /> : <Package className="w-5 h-5" />}
               <span className="text-sm sm:text-base">Parts</span>
             </button>
+            <button
+              ref={(el) => (tabRefs.current['dashboard'] = el)}
+              onClick={() => handleTabChange('dashboard')}
+              onMouseEnter={() => !isTouchDevice && setHoverTab('dashboard')}
+              onMouseLeave={() => !isTouchDevice && setHoverTab(null)}
+              onTouchStart={() => setHoverTab(null)}
+              className={`flex items-center justify-center sm:justify-start gap-2 flex-1 sm:flex-initial px-3 sm:px-6 py-3 font-medium transition-all relative z-10 ${
+                activeTab === 'dashboard'
+                  ? darkMode
+                    ? 'text-blue-400'
+                    : 'text-blue-600'
+                  : darkMode
+                    ? 'text-gray-400'
+                    : 'text-slate-600'
+              }`}
+            >
+              <LayoutDashboard className="w-5 h-5" />
+              <span className="text-sm sm:text-base">Dashboard</span>
+            </button>
             {/* Animated hover background */}
             {hoverTab && tabRefs.current[hoverTab] && (
               <div
@@ -1866,6 +2255,7 @@ const Shako = ({ isDemo = false }) => {
           projects={projects}
           vehicles={vehicles}
           uniqueVendors={uniqueVendors}
+          vendors={vendors}
           isModalClosing={isModalClosing}
           handleCloseModal={handleCloseModal}
           addNewPart={handleAddNewPart}
@@ -1879,6 +2269,14 @@ const Shako = ({ isDemo = false }) => {
               price: '',
               shipping: '',
               duties: '',
+              tax: '',
+              taxRate: '',
+              discount: '',
+              coreCharge: '',
+              coreRefund: '',
+              currency: '',
+              exchangeRate: '',
+              quantity: 1,
               tracking: '',
               status: 'pending',
               projectId: null,
@@ -1930,20 +2328,44 @@ const Shako = ({ isDemo = false }) => {
           getStatusIcon={getStatusIcon}
           getStatusText={getStatusText}
           onRefreshTracking={updatePartTrackingData}
+          onTrackingAdvanced={notifyTrackingAdvance}
           onStatusChange={handlePartDetailStatusChange}
+          orders={orders}
+          onOpenOrder={(orderId) => {
+            setOrdersModalOrderId(orderId);
+            setShowOrdersModal(true);
+          }}
           filteredParts={filteredParts}
           setShowTrackingModal={setShowTrackingModal}
           setTrackingModalPartId={setTrackingModalPartId}
           hasUnsavedPartChanges={hasUnsavedPartChanges}
+          inventoryEvents={inventoryEvents}
+          onInstallFromStock={installFromStock}
+          onAdjustStock={adjustStock}
+          onUpdateStorageLocation={updateStorageLocation}
+          partEvents={partEvents}
+          partEventsPartId={partEventsPartId}
+          isLoadingPartEvents={isLoadingPartEvents}
+          onLoadPartEvents={loadPartEvents}
+          vendors={vendors}
+          crossReferences={crossReferences}
+          onAddCrossReference={addCrossReference}
+          onDeleteCrossReference={deleteCrossReference}
+          onAddManualCheckpoint={addManualCheckpoint}
+          onDeleteManualCheckpoint={deleteManualCheckpoint}
         />
 
         {/* PARTS TAB CONTENT */}
         {activeTab === 'parts' && (
           <PartsTab
             tabContentRef={tabContentRef}
+            previousTab={previousTab}
             stats={stats}
             filteredStats={filteredStats}
             filteredParts={filteredParts}
+            parts={parts}
+            stockThresholds={stockThresholds}
+            saveStockThreshold={saveStockThreshold}
             darkMode={darkMode}
             searchTerm={searchTerm}
             setSearchTerm={setSearchTerm}
@@ -1951,6 +2373,15 @@ const Shako = ({ isDemo = false }) => {
             setStatusFilter={setStatusFilter}
             deliveredFilter={deliveredFilter}
             setDeliveredFilter={setDeliveredFilter}
+            warrantyFilter={warrantyFilter}
+            setWarrantyFilter={setWarrantyFilter}
+            partsRowsPerPage={partsRowsPerPage}
+            setPartsRowsPerPage={setPartsRowsPerPage}
+            partsView={partsView}
+            applyPartsView={applyPartsView}
+            savedViews={savedViews}
+            saveView={saveView}
+            deleteView={deleteView}
             vendorFilter={vendorFilter}
             setVendorFilter={setVendorFilter}
             sortBy={sortBy}
@@ -1976,6 +2407,8 @@ const Shako = ({ isDemo = false }) => {
             setViewingPart={setViewingPart}
             updatePartStatus={handleUpdatePartStatus}
             updatePartProject={updatePartProject}
+            uniqueVendors={uniqueVendors}
+            bulkActions={partsBulkActions}
             handleSort={handleSort}
             getSortIcon={getSortIcon}
             getStatusIcon={getStatusIcon}
@@ -2057,6 +2490,17 @@ const Shako = ({ isDemo = false }) => {
           />
         )}
 
+        {/* DASHBOARD TAB CONTENT */}
+        {activeTab === 'dashboard' && (
+          <DashboardTab
+            tabContentRef={tabContentRef}
+            parts={parts}
+            projects={projects}
+            vehicles={vehicles}
+            darkMode={darkMode}
+          />
+        )}
+
         {/* VEHICLES TAB CONTENT */}
         {activeTab === 'vehicles' && (
           <VehiclesTab
@@ -2064,6 +2508,8 @@ const Shako = ({ isDemo = false }) => {
             vehicles={vehicles}
             projects={projects}
             parts={parts}
+            vendors={vendors}
+            crossReferences={crossReferences}
             darkMode={darkMode}
             layoutMode={vehicleLayoutMode}
             draggedVehicle={draggedVehicle}
@@ -2153,6 +2599,11 @@ const Shako = ({ isDemo = false }) => {
             toast={toast}
             setActiveTab={setActiveTab}
             archivePart={archivePart}
+            vehicleExpenses={vehicleExpenses}
+            vehicleExpensesVehicleId={vehicleExpensesVehicleId}
+            onLoadVehicleExpenses={loadVehicleExpenses}
+            onAddVehicleExpense={addVehicleExpense}
+            onDeleteVehicleExpense={deleteVehicleExpense}
           />
         )}
 
@@ -2189,10 +2640,12 @@ const Shako = ({ isDemo = false }) => {
         darkMode={darkMode}
         uniqueVendors={uniqueVendors}
         vendorColors={vendorColors}
+        vendors={vendors}
         parts={parts}
         editingVendor={editingVendor}
         setEditingVendor={setEditingVendor}
         updateVendorColor={updateVendorColor}
+        updateVendorProfile={updateVendorProfile}
         renameVendor={handleRenameVendor}
         deleteVendor={handleDeleteVendor}
         setConfirmDialog={setConfirmDialog}
@@ -2207,6 +2660,68 @@ const Shako = ({ isDemo = false }) => {
         darkMode={darkMode}
         userEmail={user?.email}
       />
+      {/* API Tokens Modal */}
+      <ApiTokensModal
+        isOpen={showApiTokensModal}
+        onClose={() => setShowApiTokensModal(false)}
+        darkMode={darkMode}
+        apiTokens={apiTokens}
+        loadingApiTokens={loadingApiTokens}
+        onLoad={loadApiTokens}
+        onCreate={createApiToken}
+        onRevoke={revokeApiToken}
+        setConfirmDialog={setConfirmDialog}
+      />
+      {/* Currency Settings Modal */}
+      <CurrencySettingsModal
+        isOpen={showCurrencyModal}
+        onClose={() => setShowCurrencyModal(false)}
+        darkMode={darkMode}
+        homeCurrency={homeCurrency}
+        exchangeRates={exchangeRates}
+        onChangeHomeCurrency={handleHomeCurrencyChange}
+        onSaveRates={saveExchangeRates}
+        onDeleteRate={deleteExchangeRate}
+        setConfirmDialog={setConfirmDialog}
+      />
+      {/* Tracking Settings Modal */}
+      <TrackingSettingsModal
+        isOpen={showTrackingSettingsModal}
+        onClose={() => setShowTrackingSettingsModal(false)}
+        darkMode={darkMode}
+        trackingProvider={trackingProvider}
+        carrierProviders={carrierProviders}
+        autoAdvance={trackingAutoAdvance}
+        onSave={updateTrackingSettings}
+      />
+      {/* Notification Settings Modal */}
+      <NotificationSettingsModal
+        isOpen={showNotificationSettingsModal}
+        onClose={() => setShowNotificationSettingsModal(false)}
+        darkMode={darkMode}
+        userEmail={user?.email}
+        preferences={notificationPreferences}
+        notificationEmail={notificationEmail}
+        pushEnabled={pushEnabled}
+        pushSupported={pushSupported}
+        notificationLog={notificationLog}
+        onEnablePush={enablePush}
+        onDisablePush={disablePush}
+        onSave={updateNotificationSettings}
+      />
+      {/* Vendor Orders Modal */}
+      <VendorOrdersModal
+        isOpen={showOrdersModal}
+        onClose={() => setShowOrdersModal(false)}
+        darkMode={darkMode}
+        orders={orders}
+        parts={parts}
+        uniqueVendors={uniqueVendors}
+        initialOrderId={ordersModalOrderId}
+        onSaveOrder={saveOrder}
+        onDeleteOrder={deleteOrder}
+        setConfirmDialog={setConfirmDialog}
+      />
       {/* New User Confirmation Modal */}
       <NewUserConfirmModal
         isOpen={!!pendingNewUser}
@@ -2262,6 +2777,17 @@ const Shako = ({ isDemo = false }) => {
             {activeTab === 'parts' ? <PackageOpen className="w-5 h-5" /> : <Package className="w-5 h-5" />}
             <span className="text-xs mt-1">Parts</span>
           </button>
+          <button
+            onClick={() => handleTabChange('dashboard')}
+            className={`flex flex-col items-center justify-center flex-1 h-full transition-colors ${
+              activeTab === 'dashboard'
+                ? darkMode ? 'text-blue-400' : 'text-blue-600'
+                : darkMode ? 'text-gray-400' : 'text-slate-500'
+            }`}
+          >
+            <LayoutDashboard className="w-5 h-5" />
+            <span className="text-xs mt-1">Dashboard</span>
+          </button>
         </div>
       </div>
     </div>
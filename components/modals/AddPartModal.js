@@ -1,6 +1,12 @@
 import React, { useRef, useState, useCallback, useEffect } from 'react';
-import { X, Car, ChevronDown } from 'lucide-react';
+import { X, Car, ChevronDown, ExternalLink } from 'lucide-react';
 import { selectDropdownStyle, inputClasses, toTitleCase, toSentenceCase, toAllCaps } from '../../utils/styleUtils';
+import { formatCurrency, getCurrencySymbol } from '../../utils/currencyUtils';
+import { useCurrencyContext } from '../../contexts';
+import CurrencyFields from '../ui/CurrencyFields';
+import CostAdjustmentFields from '../ui/CostAdjustmentFields';
+import { calculatePartTotal } from '../../utils/costUtils';
+import { getVendorPartDefaults, getVendorSearchUrl } from '../../utils/vendorProfileUtils';
 
 const AddPartModal = ({
   isOpen,
@@ -10,6 +16,7 @@ const AddPartModal = ({
   projects,
   vehicles,
   uniqueVendors,
+  vendors = [],
   isModalClosing,
   handleCloseModal,
   addNewPart,
@@ -20,6 +27,9 @@ const AddPartModal = ({
   const wasOpen = useRef(false);
   if (isOpen) wasOpen.current = true;
 
+  const { homeCurrency } = useCurrencyContext();
+  const currencySymbol = getCurrencySymbol(newPart.currency || homeCurrency);
+
   // Vehicle dropdown state
   const [showVehicleDropdown, setShowVehicleDropdown] = useState(false);
   const [isDropdownClosing, setIsDropdownClosing] = useState(false);
@@ -63,6 +73,16 @@ const AddPartModal = ({
     }
   }, [selectedProject, setNewPart]);
 
+  // Selected vendor's profile (search URL, notes, default shipping and currency)
+  const vendorRecord = newPart.vendor ? vendors.find(v => v.name === newPart.vendor) : null;
+  const vendorSearchUrl = getVendorSearchUrl(vendorRecord, newPart.partNumber);
+
+  // Set the vendor and fill empty shipping/currency from its defaults
+  const selectVendor = (vendor) => {
+    const record = vendors.find(v => v.name === vendor);
+    setNewPart({ ...newPart, vendor, ...getVendorPartDefaults(record, newPart) });
+  };
+
   // Check if any fields have been filled in
   const hasUnsavedChanges = () => {
     return (
@@ -73,6 +93,11 @@ const AddPartModal = ({
       parseFloat(newPart.price) > 0 ||
       parseFloat(newPart.shipping) > 0 ||
       parseFloat(newPart.duties) > 0 ||
+      parseFloat(newPart.tax) > 0 ||
+      parseFloat(newPart.taxRate) > 0 ||
+      parseFloat(newPart.discount) > 0 ||
+      parseFloat(newPart.coreCharge) > 0 ||
+      parseFloat(newPart.coreRefund) > 0 ||
       (parseInt(newPart.quantity) || 1) !== 1 ||
       newPart.projectId ||
       newPart.vehicleId ||
@@ -338,7 +363,7 @@ const AddPartModal = ({
                 </label>
                 <select
                   value={uniqueVendors.includes(newPart.vendor) ? newPart.vendor : ''}
-                  onChange={(e) => setNewPart({ ...newPart, vendor: e.target.value })}
+                  onChange={(e) => selectVendor(e.target.value)}
                   className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent min-h-[42px] box-border ${
                     darkMode
                       ? 'bg-gray-700 border-gray-600 text-gray-100'
@@ -353,6 +378,11 @@ const AddPartModal = ({
                     </option>
                   ))}
                 </select>
+                {vendorRecord?.notes && (
+                  <p className={`text-xs mt-1 whitespace-pre-line ${darkMode ? 'text-gray-400' : 'text-slate-600'}`}>
+                    {vendorRecord.notes}
+                  </p>
+                )}
               </div>
 
               {/* Add New Vendor */}
@@ -368,7 +398,7 @@ const AddPartModal = ({
                   onChange={(e) => setNewPart({ ...newPart, vendor: e.target.value })}
                   onBlur={(e) => {
                     if (!uniqueVendors.includes(newPart.vendor) && e.target.value) {
-                      setNewPart({ ...newPart, vendor: toSentenceCase(e.target.value) });
+                      selectVendor(toSentenceCase(e.target.value));
                     }
                   }}
                   className={inputClasses(darkMode)}
@@ -409,8 +439,29 @@ const AddPartModal = ({
                   className={inputClasses(darkMode)}
                   placeholder="e.g., 12345-67890"
                 />
+                {vendorSearchUrl && (
+                  <a
+                    href={vendorSearchUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className={`inline-flex items-center gap-1 text-xs mt-1 hover:underline ${
+                      darkMode ? 'text-blue-400' : 'text-blue-600'
+                    }`}
+                  >
+                    Search {newPart.vendor} for this part
+                    <ExternalLink className="w-3 h-3" />
+                  </a>
+                )}
               </div>
 
+              {/* Currency and exchange rate */}
+              <CurrencyFields
+                currency={newPart.currency}
+                exchangeRate={newPart.exchangeRate}
+                onChange={(fields) => setNewPart({ ...newPart, ...fields })}
+                darkMode={darkMode}
+              />
+
               {/* Price, Shipping, Duties, Quantity - 2x2 grid */}
               <div className="grid grid-cols-2 gap-4">
                 {/* Price */}
@@ -418,7 +469,7 @@ const AddPartModal = ({
                   <label className={`block text-sm font-medium mb-2 ${
                     darkMode ? 'text-gray-300' : 'text-slate-700'
                   }`}>
-                    Price ($)
+                    Price ({currencySymbol})
                   </label>
                   <input
                     type="number"
@@ -436,7 +487,7 @@ const AddPartModal = ({
                   <label className={`block text-sm font-medium mb-2 ${
                     darkMode ? 'text-gray-300' : 'text-slate-700'
                   }`}>
-                    Shipping ($)
+                    Shipping ({currencySymbol})
                   </label>
                   <input
                     type="number"
@@ -454,7 +505,7 @@ const AddPartModal = ({
                   <label className={`block text-sm font-medium mb-2 ${
                     darkMode ? 'text-gray-300' : 'text-slate-700'
                   }`}>
-                    Import Duties ($)
+                    Import Duties ({currencySymbol})
                   </label>
                   <input
                     type="number"
@@ -547,6 +598,13 @@ const AddPartModal = ({
                 </div>
               </div>
 
+              {/* Tax, discount and core charges */}
+              <CostAdjustmentFields
+                costs={newPart}
+                onChange={(fields) => setNewPart({ ...newPart, ...fields })}
+                darkMode={darkMode}
+              />
+
               {/* Calculated Total - aligned to bottom */}
               <div className={`mt-auto border rounded-lg p-4 ${
                 darkMode
@@ -562,14 +620,14 @@ const AddPartModal = ({
                   <span className={`text-xl font-bold ${
                     darkMode ? 'text-green-400' : 'text-green-600'
                   }`}>
-                    ${(((parseFloat(newPart.price) || 0) * (parseInt(newPart.quantity) || 1)) + (parseFloat(newPart.shipping) || 0) + (parseFloat(newPart.duties) || 0)).toFixed(2)}
+                    {formatCurrency(calculatePartTotal(newPart), newPart.currency || homeCurrency)}
                   </span>
                 </div>
                 {(parseInt(newPart.quantity) || 1) > 1 && (
                   <div className={`text-xs mt-1 text-right ${
                     darkMode ? 'text-gray-400' : 'text-gray-500'
                   }`}>
-                    ${(parseFloat(newPart.price) || 0).toFixed(2)} × {parseInt(newPart.quantity) || 1}
+                    {formatCurrency(parseFloat(newPart.price) || 0, newPart.currency || homeCurrency)} × {parseInt(newPart.quantity) || 1}
                   </div>
                 )}
               </div>
@@ -1,7 +1,8 @@
 import React, { useRef, useState, useCallback } from 'react';
 import { X, Car, ChevronDown } from 'lucide-react';
-import { useUI } from '../../contexts';
+import { useUI, useCurrencyContext } from '../../contexts';
 import { inputClasses, toTitleCase, toSentenceCase } from '../../utils/styleUtils';
+import { getCurrencySymbol } from '../../utils/currencyUtils';
 
 const AddProjectModal = ({
   isOpen,
@@ -17,6 +18,7 @@ const AddProjectModal = ({
   onClose,
   setConfirmDialog
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   const vehicleButtonRef = useRef(null);
   const [dropdownPosition, setDropdownPosition] = useState({ top: 0, left: 0 });
   const [isDropdownClosing, setIsDropdownClosing] = useState(false);
@@ -285,7 +287,7 @@ const AddProjectModal = ({
                   <label className={`block text-sm font-medium mb-2 ${
                     darkMode ? 'text-gray-300' : 'text-slate-700'
                   }`}>
-                    Budget ($)
+                    Budget ({getCurrencySymbol(homeCurrency)})
                   </label>
                   <input
                     type="number"
@@ -1,8 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { X, Trash2, Package, ChevronDown, Check } from 'lucide-react';
-import { useUI } from '../../contexts';
+import { useUI, useCurrencyContext } from '../../contexts';
 import { getVendorDisplayColor } from '../../utils/colorUtils';
 import { toSentenceCase } from '../../utils/styleUtils';
+import { formatCurrency } from '../../utils/currencyUtils';
 
 /**
  * Modal for adding/editing a service event for a vehicle
@@ -35,6 +36,7 @@ const AddServiceEventModal = ({
   onDelete,
   saving
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   const [isClosing, setIsClosing] = useState(false);
   const [showPartsDropdown, setShowPartsDropdown] = useState(false);
   const [isDropdownClosing, setIsDropdownClosing] = useState(false);
@@ -419,7 +421,7 @@ const AddServiceEventModal = ({
                         <span className={`text-xs font-medium ${
                           darkMode ? 'text-gray-400' : 'text-gray-500'
                         }`}>
-                          ${part.total?.toFixed(2) || '0.00'}
+                          {formatCurrency(part.total || 0, part.currency || homeCurrency)}
                         </span>
                       </button>
                     );
@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Loader2, Copy, Check, AlertCircle, Info, Plus } from 'lucide-react';
+import { API_TOKEN_SCOPES } from '../../utils/apiTokenUtils';
+
+// Expiry choices offered when creating a token (days, null = never)
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: 'never', label: 'No expiry' }
+];
+
+/**
+ * Format a timestamp for the token list
+ * @param {string} date - ISO timestamp
+ * @returns {string} Short date
+ */
+const formatTokenDate = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Get the display state of a token
+ * @param {Object} token - Token record
+ * @returns {'active'|'revoked'|'expired'} Token state
+ */
+const getTokenState = (token) => {
+  if (token.revoked_at) return 'revoked';
+  if (token.expires_at && new Date(token.expires_at) <= new Date()) return 'expired';
+  return 'active';
+};
+
+/**
+ * Modal for managing personal API tokens
+ * Lets the user create named tokens with scopes for scripted access
+ * to the /api routes, and revoke tokens they no longer need
+ */
+const ApiTokensModal = ({
+  isOpen,
+  onClose,
+  darkMode,
+  apiTokens,
+  loadingApiTokens,
+  onLoad,
+  onCreate,
+  onRevoke,
+  setConfirmDialog
+}) => {
+  const [isClosing, setIsClosing] = useState(false);
+  const [tokenName, setTokenName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['read']);
+  const [expiry, setExpiry] = useState('90');
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Load tokens each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      onLoad();
+    }
+  }, [isOpen]);
+
+  const resetForm = () => {
+    setTokenName('');
+    setSelectedScopes(['read']);
+    setExpiry('90');
+    setError(null);
+    setCreatedToken(null);
+    setCopied(false);
+  };
+
+  const handleClose = () => {
+    if (isCreating) return;
+    setIsClosing(true);
+    setTimeout(() => {
+      resetForm();
+      setIsClosing(false);
+      onClose();
+    }, 150);
+  };
+
+  const toggleScope = (scopeId) => {
+    setSelectedScopes(prev =>
+      prev.includes(scopeId) ? prev.filter(s => s !== scopeId) : [...prev, scopeId]
+    );
+  };
+
+  const handleCreate = async () => {
+    if (!tokenName.trim()) {
+      setError('Give the token a name so you can recognize it later.');
+      return;
+    }
+    if (selectedScopes.length === 0) {
+      setError('Select at least one scope.');
+      return;
+    }
+
+    setIsCreating(true);
+    setError(null);
+
+    const expiresAt = expiry === 'never'
+      ? null
+      : new Date(Date.now() + parseInt(expiry, 10) * 24 * 60 * 60 * 1000).toISOString();
+
+    const token = await onCreate({
+      name: tokenName.trim(),
+      scopes: selectedScopes,
+      expiresAt
+    });
+
+    setIsCreating(false);
+    if (token) {
+      setCreatedToken(token);
+      setTokenName('');
+      setSelectedScopes(['read']);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      setError('Could not copy to clipboard. Select the token and copy it manually.');
+    }
+  };
+
+  const handleRevoke = (token) => {
+    setConfirmDialog({
+      isOpen: true,
+      title: 'Revoke API Token',
+      message: `Revoke "${token.name}"? Any script using this token will stop working immediately.`,
+      confirmText: 'Revoke',
+      onConfirm: () => onRevoke(token.id)
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border transition-colors ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-500 focus:border-blue-500'
+      : 'bg-white border-slate-300 text-slate-900 placeholder-slate-400 focus:border-blue-500'
+  } focus:outline-none focus:ring-2 focus:ring-blue-500/20`;
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm modal-backdrop ${
+        isClosing ? 'modal-backdrop-exit' : 'modal-backdrop-enter'
+      }`}
+      onClick={handleClose}
+    >
+      <div
+        className={`w-full max-w-lg max-h-[90vh] flex flex-col rounded-xl shadow-2xl overflow-hidden modal-content ${
+          isClosing ? 'modal-popup-exit' : 'modal-popup-enter'
+        } ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-slate-50 border border-slate-200'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className={`px-6 py-4 border-b ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <div className="flex items-center gap-3">
+            <div className={`p-2 rounded-full ${darkMode ? 'bg-blue-900/50' : 'bg-blue-100'}`}>
+              <KeyRound className="w-5 h-5 text-blue-500" />
+            </div>
+            <h3
+              className={`text-lg font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+              style={{ fontFamily: "'FoundationOne', 'Courier New', monospace" }}
+            >
+              API Tokens
+            </h3>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className={`px-6 py-4 space-y-4 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+          <div className={`p-3 rounded-lg border ${darkMode ? 'bg-blue-900/20 border-blue-800' : 'bg-blue-50 border-blue-200'}`}>
+            <div className="flex gap-2">
+              <Info className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+              <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-slate-600'}`}>
+                Personal tokens let scripts call the <span className="font-mono">/api/v1</span> endpoints.
+                Send them as <span className="font-mono">Authorization: Bearer &lt;token&gt;</span>.
+              </p>
+            </div>
+          </div>
+
+          {/* Newly created token - shown once */}
+          {createdToken && (
+            <div className={`p-3 rounded-lg border ${darkMode ? 'bg-green-900/20 border-green-800' : 'bg-green-50 border-green-200'}`}>
+              <p className={`text-sm font-medium mb-2 ${darkMode ? 'text-green-400' : 'text-green-700'}`}>
+                Copy your new token now. You won't be able to see it again.
+              </p>
+              <div className="flex items-center gap-2">
+                <code className={`flex-1 min-w-0 px-2 py-1.5 rounded text-xs font-mono break-all select-all ${
+                  darkMode ? 'bg-gray-900 text-gray-100' : 'bg-white text-slate-800'
+                }`}>
+                  {createdToken}
+                </code>
+                <button
+                  onClick={handleCopy}
+                  className={`p-2 rounded-lg transition-colors ${
+                    darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-slate-200 text-slate-600'
+                  }`}
+                  title="Copy token"
+                >
+                  {copied ? <Check className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Create form */}
+          <div className="space-y-3">
+            <div>
+              <label
+                htmlFor="api-token-name"
+                className={`block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}
+              >
+                Token name
+              </label>
+              <input
+                id="api-token-name"
+                type="text"
+                value={tokenName}
+                onChange={(e) => setTokenName(e.target.value)}
+                disabled={isCreating}
+                placeholder="e.g. Nightly parts export"
+                className={inputClass}
+                autoComplete="off"
+              />
+            </div>
+            <div>
+              <p className={`text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>Scopes</p>
+              <div className="space-y-1">
+                {API_TOKEN_SCOPES.map(scope => (
+                  <label key={scope.id} className="flex items-start gap-2 text-sm cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedScopes.includes(scope.id)}
+                      onChange={() => toggleScope(scope.id)}
+                      disabled={isCreating}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="font-medium">{scope.label}</span>
+                      <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                        {scope.description}
+                      </span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label
+                htmlFor="api-token-expiry"
+                className={`block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}
+              >
+                Expires
+              </label>
+              <select
+                id="api-token-expiry"
+                value={expiry}
+                onChange={(e) => setExpiry(e.target.value)}
+                disabled={isCreating}
+                className={inputClass}
+              >
+                {EXPIRY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleCreate}
+              disabled={isCreating}
+              className={`w-full px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 ${
+                isCreating
+                  ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 text-white'
+              }`}
+            >
+              {isCreating ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+              {isCreating ? 'Creating...' : 'Create token'}
+            </button>
+          </div>
+
+          {error && (
+            <div className={`p-3 rounded-lg flex items-start gap-2 ${darkMode ? 'bg-red-900/30 border border-red-800' : 'bg-red-100 border border-red-300'}`}>
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-sm text-red-500">{error}</p>
+            </div>
+          )}
+
+          {/* Token list */}
+          <div className={`pt-2 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={`text-xs uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+              Your tokens
+            </p>
+            {loadingApiTokens ? (
+              <div className="flex justify-center py-4">
+                <Loader2 className={`w-5 h-5 animate-spin ${darkMode ? 'text-gray-400' : 'text-slate-400'}`} />
+              </div>
+            ) : apiTokens.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>No tokens yet.</p>
+            ) : (
+              <ul className="space-y-2">
+                {apiTokens.map(token => {
+                  const state = getTokenState(token);
+                  return (
+                    <li
+                      key={token.id}
+                      className={`p-3 rounded-lg flex items-start justify-between gap-3 ${
+                        darkMode ? 'bg-gray-700/50' : 'bg-slate-100'
+                      } ${state !== 'active' ? 'opacity-60' : ''}`}
+                    >
+                      <div className="min-w-0">
+                        <p className="font-medium truncate">{token.name}</p>
+                        <p className={`text-xs font-mono ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                          {token.token_prefix}…
+                        </p>
+                        <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                          {(token.scopes || []).join(', ')}
+                        </p>
+                        <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-slate-400'}`}>
+                          Created {formatTokenDate(token.created_at)} · Last used {formatTokenDate(token.last_used_at)}
+                          {state === 'active' && token.expires_at && ` · Expires ${formatTokenDate(token.expires_at)}`}
+                        </p>
+                      </div>
+                      {state === 'active' ? (
+                        <button
+                          onClick={() => handleRevoke(token)}
+                          className={`px-3 py-1 rounded-lg text-sm transition-colors flex-shrink-0 ${
+                            darkMode
+                              ? 'hover:bg-red-900/50 text-red-400'
+                              : 'hover:bg-red-50 text-red-600'
+                          }`}
+                        >
+                          Revoke
+                        </button>
+                      ) : (
+                        <span className={`text-xs uppercase tracking-wide flex-shrink-0 ${
+                          darkMode ? 'text-gray-400' : 'text-slate-500'
+                        }`}>
+                          {state}
+                        </span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className={`px-6 py-4 flex justify-end gap-3 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <button
+            onClick={handleClose}
+            disabled={isCreating}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+            } ${isCreating ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApiTokensModal;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { X, ChevronDown, AlertCircle, Check } from 'lucide-react';
 import { selectDropdownStyle, toTitleCase, toSentenceCase, toAllCaps } from '../../utils/styleUtils';
+import { isValidCurrencyCode } from '../../utils/currencyUtils';
 
 const PART_FIELDS = [
   { key: 'skip', label: 'Skip this column', required: false },
@@ -10,6 +11,13 @@ const PART_FIELDS = [
   { key: 'price', label: 'Price', required: false },
   { key: 'shipping', label: 'Shipping', required: false },
   { key: 'duties', label: 'Import Duties', required: false },
+  { key: 'tax', label: 'Tax', required: false },
+  { key: 'taxRate', label: 'Tax Rate (%)', required: false },
+  { key: 'discount', label: 'Discount / Coupon', required: false },
+  { key: 'coreCharge', label: 'Core Charge', required: false },
+  { key: 'coreRefund', label: 'Core Refund', required: false },
+  { key: 'currency', label: 'Currency', required: false },
+  { key: 'exchangeRate', label: 'Exchange Rate', required: false },
   { key: 'tracking', label: 'Tracking', required: false },
   { key: 'status', label: 'Status', required: false },
   { key: 'project', label: 'Project', required: false }
@@ -106,6 +114,16 @@ const CSVImportModal = ({
             autoMappings[index] = 'price';
           } else if (headerLower === 'shipping' || headerLower.includes('ship')) {
             autoMappings[index] = 'shipping';
+          } else if (headerLower.includes('tax') && (headerLower.includes('%') || headerLower.includes('rate') || headerLower.includes('percent'))) {
+            autoMappings[index] = 'taxRate';
+          } else if (headerLower.includes('tax') || headerLower === 'vat' || headerLower === 'gst') {
+            autoMappings[index] = 'tax';
+          } else if (headerLower.includes('discount') || headerLower.includes('coupon')) {
+            autoMappings[index] = 'discount';
+          } else if (headerLower.includes('core') && (headerLower.includes('refund') || headerLower.includes('credit') || headerLower.includes('return'))) {
+            autoMappings[index] = 'coreRefund';
+          } else if (headerLower.includes('core')) {
+            autoMappings[index] = 'coreCharge';
           } else if (headerLower === 'duties' || headerLower.includes('duty') || headerLower.includes('import')) {
             autoMappings[index] = 'duties';
           } else if (headerLower === 'tracking' || headerLower.includes('track')) {
@@ -114,6 +132,10 @@ const CSVImportModal = ({
             autoMappings[index] = 'status';
           } else if (headerLower === 'project') {
             autoMappings[index] = 'project';
+          } else if (headerLower === 'currency' || headerLower === 'ccy') {
+            autoMappings[index] = 'currency';
+          } else if (headerLower.includes('exchange') || headerLower === 'fx rate' || headerLower === 'rate') {
+            autoMappings[index] = 'exchangeRate';
           } else {
             autoMappings[index] = 'skip';
           }
@@ -189,6 +211,13 @@ const CSVImportModal = ({
           price: '',
           shipping: '',
           duties: '',
+          tax: '',
+          taxRate: '',
+          discount: '',
+          coreCharge: '',
+          coreRefund: '',
+          currency: '',
+          exchangeRate: '',
           tracking: '',
           status: 'pending',
           projectId: null
@@ -219,10 +248,17 @@ const CSVImportModal = ({
             } else {
               part.status = 'pending';
             }
-          } else if (['price', 'shipping', 'duties'].includes(fieldKey)) {
+          } else if (['price', 'shipping', 'duties', 'tax', 'discount', 'coreCharge', 'coreRefund'].includes(fieldKey)) {
             // Parse numeric values, removing currency symbols
-            const numValue = value.replace(/[$,]/g, '');
+            const numValue = value.replace(/[$€£¥,]/g, '');
             part[fieldKey] = numValue;
+          } else if (fieldKey === 'taxRate') {
+            // Accept "8.25%" as well as "8.25"
+            part.taxRate = value.replace(/[%,\s]/g, '');
+          } else if (fieldKey === 'currency') {
+            // Unknown codes fall back to the home currency
+            const code = value.toUpperCase();
+            part.currency = isValidCurrencyCode(code) ? code : '';
           } else if (fieldKey === 'part') {
             // Apply title case to part name
             part[fieldKey] = toTitleCase(value);
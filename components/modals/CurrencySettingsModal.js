@@ -0,0 +1,368 @@
+import React, { useState, useRef } from 'react';
+import { Coins, Loader2, AlertCircle, Info, Plus, Upload, Trash2 } from 'lucide-react';
+import { CURRENCIES, parseExchangeRateTable } from '../../utils/currencyUtils';
+
+// Default date for new manual rates
+const getToday = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Modal for currency settings
+ * Lets the user pick a home currency (all totals are reported in it),
+ * enter exchange rates by hand, or import a table of dated rates
+ */
+const CurrencySettingsModal = ({
+  isOpen,
+  onClose,
+  darkMode,
+  homeCurrency,
+  exchangeRates,
+  onChangeHomeCurrency,
+  onSaveRates,
+  onDeleteRate,
+  setConfirmDialog
+}) => {
+  const [isClosing, setIsClosing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [rateDate, setRateDate] = useState(getToday());
+  const [fromCurrency, setFromCurrency] = useState('');
+  const [rateValue, setRateValue] = useState('');
+  const [importText, setImportText] = useState('');
+  const [error, setError] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const resetForm = () => {
+    setRateDate(getToday());
+    setFromCurrency('');
+    setRateValue('');
+    setImportText('');
+    setError(null);
+    setImportResult(null);
+  };
+
+  const handleClose = () => {
+    if (isSaving) return;
+    setIsClosing(true);
+    setTimeout(() => {
+      resetForm();
+      setIsClosing(false);
+      onClose();
+    }, 150);
+  };
+
+  const handleHomeCurrencyChange = (currency) => {
+    if (currency === homeCurrency) return;
+    setConfirmDialog({
+      isOpen: true,
+      title: 'Change Home Currency',
+      message: `Report all totals in ${currency}? Parts priced in ${homeCurrency} will be converted using your stored ${homeCurrency} → ${currency} rates, and budgets, service costs and vehicle expenses at today's rate, which must be stored first.`,
+      confirmText: 'Change',
+      onConfirm: async () => {
+        setIsSaving(true);
+        await onChangeHomeCurrency(currency);
+        setIsSaving(false);
+      }
+    });
+  };
+
+  const handleAddRate = async () => {
+    const rate = parseFloat(rateValue);
+    if (!fromCurrency) {
+      setError('Select the currency to convert from.');
+      return;
+    }
+    if (!(rate > 0)) {
+      setError('Rate must be a positive number.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    const saved = await onSaveRates([{
+      rate_date: rateDate,
+      from_currency: fromCurrency,
+      to_currency: homeCurrency,
+      rate
+    }], 'manual');
+    setIsSaving(false);
+    if (saved > 0) {
+      setRateValue('');
+    }
+  };
+
+  const handleImport = async () => {
+    const { rows, errors } = parseExchangeRateTable(importText);
+    if (rows.length === 0) {
+      setError(errors[0] || 'No rates found. Use one line per rate: date,from,to,rate');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    const saved = await onSaveRates(rows, 'import');
+    setIsSaving(false);
+    setImportResult({ saved, skipped: errors });
+    if (saved > 0) {
+      setImportText('');
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (event) => setImportText(event.target.result || '');
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const handleDeleteRate = (rate) => {
+    setConfirmDialog({
+      isOpen: true,
+      title: 'Delete Exchange Rate',
+      message: `Delete the ${rate.from_currency} → ${rate.to_currency} rate for ${rate.rate_date}? Parts that already use it keep their saved rate.`,
+      confirmText: 'Delete',
+      onConfirm: () => onDeleteRate(rate.id)
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border transition-colors ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-500 focus:border-blue-500'
+      : 'bg-white border-slate-300 text-slate-900 placeholder-slate-400 focus:border-blue-500'
+  } focus:outline-none focus:ring-2 focus:ring-blue-500/20`;
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+  const sectionTitleClass = `text-xs uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`;
+  const foreignCurrencies = CURRENCIES.filter(c => c.code !== homeCurrency);
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm modal-backdrop ${
+        isClosing ? 'modal-backdrop-exit' : 'modal-backdrop-enter'
+      }`}
+      onClick={handleClose}
+    >
+      <div
+        className={`w-full max-w-lg max-h-[90vh] flex flex-col rounded-xl shadow-2xl overflow-hidden modal-content ${
+          isClosing ? 'modal-popup-exit' : 'modal-popup-enter'
+        } ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-slate-50 border border-slate-200'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className={`px-6 py-4 border-b ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <div className="flex items-center gap-3">
+            <div className={`p-2 rounded-full ${darkMode ? 'bg-blue-900/50' : 'bg-blue-100'}`}>
+              <Coins className="w-5 h-5 text-blue-500" />
+            </div>
+            <h3
+              className={`text-lg font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+              style={{ fontFamily: "'FoundationOne', 'Courier New', monospace" }}
+            >
+              Currency
+            </h3>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className={`px-6 py-4 space-y-4 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+          {/* Home currency */}
+          <div>
+            <label htmlFor="home-currency" className={labelClass}>Home currency</label>
+            <select
+              id="home-currency"
+              value={homeCurrency}
+              onChange={(e) => handleHomeCurrencyChange(e.target.value)}
+              disabled={isSaving}
+              className={inputClass}
+            >
+              {CURRENCIES.map(option => (
+                <option key={option.code} value={option.code}>{option.code} - {option.name}</option>
+              ))}
+            </select>
+            <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+              Totals, budgets and reports are shown in this currency.
+            </p>
+          </div>
+
+          <div className={`p-3 rounded-lg border ${darkMode ? 'bg-blue-900/20 border-blue-800' : 'bg-blue-50 border-blue-200'}`}>
+            <div className="flex gap-2">
+              <Info className="w-5 h-5 text-blue-500 flex-shrink-0 mt-0.5" />
+              <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-slate-600'}`}>
+                Each part keeps the rate from its purchase date, so later rate changes
+                don&apos;t rewrite past totals.
+              </p>
+            </div>
+          </div>
+
+          {/* Manual rate */}
+          <div className={`pt-2 border-t space-y-3 ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Add a rate</p>
+            <div className="grid grid-cols-3 gap-2">
+              <div>
+                <label htmlFor="rate-date" className={labelClass}>Date</label>
+                <input
+                  id="rate-date"
+                  type="date"
+                  value={rateDate}
+                  onChange={(e) => setRateDate(e.target.value)}
+                  disabled={isSaving}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label htmlFor="rate-from" className={labelClass}>From</label>
+                <select
+                  id="rate-from"
+                  value={fromCurrency}
+                  onChange={(e) => setFromCurrency(e.target.value)}
+                  disabled={isSaving}
+                  className={inputClass}
+                >
+                  <option value="">—</option>
+                  {foreignCurrencies.map(option => (
+                    <option key={option.code} value={option.code}>{option.code}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rate-value" className={labelClass}>= {homeCurrency}</label>
+                <input
+                  id="rate-value"
+                  type="number"
+                  step="any"
+                  inputMode="decimal"
+                  value={rateValue}
+                  onChange={(e) => setRateValue(e.target.value)}
+                  disabled={isSaving}
+                  placeholder="0.0067"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <button
+              onClick={handleAddRate}
+              disabled={isSaving}
+              className={`w-full px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 ${
+                isSaving
+                  ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 text-white'
+              }`}
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+              Add rate
+            </button>
+          </div>
+
+          {/* Import table */}
+          <div className={`pt-2 border-t space-y-3 ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Import a rate table</p>
+            <textarea
+              value={importText}
+              onChange={(e) => setImportText(e.target.value)}
+              disabled={isSaving}
+              rows={4}
+              placeholder={'date,from,to,rate\n2025-03-01,JPY,USD,0.0067'}
+              className={`${inputClass} font-mono text-sm`}
+            />
+            <div className="flex gap-2">
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.txt,text/csv,text/plain"
+                onChange={handleFileSelect}
+                className="hidden"
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={isSaving}
+                className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 ${
+                  darkMode
+                    ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                    : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+                }`}
+              >
+                <Upload className="w-4 h-4" />
+                Choose file
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={isSaving || !importText.trim()}
+                className={`flex-1 px-4 py-2 rounded-lg font-medium transition-colors ${
+                  isSaving || !importText.trim()
+                    ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                    : 'bg-blue-600 hover:bg-blue-700 text-white'
+                }`}
+              >
+                Import
+              </button>
+            </div>
+            {importResult && (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                Imported {importResult.saved} rate{importResult.saved !== 1 ? 's' : ''}
+                {importResult.skipped.length > 0 && `, skipped ${importResult.skipped.length} (${importResult.skipped[0]})`}
+              </p>
+            )}
+          </div>
+
+          {error && (
+            <div className={`p-3 rounded-lg flex items-start gap-2 ${darkMode ? 'bg-red-900/30 border border-red-800' : 'bg-red-100 border border-red-300'}`}>
+              <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+              <p className="text-sm text-red-500">{error}</p>
+            </div>
+          )}
+
+          {/* Stored rates */}
+          <div className={`pt-2 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Stored rates</p>
+            {exchangeRates.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>No rates yet.</p>
+            ) : (
+              <ul className="space-y-1">
+                {exchangeRates.map(rate => (
+                  <li
+                    key={rate.id}
+                    className={`px-3 py-2 rounded-lg flex items-center justify-between gap-3 text-sm ${
+                      darkMode ? 'bg-gray-700/50' : 'bg-slate-100'
+                    }`}
+                  >
+                    <span className="font-mono">
+                      {rate.rate_date} · 1 {rate.from_currency} = {parseFloat(rate.rate)} {rate.to_currency}
+                    </span>
+                    <button
+                      onClick={() => handleDeleteRate(rate)}
+                      className={`p-1 rounded transition-colors flex-shrink-0 ${
+                        darkMode ? 'hover:bg-red-900/50 text-red-400' : 'hover:bg-red-50 text-red-600'
+                      }`}
+                      title="Delete rate"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className={`px-6 py-4 flex justify-end gap-3 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+            } ${isSaving ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CurrencySettingsModal;
@@ -1,21 +1,26 @@
 import React, { useState, useRef } from 'react';
-import { X, Package, Edit2, Trash2, Check, Palette } from 'lucide-react';
+import { X, Package, Edit2, Trash2, Check, Palette, BarChart3, Contact, Globe, Mail, Phone, Hash } from 'lucide-react';
 import PrimaryButton from '../ui/PrimaryButton';
+import VendorAnalytics from '../ui/VendorAnalytics';
+import VendorProfileForm from '../ui/VendorProfileForm';
 import {
   getVendorColor,
   getVendorDisplayColor
 } from '../../utils/colorUtils';
 import { toSentenceCase } from '../../utils/styleUtils';
+import { hasVendorProfile, toVendorLink } from '../../utils/vendorProfileUtils';
 
 const ManageVendorsModal = ({
   isOpen,
   darkMode,
   uniqueVendors,
   vendorColors,
+  vendors = [],
   parts,
   editingVendor,
   setEditingVendor,
   updateVendorColor,
+  updateVendorProfile,
   renameVendor,
   deleteVendor,
   setConfirmDialog,
@@ -26,6 +31,12 @@ const ManageVendorsModal = ({
   // State for tracking which vendor card has overlay visible (mobile only)
   const [selectedVendor, setSelectedVendor] = useState(null);
 
+  // Vendor whose profile form is open
+  const [profileVendor, setProfileVendor] = useState(null);
+
+  // Vendor list or the analytics view
+  const [showAnalytics, setShowAnalytics] = useState(false);
+
   // Track if this modal was open (for close animation)
   const wasOpen = useRef(false);
   if (isOpen) wasOpen.current = true;
@@ -46,6 +57,7 @@ const ManageVendorsModal = ({
         handleCloseModal(() => {
           onClose();
           setEditingVendor(null);
+          setProfileVendor(null);
         })
       }
     >
@@ -75,23 +87,46 @@ const ManageVendorsModal = ({
                 fontFamily: "'FoundationOne', 'Courier New', monospace"
               }}
             >
-              Manage Vendors
+              {showAnalytics ? 'Vendor Analytics' : 'Manage Vendors'}
             </h2>
-            <button
-              onClick={() =>
-                handleCloseModal(() => {
-                  onClose();
-                  setEditingVendor(null);
-                })
-              }
-              className={`transition-colors flex-shrink-0 ${
-                darkMode
-                  ? 'text-gray-400 hover:text-gray-300'
-                  : 'text-gray-400 hover:text-gray-600'
-              }`}
-            >
-              <X className="w-6 h-6" />
-            </button>
+            <div className="flex items-center gap-2">
+              {uniqueVendors.length > 0 && (
+                <button
+                  onClick={() => {
+                    setShowAnalytics(!showAnalytics);
+                    setEditingVendor(null);
+                    setProfileVendor(null);
+                  }}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 ${
+                    showAnalytics
+                      ? 'bg-blue-600 text-white hover:bg-blue-700'
+                      : darkMode
+                        ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                        : 'bg-slate-200 text-slate-700 hover:bg-slate-300'
+                  }`}
+                  title={showAnalytics ? 'Back to vendors' : 'Show vendor analytics'}
+                >
+                  <BarChart3 className="w-4 h-4" />
+                  <span className="hidden sm:inline">Analytics</span>
+                </button>
+              )}
+              <button
+                onClick={() =>
+                  handleCloseModal(() => {
+                    onClose();
+                    setEditingVendor(null);
+                    setProfileVendor(null);
+                  })
+                }
+                className={`transition-colors flex-shrink-0 ${
+                  darkMode
+                    ? 'text-gray-400 hover:text-gray-300'
+                    : 'text-gray-400 hover:text-gray-600'
+                }`}
+              >
+                <X className="w-6 h-6" />
+              </button>
+            </div>
           </div>
         </div>
 
@@ -100,7 +135,9 @@ const ManageVendorsModal = ({
           className="p-6 modal-scrollable"
           style={{ maxHeight: 'calc(100vh - 12rem)', overflowY: 'auto', overscrollBehavior: 'contain' }}
         >
-          {uniqueVendors.length === 0 ? (
+          {showAnalytics && uniqueVendors.length > 0 ? (
+            <VendorAnalytics parts={parts} vendors={uniqueVendors} darkMode={darkMode} />
+          ) : uniqueVendors.length === 0 ? (
             <div
               className={`text-center py-12 ${
                 darkMode ? 'text-gray-400' : 'text-slate-600'
@@ -119,6 +156,9 @@ const ManageVendorsModal = ({
                 ).length;
                 const isEditing = editingVendor?.oldName === vendor;
                 const isSelected = selectedVendor === vendor;
+                const isProfileOpen = profileVendor === vendor;
+                const vendorRecord = vendors.find(v => v.name === vendor);
+                const websiteLink = toVendorLink(vendorRecord?.website);
                 return (
                   <div
                     key={vendor}
@@ -130,7 +170,7 @@ const ManageVendorsModal = ({
                     onClick={(e) => {
                       e.stopPropagation();
                       // Only toggle overlay on mobile
-                      if (!isEditing && window.innerWidth < 640) {
+                      if (!isEditing && !isProfileOpen && window.innerWidth < 640) {
                         setSelectedVendor(isSelected ? null : vendor);
                       }
                     }}
@@ -229,10 +269,28 @@ const ManageVendorsModal = ({
                               tabIndex={-1}
                             />
                           </div>
+                          {/* Profile button */}
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setProfileVendor(isProfileOpen ? null : vendor);
+                            }}
+                            className={`p-2 sm:px-3 sm:py-2 rounded-lg transition-colors flex items-center ${
+                              isProfileOpen
+                                ? darkMode ? 'bg-gray-600 text-gray-200' : 'bg-gray-200 text-gray-700'
+                                : darkMode
+                                  ? 'hover:bg-gray-600 text-gray-400 hover:text-gray-200'
+                                  : 'hover:bg-gray-200 text-gray-500 hover:text-gray-700'
+                            }`}
+                            title="Vendor details"
+                          >
+                            <Contact className="w-4 h-4" />
+                          </button>
                           {/* Edit button */}
                           <button
                             onClick={(e) => {
                               e.stopPropagation();
+                              setProfileVendor(null);
                               setEditingVendor({
                                 oldName: vendor,
                                 newName: vendor
@@ -251,6 +309,63 @@ const ManageVendorsModal = ({
                       )}
                     </div>
 
+                    {/* Profile summary, or the profile form when open */}
+                    {isProfileOpen ? (
+                      <div className={`mt-4 pt-4 border-t ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+                        <VendorProfileForm
+                          vendor={vendorRecord}
+                          onSave={(profile) => updateVendorProfile(vendor, profile)}
+                          onCancel={() => setProfileVendor(null)}
+                          darkMode={darkMode}
+                        />
+                      </div>
+                    ) : hasVendorProfile(vendorRecord) && (
+                      <div
+                        className={`mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs ${
+                          darkMode ? 'text-gray-400' : 'text-slate-600'
+                        }`}
+                      >
+                        {websiteLink && (
+                          <a
+                            href={websiteLink}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            onClick={(e) => e.stopPropagation()}
+                            className="flex items-center gap-1 hover:underline"
+                          >
+                            <Globe className="w-3 h-3" />
+                            {vendorRecord.website.replace(/^https?:\/\//i, '')}
+                          </a>
+                        )}
+                        {vendorRecord.email && (
+                          <a
+                            href={`mailto:${vendorRecord.email}`}
+                            onClick={(e) => e.stopPropagation()}
+                            className="flex items-center gap-1 hover:underline"
+                          >
+                            <Mail className="w-3 h-3" />
+                            {vendorRecord.email}
+                          </a>
+                        )}
+                        {vendorRecord.phone && (
+                          <a
+                            href={`tel:${vendorRecord.phone}`}
+                            onClick={(e) => e.stopPropagation()}
+                            className="flex items-center gap-1 hover:underline"
+                          >
+                            <Phone className="w-3 h-3" />
+                            {vendorRecord.phone}
+                          </a>
+                        )}
+                        {vendorRecord.account_number && (
+                          <span className="flex items-center gap-1" title="Account number">
+                            <Hash className="w-3 h-3" />
+                            {vendorRecord.account_number}
+                          </span>
+                        )}
+                      </div>
+                    )}
+
                     {/* Edit overlay with fade animation */}
                     <div
                       className={`absolute inset-0 rounded-lg flex items-center justify-center gap-2 px-4 transition-opacity duration-150 ${
@@ -324,7 +439,7 @@ const ManageVendorsModal = ({
                     </div>
 
                     {/* Mobile delete overlay with fade animation */}
-                    {!isEditing && (
+                    {!isEditing && !isProfileOpen && (
                       <div
                         className={`sm:hidden absolute inset-0 rounded-lg flex items-center justify-center transition-opacity duration-150 ${
                           isSelected ? 'opacity-100' : 'opacity-0 pointer-events-none'
@@ -379,6 +494,7 @@ const ManageVendorsModal = ({
               handleCloseModal(() => {
                 onClose();
                 setEditingVendor(null);
+                setProfileVendor(null);
               })
             }
           >
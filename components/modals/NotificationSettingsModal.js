@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, Loader2 } from 'lucide-react';
+import { NOTIFICATION_STATUSES, NOTIFICATION_CHANNELS } from '../../utils/notificationUtils';
+
+/**
+ * Modal for delivery notification settings
+ * Lets the user pick which tracking statuses notify them by push and email,
+ * where emails go, turn push on for this browser, and see recent notifications
+ */
+const NotificationSettingsModal = ({
+  isOpen,
+  onClose,
+  darkMode,
+  userEmail,
+  preferences,
+  notificationEmail,
+  pushEnabled,
+  pushSupported,
+  notificationLog,
+  onEnablePush,
+  onDisablePush,
+  onSave
+}) => {
+  const [isClosing, setIsClosing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isTogglingPush, setIsTogglingPush] = useState(false);
+  const [draftPreferences, setDraftPreferences] = useState({});
+  const [draftEmail, setDraftEmail] = useState('');
+
+  // Start from the saved settings each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraftPreferences(preferences || {});
+      setDraftEmail(notificationEmail || '');
+    }
+  }, [isOpen, preferences, notificationEmail]);
+
+  const handleClose = () => {
+    if (isSaving) return;
+    setIsClosing(true);
+    setTimeout(() => {
+      setIsClosing(false);
+      onClose();
+    }, 150);
+  };
+
+  const handleToggle = (status, channel) => {
+    setDraftPreferences({
+      ...draftPreferences,
+      [status]: { ...draftPreferences[status], [channel]: !draftPreferences[status]?.[channel] }
+    });
+  };
+
+  const handleTogglePush = async () => {
+    setIsTogglingPush(true);
+    await (pushEnabled ? onDisablePush() : onEnablePush());
+    setIsTogglingPush(false);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSave({ preferences: draftPreferences, email: draftEmail });
+    setIsSaving(false);
+    if (saved) {
+      handleClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border transition-colors ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-gray-100 focus:border-blue-500'
+      : 'bg-white border-slate-300 text-slate-900 focus:border-blue-500'
+  } focus:outline-none focus:ring-2 focus:ring-blue-500/20`;
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+  const sectionTitleClass = `text-xs uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`;
+  const hintClass = `text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`;
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm modal-backdrop ${
+        isClosing ? 'modal-backdrop-exit' : 'modal-backdrop-enter'
+      }`}
+      onClick={handleClose}
+    >
+      <div
+        className={`w-full max-w-lg max-h-[90vh] flex flex-col rounded-xl shadow-2xl overflow-hidden modal-content ${
+          isClosing ? 'modal-popup-exit' : 'modal-popup-enter'
+        } ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-slate-50 border border-slate-200'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className={`px-6 py-4 border-b ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <div className="flex items-center gap-3">
+            <div className={`p-2 rounded-full ${darkMode ? 'bg-blue-900/50' : 'bg-blue-100'}`}>
+              <Bell className="w-5 h-5 text-blue-500" />
+            </div>
+            <h3
+              className={`text-lg font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+              style={{ fontFamily: "'FoundationOne', 'Courier New', monospace" }}
+            >
+              Notifications
+            </h3>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className={`px-6 py-4 space-y-4 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+          {/* Push on this browser */}
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="text-sm font-medium">Push on this browser</p>
+              <p className={hintClass}>
+                {pushSupported
+                  ? (pushEnabled ? 'On - shipment updates pop up even when the app is closed.' : 'Off')
+                  : 'Not available in this browser, or not set up on the server.'}
+              </p>
+            </div>
+            {pushSupported && (
+              <button
+                onClick={handleTogglePush}
+                disabled={isTogglingPush || isSaving}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center gap-2 flex-shrink-0 ${
+                  pushEnabled
+                    ? darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-100' : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+                    : 'bg-blue-600 hover:bg-blue-700 text-white'
+                } ${isTogglingPush ? 'opacity-50 cursor-not-allowed' : ''}`}
+              >
+                {isTogglingPush && <Loader2 className="w-4 h-4 animate-spin" />}
+                {pushEnabled ? 'Turn off' : 'Turn on'}
+              </button>
+            )}
+          </div>
+
+          {/* Email address */}
+          <div>
+            <label htmlFor="notification-email" className={labelClass}>Email address</label>
+            <input
+              id="notification-email"
+              type="email"
+              value={draftEmail}
+              onChange={(e) => setDraftEmail(e.target.value)}
+              disabled={isSaving}
+              className={inputClass}
+              placeholder={userEmail || 'you@example.com'}
+            />
+            <p className={hintClass}>Leave empty to use your account email.</p>
+          </div>
+
+          {/* Channels per status */}
+          <div className={`pt-2 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Notify me when a package is</p>
+            <div className="space-y-2">
+              {NOTIFICATION_STATUSES.map(status => (
+                <div key={status.value} className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium">{status.label}</p>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>{status.description}</p>
+                  </div>
+                  <div className="flex gap-3 flex-shrink-0">
+                    {NOTIFICATION_CHANNELS.map(channel => (
+                      <label key={channel.value} className="flex items-center gap-1 text-sm cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={!!draftPreferences[status.value]?.[channel.value]}
+                          onChange={() => handleToggle(status.value, channel.value)}
+                          disabled={isSaving}
+                        />
+                        {channel.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Recent notifications */}
+          <div className={`pt-2 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Recent notifications</p>
+            {notificationLog.length === 0 ? (
+              <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>No notifications sent yet</p>
+            ) : (
+              <ul className="space-y-1">
+                {notificationLog.map(entry => (
+                  <li key={entry.id} className="text-sm flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <p className="truncate">{entry.title}</p>
+                      <p className={`text-xs ${entry.status === 'failed' ? 'text-red-500' : (darkMode ? 'text-gray-400' : 'text-slate-500')}`}>
+                        {NOTIFICATION_CHANNELS.find(channel => channel.value === entry.channel)?.label || entry.channel}
+                        {entry.recipient ? ` to ${entry.recipient}` : ''}
+                        {entry.status === 'failed' ? ` - failed${entry.error ? `: ${entry.error}` : ''}` : ''}
+                      </p>
+                    </div>
+                    <time
+                      dateTime={entry.created_at}
+                      className={`text-xs flex-shrink-0 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}
+                    >
+                      {new Date(entry.created_at).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                    </time>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className={`px-6 py-4 flex justify-end gap-3 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+            } ${isSaving ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+              isSaving
+                ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                : 'bg-blue-600 hover:bg-blue-700 text-white'
+            }`}
+          >
+            {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettingsModal;
@@ -14,11 +14,22 @@ import {
   ShoppingCart,
   Clock,
   Archive,
-  ArchiveRestore
+  ArchiveRestore,
+  Boxes,
+  PackageX,
+  Undo2,
+  Receipt,
+  Wrench,
+  ShieldCheck,
+  FileText,
+  History,
+  Plus
 } from 'lucide-react';
 import PrimaryButton from '../ui/PrimaryButton';
 import VendorSelect from '../ui/VendorSelect';
+import PartCrossReferences from '../ui/PartCrossReferences';
 import TrackingTimeline from '../ui/TrackingTimeline';
+import ManualCheckpointForm from '../ui/ManualCheckpointForm';
 import {
   getVendorColor,
   getVendorDisplayColor
@@ -26,6 +37,34 @@ import {
 import { selectDropdownStyle, toTitleCase, toSentenceCase, toAllCaps } from '../../utils/styleUtils';
 import { getTrackingUrl, shouldSkipShip24, getCarrierName } from '../../utils/trackingUtils';
 import { fetchWithAuth } from '../../utils/fetchWithAuth';
+import {
+  formatCurrency,
+  getCurrencySymbol,
+  getPartHomeTotal,
+  isForeignCurrencyPart,
+  isMissingExchangeRate
+} from '../../utils/currencyUtils';
+import { getOrderLabel } from '../../utils/orderUtils';
+import { calculatePartTotal, resolvePartTax, hasTaxRate } from '../../utils/costUtils';
+import { useCurrencyContext, useServiceEvents, useDocuments } from '../../contexts';
+import CurrencyFields from '../ui/CurrencyFields';
+import CostAdjustmentFields from '../ui/CostAdjustmentFields';
+import ReturnFields from '../ui/ReturnFields';
+import InstallFields from '../ui/InstallFields';
+import WarrantyFields from '../ui/WarrantyFields';
+import PartInventorySection from '../ui/PartInventorySection';
+import PartHistory from '../ui/PartHistory';
+import { isStockPart, getQuantityOnHand } from '../../utils/inventoryUtils';
+import { isReturnStatus, getReturnStatusLabel, getPartRefund, getPartNetTotal } from '../../utils/returnUtils';
+import { getPartVehicleId, getCurrentOdometer, getDistanceSinceInstall, formatDistance } from '../../utils/installUtils';
+import { getStatusDateChanges, getTrackingAdvanceFields, getTrackingAdvanceUndoFields } from '../../utils/partDateUtils';
+import {
+  hasWarranty,
+  getWarrantyExpiry,
+  getWarrantyDaysLeft,
+  getWarrantyStatus,
+  formatWarrantyDaysLeft
+} from '../../utils/warrantyUtils';
 
 const PartDetailModal = ({
   isOpen,
@@ -53,14 +92,38 @@ const PartDetailModal = ({
   getStatusIcon,
   getStatusText,
   onRefreshTracking,
+  onTrackingAdvanced,
   onStatusChange,
   filteredParts = [],
   setShowTrackingModal,
   setTrackingModalPartId,
-  hasUnsavedPartChanges
+  hasUnsavedPartChanges,
+  orders = [],
+  onOpenOrder,
+  inventoryEvents = [],
+  onInstallFromStock,
+  onAdjustStock,
+  onUpdateStorageLocation,
+  partEvents = [],
+  partEventsPartId = null,
+  isLoadingPartEvents = false,
+  onLoadPartEvents,
+  vendors = [],
+  crossReferences = [],
+  onAddCrossReference,
+  onDeleteCrossReference,
+  onAddManualCheckpoint,
+  onDeleteManualCheckpoint
 }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const { serviceEvents } = useServiceEvents();
+  const { getVehicleDocumentOptions, openDocument } = useDocuments();
   const [isRefreshingTracking, setIsRefreshingTracking] = useState(false);
   const [trackingError, setTrackingError] = useState(null);
+  const [isRefreshingReturnTracking, setIsRefreshingReturnTracking] = useState(false);
+  const [showCheckpointForm, setShowCheckpointForm] = useState(false);
+  // Documents of the part's vehicle, for the warranty receipt
+  const [warrantyDocuments, setWarrantyDocuments] = useState([]);
   const [statusDropdownOpen, setStatusDropdownOpen] = useState(false);
   const [statusDropdownClosing, setStatusDropdownClosing] = useState(false);
   const statusButtonRef = useRef(null);
@@ -104,6 +167,48 @@ const PartDetailModal = ({
   // Check if vehicle is auto-populated from project
   const isEditVehicleAutoPopulated = selectedEditProject && selectedEditProject.vehicle_id;
 
+  // Vehicle the viewed part is installed on, for distance since install
+  const viewingVehicleId = viewingPart ? getPartVehicleId(viewingPart, projects) : null;
+  const viewingVehicle = viewingVehicleId ? vehicles?.find(v => v.id === viewingVehicleId) : null;
+  const distanceSinceInstall = getDistanceSinceInstall(viewingPart, getCurrentOdometer(viewingVehicle, serviceEvents));
+
+  // Warranty receipts come from the documents of the vehicle being viewed or picked in the edit form
+  const warrantyVehicleId = partDetailView === 'edit' ? effectiveEditVehicleId : viewingVehicleId;
+  useEffect(() => {
+    if (!isOpen || !warrantyVehicleId) {
+      setWarrantyDocuments([]);
+      return;
+    }
+    let cancelled = false;
+    getVehicleDocumentOptions(warrantyVehicleId).then(docs => {
+      if (!cancelled) setWarrantyDocuments(docs);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, warrantyVehicleId, getVehicleDocumentOptions]);
+  const warrantyReceipt = viewingPart?.warrantyDocumentId
+    ? warrantyDocuments.find(doc => doc.id === viewingPart.warrantyDocumentId)
+    : null;
+  const warrantyStatus = getWarrantyStatus(viewingPart);
+
+  // Vendor orders - shared costs and tracking are managed on the order
+  const viewingOrder = viewingPart?.orderId ? orders.find(o => o.id === viewingPart.orderId) : null;
+  const editingOrder = editingPart?.orderId ? orders.find(o => o.id === editingPart.orderId) : null;
+  const editOrderOptions = orders.filter(o =>
+    o.id === editingPart?.orderId || !editingPart?.vendor || !o.vendor || o.vendor === editingPart.vendor
+  );
+
+  const handleEditOrderChange = (orderId) => {
+    const order = orders.find(o => o.id === orderId);
+    if (order) {
+      setEditingPart({ ...editingPart, orderId: order.id, tracking: order.tracking || '', taxRate: null });
+    } else {
+      // Leaving an order drops its share of the shared costs
+      setEditingPart({ ...editingPart, orderId: null, shipping: '', duties: '', tax: '' });
+    }
+  };
+
   // Track if this modal was open (for close animation)
   const wasOpen = useRef(false);
   if (isOpen) wasOpen.current = true;
@@ -229,7 +334,10 @@ const PartDetailModal = ({
     setIsRefreshingTracking(true);
     setTrackingError(null);
     try {
-      const response = await fetchWithAuth(`/api/tracking/${viewingPart.id}`);
+      // Parts in an order share one tracking lookup
+      const response = await fetchWithAuth(
+        viewingPart.orderId ? `/api/tracking/orders/${viewingPart.orderId}` : `/api/tracking/${viewingPart.id}`
+      );
       const data = await response.json();
 
       if (data.success && data.tracking) {
@@ -237,13 +345,21 @@ const PartDetailModal = ({
         setViewingPart({
           ...viewingPart,
           ...data.tracking,
-          // Auto-update delivered status if tracking shows delivered
-          delivered: data.tracking.tracking_status === 'Delivered' ? true : viewingPart.delivered
+          // Shipped or delivered if the carrier's status advanced the part
+          ...getTrackingAdvanceFields(viewingPart, data.advanced)
         });
 
         // Notify parent to refresh if callback provided
         if (onRefreshTracking) {
-          onRefreshTracking(viewingPart.id, data.tracking);
+          const refreshedIds = viewingPart.orderId
+            ? parts.filter(p => p.orderId === viewingPart.orderId).map(p => p.id)
+            : [viewingPart.id];
+          refreshedIds.forEach(id => onRefreshTracking(id, data.tracking, data.advanced));
+        }
+        if (onTrackingAdvanced) {
+          onTrackingAdvanced(data.advanced, () => {
+            setViewingPart(prev => ({ ...prev, ...getTrackingAdvanceUndoFields(prev, data.advanced) }));
+          });
         }
 
         // Show rate limit warning if applicable
@@ -263,11 +379,82 @@ const PartDetailModal = ({
     }
   };
 
+  // Close the checkpoint form when moving to another part
+  useEffect(() => {
+    setShowCheckpointForm(false);
+  }, [viewingPart?.id]);
+
+  const handleAddManualCheckpoint = async (draft) => {
+    const updates = await onAddManualCheckpoint(viewingPart, draft);
+    if (!updates) return false;
+    setViewingPart(prev => ({ ...prev, ...updates }));
+    setShowCheckpointForm(false);
+    return true;
+  };
+
+  const handleDeleteManualCheckpoint = async (checkpoint) => {
+    const updates = await onDeleteManualCheckpoint(viewingPart, checkpoint);
+    if (updates) {
+      setViewingPart(prev => ({ ...prev, ...updates }));
+    }
+  };
+
+  const handleRefreshReturnTracking = async () => {
+    if (!viewingPart?.id || !viewingPart?.returnTracking || isRefreshingReturnTracking) return;
+    if (shouldSkipShip24(viewingPart.returnTracking)) return;
+
+    setIsRefreshingReturnTracking(true);
+    setTrackingError(null);
+    try {
+      const response = await fetchWithAuth(`/api/tracking/${viewingPart.id}/return`);
+      const data = await response.json();
+
+      if (data.success && data.tracking) {
+        setViewingPart({ ...viewingPart, ...data.tracking });
+        if (onRefreshTracking) {
+          onRefreshTracking(viewingPart.id, data.tracking);
+        }
+        if (data.rateLimited) {
+          setTrackingError(data.rateLimitMessage || 'Rate limit reached. Showing cached data.');
+        }
+      } else if (data.error) {
+        setTrackingError(data.error);
+      }
+    } catch (error) {
+      console.error('Failed to refresh return tracking:', error);
+      setTrackingError('Failed to refresh return tracking data.');
+    } finally {
+      setIsRefreshingReturnTracking(false);
+    }
+  };
+
+  // Inventory changes also update the part shown in the modal
+  const handleInstallFromStock = async (quantity, target) => {
+    const installed = await onInstallFromStock(viewingPart.id, quantity, target);
+    if (installed) {
+      setViewingPart({ ...viewingPart, quantityOnHand: getQuantityOnHand(viewingPart) - parseInt(quantity, 10) });
+    }
+    return installed;
+  };
+
+  const handleAdjustStock = async (quantityOnHand) => {
+    const adjusted = await onAdjustStock(viewingPart.id, quantityOnHand);
+    if (adjusted) {
+      setViewingPart({ ...viewingPart, quantityOnHand: parseInt(quantityOnHand, 10) });
+    }
+  };
+
+  const handleUpdateStorageLocation = async (storageLocation) => {
+    await onUpdateStorageLocation(viewingPart.id, storageLocation);
+    setViewingPart({ ...viewingPart, storageLocation: storageLocation.trim() });
+  };
+
   // Handle status dropdown open
   const openStatusDropdown = () => {
     if (statusButtonRef.current) {
       const rect = statusButtonRef.current.getBoundingClientRect();
-      const dropdownHeight = 200;
+      // Ordered parts also get a divider and the 3 return options
+      const dropdownHeight = viewingPart?.purchased ? 385 : 240;
       const spaceBelow = window.innerHeight - rect.bottom;
       const openUpward = spaceBelow < dropdownHeight;
 
@@ -303,6 +490,32 @@ const PartDetailModal = ({
       return;
     }
 
+    // Return statuses sit on top of the purchase flags
+    if (isReturnStatus(newStatus)) {
+      if (!viewingPart.purchased) {
+        await onStatusChange(viewingPart.id, newStatus); // Warns that only ordered parts can be returned
+        return;
+      }
+      const returnUpdates = { returnStatus: newStatus };
+      if (newStatus === 'refunded') {
+        // Same full-refund defaults the parts hook saves
+        returnUpdates.refundedAt = viewingPart.refundedAt || new Date().toISOString().slice(0, 10);
+        returnUpdates.refundAmount = viewingPart.refundAmount > 0 ? viewingPart.refundAmount : viewingPart.total;
+      }
+      setViewingPart({ ...viewingPart, ...returnUpdates });
+      await onStatusChange(viewingPart.id, newStatus);
+      return;
+    }
+
+    // Installed parts are delivered; the hook fills in the install date and odometer
+    if (newStatus === 'installed') {
+      const installUpdates = await onStatusChange(viewingPart.id, newStatus);
+      if (installUpdates) {
+        setViewingPart(prev => ({ ...prev, ...installUpdates }));
+      }
+      return;
+    }
+
     // Map status to boolean flags
     const statusMap = {
       delivered: { delivered: true, shipped: true, purchased: true },
@@ -314,10 +527,16 @@ const PartDetailModal = ({
     const updates = statusMap[newStatus];
     if (!updates) return;
 
-    // Update local state immediately for responsive UI
+    // Update local state immediately for responsive UI (a regular status cancels a return and an install)
     setViewingPart({
       ...viewingPart,
-      ...updates
+      ...updates,
+      ...getStatusDateChanges(viewingPart, updates).localDates,
+      returnStatus: null,
+      installed: false,
+      installedAt: null,
+      installedOdometer: null,
+      installNotes: ''
     });
 
     // Call the parent handler to persist the change
@@ -326,6 +545,7 @@ const PartDetailModal = ({
 
   // Get current status as string
   const getCurrentStatus = () => {
+    if (viewingPart?.installed) return 'installed';
     if (viewingPart?.delivered) return 'delivered';
     if (viewingPart?.shipped) return 'shipped';
     if (viewingPart?.purchased) return 'purchased';
@@ -367,6 +587,20 @@ const PartDetailModal = ({
             } ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-slate-50 border-slate-200'}`}
             style={statusDropdownStyle}
           >
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleStatusChange('installed');
+              }}
+              className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                darkMode
+                  ? 'text-gray-300 hover:bg-indigo-900/30'
+                  : 'text-gray-700 hover:bg-indigo-50'
+              }`}
+            >
+              <Wrench className={`w-4 h-4 ${darkMode ? 'text-indigo-400' : 'text-indigo-600'}`} />
+              <span>Installed</span>
+            </button>
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -423,6 +657,53 @@ const PartDetailModal = ({
               <Clock className={`w-4 h-4 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} />
               <span>Pending</span>
             </button>
+            {viewingPart.purchased && (
+              <>
+                <div className={`my-1 border-t ${darkMode ? 'border-gray-600' : 'border-slate-200'}`} />
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleStatusChange('returned');
+                  }}
+                  className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                    darkMode
+                      ? 'text-gray-300 hover:bg-orange-900/30'
+                      : 'text-gray-700 hover:bg-orange-50'
+                  }`}
+                >
+                  <PackageX className={`w-4 h-4 ${darkMode ? 'text-orange-400' : 'text-orange-600'}`} />
+                  <span>Returned</span>
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleStatusChange('return_in_transit');
+                  }}
+                  className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                    darkMode
+                      ? 'text-gray-300 hover:bg-purple-900/30'
+                      : 'text-gray-700 hover:bg-purple-50'
+                  }`}
+                >
+                  <Undo2 className={`w-4 h-4 ${darkMode ? 'text-purple-400' : 'text-purple-600'}`} />
+                  <span>Return Shipped</span>
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleStatusChange('refunded');
+                  }}
+                  className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                    darkMode
+                      ? 'text-gray-300 hover:bg-teal-900/30'
+                      : 'text-gray-700 hover:bg-teal-50'
+                  }`}
+                >
+                  <Receipt className={`w-4 h-4 ${darkMode ? 'text-teal-400' : 'text-teal-600'}`} />
+                  <span>Refunded</span>
+                </button>
+              </>
+            )}
           </div>
         </>
       )}
@@ -591,7 +872,9 @@ const PartDetailModal = ({
             >
               {partDetailView === 'edit'
                 ? 'Edit Part'
-                : viewingPart.part}
+                : partDetailView === 'history'
+                  ? `${viewingPart.part} History`
+                  : viewingPart.part}
             </h2>
             <div className="flex items-center gap-3">
               <button
@@ -846,7 +1129,7 @@ const PartDetailModal = ({
                         darkMode ? 'text-gray-100' : 'text-slate-800'
                       }`}
                     >
-                      ${viewingPart.price.toFixed(2)}
+                      {formatCurrency(viewingPart.price, viewingPart.currency || homeCurrency)}
                     </span>
                   </div>
                   {viewingPart.shipping > 0 && (
@@ -863,7 +1146,7 @@ const PartDetailModal = ({
                           darkMode ? 'text-gray-100' : 'text-slate-800'
                         }`}
                       >
-                        ${viewingPart.shipping.toFixed(2)}
+                        {formatCurrency(viewingPart.shipping, viewingPart.currency || homeCurrency)}
                       </span>
                     </div>
                   )}
@@ -881,7 +1164,79 @@ const PartDetailModal = ({
                           darkMode ? 'text-gray-100' : 'text-slate-800'
                         }`}
                       >
-                        ${viewingPart.duties.toFixed(2)}
+                        {formatCurrency(viewingPart.duties, viewingPart.currency || homeCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {viewingPart.tax > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span
+                        className={`text-sm ${
+                          darkMode ? 'text-gray-400' : 'text-slate-600'
+                        }`}
+                      >
+                        Tax{hasTaxRate(viewingPart.taxRate) ? ` (${viewingPart.taxRate}%)` : ''}
+                      </span>
+                      <span
+                        className={`text-lg font-semibold ${
+                          darkMode ? 'text-gray-100' : 'text-slate-800'
+                        }`}
+                      >
+                        {formatCurrency(viewingPart.tax, viewingPart.currency || homeCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {viewingPart.discount > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span
+                        className={`text-sm ${
+                          darkMode ? 'text-gray-400' : 'text-slate-600'
+                        }`}
+                      >
+                        Discount
+                      </span>
+                      <span
+                        className={`text-lg font-semibold ${
+                          darkMode ? 'text-gray-100' : 'text-slate-800'
+                        }`}
+                      >
+                        −{formatCurrency(viewingPart.discount, viewingPart.currency || homeCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {viewingPart.coreCharge > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span
+                        className={`text-sm ${
+                          darkMode ? 'text-gray-400' : 'text-slate-600'
+                        }`}
+                      >
+                        Core Charge
+                      </span>
+                      <span
+                        className={`text-lg font-semibold ${
+                          darkMode ? 'text-gray-100' : 'text-slate-800'
+                        }`}
+                      >
+                        {formatCurrency(viewingPart.coreCharge, viewingPart.currency || homeCurrency)}
+                      </span>
+                    </div>
+                  )}
+                  {viewingPart.coreRefund > 0 && (
+                    <div className="flex justify-between items-center">
+                      <span
+                        className={`text-sm ${
+                          darkMode ? 'text-gray-400' : 'text-slate-600'
+                        }`}
+                      >
+                        Core Refund
+                      </span>
+                      <span
+                        className={`text-lg font-semibold ${
+                          darkMode ? 'text-gray-100' : 'text-slate-800'
+                        }`}
+                      >
+                        −{formatCurrency(viewingPart.coreRefund, viewingPart.currency || homeCurrency)}
                       </span>
                     </div>
                   )}
@@ -921,15 +1276,84 @@ const PartDetailModal = ({
                           darkMode ? 'text-green-400' : 'text-green-600'
                         }`}
                       >
-                        ${viewingPart.total.toFixed(2)}
+                        {formatCurrency(viewingPart.total, viewingPart.currency || homeCurrency)}
                       </span>
                       {(viewingPart.quantity || 1) > 1 && (
                         <div className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                          ${viewingPart.price.toFixed(2)} × {viewingPart.quantity}
+                          {formatCurrency(viewingPart.price, viewingPart.currency || homeCurrency)} × {viewingPart.quantity}
+                        </div>
+                      )}
+                      {isForeignCurrencyPart(viewingPart, homeCurrency) && (
+                        <div className={`text-xs ${
+                          isMissingExchangeRate(viewingPart, homeCurrency)
+                            ? (darkMode ? 'text-yellow-400' : 'text-yellow-600')
+                            : (darkMode ? 'text-gray-400' : 'text-gray-500')
+                        }`}>
+                          {isMissingExchangeRate(viewingPart, homeCurrency)
+                            ? `No ${viewingPart.currency} → ${homeCurrency} rate, counted 1:1`
+                            : `≈ ${formatCurrency(getPartHomeTotal(viewingPart), homeCurrency)} at ${parseFloat(viewingPart.exchangeRate.toPrecision(6))}${viewingPart.exchangeRateDate ? ` (${viewingPart.exchangeRateDate})` : ''}`}
                         </div>
                       )}
                     </div>
                   </div>
+                  {getPartRefund(viewingPart) > 0 && (
+                    <>
+                      <div className="flex justify-between items-center">
+                        <span
+                          className={`text-sm ${
+                            darkMode ? 'text-gray-400' : 'text-slate-600'
+                          }`}
+                        >
+                          Refund{viewingPart.refundedAt ? ` (${viewingPart.refundedAt})` : ''}
+                        </span>
+                        <span
+                          className={`text-lg font-semibold ${
+                            darkMode ? 'text-teal-400' : 'text-teal-600'
+                          }`}
+                        >
+                          −{formatCurrency(getPartRefund(viewingPart), viewingPart.currency || homeCurrency)}
+                        </span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span
+                          className={`text-base font-semibold ${
+                            darkMode ? 'text-gray-200' : 'text-gray-800'
+                          }`}
+                        >
+                          Net Cost
+                        </span>
+                        <span
+                          className={`text-lg font-bold ${
+                            darkMode ? 'text-gray-100' : 'text-slate-800'
+                          }`}
+                        >
+                          {formatCurrency(getPartNetTotal(viewingPart), viewingPart.currency || homeCurrency)}
+                        </span>
+                      </div>
+                    </>
+                  )}
+                  {viewingOrder && (
+                    <div className={`pt-3 mt-3 border-t flex items-center justify-between gap-3 ${
+                      darkMode ? 'border-gray-600' : 'border-gray-300'
+                    }`}>
+                      <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        Shipping, duties and tax are this part&apos;s share of {getOrderLabel(viewingOrder)}
+                      </span>
+                      {onOpenOrder && (
+                        <button
+                          onClick={() => onOpenOrder(viewingOrder.id)}
+                          className={`flex-shrink-0 flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium transition-colors ${
+                            darkMode
+                              ? 'text-blue-400 hover:bg-gray-600'
+                              : 'text-blue-600 hover:bg-blue-50'
+                          }`}
+                        >
+                          <Boxes className="w-3.5 h-3.5" />
+                          View order
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -1016,17 +1440,54 @@ const PartDetailModal = ({
                   )}
                 </div>
               ) : viewingPart.tracking ? (
-                /* Fallback for non-API tracking (URLs, Amazon, letter-only) */
-                <div className="flex items-center justify-between w-full">
-                  {renderStatusDropdown()}
-                  {/* Gray badge for letter-only tracking */}
-                  {/^[a-zA-Z\s]+$/.test(viewingPart.tracking.trim()) && (
-                    <span className={`inline-flex items-center px-3 py-1.5 rounded text-sm font-medium ${
-                      darkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-200 text-gray-600'
-                    }`}>
-                      {viewingPart.tracking}
-                    </span>
+                /* Fallback for non-API tracking (URLs, Amazon, letter-only) - timeline from manual checkpoints */
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between w-full">
+                    {renderStatusDropdown()}
+                    {/* Gray badge for letter-only tracking */}
+                    {/^[a-zA-Z\s]+$/.test(viewingPart.tracking.trim()) && (
+                      <span className={`inline-flex items-center px-3 py-1.5 rounded text-sm font-medium ${
+                        darkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-200 text-gray-600'
+                      }`}>
+                        {viewingPart.tracking}
+                      </span>
+                    )}
+                  </div>
+
+                  {viewingPart.tracking_checkpoints && viewingPart.tracking_checkpoints.length > 0 && (
+                    <div
+                      className={`rounded-lg p-4 ${
+                        darkMode ? 'bg-gray-700' : 'bg-gray-50'
+                      }`}
+                    >
+                      <TrackingTimeline
+                        checkpoints={viewingPart.tracking_checkpoints}
+                        status={viewingPart.tracking_status}
+                        darkMode={darkMode}
+                        maxVisible={4}
+                        showProgress={true}
+                        onDeleteCheckpoint={onDeleteManualCheckpoint ? handleDeleteManualCheckpoint : undefined}
+                      />
+                    </div>
                   )}
+
+                  {onAddManualCheckpoint && (showCheckpointForm ? (
+                    <ManualCheckpointForm
+                      onAdd={handleAddManualCheckpoint}
+                      onCancel={() => setShowCheckpointForm(false)}
+                      darkMode={darkMode}
+                    />
+                  ) : (
+                    <button
+                      onClick={() => setShowCheckpointForm(true)}
+                      className={`px-2 py-1 rounded-md text-sm flex items-center gap-1 transition-colors ${
+                        darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add checkpoint
+                    </button>
+                  ))}
                 </div>
               ) : (
                 /* No tracking - just show status dropdown */
@@ -1035,6 +1496,244 @@ const PartDetailModal = ({
                 </div>
               )}
             </div>
+
+            {/* Warranty Section */}
+            {(hasWarranty(viewingPart) || viewingPart.warrantyTerms) && (
+              <div
+                className={`pt-6 border-t ${
+                  darkMode ? 'border-gray-700' : 'border-slate-200'
+                }`}
+              >
+                <h3
+                  className={`text-lg font-semibold mb-4 flex items-center gap-2 ${
+                    darkMode ? 'text-gray-200' : 'text-gray-800'
+                  }`}
+                >
+                  <ShieldCheck className="w-5 h-5" />
+                  Warranty
+                </h3>
+                {warrantyStatus === 'expiring' && (
+                  <div className={`mb-4 rounded-lg px-3 py-2 text-sm font-medium ${
+                    darkMode ? 'bg-amber-900/30 text-amber-300' : 'bg-amber-50 text-amber-800'
+                  }`}>
+                    Expiring soon - {formatWarrantyDaysLeft(getWarrantyDaysLeft(viewingPart)).toLowerCase()} to make a claim
+                  </div>
+                )}
+                <div className={`grid grid-cols-2 gap-3 text-sm ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+                  {getWarrantyExpiry(viewingPart) && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Expires On</p>
+                      <p className="font-medium">
+                        {new Date(getWarrantyExpiry(viewingPart) + 'T00:00:00').toLocaleDateString()}
+                      </p>
+                    </div>
+                  )}
+                  {warrantyStatus !== 'none' && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Status</p>
+                      <p className={`font-medium ${
+                        warrantyStatus === 'expired'
+                          ? (darkMode ? 'text-gray-500' : 'text-gray-400')
+                          : warrantyStatus === 'expiring'
+                            ? (darkMode ? 'text-amber-400' : 'text-amber-700')
+                            : (darkMode ? 'text-emerald-400' : 'text-emerald-700')
+                      }`}>
+                        {formatWarrantyDaysLeft(getWarrantyDaysLeft(viewingPart))}
+                      </p>
+                    </div>
+                  )}
+                  {viewingPart.warrantyMonths > 0 && !viewingPart.warrantyExpiresAt && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Length</p>
+                      <p className="font-medium">
+                        {viewingPart.warrantyMonths} month{viewingPart.warrantyMonths !== 1 ? 's' : ''} from {viewingPart.installedAt ? 'install' : 'purchase'}
+                      </p>
+                    </div>
+                  )}
+                  {warrantyReceipt && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Receipt</p>
+                      <button
+                        onClick={() => openDocument(warrantyReceipt)}
+                        className={`inline-flex items-center gap-1 font-medium ${darkMode ? 'text-blue-400' : 'text-blue-600'} hover:underline`}
+                      >
+                        <FileText className="w-3 h-3" />
+                        {warrantyReceipt.title}
+                      </button>
+                    </div>
+                  )}
+                  {viewingPart.warrantyTerms && (
+                    <div className="col-span-2">
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Terms</p>
+                      <p className="whitespace-pre-wrap">{viewingPart.warrantyTerms}</p>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Installation Section */}
+            {viewingPart.installed && (
+              <div
+                className={`pt-6 border-t ${
+                  darkMode ? 'border-gray-700' : 'border-slate-200'
+                }`}
+              >
+                <h3
+                  className={`text-lg font-semibold mb-4 flex items-center gap-2 ${
+                    darkMode ? 'text-gray-200' : 'text-gray-800'
+                  }`}
+                >
+                  <Wrench className="w-5 h-5" />
+                  Installation
+                </h3>
+                <div className={`grid grid-cols-2 gap-3 text-sm ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+                  <div>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Installed On</p>
+                    <p className="font-medium">
+                      {viewingPart.installedAt
+                        ? new Date(viewingPart.installedAt + 'T00:00:00').toLocaleDateString()
+                        : '-'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Odometer</p>
+                    <p className="font-medium">
+                      {viewingPart.installedOdometer != null
+                        ? formatDistance(viewingPart.installedOdometer, viewingVehicle?.odometer_unit)
+                        : '-'}
+                    </p>
+                  </div>
+                  {distanceSinceInstall !== null && (
+                    <div className="col-span-2">
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Since Install</p>
+                      <p className={`font-medium ${darkMode ? 'text-indigo-400' : 'text-indigo-700'}`}>
+                        {formatDistance(distanceSinceInstall, viewingVehicle?.odometer_unit)} on {viewingVehicle?.nickname || viewingVehicle?.name || 'this vehicle'}
+                      </p>
+                    </div>
+                  )}
+                  {viewingPart.installNotes && (
+                    <div className="col-span-2">
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Notes</p>
+                      <p className="whitespace-pre-wrap">{viewingPart.installNotes}</p>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Return Section */}
+            {viewingPart.returnStatus && (
+              <div
+                className={`pt-6 border-t ${
+                  darkMode ? 'border-gray-700' : 'border-slate-200'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <h3
+                    className={`text-lg font-semibold ${
+                      darkMode ? 'text-gray-200' : 'text-gray-800'
+                    }`}
+                  >
+                    Return
+                  </h3>
+                  {viewingPart.returnTracking && !shouldSkipShip24(viewingPart.returnTracking) && (
+                    <button
+                      onClick={handleRefreshReturnTracking}
+                      disabled={isRefreshingReturnTracking}
+                      title="Refresh return tracking"
+                      className={`p-1.5 rounded-md transition-colors ${
+                        darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'
+                      }`}
+                    >
+                      <RefreshCw className={`w-4 h-4 ${isRefreshingReturnTracking ? 'animate-spin' : ''}`} />
+                    </button>
+                  )}
+                </div>
+                <div className={`grid grid-cols-2 gap-3 text-sm ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+                  <div>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Status</p>
+                    <p className="font-medium">{getReturnStatusLabel(viewingPart.returnStatus)}</p>
+                  </div>
+                  {viewingPart.rmaNumber && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>RMA Number</p>
+                      <p className="font-medium font-mono">{viewingPart.rmaNumber}</p>
+                    </div>
+                  )}
+                  {viewingPart.returnTracking && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Return Tracking</p>
+                      {getTrackingUrl(viewingPart.returnTracking) ? (
+                        <a
+                          href={getTrackingUrl(viewingPart.returnTracking)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className={`inline-flex items-center gap-1 font-medium ${darkMode ? 'text-blue-400' : 'text-blue-600'} hover:underline`}
+                        >
+                          {/^https?:\/\//i.test(viewingPart.returnTracking)
+                            ? (getCarrierName(viewingPart.returnTracking) || 'Track return')
+                            : viewingPart.returnTracking}
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      ) : (
+                        <p className="font-medium">{viewingPart.returnTracking}</p>
+                      )}
+                    </div>
+                  )}
+                  {viewingPart.refundAmount > 0 && (
+                    <div>
+                      <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        {viewingPart.returnStatus === 'refunded' ? 'Refunded' : 'Expected Refund'}
+                      </p>
+                      <p className="font-medium">
+                        {formatCurrency(viewingPart.refundAmount, viewingPart.currency || homeCurrency)}
+                      </p>
+                    </div>
+                  )}
+                </div>
+                {viewingPart.return_tracking_checkpoints && viewingPart.return_tracking_checkpoints.length > 0 && (
+                  <div
+                    className={`mt-4 rounded-lg p-4 ${
+                      darkMode ? 'bg-gray-700' : 'bg-gray-50'
+                    }`}
+                  >
+                    <TrackingTimeline
+                      checkpoints={viewingPart.return_tracking_checkpoints}
+                      status={viewingPart.return_tracking_status}
+                      darkMode={darkMode}
+                      maxVisible={4}
+                      showProgress={true}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Cross-References Section - parts with a part number */}
+            <PartCrossReferences
+              text={viewingPart.partNumber}
+              crossReferences={crossReferences}
+              parts={parts}
+              vendors={vendors}
+              excludePartId={viewingPart.id}
+              onAdd={onAddCrossReference}
+              onDelete={onDeleteCrossReference}
+              darkMode={darkMode}
+            />
+
+            {/* Inventory Section - delivered parts */}
+            {isStockPart(viewingPart) && onInstallFromStock && (
+              <PartInventorySection
+                part={viewingPart}
+                projects={projects}
+                inventoryEvents={inventoryEvents}
+                onInstall={handleInstallFromStock}
+                onAdjust={handleAdjustStock}
+                onUpdateLocation={handleUpdateStorageLocation}
+                darkMode={darkMode}
+              />
+            )}
           </div>
         )}
 
@@ -1111,6 +1810,23 @@ const PartDetailModal = ({
                   <span className="hidden sm:inline">{isRefreshingTracking ? 'Updating...' : 'Refresh'}</span>
                 </button>
               )}
+              {onLoadPartEvents && (
+                <button
+                  onClick={() => {
+                    onLoadPartEvents(viewingPart.id);
+                    setPartDetailView('history');
+                  }}
+                  className={`inline-flex items-center justify-center gap-2 px-3 sm:px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    darkMode
+                      ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                      : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                  }`}
+                  title="History"
+                >
+                  <History className="w-5 h-5 sm:w-4 sm:h-4" />
+                  <span className="hidden sm:inline">History</span>
+                </button>
+              )}
               {/* Archive/Unarchive button */}
               <button
                 onClick={() => {
@@ -1155,13 +1871,15 @@ const PartDetailModal = ({
                 onClick={() => {
                   const partData = {
                     ...viewingPart,
-                    status: viewingPart.delivered
-                      ? 'delivered'
-                      : viewingPart.shipped
-                        ? 'shipped'
-                        : viewingPart.purchased
-                          ? 'purchased'
-                          : 'pending'
+                    status: viewingPart.installed
+                      ? 'installed'
+                      : viewingPart.delivered
+                        ? 'delivered'
+                        : viewingPart.shipped
+                          ? 'shipped'
+                          : viewingPart.purchased
+                            ? 'purchased'
+                            : 'pending'
                   };
                   setEditingPart(partData);
                   setOriginalPartData({ ...partData });
@@ -1175,6 +1893,45 @@ const PartDetailModal = ({
           </div>
         )}
 
+        {/* HISTORY VIEW */}
+        {partDetailView === 'history' && (
+          <div className="p-4 sm:p-6 modal-scrollable slide-in-right">
+            <PartHistory
+              part={viewingPart}
+              parts={parts}
+              events={partEventsPartId === viewingPart.id ? partEvents : []}
+              isLoading={isLoadingPartEvents || partEventsPartId !== viewingPart.id}
+              projects={projects}
+              vehicles={vehicles}
+              formatAmount={(amount) => formatCurrency(amount, viewingPart.currency || homeCurrency)}
+              darkMode={darkMode}
+            />
+          </div>
+        )}
+
+        {/* HISTORY VIEW FOOTER */}
+        {partDetailView === 'history' && (
+          <div
+            className={`sticky bottom-0 border-t p-4 flex items-center ${
+              darkMode
+                ? 'border-gray-700 bg-gray-800'
+                : 'border-slate-200 bg-slate-100'
+            }`}
+          >
+            <button
+              onClick={() => setPartDetailView('detail')}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center text-sm border ${
+                darkMode
+                  ? 'bg-gray-700 hover:bg-gray-600 text-gray-100 border-gray-600'
+                  : 'bg-gray-200 hover:bg-gray-300 text-gray-800 border-gray-300'
+              }`}
+              title="Back to details"
+            >
+              <ChevronDown className="w-4 h-4 rotate-90" />
+            </button>
+          </div>
+        )}
+
         {/* EDIT VIEW */}
         {partDetailView === 'edit' && editingPart && (
           <div className="p-6 modal-scrollable slide-in-right relative">
@@ -1237,6 +1994,7 @@ const PartDetailModal = ({
                     <option value="purchased">Ordered</option>
                     <option value="shipped">Shipped</option>
                     <option value="delivered">Delivered</option>
+                    <option value="installed">Installed</option>
                   </select>
                 </div>
 
@@ -1487,6 +2245,35 @@ const PartDetailModal = ({
 
               {/* RIGHT COLUMN - Price fields */}
               <div className="order-2 md:order-none flex flex-col gap-4">
+                {/* Vendor Order */}
+                {(editOrderOptions.length > 0 || editingOrder) && (
+                  <div>
+                    <label
+                      className={`block text-sm font-medium mb-2 ${
+                        darkMode ? 'text-gray-300' : 'text-slate-700'
+                      }`}
+                    >
+                      Order
+                    </label>
+                    <select
+                      value={editingPart.orderId || ''}
+                      onChange={(e) => handleEditOrderChange(e.target.value ? parseInt(e.target.value) : null)}
+                      className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                        darkMode
+                          ? 'bg-gray-700 border-gray-600 text-gray-100'
+                          : 'bg-slate-50 border-slate-300 text-slate-800'
+                      }`}
+                    >
+                      <option value="">None</option>
+                      {editOrderOptions.map(order => (
+                        <option key={order.id} value={order.id}>
+                          {getOrderLabel(order)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {/* Tracking Number/Link */}
                 <div>
                   <label
@@ -1498,20 +2285,55 @@ const PartDetailModal = ({
                   </label>
                   <input
                     type="text"
-                    value={editingPart.tracking || ''}
+                    value={(editingOrder ? editingOrder.tracking : editingPart.tracking) || ''}
                     onChange={(e) => setEditingPart({
                       ...editingPart,
                       tracking: toAllCaps(e.target.value)
                     })}
+                    disabled={!!editingOrder}
                     className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
                       darkMode
                         ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-400'
                         : 'bg-slate-50 border-slate-300 text-slate-800 placeholder-slate-400'
-                    }`}
+                    } ${editingOrder ? 'opacity-60 cursor-not-allowed' : ''}`}
                     placeholder="e.g., 1Z999AA10123456784"
                   />
+                  {editingOrder && (
+                    <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Tracking, shipping, duties and tax come from the order
+                    </p>
+                  )}
                 </div>
 
+                {/* Warranty - ordered parts only */}
+                {editingPart.status !== 'pending' && (
+                  <WarrantyFields
+                    part={editingPart}
+                    documents={warrantyDocuments}
+                    onChange={(fields) => setEditingPart({ ...editingPart, ...fields })}
+                    darkMode={darkMode}
+                  />
+                )}
+
+                {/* Installation - installed parts only */}
+                {editingPart.status === 'installed' && (
+                  <InstallFields
+                    part={editingPart}
+                    odometerUnit={effectiveEditVehicle?.odometer_unit}
+                    onChange={(fields) => setEditingPart({ ...editingPart, ...fields })}
+                    darkMode={darkMode}
+                  />
+                )}
+
+                {/* Return / refund - ordered parts only */}
+                {(editingPart.purchased || editingPart.returnStatus) && (
+                  <ReturnFields
+                    part={editingPart}
+                    onChange={(fields) => setEditingPart({ ...editingPart, ...fields })}
+                    darkMode={darkMode}
+                  />
+                )}
+
                 {/* Part Number */}
                 <div>
                   <label
@@ -1539,6 +2361,15 @@ const PartDetailModal = ({
                   />
                 </div>
 
+                {/* Currency and exchange rate */}
+                <CurrencyFields
+                  currency={editingPart.currency}
+                  exchangeRate={editingPart.exchangeRate}
+                  rateDate={editingPart.exchangeRateDate || editingPart.createdAt}
+                  onChange={(fields) => setEditingPart({ ...editingPart, ...fields })}
+                  darkMode={darkMode}
+                />
+
                 {/* Price, Shipping, Duties, Quantity - 2x2 grid */}
                 <div className="grid grid-cols-2 gap-4">
                   {/* Price */}
@@ -1548,7 +2379,7 @@ const PartDetailModal = ({
                         darkMode ? 'text-gray-300' : 'text-slate-700'
                       }`}
                     >
-                      Price ($)
+                      Price ({getCurrencySymbol(editingPart.currency || homeCurrency)})
                     </label>
                     <input
                       type="number"
@@ -1577,7 +2408,7 @@ const PartDetailModal = ({
                         darkMode ? 'text-gray-300' : 'text-slate-700'
                       }`}
                     >
-                      Shipping ($)
+                      Shipping ({getCurrencySymbol(editingPart.currency || homeCurrency)})
                     </label>
                     <input
                       type="number"
@@ -1590,11 +2421,12 @@ const PartDetailModal = ({
                           shipping: e.target.value
                         })
                       }
+                      disabled={!!editingOrder}
                       className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none ${
                         darkMode
                           ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-400'
                           : 'bg-slate-50 border-slate-300 text-slate-800 placeholder-slate-400'
-                      }`}
+                      } ${editingOrder ? 'opacity-60 cursor-not-allowed' : ''}`}
                       placeholder="0.00"
                     />
                   </div>
@@ -1606,7 +2438,7 @@ const PartDetailModal = ({
                         darkMode ? 'text-gray-300' : 'text-slate-700'
                       }`}
                     >
-                      Import Duties ($)
+                      Import Duties ({getCurrencySymbol(editingPart.currency || homeCurrency)})
                     </label>
                     <input
                       type="number"
@@ -1619,11 +2451,12 @@ const PartDetailModal = ({
                           duties: e.target.value
                         })
                       }
+                      disabled={!!editingOrder}
                       className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none ${
                         darkMode
                           ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-400'
                           : 'bg-slate-50 border-slate-300 text-slate-800 placeholder-slate-400'
-                      }`}
+                      } ${editingOrder ? 'opacity-60 cursor-not-allowed' : ''}`}
                       placeholder="0.00"
                     />
                   </div>
@@ -1715,6 +2548,14 @@ const PartDetailModal = ({
                   </div>
                 </div>
 
+                {/* Tax, discount and core charges */}
+                <CostAdjustmentFields
+                  costs={editingPart}
+                  onChange={(fields) => setEditingPart({ ...editingPart, ...fields })}
+                  darkMode={darkMode}
+                  taxLocked={!!editingOrder}
+                />
+
                 {/* Price Breakdown Box - aligned to bottom */}
                 <div
                   className={`mt-auto border rounded-lg p-4 ${
@@ -1736,19 +2577,17 @@ const PartDetailModal = ({
                         darkMode ? 'text-green-400' : 'text-green-600'
                       }`}
                     >
-                      $
-                      {(
-                        ((parseFloat(editingPart.price) || 0) * (parseInt(editingPart.quantity) || 1)) +
-                        (parseFloat(editingPart.shipping) || 0) +
-                        (parseFloat(editingPart.duties) || 0)
-                      ).toFixed(2)}
+                      {formatCurrency(
+                        calculatePartTotal(editingPart),
+                        editingPart.currency || homeCurrency
+                      )}
                     </span>
                   </div>
                   {(parseInt(editingPart.quantity) || 1) > 1 && (
                     <div className={`text-xs mt-1 text-right ${
                       darkMode ? 'text-gray-400' : 'text-gray-500'
                     }`}>
-                      ${(parseFloat(editingPart.price) || 0).toFixed(2)} × {parseInt(editingPart.quantity) || 1}
+                      {formatCurrency(parseFloat(editingPart.price) || 0, editingPart.currency || homeCurrency)} × {parseInt(editingPart.quantity) || 1}
                     </div>
                   )}
                 </div>
@@ -1828,11 +2667,13 @@ const PartDetailModal = ({
             <div className="flex items-center gap-2">
               <button
                 onClick={async () => {
-                  const trackingChanged = editingPart.tracking &&
+                  // Order parts are refreshed through their order by saveEditedPart
+                  const trackingChanged = !editingOrder &&
+                    editingPart.tracking &&
                     editingPart.tracking !== viewingPart.tracking &&
                     !shouldSkipShip24(editingPart.tracking);
 
-                  await saveEditedPart();
+                  const savedPart = await saveEditedPart();
 
                   // Update viewingPart with the saved changes
                   const updatedPart = {
@@ -1841,19 +2682,28 @@ const PartDetailModal = ({
                     price: parseFloat(editingPart.price) || 0,
                     shipping: parseFloat(editingPart.shipping) || 0,
                     duties: parseFloat(editingPart.duties) || 0,
+                    tax: resolvePartTax(editingPart),
+                    taxRate: hasTaxRate(editingPart.taxRate) ? parseFloat(editingPart.taxRate) : null,
+                    discount: parseFloat(editingPart.discount) || 0,
+                    coreCharge: parseFloat(editingPart.coreCharge) || 0,
+                    coreRefund: parseFloat(editingPart.coreRefund) || 0,
                     quantity: parseInt(editingPart.quantity) || 1,
-                    total:
-                      ((parseFloat(editingPart.price) || 0) * (parseInt(editingPart.quantity) || 1)) +
-                      (parseFloat(editingPart.shipping) || 0) +
-                      (parseFloat(editingPart.duties) || 0),
-                    delivered: editingPart.status === 'delivered',
+                    total: calculatePartTotal(editingPart),
+                    installed: editingPart.status === 'installed',
+                    delivered:
+                      editingPart.status === 'installed' ||
+                      editingPart.status === 'delivered',
                     shipped:
+                      editingPart.status === 'installed' ||
                       editingPart.status === 'delivered' ||
                       editingPart.status === 'shipped',
                     purchased:
+                      editingPart.status === 'installed' ||
                       editingPart.status === 'delivered' ||
                       editingPart.status === 'shipped' ||
-                      editingPart.status === 'purchased'
+                      editingPart.status === 'purchased',
+                    // Order cost shares and tracking as re-split by the save
+                    ...savedPart
                   };
                   setViewingPart(updatedPart);
                   setPartDetailView('detail');
@@ -1867,10 +2717,15 @@ const PartDetailModal = ({
                         setViewingPart(prev => ({
                           ...prev,
                           ...data.tracking,
-                          delivered: data.tracking.tracking_status === 'Delivered' ? true : prev.delivered
+                          ...getTrackingAdvanceFields(prev, data.advanced)
                         }));
                         if (onRefreshTracking) {
-                          onRefreshTracking(viewingPart.id, data.tracking);
+                          onRefreshTracking(viewingPart.id, data.tracking, data.advanced);
+                        }
+                        if (onTrackingAdvanced) {
+                          onTrackingAdvanced(data.advanced, () => {
+                            setViewingPart(prev => ({ ...prev, ...getTrackingAdvanceUndoFields(prev, data.advanced) }));
+                          });
                         }
                       }
                     } catch (error) {
@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { Truck, Loader2 } from 'lucide-react';
+import { TRACKING_PROVIDER_OPTIONS, PROVIDER_CARRIERS } from '../../utils/trackingUtils';
+
+// The mock provider is refused by production servers unless they opt in,
+// so it is only offered in development builds
+const providerOptions = TRACKING_PROVIDER_OPTIONS.filter(option =>
+  option.value !== 'mock' || process.env.NODE_ENV !== 'production'
+);
+
+/**
+ * Modal for shipment tracking settings
+ * Lets the user pick the tracking provider used for their shipments,
+ * a different provider for specific carriers, and whether carrier updates
+ * mark parts shipped and delivered
+ */
+const TrackingSettingsModal = ({
+  isOpen,
+  onClose,
+  darkMode,
+  trackingProvider,
+  carrierProviders,
+  autoAdvance,
+  onSave
+}) => {
+  const [isClosing, setIsClosing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [draftProvider, setDraftProvider] = useState('');
+  const [draftCarriers, setDraftCarriers] = useState({});
+  const [draftAutoAdvance, setDraftAutoAdvance] = useState(true);
+
+  // Start from the saved settings each time the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraftProvider(trackingProvider || '');
+      setDraftCarriers(carrierProviders || {});
+      setDraftAutoAdvance(autoAdvance !== false);
+    }
+  }, [isOpen, trackingProvider, carrierProviders, autoAdvance]);
+
+  const handleClose = () => {
+    if (isSaving) return;
+    setIsClosing(true);
+    setTimeout(() => {
+      setIsClosing(false);
+      onClose();
+    }, 150);
+  };
+
+  const handleCarrierChange = (carrier, provider) => {
+    const updated = { ...draftCarriers };
+    if (provider) {
+      updated[carrier] = provider;
+    } else {
+      delete updated[carrier];
+    }
+    setDraftCarriers(updated);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSave({
+      trackingProvider: draftProvider || null,
+      carrierProviders: draftCarriers,
+      autoAdvance: draftAutoAdvance
+    });
+    setIsSaving(false);
+    if (saved) {
+      handleClose();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border transition-colors ${
+    darkMode
+      ? 'bg-gray-700 border-gray-600 text-gray-100 focus:border-blue-500'
+      : 'bg-white border-slate-300 text-slate-900 focus:border-blue-500'
+  } focus:outline-none focus:ring-2 focus:ring-blue-500/20`;
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+  const sectionTitleClass = `text-xs uppercase tracking-wide mb-2 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`;
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm modal-backdrop ${
+        isClosing ? 'modal-backdrop-exit' : 'modal-backdrop-enter'
+      }`}
+      onClick={handleClose}
+    >
+      <div
+        className={`w-full max-w-lg max-h-[90vh] flex flex-col rounded-xl shadow-2xl overflow-hidden modal-content ${
+          isClosing ? 'modal-popup-exit' : 'modal-popup-enter'
+        } ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-slate-50 border border-slate-200'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className={`px-6 py-4 border-b ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <div className="flex items-center gap-3">
+            <div className={`p-2 rounded-full ${darkMode ? 'bg-blue-900/50' : 'bg-blue-100'}`}>
+              <Truck className="w-5 h-5 text-blue-500" />
+            </div>
+            <h3
+              className={`text-lg font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+              style={{ fontFamily: "'FoundationOne', 'Courier New', monospace" }}
+            >
+              Tracking
+            </h3>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className={`px-6 py-4 space-y-4 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+          {/* Default provider */}
+          <div>
+            <label htmlFor="tracking-provider" className={labelClass}>Tracking provider</label>
+            <select
+              id="tracking-provider"
+              value={draftProvider}
+              onChange={(e) => setDraftProvider(e.target.value)}
+              disabled={isSaving}
+              className={inputClass}
+            >
+              <option value="">Server default</option>
+              {providerOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+              Looks up carrier updates for your tracking numbers. Takes effect on the next refresh.
+            </p>
+          </div>
+
+          {/* Status from tracking */}
+          <label className="flex items-start gap-2 text-sm cursor-pointer">
+            <input
+              type="checkbox"
+              checked={draftAutoAdvance}
+              onChange={(e) => setDraftAutoAdvance(e.target.checked)}
+              disabled={isSaving}
+              className="mt-1"
+            />
+            <span>
+              <span className="font-medium">Update part status from tracking</span>
+              <span className={`block text-xs ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+                Mark ordered parts shipped when the carrier has the package, and delivered when it arrives.
+              </span>
+            </span>
+          </label>
+
+          {/* Per-carrier overrides */}
+          <div className={`pt-2 border-t space-y-2 ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+            <p className={sectionTitleClass}>Per carrier</p>
+            {PROVIDER_CARRIERS.map(carrier => (
+              <div key={carrier} className="grid grid-cols-2 gap-2 items-center">
+                <label htmlFor={`carrier-provider-${carrier}`} className="text-sm">{carrier}</label>
+                <select
+                  id={`carrier-provider-${carrier}`}
+                  value={draftCarriers[carrier] || ''}
+                  onChange={(e) => handleCarrierChange(carrier, e.target.value)}
+                  disabled={isSaving}
+                  className={inputClass}
+                >
+                  <option value="">Same as above</option>
+                  {providerOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className={`px-6 py-4 flex justify-end gap-3 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+            } ${isSaving ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+              isSaving
+                ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                : 'bg-blue-600 hover:bg-blue-700 text-white'
+            }`}
+          >
+            {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrackingSettingsModal;
@@ -31,6 +31,8 @@ import {
 import ProjectDetailView from '../ui/ProjectDetailView';
 import ProjectEditForm from '../ui/ProjectEditForm';
 import LinkedPartsSection from '../ui/LinkedPartsSection';
+import InstalledPartsTimeline from '../ui/InstalledPartsTimeline';
+import VehicleOwnershipCost from '../ui/VehicleOwnershipCost';
 import FadeInImage from '../ui/FadeInImage';
 import AddDocumentModal from './AddDocumentModal';
 import AddServiceEventModal from './AddServiceEventModal';
@@ -49,10 +51,11 @@ import {
 } from '../../utils/colorUtils';
 import { inputClasses, toTitleCase, toSentenceCase, toAllCaps } from '../../utils/styleUtils';
 import { generateVehicleReportPDF, downloadBlob } from '../../utils/pdfUtils';
-import { useDocuments, useServiceEvents } from '../../contexts';
+import { useDocuments, useServiceEvents, useCurrencyContext } from '../../contexts';
 import * as projectsService from '../../services/projectsService';
 import * as partsService from '../../services/partsService';
 import ComboBox from '../ui/ComboBox';
+import PartCrossReferences from '../ui/PartCrossReferences';
 import {
   VEHICLE_MAKES,
   VEHICLE_YEARS,
@@ -64,6 +67,7 @@ import {
   formatOdometer,
   formatOilCapacity
 } from '../../utils/vehicleOptions';
+import { formatCurrency, getCurrencySymbol, getPartHomeSpend } from '../../utils/currencyUtils';
 
 const VehicleDetailModal = ({
   isOpen,
@@ -81,6 +85,8 @@ const VehicleDetailModal = ({
   projects,
   parts,
   vehicles,
+  vendors = [],
+  crossReferences = [],
   vendorColors,
   vehicleImagePreview,
   vehicleImageFile,
@@ -130,8 +136,14 @@ const VehicleDetailModal = ({
   calculateProjectStatus,
   toast,
   setActiveTab,
-  archivePart
+  archivePart,
+  vehicleExpenses = [],
+  vehicleExpensesVehicleId = null,
+  onLoadVehicleExpenses,
+  onAddVehicleExpense,
+  onDeleteVehicleExpense
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   // State for image gallery navigation
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
   // Slide direction for animation: 'left' or 'right' or null (initial)
@@ -437,13 +449,18 @@ const VehicleDetailModal = ({
 
   const serviceEventsHiddenCount = Math.max(0, sortedServiceEvents.length - 3);
 
-  // Load documents and service events when modal opens
+  // Load documents, service events and expenses when modal opens
+  // (and again when a home currency change converts their amounts)
   useEffect(() => {
     if (isOpen && viewingVehicle?.id) {
       loadDocuments(viewingVehicle.id);
       loadServiceEvents(viewingVehicle.id);
+      onLoadVehicleExpenses?.(viewingVehicle.id);
     }
-  }, [isOpen, viewingVehicle?.id, loadDocuments, loadServiceEvents]);
+  }, [isOpen, viewingVehicle?.id, loadDocuments, loadServiceEvents, homeCurrency]);
+
+  // Expenses still loading for another vehicle are not shown
+  const expenses = vehicleExpensesVehicleId === viewingVehicle?.id ? vehicleExpenses : [];
 
   // Reset service event view when modal closes
   useEffect(() => {
@@ -481,7 +498,9 @@ const VehicleDetailModal = ({
         viewingVehicle,
         projects,
         parts,
-        serviceEvents
+        serviceEvents,
+        homeCurrency,
+        expenses
       );
 
       // Download the PDF immediately
@@ -829,7 +848,7 @@ const VehicleDetailModal = ({
                               }`}>Purchase Price</p>
                               <p className={`text-base font-medium ${
                                 darkMode ? 'text-green-400' : 'text-green-600'
-                              }`}>${parseFloat(viewingVehicle.purchase_price).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                              }`}>{formatCurrency(parseFloat(viewingVehicle.purchase_price), homeCurrency)}</p>
                             </div>
                           )}
                         </div>
@@ -903,10 +922,10 @@ const VehicleDetailModal = ({
                                       ? (darkMode ? 'text-yellow-400' : 'text-yellow-600')
                                       : (darkMode ? 'text-green-400' : 'text-green-600')
                                   }>
-                                    ${totalSpent.toFixed(2)}
+                                    {formatCurrency(totalSpent, homeCurrency)}
                                   </span>
                                   <span className={darkMode ? 'text-gray-300' : 'text-slate-700'}>
-                                    {' '}/ ${Math.round(totalBudget)}
+                                    {' '}/ {getCurrencySymbol(homeCurrency)}{Math.round(totalBudget)}
                                   </span>
                                 </span>
                                 <span className={`text-sm font-bold ${
@@ -960,6 +979,14 @@ const VehicleDetailModal = ({
                               <p className={`text-base ${
                                 darkMode ? 'text-gray-100' : 'text-slate-800'
                               }`}>{viewingVehicle.fuel_filter}</p>
+                              <PartCrossReferences
+                                text={viewingVehicle.fuel_filter}
+                                crossReferences={crossReferences}
+                                parts={parts}
+                                vendors={vendors}
+                                compact
+                                darkMode={darkMode}
+                              />
                             </div>
                           )}
                           {viewingVehicle.oil_filter && (
@@ -970,6 +997,14 @@ const VehicleDetailModal = ({
                               <p className={`text-base ${
                                 darkMode ? 'text-gray-100' : 'text-slate-800'
                               }`}>{viewingVehicle.oil_filter}</p>
+                              <PartCrossReferences
+                                text={viewingVehicle.oil_filter}
+                                crossReferences={crossReferences}
+                                parts={parts}
+                                vendors={vendors}
+                                compact
+                                darkMode={darkMode}
+                              />
                             </div>
                           )}
                           {viewingVehicle.air_filter && (
@@ -980,6 +1015,14 @@ const VehicleDetailModal = ({
                               <p className={`text-base ${
                                 darkMode ? 'text-gray-100' : 'text-slate-800'
                               }`}>{viewingVehicle.air_filter}</p>
+                              <PartCrossReferences
+                                text={viewingVehicle.air_filter}
+                                crossReferences={crossReferences}
+                                parts={parts}
+                                vendors={vendors}
+                                compact
+                                darkMode={darkMode}
+                              />
                             </div>
                           )}
                           {viewingVehicle.oil_capacity && (
@@ -1214,7 +1257,7 @@ const VehicleDetailModal = ({
                         darkMode ? 'bg-green-900/40 text-green-300' : 'bg-green-100 text-green-700'
                       }`}>
                         <Wrench className="w-3 h-3" />
-                        ${servicePartsTotal.toFixed(2)}
+                        {formatCurrency(servicePartsTotal, homeCurrency)}
                       </span>
                     );
                   })()}
@@ -1382,7 +1425,7 @@ const VehicleDetailModal = ({
                                       if (event.linked_part_ids && event.linked_part_ids.length > 0) {
                                         totalCost += event.linked_part_ids.reduce((sum, partId) => {
                                           const part = parts.find(p => p.id === partId);
-                                          return sum + (part ? (part.total || 0) : 0);
+                                          return sum + (part ? getPartHomeSpend(part) : 0);
                                         }, 0);
                                       }
                                       if (totalCost === 0) return null;
@@ -1391,7 +1434,7 @@ const VehicleDetailModal = ({
                                           darkMode ? 'text-green-400' : 'text-green-600'
                                         }`}>
                                           <BadgeDollarSign className="w-3 h-3 flex-shrink-0" />
-                                          ${totalCost.toFixed(2)}
+                                          {formatCurrency(totalCost, homeCurrency)}
                                         </span>
                                       );
                                     })()}
@@ -1706,6 +1749,27 @@ const VehicleDetailModal = ({
                 </div>
               </div>
 
+              {/* Installed Parts Timeline */}
+              <InstalledPartsTimeline
+                vehicle={viewingVehicle}
+                parts={parts}
+                projects={projects}
+                serviceEvents={serviceEvents}
+                darkMode={darkMode}
+              />
+
+              {/* Total Cost of Ownership */}
+              <VehicleOwnershipCost
+                vehicle={viewingVehicle}
+                parts={parts}
+                projects={projects}
+                serviceEvents={serviceEvents}
+                expenses={expenses}
+                onAddExpense={onAddVehicleExpense}
+                onDeleteExpense={onDeleteVehicleExpense}
+                darkMode={darkMode}
+              />
+
               {/* Projects Section */}
               {(() => {
                 const vehicleProjects = getVehicleProjects(viewingVehicle.id)
@@ -1726,7 +1790,7 @@ const VehicleDetailModal = ({
                       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                         {vehicleProjects.map((project) => {
                           const projectParts = parts.filter(p => p.projectId === project.id);
-                          const projectTotal = projectParts.reduce((sum, part) => sum + part.total, 0);
+                          const projectTotal = projectParts.reduce((sum, part) => sum + getPartHomeSpend(part), 0);
                           const completedTodos = project.todos ? project.todos.filter(t => t.completed).length : 0;
                           const uncompletedTodos = project.todos ? project.todos.filter(t => !t.completed).length : 0;
 
@@ -1786,7 +1850,7 @@ const VehicleDetailModal = ({
                                     darkMode ? 'text-gray-500' : 'text-gray-400'
                                   }`} />
                                   <span className={darkMode ? 'text-gray-400' : 'text-slate-600'}>
-                                    ${projectTotal.toFixed(2)}
+                                    {formatCurrency(projectTotal, homeCurrency)}
                                   </span>
                                 </div>
                                 {project.todos && project.todos.length > 0 && (
@@ -2896,7 +2960,7 @@ const VehicleDetailModal = ({
                                   <span className={`text-xs font-medium ${
                                     darkMode ? 'text-gray-400' : 'text-gray-500'
                                   }`}>
-                                    ${part.total?.toFixed(2) || '0.00'}
+                                    {formatCurrency(part.total || 0, part.currency || homeCurrency)}
                                   </span>
                                 </button>
                               );
@@ -3034,7 +3098,7 @@ const VehicleDetailModal = ({
                   if (viewingInfoEvent.linked_part_ids && viewingInfoEvent.linked_part_ids.length > 0) {
                     totalCost += viewingInfoEvent.linked_part_ids.reduce((sum, partId) => {
                       const part = parts.find(p => p.id === partId);
-                      return sum + (part ? (part.total || 0) : 0);
+                      return sum + (part ? getPartHomeSpend(part) : 0);
                     }, 0);
                   }
                   if (totalCost === 0) return null;
@@ -3048,12 +3112,12 @@ const VehicleDetailModal = ({
                       <p className={`text-lg font-semibold ${
                         darkMode ? 'text-green-400' : 'text-green-600'
                       }`}>
-                        ${totalCost.toFixed(2)}
+                        {formatCurrency(totalCost, homeCurrency)}
                         {viewingInfoEvent.cost > 0 && viewingInfoEvent.linked_part_ids?.length > 0 && (
                           <span className={`text-xs font-normal ml-2 ${
                             darkMode ? 'text-gray-500' : 'text-gray-400'
                           }`}>
-                            (${viewingInfoEvent.cost.toFixed(2)} + ${(totalCost - viewingInfoEvent.cost).toFixed(2)} parts)
+                            ({formatCurrency(viewingInfoEvent.cost, homeCurrency)} + {formatCurrency(totalCost - viewingInfoEvent.cost, homeCurrency)} parts)
                           </span>
                         )}
                       </p>
@@ -3153,7 +3217,7 @@ const VehicleDetailModal = ({
                                     <span className={`font-medium ${
                                       darkMode ? 'text-gray-200' : 'text-gray-800'
                                     }`}>
-                                      ${(part.price || 0).toFixed(2)}
+                                      {formatCurrency(part.price || 0, part.currency || homeCurrency)}
                                     </span>
                                   </div>
                                   {part.shipping > 0 && (
@@ -3164,7 +3228,7 @@ const VehicleDetailModal = ({
                                       <span className={`font-medium ${
                                         darkMode ? 'text-gray-200' : 'text-gray-800'
                                       }`}>
-                                        ${part.shipping.toFixed(2)}
+                                        {formatCurrency(part.shipping, part.currency || homeCurrency)}
                                       </span>
                                     </div>
                                   )}
@@ -3176,7 +3240,7 @@ const VehicleDetailModal = ({
                                       <span className={`font-medium ${
                                         darkMode ? 'text-gray-200' : 'text-gray-800'
                                       }`}>
-                                        ${part.duties.toFixed(2)}
+                                        {formatCurrency(part.duties, part.currency || homeCurrency)}
                                       </span>
                                     </div>
                                   )}
@@ -3187,7 +3251,7 @@ const VehicleDetailModal = ({
                                       Total:
                                     </span>
                                     <span className={darkMode ? 'text-gray-100' : 'text-slate-800'}>
-                                      ${(part.total || 0).toFixed(2)}
+                                      {formatCurrency(part.total || 0, part.currency || homeCurrency)}
                                     </span>
                                   </div>
                                 </div>
@@ -3839,7 +3903,7 @@ const VehicleDetailModal = ({
                 if (viewingInfoEvent?.linked_part_ids && viewingInfoEvent.linked_part_ids.length > 0) {
                   totalCost += viewingInfoEvent.linked_part_ids.reduce((sum, partId) => {
                     const part = parts.find(p => p.id === partId);
-                    return sum + (part ? (part.total || 0) : 0);
+                    return sum + (part ? getPartHomeSpend(part) : 0);
                   }, 0);
                 }
                 if (totalCost === 0) return null;
@@ -3853,12 +3917,12 @@ const VehicleDetailModal = ({
                     <p className={`text-lg font-semibold ${
                       darkMode ? 'text-green-400' : 'text-green-600'
                     }`}>
-                      ${totalCost.toFixed(2)}
+                      {formatCurrency(totalCost, homeCurrency)}
                       {viewingInfoEvent?.cost > 0 && viewingInfoEvent?.linked_part_ids?.length > 0 && (
                         <span className={`text-xs font-normal ml-2 ${
                           darkMode ? 'text-gray-500' : 'text-gray-400'
                         }`}>
-                          (${viewingInfoEvent.cost.toFixed(2)} + ${(totalCost - viewingInfoEvent.cost).toFixed(2)} parts)
+                          ({formatCurrency(viewingInfoEvent.cost, homeCurrency)} + {formatCurrency(totalCost - viewingInfoEvent.cost, homeCurrency)} parts)
                         </span>
                       )}
                     </p>
@@ -3958,7 +4022,7 @@ const VehicleDetailModal = ({
                                   <span className={`font-medium ${
                                     darkMode ? 'text-gray-200' : 'text-gray-800'
                                   }`}>
-                                    ${(part.price || 0).toFixed(2)}
+                                    {formatCurrency(part.price || 0, part.currency || homeCurrency)}
                                   </span>
                                 </div>
                                 {part.shipping > 0 && (
@@ -3969,7 +4033,7 @@ const VehicleDetailModal = ({
                                     <span className={`font-medium ${
                                       darkMode ? 'text-gray-200' : 'text-gray-800'
                                     }`}>
-                                      ${part.shipping.toFixed(2)}
+                                      {formatCurrency(part.shipping, part.currency || homeCurrency)}
                                     </span>
                                   </div>
                                 )}
@@ -3981,7 +4045,7 @@ const VehicleDetailModal = ({
                                     <span className={`font-medium ${
                                       darkMode ? 'text-gray-200' : 'text-gray-800'
                                     }`}>
-                                      ${part.duties.toFixed(2)}
+                                      {formatCurrency(part.duties, part.currency || homeCurrency)}
                                     </span>
                                   </div>
                                 )}
@@ -3992,7 +4056,7 @@ const VehicleDetailModal = ({
                                     Total:
                                   </span>
                                   <span className={darkMode ? 'text-gray-100' : 'text-slate-800'}>
-                                    ${(part.total || 0).toFixed(2)}
+                                    {formatCurrency(part.total || 0, part.currency || homeCurrency)}
                                   </span>
                                 </div>
                               </div>
@@ -0,0 +1,431 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Boxes, Loader2, Plus, ChevronLeft, Info } from 'lucide-react';
+import VendorSelect from '../ui/VendorSelect';
+import { inputClasses, selectDropdownStyle, toAllCaps } from '../../utils/styleUtils';
+import { formatCurrency, getCurrencySymbol } from '../../utils/currencyUtils';
+import {
+  ORDER_ALLOCATION_METHODS,
+  apportionOrderCosts,
+  getOrderSummary,
+  getOrderLabel
+} from '../../utils/orderUtils';
+import { calculatePartTotal } from '../../utils/costUtils';
+import { useCurrencyContext } from '../../contexts';
+
+const EMPTY_ORDER = {
+  id: null,
+  vendor: '',
+  orderNumber: '',
+  orderDate: '',
+  shipping: '',
+  duties: '',
+  tax: '',
+  allocationMethod: 'price',
+  tracking: ''
+};
+
+/**
+ * Format an order date for the order list
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} Short date, or empty string
+ */
+const formatOrderDate = (date) => {
+  if (!date) return '';
+  return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Modal for vendor orders
+ * Lists orders and lets the user group parts into an order with shared
+ * shipping, duties, tax and one tracking number. Shared costs are split
+ * across the order's parts by price or quantity.
+ */
+const VendorOrdersModal = ({
+  isOpen,
+  onClose,
+  darkMode,
+  orders,
+  parts,
+  uniqueVendors,
+  initialOrderId = null,
+  initialPartIds = [],
+  onSaveOrder,
+  onDeleteOrder,
+  setConfirmDialog
+}) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [isClosing, setIsClosing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [view, setView] = useState('list');
+  const [form, setForm] = useState(EMPTY_ORDER);
+  const [selectedPartIds, setSelectedPartIds] = useState([]);
+
+  const openOrder = (order) => {
+    setForm(order ? {
+      ...order,
+      orderDate: order.orderDate || '',
+      shipping: order.shipping || '',
+      duties: order.duties || '',
+      tax: order.tax || ''
+    } : EMPTY_ORDER);
+    setSelectedPartIds(order ? parts.filter(part => part.orderId === order.id).map(part => part.id) : []);
+    setView('edit');
+  };
+
+  // Jump straight to an order (or a new order for given parts) when asked
+  useEffect(() => {
+    if (!isOpen) return;
+    const initialOrder = orders.find(order => order.id === initialOrderId);
+    if (initialOrder) {
+      openOrder(initialOrder);
+    } else if (initialPartIds.length > 0) {
+      const firstPart = parts.find(part => part.id === initialPartIds[0]);
+      setForm({ ...EMPTY_ORDER, vendor: firstPart?.vendor || '' });
+      setSelectedPartIds(initialPartIds);
+      setView('edit');
+    } else {
+      setView('list');
+    }
+  }, [isOpen]);
+
+  const handleClose = () => {
+    if (isSaving) return;
+    setIsClosing(true);
+    setTimeout(() => {
+      setIsClosing(false);
+      setView('list');
+      setForm(EMPTY_ORDER);
+      setSelectedPartIds([]);
+      onClose();
+    }, 150);
+  };
+
+  // Parts that can go in this order: its current parts, plus unassigned parts from the same vendor
+  const candidateParts = useMemo(() => {
+    return parts.filter(part => {
+      if (form.id && part.orderId === form.id) return true;
+      if (selectedPartIds.includes(part.id)) return true;
+      if (part.orderId || part.archived) return false;
+      return !form.vendor || part.vendor === form.vendor;
+    });
+  }, [parts, form.id, form.vendor, selectedPartIds]);
+
+  const selectedParts = candidateParts.filter(part => selectedPartIds.includes(part.id));
+  const orderCurrency = selectedParts[0]?.currency || homeCurrency;
+  const previewAllocations = apportionOrderCosts(form, selectedParts);
+  const mixedCurrencies = new Set(selectedParts.map(part => part.currency || homeCurrency)).size > 1;
+
+  const togglePart = (partId) => {
+    setSelectedPartIds(prev =>
+      prev.includes(partId) ? prev.filter(id => id !== partId) : [...prev, partId]
+    );
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSaveOrder(form, selectedPartIds);
+    setIsSaving(false);
+    if (saved) {
+      setView('list');
+    }
+  };
+
+  const handleDelete = () => {
+    setConfirmDialog({
+      isOpen: true,
+      title: 'Delete Order',
+      message: `Delete ${getOrderLabel(form)}? Its parts are kept, along with their share of the shipping, duties and tax.`,
+      confirmText: 'Delete',
+      onConfirm: async () => {
+        await onDeleteOrder(form.id);
+        setView('list');
+      }
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const labelClass = `block text-sm font-medium mb-1 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-slate-500';
+  const currencySymbol = getCurrencySymbol(orderCurrency);
+
+  return (
+    <div
+      className={`fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50 backdrop-blur-sm modal-backdrop ${
+        isClosing ? 'modal-backdrop-exit' : 'modal-backdrop-enter'
+      }`}
+      onClick={handleClose}
+    >
+      <div
+        className={`w-full max-w-2xl max-h-[90vh] flex flex-col rounded-xl shadow-2xl overflow-hidden modal-content ${
+          isClosing ? 'modal-popup-exit' : 'modal-popup-enter'
+        } ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-slate-50 border border-slate-200'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className={`px-6 py-4 border-b ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          <div className="flex items-center gap-3">
+            <div className={`p-2 rounded-full ${darkMode ? 'bg-blue-900/50' : 'bg-blue-100'}`}>
+              <Boxes className="w-5 h-5 text-blue-500" />
+            </div>
+            <h3
+              className={`text-lg font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+              style={{ fontFamily: "'FoundationOne', 'Courier New', monospace" }}
+            >
+              {view === 'list' ? 'Vendor Orders' : form.id ? getOrderLabel(form) : 'New Order'}
+            </h3>
+          </div>
+        </div>
+
+        {/* Body */}
+        <div className={`px-6 py-4 space-y-4 overflow-y-auto ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>
+          {view === 'list' ? (
+            <>
+              <button
+                onClick={() => openOrder(null)}
+                className="w-full px-4 py-2 rounded-lg font-medium transition-colors flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                <Plus className="w-4 h-4" />
+                New order
+              </button>
+              {orders.length === 0 ? (
+                <p className={`text-sm ${mutedClass}`}>
+                  No orders yet. Group parts bought together so shipping, duties and tax are entered once.
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {orders.map(order => {
+                    const orderParts = parts.filter(part => part.orderId === order.id);
+                    const summary = getOrderSummary(order, orderParts);
+                    return (
+                      <li key={order.id}>
+                        <button
+                          onClick={() => openOrder(order)}
+                          className={`w-full p-3 rounded-lg flex items-start justify-between gap-3 text-left transition-colors ${
+                            darkMode ? 'bg-gray-700/50 hover:bg-gray-700' : 'bg-slate-100 hover:bg-slate-200'
+                          }`}
+                        >
+                          <div className="min-w-0">
+                            <p className="font-medium truncate">{getOrderLabel(order)}</p>
+                            <p className={`text-xs ${mutedClass}`}>
+                              {[formatOrderDate(order.orderDate), `${orderParts.length} part${orderParts.length !== 1 ? 's' : ''}`, orderParts[0]?.tracking_status]
+                                .filter(Boolean)
+                                .join(' · ')}
+                            </p>
+                          </div>
+                          <span className="font-semibold flex-shrink-0">
+                            {formatCurrency(summary.total, orderParts[0]?.currency || homeCurrency)}
+                          </span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className={labelClass}>Vendor</label>
+                  <VendorSelect
+                    value={form.vendor}
+                    onChange={(vendor) => setForm({ ...form, vendor })}
+                    darkMode={darkMode}
+                    uniqueVendors={uniqueVendors}
+                  />
+                </div>
+                <div className="space-y-4">
+                  <div>
+                    <label className={labelClass}>Order number</label>
+                    <input
+                      type="text"
+                      value={form.orderNumber}
+                      onChange={(e) => setForm({ ...form, orderNumber: e.target.value })}
+                      className={inputClasses(darkMode)}
+                      placeholder="e.g. 112-4839201"
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Order date</label>
+                    <input
+                      type="date"
+                      value={form.orderDate}
+                      onChange={(e) => setForm({ ...form, orderDate: e.target.value })}
+                      className={inputClasses(darkMode)}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4">
+                {[
+                  { key: 'shipping', label: 'Shipping' },
+                  { key: 'duties', label: 'Duties' },
+                  { key: 'tax', label: 'Tax' }
+                ].map(field => (
+                  <div key={field.key}>
+                    <label className={labelClass}>{field.label} ({currencySymbol})</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      inputMode="decimal"
+                      value={form[field.key]}
+                      onChange={(e) => setForm({ ...form, [field.key]: e.target.value })}
+                      className={inputClasses(darkMode, '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none')}
+                      placeholder="0.00"
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className={labelClass}>Split shared costs</label>
+                  <select
+                    value={form.allocationMethod}
+                    onChange={(e) => setForm({ ...form, allocationMethod: e.target.value })}
+                    className={inputClasses(darkMode, 'min-h-[42px]')}
+                    style={selectDropdownStyle}
+                  >
+                    {ORDER_ALLOCATION_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>{method.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Tracking number</label>
+                  <input
+                    type="text"
+                    value={form.tracking}
+                    onChange={(e) => setForm({ ...form, tracking: toAllCaps(e.target.value) })}
+                    className={inputClasses(darkMode)}
+                    placeholder="Shared by every part in the order"
+                  />
+                </div>
+              </div>
+
+              {/* Parts in the order with their share of shared costs */}
+              <div className={`pt-2 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+                <p className={`text-xs uppercase tracking-wide mb-2 ${mutedClass}`}>
+                  Parts {form.vendor ? `from ${form.vendor}` : ''}
+                </p>
+                {candidateParts.length === 0 ? (
+                  <p className={`text-sm ${mutedClass}`}>No unassigned parts{form.vendor ? ' from this vendor' : ''}.</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {candidateParts.map(part => {
+                      const isSelected = selectedPartIds.includes(part.id);
+                      const share = previewAllocations[part.id];
+                      const currency = part.currency || homeCurrency;
+                      return (
+                        <li key={part.id}>
+                          <label
+                            className={`px-3 py-2 rounded-lg flex items-center gap-3 text-sm cursor-pointer ${
+                              darkMode ? 'bg-gray-700/50' : 'bg-slate-100'
+                            } ${isSelected ? '' : 'opacity-60'}`}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={isSelected}
+                              onChange={() => togglePart(part.id)}
+                            />
+                            <span className="flex-1 min-w-0 truncate">
+                              {part.part}
+                              {(part.quantity || 1) > 1 && <span className={mutedClass}> ×{part.quantity}</span>}
+                            </span>
+                            {share && (
+                              <span className={`text-xs flex-shrink-0 ${mutedClass}`}>
+                                +{formatCurrency(share.shipping + share.duties + share.tax, currency)}
+                              </span>
+                            )}
+                            <span className="font-medium flex-shrink-0">
+                              {formatCurrency(share ? calculatePartTotal({ ...part, ...share, taxRate: null }) : (part.price || 0) * (part.quantity || 1), currency)}
+                            </span>
+                          </label>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                )}
+                {selectedParts.length > 0 && (
+                  <div className="flex justify-between items-center mt-3 font-semibold">
+                    <span>Order total</span>
+                    <span>{formatCurrency(getOrderSummary(form, selectedParts).total, orderCurrency)}</span>
+                  </div>
+                )}
+              </div>
+
+              {mixedCurrencies && (
+                <div className={`p-3 rounded-lg border ${darkMode ? 'bg-yellow-900/20 border-yellow-800' : 'bg-yellow-50 border-yellow-200'}`}>
+                  <div className="flex gap-2">
+                    <Info className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm">
+                      These parts use different currencies. Shared costs are split as entered, in each part&apos;s own currency.
+                    </p>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className={`px-6 py-4 flex items-center gap-3 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+          {view === 'edit' && (
+            <button
+              onClick={() => setView('list')}
+              disabled={isSaving}
+              className={`p-2 rounded-lg transition-colors ${
+                darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-slate-200 text-slate-600'
+              }`}
+              title="Back to orders"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+          )}
+          {view === 'edit' && form.id && (
+            <button
+              onClick={handleDelete}
+              disabled={isSaving}
+              className={`px-3 py-2 rounded-lg text-sm transition-colors ${
+                darkMode ? 'hover:bg-red-900/50 text-red-400' : 'hover:bg-red-50 text-red-600'
+              }`}
+            >
+              Delete
+            </button>
+          )}
+          <div className="flex-1" />
+          <button
+            onClick={handleClose}
+            disabled={isSaving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-700 hover:bg-gray-600 text-gray-100'
+                : 'bg-slate-200 hover:bg-slate-300 text-slate-800'
+            } ${isSaving ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            {view === 'list' ? 'Done' : 'Cancel'}
+          </button>
+          {view === 'edit' && (
+            <button
+              onClick={handleSave}
+              disabled={isSaving || selectedPartIds.length === 0}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors flex items-center gap-2 ${
+                isSaving || selectedPartIds.length === 0
+                  ? 'bg-blue-600/50 text-white/50 cursor-not-allowed'
+                  : 'bg-blue-600 hover:bg-blue-700 text-white'
+              }`}
+            >
+              {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+              Save order
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VendorOrdersModal;
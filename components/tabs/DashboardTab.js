@@ -0,0 +1,305 @@
+import React, { useEffect, useMemo } from 'react';
+import { BadgeDollarSign, Package, Wrench, CalendarRange, TrendingUp, TrendingDown } from 'lucide-react';
+import { useCurrencyContext, useServiceEvents } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { getPriorityBorderColor } from '../../utils/colorUtils';
+import {
+  getSpendEntries,
+  getMonthlySpend,
+  getSpendByVehicle,
+  getSpendByVendor,
+  getSpendByPriority,
+  getServiceVsPartsSpend,
+  getYearOverYearSpend
+} from '../../utils/spendDashboardUtils';
+
+const VENDOR_LIMIT = 8;
+const PARTS_COLOR = '#3b82f6';
+const SERVICE_COLOR = '#f59e0b';
+const NEUTRAL_COLOR = '#94a3b8';
+
+// Card wrapper shared by every dashboard section
+const DashboardCard = ({ title, darkMode, children }) => (
+  <div className={`rounded-lg shadow-md p-4 ${darkMode ? 'bg-gray-800' : 'bg-slate-100'}`}>
+    <h3 className={`text-sm font-semibold mb-4 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>{title}</h3>
+    {children}
+  </div>
+);
+
+// Color key for a chart's series
+const Legend = ({ items, darkMode }) => (
+  <div className={`flex flex-wrap gap-4 mt-3 text-xs ${darkMode ? 'text-gray-400' : 'text-slate-600'}`}>
+    {items.map(item => (
+      <span key={item.label} className="flex items-center gap-1.5">
+        <span className="w-2.5 h-2.5 rounded-sm" style={{ backgroundColor: item.color }} />
+        {item.label}
+      </span>
+    ))}
+  </div>
+);
+
+// Vertical bar chart; each column is a list of { value, color } segments, stacked or side by side
+const ColumnChart = ({ columns, stacked, darkMode, homeCurrency }) => {
+  const max = Math.max(...columns.map(column => (
+    stacked
+      ? column.segments.reduce((sum, segment) => sum + Math.max(segment.value, 0), 0)
+      : Math.max(...column.segments.map(segment => segment.value))
+  )), 0);
+
+  return (
+    <div className="flex items-end gap-1 sm:gap-2 h-40">
+      {columns.map(column => (
+        <div
+          key={column.key}
+          className="flex-1 h-full flex flex-col items-center justify-end min-w-0"
+          title={column.segments.map(segment => `${segment.label}: ${formatCurrency(segment.value, homeCurrency)}`).join('\n')}
+        >
+          <div className={`w-full flex-1 flex justify-center ${stacked ? 'flex-col-reverse' : 'items-end gap-0.5'}`}>
+            {column.segments.map(segment => {
+              const height = max > 0 ? `${(Math.max(segment.value, 0) / max) * 100}%` : '0%';
+              return (
+                <div
+                  key={segment.label}
+                  className={stacked ? 'w-full' : 'flex-1 rounded-t-sm'}
+                  style={{ height, backgroundColor: segment.color }}
+                />
+              );
+            })}
+          </div>
+          <span className={`text-[10px] sm:text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+            {column.label}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Horizontal bars, one per row, split into parts and service spend unless getColor
+// gives each row a single color
+const SpendBars = ({ rows, darkMode, homeCurrency, getColor }) => {
+  const max = Math.max(...rows.map(row => row.total), 0);
+  if (rows.length === 0) {
+    return <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>No spend yet</p>;
+  }
+  return (
+    <ul className="space-y-3">
+      {rows.map(row => (
+        <li key={row.key ?? 'none'}>
+          <div className="flex justify-between gap-3 text-sm mb-1">
+            <span className={`truncate ${darkMode ? 'text-gray-300' : 'text-slate-700'}`}>{row.label}</span>
+            <span className={`font-medium flex-shrink-0 ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+              {formatCurrency(row.total, homeCurrency)}
+            </span>
+          </div>
+          <div className={`w-full h-2 rounded-full overflow-hidden flex ${darkMode ? 'bg-gray-700' : 'bg-slate-200'}`}>
+            {max > 0 && (getColor ? [{ value: row.total, color: getColor(row) }] : [
+              { value: row.parts, color: PARTS_COLOR },
+              { value: row.service, color: SERVICE_COLOR }
+            ]).map((segment, index) => (
+              <div
+                key={index}
+                className="h-full"
+                style={{ width: `${(Math.max(segment.value, 0) / max) * 100}%`, backgroundColor: segment.color }}
+              />
+            ))}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const DashboardTab = ({
+  tabContentRef,
+  parts,
+  projects,
+  vehicles,
+  darkMode
+}) => {
+  const { homeCurrency } = useCurrencyContext();
+  const { allServiceEvents, loadAllServiceEvents } = useServiceEvents();
+
+  // Service events are otherwise only loaded per vehicle, so fetch them all on each visit
+  // (and again when a home currency change converts their costs)
+  useEffect(() => {
+    loadAllServiceEvents();
+  }, [loadAllServiceEvents, homeCurrency]);
+
+  const entries = useMemo(
+    () => getSpendEntries(parts, projects, allServiceEvents),
+    [parts, projects, allServiceEvents]
+  );
+  const totals = getServiceVsPartsSpend(entries);
+  const monthly = getMonthlySpend(entries);
+  const byVehicle = getSpendByVehicle(entries, vehicles);
+  const byVendor = getSpendByVendor(entries);
+  const byPriority = getSpendByPriority(entries);
+  const yearOverYear = getYearOverYearSpend(entries);
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-slate-600';
+  const valueText = darkMode ? 'text-gray-100' : 'text-gray-800';
+  const seriesLegend = [
+    { label: 'Parts', color: PARTS_COLOR },
+    { label: 'Service', color: SERVICE_COLOR }
+  ];
+
+  const summaryCards = [
+    { label: 'Total spent', value: totals.total, Icon: BadgeDollarSign, border: 'border-green-500', icon: 'text-green-500' },
+    { label: 'Parts', value: totals.parts, Icon: Package, border: 'border-blue-500', icon: 'text-blue-500' },
+    { label: 'Service', value: totals.service, Icon: Wrench, border: 'border-amber-500', icon: 'text-amber-500' },
+    { label: `${yearOverYear.year} to date`, value: yearOverYear.currentToDate, Icon: CalendarRange, border: 'border-purple-500', icon: 'text-purple-500' }
+  ];
+  const ChangeIcon = yearOverYear.change > 0 ? TrendingUp : TrendingDown;
+
+  return (
+    <div ref={tabContentRef} className="slide-in-left space-y-6">
+      {/* Summary */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {summaryCards.map(({ label, value, Icon, border, icon }) => (
+          <div
+            key={label}
+            className={`rounded-lg shadow-md p-4 border-l-4 ${border} relative overflow-hidden ${
+              darkMode ? 'bg-gray-800' : 'bg-slate-100'
+            }`}
+          >
+            <Icon className={`w-6 h-6 absolute top-2 right-2 opacity-20 ${icon}`} />
+            <p className={`text-xs mb-1 ${mutedText}`}>{label}</p>
+            <p className={`text-xl font-bold truncate ${valueText}`}>{formatCurrency(value, homeCurrency)}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Monthly spend */}
+      <DashboardCard title="Monthly spend (last 12 months)" darkMode={darkMode}>
+        <ColumnChart
+          stacked
+          darkMode={darkMode}
+          homeCurrency={homeCurrency}
+          columns={monthly.map(month => ({
+            key: month.month,
+            label: month.label,
+            segments: [
+              { label: 'Parts', value: month.parts, color: PARTS_COLOR },
+              { label: 'Service', value: month.service, color: SERVICE_COLOR }
+            ]
+          }))}
+        />
+        <Legend items={seriesLegend} darkMode={darkMode} />
+      </DashboardCard>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Spend by vehicle */}
+        <DashboardCard title="Spend by vehicle" darkMode={darkMode}>
+          <SpendBars rows={byVehicle} darkMode={darkMode} homeCurrency={homeCurrency} />
+          {byVehicle.length > 0 && <Legend items={seriesLegend} darkMode={darkMode} />}
+        </DashboardCard>
+
+        {/* Service vs parts */}
+        <DashboardCard title="Service vs parts" darkMode={darkMode}>
+          {totals.total > 0 ? (
+            <>
+              <div className="w-full h-4 rounded-full overflow-hidden flex">
+                <div style={{ width: `${(Math.max(totals.parts, 0) / totals.total) * 100}%`, backgroundColor: PARTS_COLOR }} />
+                <div style={{ width: `${(Math.max(totals.service, 0) / totals.total) * 100}%`, backgroundColor: SERVICE_COLOR }} />
+              </div>
+              <div className="grid grid-cols-2 gap-4 mt-4 text-sm">
+                {[
+                  { label: 'Parts', value: totals.parts },
+                  { label: 'Service', value: totals.service }
+                ].map(({ label, value }) => (
+                  <div key={label}>
+                    <p className={`text-xs ${mutedText}`}>{label}</p>
+                    <p className={`font-medium ${valueText}`}>
+                      {formatCurrency(value, homeCurrency)}
+                      <span className={`ml-1 text-xs font-normal ${mutedText}`}>
+                        {Math.round((value / totals.total) * 100)}%
+                      </span>
+                    </p>
+                  </div>
+                ))}
+              </div>
+              <p className={`text-xs mt-3 ${mutedText}`}>
+                Service includes service event costs and the parts linked to service events
+              </p>
+            </>
+          ) : (
+            <p className={`text-sm ${mutedText}`}>No spend yet</p>
+          )}
+        </DashboardCard>
+
+        {/* Spend by vendor */}
+        <DashboardCard title="Spend by vendor" darkMode={darkMode}>
+          <SpendBars rows={byVendor.slice(0, VENDOR_LIMIT)} darkMode={darkMode} homeCurrency={homeCurrency} />
+          {byVendor.length > VENDOR_LIMIT && (
+            <p className={`text-xs mt-3 ${mutedText}`}>
+              and {byVendor.length - VENDOR_LIMIT} more vendors
+            </p>
+          )}
+        </DashboardCard>
+
+        {/* Spend by project priority */}
+        <DashboardCard title="Spend by project priority" darkMode={darkMode}>
+          <SpendBars
+            rows={byPriority}
+            darkMode={darkMode}
+            homeCurrency={homeCurrency}
+            getColor={(row) => (row.key === 'none' ? NEUTRAL_COLOR : getPriorityBorderColor(row.key))}
+          />
+        </DashboardCard>
+      </div>
+
+      {/* Year over year */}
+      <DashboardCard title={`${yearOverYear.year} vs ${yearOverYear.year - 1}`} darkMode={darkMode}>
+        <div className="flex flex-wrap gap-x-8 gap-y-2 mb-4 text-sm">
+          <div>
+            <p className={`text-xs ${mutedText}`}>{yearOverYear.year} to date</p>
+            <p className={`font-medium ${valueText}`}>{formatCurrency(yearOverYear.currentToDate, homeCurrency)}</p>
+          </div>
+          <div>
+            <p className={`text-xs ${mutedText}`}>Same time in {yearOverYear.year - 1}</p>
+            <p className={`font-medium ${valueText}`}>{formatCurrency(yearOverYear.previousToDate, homeCurrency)}</p>
+          </div>
+          <div>
+            <p className={`text-xs ${mutedText}`}>All of {yearOverYear.year - 1}</p>
+            <p className={`font-medium ${valueText}`}>{formatCurrency(yearOverYear.previousTotal, homeCurrency)}</p>
+          </div>
+          {yearOverYear.change !== null && (
+            <div>
+              <p className={`text-xs ${mutedText}`}>Change</p>
+              <p className={`font-medium flex items-center gap-1 ${
+                yearOverYear.change > 0
+                  ? darkMode ? 'text-red-400' : 'text-red-600'
+                  : darkMode ? 'text-green-400' : 'text-green-600'
+              }`}>
+                <ChangeIcon className="w-4 h-4" />
+                {yearOverYear.change > 0 ? '+' : ''}{Math.round(yearOverYear.change * 100)}%
+              </p>
+            </div>
+          )}
+        </div>
+        <ColumnChart
+          darkMode={darkMode}
+          homeCurrency={homeCurrency}
+          columns={yearOverYear.months.map(month => ({
+            key: month.label,
+            label: month.label,
+            segments: [
+              { label: String(yearOverYear.year - 1), value: month.previous, color: NEUTRAL_COLOR },
+              { label: String(yearOverYear.year), value: month.current, color: PARTS_COLOR }
+            ]
+          }))}
+        />
+        <Legend
+          items={[
+            { label: String(yearOverYear.year - 1), color: NEUTRAL_COLOR },
+            { label: String(yearOverYear.year), color: PARTS_COLOR }
+          ]}
+          darkMode={darkMode}
+        />
+      </DashboardCard>
+    </div>
+  );
+};
+
+export default DashboardTab;
@@ -3,17 +3,41 @@ import {
   Search, Package, Receipt, Truck, CheckCircle, Clock,
   ChevronDown, Plus, X, ExternalLink, ShoppingCart, Car,
   ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight,
-  PackageCheck, PackageSearch, PackageX, BadgeCheck, Archive
+  PackageCheck, PackageSearch, PackageX, BadgeCheck, Archive, Undo2, Boxes, Wrench,
+  ShieldCheck, AlertTriangle
 } from 'lucide-react';
 import PriceDisplay from '../ui/PriceDisplay';
+import StockView from '../ui/StockView';
+import ExpiringWarranties from '../ui/ExpiringWarranties';
+import BulkActionBar from '../ui/BulkActionBar';
+import SavedViewsMenu from '../ui/SavedViewsMenu';
 import { getVendorDisplayColor } from '../../utils/colorUtils';
 import { getTrackingUrl, getCarrierName, shouldSkipShip24 } from '../../utils/trackingUtils';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency, isMissingExchangeRate } from '../../utils/currencyUtils';
+import { PART_COST_COMPONENTS } from '../../utils/costUtils';
+import { RETURN_STATUSES } from '../../utils/returnUtils';
+import { WARRANTY_FILTERS } from '../../utils/warrantyUtils';
+import { buildPartsCSV, getPartsExportFilename } from '../../utils/exportUtils';
+import { getPartsQuerySuggestions } from '../../utils/partsQueryUtils';
+import { downloadBlob } from '../../utils/pdfUtils';
+
+// Icon and colors for each return status option in the status dropdown
+const RETURN_STATUS_STYLES = {
+  returned: { Icon: PackageX, hover: ['hover:bg-orange-900/30', 'hover:bg-orange-50'], icon: ['text-orange-400', 'text-orange-600'] },
+  return_in_transit: { Icon: Undo2, hover: ['hover:bg-purple-900/30', 'hover:bg-purple-50'], icon: ['text-purple-400', 'text-purple-600'] },
+  refunded: { Icon: Receipt, hover: ['hover:bg-teal-900/30', 'hover:bg-teal-50'], icon: ['text-teal-400', 'text-teal-600'] }
+};
 
 const PartsTab = ({
   tabContentRef,
+  previousTab,
   stats,
   filteredStats,
   filteredParts,
+  parts,
+  stockThresholds,
+  saveStockThreshold,
   darkMode,
   searchTerm,
   setSearchTerm,
@@ -21,6 +45,15 @@ const PartsTab = ({
   setStatusFilter,
   deliveredFilter,
   setDeliveredFilter,
+  warrantyFilter,
+  setWarrantyFilter,
+  partsRowsPerPage,
+  setPartsRowsPerPage,
+  partsView,
+  applyPartsView,
+  savedViews,
+  saveView,
+  deleteView,
   vendorFilter,
   setVendorFilter,
   sortBy,
@@ -46,6 +79,8 @@ const PartsTab = ({
   setViewingPart,
   updatePartStatus,
   updatePartProject,
+  uniqueVendors,
+  bulkActions,
   handleSort,
   getSortIcon,
   getStatusIcon,
@@ -53,6 +88,30 @@ const PartsTab = ({
   getStatusColor,
   getVendorColor
 }) => {
+  const { homeCurrency } = useCurrencyContext();
+
+  // Cost breakdown rows - parts, shipping and duties always, the rest only when used
+  // Refunds from returned parts come off the total last
+  const breakdownRows = [
+    ...PART_COST_COMPONENTS,
+    { key: 'refunds', label: 'Refunds', sign: -1 }
+  ].filter(component =>
+    ['subtotal', 'shipping', 'duties'].includes(component.key) || filteredStats.costs[component.key] > 0
+  );
+
+  // Stock view replaces the parts table with inventory on hand
+  const [showStockView, setShowStockView] = useState(false);
+
+  // Search box autocomplete
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  // Highlighted suggestion; -1 until the user arrows into the list
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
+
+  // Selected rows for bulk actions; the anchor is the last row clicked, for shift-click ranges
+  const [selectedPartIds, setSelectedPartIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
+  const [isBulkWorking, setIsBulkWorking] = useState(false);
+
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
   const [isPaginating, setIsPaginating] = useState(false);
@@ -78,27 +137,13 @@ const PartsTab = ({
     return Math.max(5, Math.floor(availableHeight / rowHeight));
   };
 
-  const [isAutoRows, setIsAutoRows] = useState(() => {
-    if (typeof window !== 'undefined') {
-      const saved = localStorage.getItem('partsTableRowsPerPage');
-      return saved === 'auto' || saved === null;
-    }
-    return true;
-  });
-
   const initialRows = getInitialRowEstimate();
-  const [rowsPerPage, setRowsPerPage] = useState(() => {
-    if (typeof window !== 'undefined') {
-      const saved = localStorage.getItem('partsTableRowsPerPage');
-      if (saved && saved !== 'auto') {
-        const parsed = parseInt(saved, 10);
-        if (!isNaN(parsed)) return parsed;
-      }
-    }
-    return initialRows;
-  });
   const [calculatedRows, setCalculatedRows] = useState(initialRows);
 
+  // 'auto' fits as many rows as the window has room for
+  const isAutoRows = partsRowsPerPage === 'auto';
+  const rowsPerPage = isAutoRows ? calculatedRows : partsRowsPerPage;
+
   // Calculate optimal rows based on available viewport height
   const calculateOptimalRows = useCallback(() => {
     if (!tableContainerRef.current) return calculatedRows;
@@ -118,11 +163,7 @@ const PartsTab = ({
   // Use useLayoutEffect for initial calculation (runs before paint)
   useLayoutEffect(() => {
     if (tableContainerRef.current) {
-      const optimal = calculateOptimalRows();
-      setCalculatedRows(optimal);
-      if (isAutoRows) {
-        setRowsPerPage(optimal);
-      }
+      setCalculatedRows(calculateOptimalRows());
     }
   }, [calculateOptimalRows, isAutoRows]);
 
@@ -140,7 +181,6 @@ const PartsTab = ({
           setTimeout(() => setResizeAnimationStart(null), 400);
         }
         prevRowsPerPageRef.current = optimal;
-        setRowsPerPage(optimal);
       }
     };
 
@@ -171,13 +211,6 @@ const PartsTab = ({
     }, 150);
   }, [setOpenDropdown]);
 
-  // Save rowsPerPage preference to localStorage whenever it changes
-  useEffect(() => {
-    if (typeof window !== 'undefined') {
-      localStorage.setItem('partsTableRowsPerPage', isAutoRows ? 'auto' : rowsPerPage.toString());
-    }
-  }, [rowsPerPage, isAutoRows]);
-
   const [containerMinHeight, setContainerMinHeight] = useState('auto');
 
   // Progress bar tooltip state (desktop only)
@@ -207,7 +240,16 @@ const PartsTab = ({
   // Reset to page 1 when filters change
   useEffect(() => {
     setCurrentPage(1);
-  }, [filteredParts.length, searchTerm, statusFilter, deliveredFilter, vendorFilter]);
+  }, [filteredParts.length, searchTerm, statusFilter, deliveredFilter, vendorFilter, warrantyFilter]);
+
+  // Selected parts that are filtered out, archived or deleted leave the selection
+  useEffect(() => {
+    setSelectedPartIds(prev => {
+      const filteredIds = new Set(filteredParts.map(part => part.id));
+      const next = new Set([...prev].filter(id => filteredIds.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+  }, [filteredParts]);
 
   // Prevent scroll restoration when filtering
   useEffect(() => {
@@ -269,6 +311,165 @@ const PartsTab = ({
   const endIndex = startIndex + rowsPerPage;
   const paginatedParts = filteredParts.slice(startIndex, endIndex);
 
+  // Bulk selection
+  const selectedParts = filteredParts.filter(part => selectedPartIds.has(part.id));
+  const isPageSelected = paginatedParts.length > 0 && paginatedParts.every(part => selectedPartIds.has(part.id));
+
+  // Shift-click selects (or deselects) every row between the anchor and the clicked row
+  const togglePartSelection = (partId, shiftKey) => {
+    const anchorIndex = filteredParts.findIndex(part => part.id === selectionAnchorRef.current);
+    const index = filteredParts.findIndex(part => part.id === partId);
+    setSelectedPartIds(prev => {
+      const next = new Set(prev);
+      const select = !prev.has(partId);
+      const range = shiftKey && anchorIndex !== -1
+        ? filteredParts.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        : [{ id: partId }];
+      range.forEach(part => (select ? next.add(part.id) : next.delete(part.id)));
+      return next;
+    });
+    selectionAnchorRef.current = partId;
+  };
+
+  const togglePageSelection = () => {
+    setSelectedPartIds(prev => {
+      const next = new Set(prev);
+      paginatedParts.forEach(part => (isPageSelected ? next.delete(part.id) : next.add(part.id)));
+      return next;
+    });
+  };
+
+  const clearSelection = () => {
+    setSelectedPartIds(new Set());
+    selectionAnchorRef.current = null;
+  };
+
+  const runBulkAction = async (action, ...args) => {
+    setIsBulkWorking(true);
+    try {
+      await action(selectedParts.map(part => part.id), ...args);
+    } finally {
+      setIsBulkWorking(false);
+    }
+  };
+
+  const exportSelectedParts = () => {
+    const csv = buildPartsCSV(selectedParts, { projects, vehicles, homeCurrency, getStatusText });
+    downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), getPartsExportFilename());
+  };
+
+  const renderSelectCheckbox = (checked, label) => (
+    <input
+      type="checkbox"
+      checked={checked}
+      readOnly
+      aria-label={label}
+      className="w-4 h-4 rounded cursor-pointer accent-blue-600 pointer-events-none"
+    />
+  );
+
+  // Search query autocomplete - field names, then vendors, projects, vehicles and statuses
+  const searchSuggestions = showSuggestions
+    ? getPartsQuerySuggestions(searchTerm, { vendors: uniqueVendors, projects, vehicles })
+    : [];
+
+  const applySuggestion = (suggestion) => {
+    setIsSearching(true);
+    setSearchTerm(suggestion.query);
+    setActiveSuggestion(-1);
+    setTimeout(() => setIsSearching(false), 600);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (searchSuggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveSuggestion(prev => prev < 0
+        ? (step > 0 ? 0 : searchSuggestions.length - 1)
+        : (prev + step + searchSuggestions.length) % searchSuggestions.length);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && searchSuggestions[activeSuggestion]) {
+      // Only take over Enter and Tab once a suggestion is highlighted, so Tab still moves focus
+      e.preventDefault();
+      applySuggestion(searchSuggestions[activeSuggestion]);
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
+  const renderSearchSuggestions = () => searchSuggestions.length > 0 && (
+    <ul className={`absolute left-0 right-0 z-20 mt-1 rounded-lg border shadow-lg py-1 dropdown-fade-in ${
+      darkMode ? 'bg-gray-700 border-gray-600' : 'bg-slate-50 border-slate-300'
+    }`}>
+      {searchSuggestions.map((suggestion, index) => (
+        <li key={suggestion.query}>
+          <button
+            type="button"
+            // Keep focus in the search box so it doesn't blur and close the list
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => applySuggestion(suggestion)}
+            className={`w-full flex items-center justify-between gap-3 px-3 py-1.5 text-sm text-left ${
+              index === activeSuggestion
+                ? 'bg-blue-600 text-white'
+                : darkMode ? 'text-gray-100 hover:bg-gray-600' : 'text-gray-900 hover:bg-gray-100'
+            }`}
+          >
+            <span className="truncate">{suggestion.label}</span>
+            <span className={`flex-shrink-0 text-xs ${
+              index === activeSuggestion ? 'text-blue-100' : darkMode ? 'text-gray-400' : 'text-slate-500'
+            }`}>
+              {suggestion.hint}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+
+  // Saved views menu - applying a view animates like any other filter change
+  const renderSavedViewsMenu = () => (
+    <SavedViewsMenu
+      savedViews={savedViews}
+      currentView={partsView}
+      onApply={(view) => {
+        setIsStatusFiltering(true);
+        applyPartsView(view);
+        setTimeout(() => setIsStatusFiltering(false), 600);
+      }}
+      onSave={(name) => saveView(name, partsView)}
+      onDelete={deleteView}
+      darkMode={darkMode}
+    />
+  );
+
+  // Warranty filter button - each click moves to the next filter in WARRANTY_FILTERS
+  const renderWarrantyFilterButton = () => {
+    const index = WARRANTY_FILTERS.findIndex(option => option.value === warrantyFilter);
+    const current = WARRANTY_FILTERS[index] || WARRANTY_FILTERS[0];
+    const next = WARRANTY_FILTERS[(index + 1) % WARRANTY_FILTERS.length];
+    return (
+      <button
+        onClick={() => {
+          setIsStatusFiltering(true);
+          setWarrantyFilter(next.value);
+          setTimeout(() => setIsStatusFiltering(false), 600);
+        }}
+        className={`flex items-center justify-center h-[38px] w-[38px] rounded-lg border transition-all ${
+          warrantyFilter !== 'all'
+            ? (darkMode
+                ? 'text-emerald-300 border-emerald-600 hover:text-emerald-200 hover:border-emerald-500'
+                : 'text-emerald-600 border-emerald-400 hover:text-emerald-700 hover:border-emerald-500')
+            : (darkMode
+                ? 'text-gray-400 border-gray-600 hover:text-gray-300 hover:border-gray-500'
+                : 'text-slate-400 border-slate-300 hover:text-slate-600 hover:border-slate-400')
+        }`}
+        title={`Warranty: ${current.label} (click for ${next.label.toLowerCase()})`}
+      >
+        <ShieldCheck className="w-5 h-5" />
+      </button>
+    );
+  };
+
   // Internal StatusDropdown component
   const StatusDropdown = ({ part }) => {
     const isOpen = openDropdown === part.id;
@@ -280,7 +481,8 @@ const PartsTab = ({
     useEffect(() => {
       if (isOpen && buttonRef.current) {
         const rect = buttonRef.current.getBoundingClientRect();
-        const dropdownHeight = 200; // Height of 4-item dropdown with padding
+        // 5 status items, plus a divider and 3 return items for ordered parts
+        const dropdownHeight = part.purchased ? 385 : 240;
         const spaceBelow = window.innerHeight - rect.bottom;
 
         // Simple: open upward if not enough space below
@@ -333,6 +535,20 @@ const PartsTab = ({
               } ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-slate-50 border-slate-200'}`}
               style={dropdownStyle}
             >
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  updatePartStatus(part.id, 'installed');
+                }}
+                className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                  darkMode
+                    ? 'text-gray-300 hover:bg-indigo-900/30'
+                    : 'text-gray-700 hover:bg-indigo-50'
+                }`}
+              >
+                <Wrench className={`w-4 h-4 ${darkMode ? 'text-indigo-400' : 'text-indigo-600'}`} />
+                <span>Installed</span>
+              </button>
               <button
                 onClick={(e) => {
                   e.stopPropagation();
@@ -389,6 +605,31 @@ const PartsTab = ({
                 <Clock className={`w-4 h-4 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
                 <span>Pending</span>
               </button>
+              {part.purchased && (
+                <>
+                  <div className={`my-1 border-t ${darkMode ? 'border-gray-600' : 'border-slate-200'}`} />
+                  {RETURN_STATUSES.map(({ value, label }) => {
+                    const { Icon, hover, icon } = RETURN_STATUS_STYLES[value];
+                    return (
+                      <button
+                        key={value}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          updatePartStatus(part.id, value);
+                        }}
+                        className={`w-full px-4 py-2 text-left text-sm flex items-center gap-2 ${
+                          darkMode
+                            ? `text-gray-300 ${hover[0]}`
+                            : `text-gray-700 ${hover[1]}`
+                        }`}
+                      >
+                        <Icon className={`w-4 h-4 ${darkMode ? icon[0] : icon[1]}`} />
+                        <span>{label}</span>
+                      </button>
+                    );
+                  })}
+                </>
+              )}
             </div>
           </>
         )}
@@ -558,7 +799,7 @@ const PartsTab = ({
   return (
     <div
       ref={tabContentRef}
-      className="slide-in-left"
+      className={previousTab === 'dashboard' ? 'slide-in-right' : 'slide-in-left'}
       style={{
         // Apply minHeight on mobile to maintain page height during filtering
         minHeight: window.innerWidth < 948 ? containerMinHeight : 'auto'
@@ -799,6 +1040,11 @@ const PartsTab = ({
                   <p className={`text-xl font-bold truncate ${
                     darkMode ? 'text-gray-100' : 'text-gray-800'
                   }`}>{deliveredFilter === 'hide' ? stats.undelivered : stats.delivered}</p>
+                  {stats.openReturns > 0 && (
+                    <p className={`text-xs truncate ${darkMode ? 'text-orange-400' : 'text-orange-600'}`}>
+                      {stats.openReturns} return{stats.openReturns !== 1 ? 's' : ''} open
+                    </p>
+                  )}
                 </div>
               </div>
 
@@ -837,8 +1083,14 @@ const PartsTab = ({
                     onChange={(e) => {
                       setIsSearching(true);
                       setSearchTerm(e.target.value);
+                      setActiveSuggestion(-1);
+                      setShowSuggestions(true);
                       setTimeout(() => setIsSearching(false), 600);
                     }}
+                    onFocus={() => setShowSuggestions(true)}
+                    onBlur={() => setShowSuggestions(false)}
+                    onKeyDown={handleSearchKeyDown}
+                    title="Filter with vendor:, project:, vehicle:, status:, price>100 and more; put - in front of a term to exclude it"
                     disabled={stats.total === 0 && stats.archivedCount === 0}
                   />
                   {searchTerm && (
@@ -856,7 +1108,32 @@ const PartsTab = ({
                       <X className="w-4 h-4" />
                     </button>
                   )}
+                  {renderSearchSuggestions()}
                 </div>
+                {/* Saved Views Menu */}
+                {renderSavedViewsMenu()}
+                {/* Warranty Filter Button */}
+                {renderWarrantyFilterButton()}
+                {/* Stock View Toggle Button */}
+                <button
+                  onClick={() => {
+                    setIsStatusFiltering(true);
+                    setShowStockView(!showStockView);
+                    setTimeout(() => setIsStatusFiltering(false), 600);
+                  }}
+                  className={`flex items-center justify-center h-[38px] w-[38px] rounded-lg border transition-all ${
+                    showStockView
+                      ? (darkMode
+                          ? 'text-blue-300 border-blue-600 hover:text-blue-200 hover:border-blue-500'
+                          : 'text-blue-600 border-blue-400 hover:text-blue-700 hover:border-blue-500')
+                      : (darkMode
+                          ? 'text-gray-400 border-gray-600 hover:text-gray-300 hover:border-gray-500'
+                          : 'text-slate-400 border-slate-300 hover:text-slate-600 hover:border-slate-400')
+                  }`}
+                  title={showStockView ? "Show parts" : "Show stock on hand"}
+                >
+                  <Boxes className="w-5 h-5" />
+                </button>
                 {/* Archive Toggle Button */}
                 <button
                   onClick={() => {
@@ -952,56 +1229,46 @@ const PartsTab = ({
 
               {/* Line Items */}
               <div className="grid grid-cols-1 gap-0.5 flex-1">
-                <div className={`flex items-center justify-between py-0.5`}>
-                  <p className={`text-xs ${
-                    darkMode ? 'text-gray-400' : 'text-slate-600'
-                  }`}>Parts</p>
-                  <PriceDisplay
-                    amount={filteredStats.totalPrice}
-                    className={`text-sm font-semibold truncate ${
-                      darkMode ? 'text-gray-100' : 'text-gray-800'
-                    }`}
-                    darkMode={darkMode}
-                  />
-                </div>
-                <div className={`flex items-center justify-between py-0.5`}>
-                  <p className={`text-xs ${
-                    darkMode ? 'text-gray-400' : 'text-slate-600'
-                  }`}>Shipping</p>
-                  <PriceDisplay
-                    amount={filteredStats.totalShipping}
-                    className={`text-sm font-semibold truncate ${
-                      darkMode ? 'text-gray-100' : 'text-gray-800'
+                {breakdownRows.map((component, index) => (
+                  <div
+                    key={component.key}
+                    className={`flex items-center justify-between py-0.5 ${
+                      index === breakdownRows.length - 1
+                        ? `border-b ${darkMode ? 'border-gray-700' : 'border-gray-300'}`
+                        : ''
                     }`}
-                    darkMode={darkMode}
-                  />
-                </div>
-                <div className={`flex items-center justify-between py-0.5 border-b ${
-                  darkMode ? 'border-gray-700' : 'border-gray-300'
-                }`}>
-                  <p className={`text-xs ${
-                    darkMode ? 'text-gray-400' : 'text-slate-600'
-                  }`}>Import Duties</p>
-                  <PriceDisplay
-                    amount={filteredStats.totalDuties}
-                    className={`text-sm font-semibold truncate ${
+                  >
+                    <p className={`text-xs ${
+                      darkMode ? 'text-gray-400' : 'text-slate-600'
+                    }`}>{component.label}</p>
+                    <span className={`text-sm font-semibold truncate ${
                       darkMode ? 'text-gray-100' : 'text-gray-800'
-                    }`}
-                    darkMode={darkMode}
-                  />
-                </div>
+                    }`}>
+                      {component.sign < 0 && '−'}
+                      <PriceDisplay
+                        amount={filteredStats.costs[component.key]}
+                        darkMode={darkMode}
+                      />
+                    </span>
+                  </div>
+                ))}
                 <div className={`flex items-center justify-between`}>
                   <p className={`text-sm font-bold ${
                     darkMode ? 'text-gray-200' : 'text-slate-800'
                   }`}>Total</p>
                   <PriceDisplay
-                    amount={filteredStats.totalCost}
+                    amount={filteredStats.costs.net}
                     className={`text-base font-bold truncate ${
                       darkMode ? 'text-gray-100' : 'text-gray-800'
                     }`}
                     darkMode={darkMode}
                   />
                 </div>
+                {filteredStats.missingRates > 0 && (
+                  <p className={`text-xs ${darkMode ? 'text-yellow-400' : 'text-yellow-700'}`}>
+                    {filteredStats.missingRates} part{filteredStats.missingRates !== 1 ? 's' : ''} without a {homeCurrency} rate counted 1:1
+                  </p>
+                )}
 
               </div>
             </div>
@@ -1070,8 +1337,14 @@ const PartsTab = ({
                   onChange={(e) => {
                     setIsSearching(true);
                     setSearchTerm(e.target.value);
+                    setActiveSuggestion(-1);
+                    setShowSuggestions(true);
                     setTimeout(() => setIsSearching(false), 600);
                   }}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setShowSuggestions(false)}
+                  onKeyDown={handleSearchKeyDown}
+                  title="Filter with vendor:, project:, vehicle:, status:, price>100 and more; put - in front of a term to exclude it"
                   disabled={stats.total === 0 && stats.archivedCount === 0}
                 />
                 {searchTerm && (
@@ -1089,7 +1362,32 @@ const PartsTab = ({
                     <X className="w-4 h-4" />
                   </button>
                 )}
+                {renderSearchSuggestions()}
               </div>
+              {/* Saved Views Menu */}
+              {renderSavedViewsMenu()}
+              {/* Warranty Filter Button */}
+              {renderWarrantyFilterButton()}
+              {/* Stock View Toggle Button */}
+              <button
+                onClick={() => {
+                  setIsStatusFiltering(true);
+                  setShowStockView(!showStockView);
+                  setTimeout(() => setIsStatusFiltering(false), 600);
+                }}
+                className={`flex items-center justify-center h-[38px] w-[38px] rounded-lg border transition-all ${
+                  showStockView
+                    ? (darkMode
+                        ? 'text-blue-300 border-blue-600 hover:text-blue-200 hover:border-blue-500'
+                        : 'text-blue-600 border-blue-400 hover:text-blue-700 hover:border-blue-500')
+                    : (darkMode
+                        ? 'text-gray-400 border-gray-600 hover:text-gray-300 hover:border-gray-500'
+                        : 'text-slate-400 border-slate-300 hover:text-slate-600 hover:border-slate-400')
+                }`}
+                title={showStockView ? "Show parts" : "Show stock on hand"}
+              >
+                <Boxes className="w-5 h-5" />
+              </button>
               {/* Archive Toggle Button */}
               <button
                 onClick={() => {
@@ -1114,6 +1412,55 @@ const PartsTab = ({
           </div>
         </div>
 
+        {showStockView ? (
+          <StockView
+            parts={parts}
+            stockThresholds={stockThresholds}
+            onSaveThreshold={saveStockThreshold}
+            searchTerm={searchTerm}
+            darkMode={darkMode}
+            onOpenPart={(part) => {
+              setViewingPart(part);
+              setShowPartDetailModal(true);
+            }}
+          />
+        ) : (
+        <>
+        {/* Warranties about to run out */}
+        {!showArchivedParts && (
+          <ExpiringWarranties
+            parts={parts}
+            warrantyFilter={warrantyFilter}
+            setWarrantyFilter={setWarrantyFilter}
+            darkMode={darkMode}
+            onOpenPart={(part) => {
+              setViewingPart(part);
+              setShowPartDetailModal(true);
+            }}
+          />
+        )}
+        {/* Actions for the selected parts */}
+        {selectedParts.length > 0 && (
+          <BulkActionBar
+            selectedCount={selectedParts.length}
+            filteredCount={filteredParts.length}
+            onSelectAll={() => setSelectedPartIds(new Set(filteredParts.map(part => part.id)))}
+            onClear={clearSelection}
+            onStatus={(status) => runBulkAction(bulkActions.updateStatus, status)}
+            onProject={(projectId) => runBulkAction(bulkActions.assignProject, projectId)}
+            onVehicle={(vehicleId) => runBulkAction(bulkActions.assignVehicle, vehicleId)}
+            onVendor={(vendor) => runBulkAction(bulkActions.setVendor, vendor)}
+            onArchive={(archived) => runBulkAction(bulkActions.archive, archived)}
+            onExport={exportSelectedParts}
+            onDelete={() => bulkActions.remove(selectedParts.map(part => part.id))}
+            showArchived={showArchivedParts}
+            projects={projects}
+            vehicles={vehicles}
+            vendors={uniqueVendors}
+            isWorking={isBulkWorking}
+            darkMode={darkMode}
+          />
+        )}
         {/* Parts Table */}
         {/* Desktop Table View - Hidden below 800px */}
         {filteredParts.length > 0 ? (
@@ -1128,6 +1475,15 @@ const PartsTab = ({
                 darkMode ? 'bg-gray-700 border-gray-600' : 'bg-slate-50 border-slate-200'
               }`}>
                 <tr>
+                  <th
+                    onClick={togglePageSelection}
+                    className={`w-[48px] pl-5 pr-1 py-4 text-center cursor-pointer transition-colors ${
+                      darkMode ? 'hover:bg-gray-600' : 'hover:bg-slate-200'
+                    }`}
+                    title={isPageSelected ? 'Deselect this page' : 'Select this page'}
+                  >
+                    {renderSelectCheckbox(isPageSelected, 'Select all parts on this page')}
+                  </th>
                   <th
                     onClick={() => handleSort('status')}
                     className={`w-[180px] px-6 py-4 text-center text-xs font-semibold uppercase tracking-wider cursor-pointer transition-colors ${
@@ -1208,8 +1564,17 @@ const PartsTab = ({
                     }}
                     className={`transition-colors cursor-pointer parts-table-row ${
                       darkMode ? 'dark' : 'light'
-                    }${resizeAnimationStart !== null && index >= resizeAnimationStart ? ' row-resize-fade-in' : ''}`}
+                    }${selectedPartIds.has(part.id) ? (darkMode ? ' bg-blue-900/20' : ' bg-blue-50') : ''}${resizeAnimationStart !== null && index >= resizeAnimationStart ? ' row-resize-fade-in' : ''}`}
                   >
+                    <td
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        togglePartSelection(part.id, e.shiftKey);
+                      }}
+                      className="pl-5 pr-1 py-4 text-center select-none"
+                    >
+                      {renderSelectCheckbox(selectedPartIds.has(part.id), `Select ${part.part}`)}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <StatusDropdown part={part} />
                     </td>
@@ -1384,15 +1749,23 @@ const PartsTab = ({
                       })()}
                     </td>
                     <td className="px-6 py-4 text-right">
-                      <div className={`text-sm font-semibold ${
+                      <div className={`text-sm font-semibold flex items-center justify-end gap-1 ${
                         darkMode ? 'text-gray-100' : 'text-slate-900'
-                      }`}>${part.total.toFixed(2)}</div>
+                      }`}>
+                        {isMissingExchangeRate(part, homeCurrency) && (
+                          <span title={`No ${part.currency} → ${homeCurrency} rate, counted 1:1 in totals`}>
+                            <AlertTriangle className={`w-3.5 h-3.5 ${darkMode ? 'text-yellow-400' : 'text-yellow-600'}`} />
+                          </span>
+                        )}
+                        {formatCurrency(part.total, part.currency || homeCurrency)}
+                      </div>
                     </td>
                   </tr>
                 ))}
                 {/* Empty rows to maintain consistent height and keep divider lines visible */}
                 {totalPages > 1 && Array.from({ length: rowsPerPage - paginatedParts.length }).map((_, index) => (
                   <tr key={`empty-${index}`} className="h-[63px] empty-row">
+                    <td className="pl-5 pr-1 py-4"></td>
                     <td className="px-6 py-4"></td>
                     <td className="px-3 py-4"></td>
                     <td className="px-6 py-4"></td>
@@ -1423,13 +1796,7 @@ const PartsTab = ({
                   onChange={(e) => {
                     setIsPaginating(true);
                     const value = e.target.value;
-                    if (value === 'auto') {
-                      setIsAutoRows(true);
-                      setRowsPerPage(calculatedRows);
-                    } else {
-                      setIsAutoRows(false);
-                      setRowsPerPage(Number(value));
-                    }
+                    setPartsRowsPerPage(value === 'auto' ? 'auto' : Number(value));
                     setCurrentPage(1);
                     setTimeout(() => setIsPaginating(false), 600);
                   }}
@@ -1532,20 +1899,20 @@ const PartsTab = ({
             <h3 className={`text-xl font-semibold mb-2 ${
               darkMode ? 'text-gray-300' : 'text-slate-700'
             }`}>
-              {showArchivedParts && !(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all')
+              {showArchivedParts && !(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all')
                 ? 'Your Archive is Empty'
                 : 'No Parts Found'}
             </h3>
             <p className={`${
               darkMode ? 'text-gray-400' : 'text-slate-600'
-            } ${!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all') && !showArchivedParts ? 'mb-4' : ''}`}>
-              {searchTerm || statusFilter !== 'all' || vendorFilter !== 'all'
+            } ${!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all') && !showArchivedParts ? 'mb-4' : ''}`}>
+              {searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all'
                 ? 'Try adjusting your filters or search term'
                 : showArchivedParts
                   ? 'Archived parts will appear here'
                   : 'Start tracking your parts by adding your first one'}
             </p>
-            {!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all') && !showArchivedParts && (
+            {!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all') && !showArchivedParts && (
               <button
                 onClick={() => setShowAddModal(true)}
                 className="inline-flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg shadow-md transition-colors font-medium"
@@ -1575,8 +1942,17 @@ const PartsTab = ({
                     : 'bg-slate-100'
                 }`}
               >
-                {/* Card Header - Part Name and Vehicle Badge */}
+                {/* Card Header - Selection, Part Name and Vehicle Badge */}
                 <div className="flex items-start justify-between gap-3 mb-3">
+                  <div
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      togglePartSelection(part.id, e.shiftKey);
+                    }}
+                    className="flex-shrink-0 -m-1 p-1 select-none"
+                  >
+                    {renderSelectCheckbox(selectedPartIds.has(part.id), `Select ${part.part}`)}
+                  </div>
                   <h3 className={`text-base font-bold flex-1 ${
                     darkMode ? 'text-gray-100' : 'text-slate-800'
                   }`}>
@@ -1687,7 +2063,7 @@ const PartsTab = ({
                         }`}>Price</p>
                         <p className={`text-sm font-semibold ${
                           darkMode ? 'text-gray-100' : 'text-slate-800'
-                        }`}>${part.price.toFixed(2)}</p>
+                        }`}>{formatCurrency(part.price, part.currency || homeCurrency)}</p>
                       </div>
                       {part.shipping > 0 && (
                         <div>
@@ -1696,7 +2072,7 @@ const PartsTab = ({
                           }`}>Ship</p>
                           <p className={`text-sm font-semibold ${
                             darkMode ? 'text-gray-100' : 'text-slate-800'
-                          }`}>${part.shipping.toFixed(2)}</p>
+                          }`}>{formatCurrency(part.shipping, part.currency || homeCurrency)}</p>
                         </div>
                       )}
                       {part.duties > 0 && (
@@ -1706,7 +2082,7 @@ const PartsTab = ({
                           }`}>Duties</p>
                           <p className={`text-sm font-semibold ${
                             darkMode ? 'text-gray-100' : 'text-slate-800'
-                          }`}>${part.duties.toFixed(2)}</p>
+                          }`}>{formatCurrency(part.duties, part.currency || homeCurrency)}</p>
                         </div>
                       )}
                       <div>
@@ -1715,7 +2091,7 @@ const PartsTab = ({
                         }`}>Total</p>
                         <p className={`text-base font-bold ${
                           darkMode ? 'text-gray-100' : 'text-slate-800'
-                        }`}>${part.total.toFixed(2)}</p>
+                        }`}>{formatCurrency(part.total, part.currency || homeCurrency)}</p>
                       </div>
                     </div>
                   </div>
@@ -1820,11 +2196,17 @@ const PartsTab = ({
 
                   {/* Total Price on Right */}
                   <div className="flex items-baseline gap-1">
+                    {isMissingExchangeRate(part, homeCurrency) && (
+                      <span className="self-center" title={`No ${part.currency} → ${homeCurrency} rate, counted 1:1 in totals`}>
+                        <AlertTriangle className={`w-3.5 h-3.5 ${darkMode ? 'text-yellow-400' : 'text-yellow-600'}`} />
+                      </span>
+                    )}
                     <p className={`text-xs ${
                       darkMode ? 'text-gray-400' : 'text-slate-600'
                     }`}>Total:</p>
                     <PriceDisplay
                       amount={part.total}
+                      currency={part.currency}
                       className={`text-xl font-bold ${
                         darkMode ? 'text-gray-100' : 'text-slate-800'
                       }`}
@@ -1846,20 +2228,20 @@ const PartsTab = ({
             <h3 className={`text-xl font-semibold mb-2 ${
               darkMode ? 'text-gray-300' : 'text-slate-700'
             }`}>
-              {showArchivedParts && !(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all')
+              {showArchivedParts && !(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all')
                 ? 'Your Archive is Empty'
                 : 'No Parts Found'}
             </h3>
             <p className={`${
               darkMode ? 'text-gray-400' : 'text-slate-600'
-            } ${!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all') && !showArchivedParts ? 'mb-4' : ''}`}>
-              {searchTerm || statusFilter !== 'all' || vendorFilter !== 'all'
+            } ${!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all') && !showArchivedParts ? 'mb-4' : ''}`}>
+              {searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all'
                 ? 'Try adjusting your filters or search term'
                 : showArchivedParts
                   ? 'Archived parts will appear here'
                   : 'Start tracking your parts by adding your first one'}
             </p>
-            {!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all') && !showArchivedParts && (
+            {!(searchTerm || statusFilter !== 'all' || vendorFilter !== 'all' || warrantyFilter !== 'all') && !showArchivedParts && (
               <button
                 onClick={() => setShowAddModal(true)}
                 className="inline-flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg shadow-md transition-colors font-medium"
@@ -1870,6 +2252,8 @@ const PartsTab = ({
             )}
           </div>
         )}
+        </>
+        )}
       </>
     </div>
   );
@@ -1,13 +1,15 @@
 import React from 'react';
 import {
   Plus, ChevronDown, ChevronRight, Edit2, GripVertical,
-  Package, CheckCircle, Clock, Car, Archive, ListChecks, FolderLock, FolderOpen
+  Package, CheckCircle, Clock, Car, Archive, ListChecks, FolderLock, FolderOpen, AlertTriangle
 } from 'lucide-react';
 import { getStatusColors, getPriorityColors, getMutedColor, getPriorityBorderColor } from '../../utils/colorUtils';
-import { calculateProjectTotal } from '../../utils/dataUtils';
+import { calculateProjectTotal, calculateProjectForecast } from '../../utils/dataUtils';
 import { cardBg, primaryText, secondaryText } from '../../utils/styleUtils';
 import AddProjectModal from '../modals/AddProjectModal';
 import ProjectDetailModal from '../modals/ProjectDetailModal';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency, getCurrencySymbol } from '../../utils/currencyUtils';
 
 const ProjectsTab = ({
   tabContentRef,
@@ -75,6 +77,7 @@ const ProjectsTab = ({
   setActiveTab,
   archivePart
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   return (
     <div
       ref={tabContentRef}
@@ -94,6 +97,7 @@ const ProjectsTab = ({
             // Calculate spent based on linked parts
             const linkedPartsTotal = calculateProjectTotal(project.id, parts);
             const progress = project.budget > 0 ? (linkedPartsTotal / project.budget) * 100 : 0;
+            const forecast = calculateProjectForecast(project, parts);
             const statusColors = getStatusColors(darkMode);
             const priorityColors = getPriorityColors(darkMode);
 
@@ -215,10 +219,10 @@ const ProjectsTab = ({
                           ? (darkMode ? 'text-yellow-400' : 'text-yellow-600')
                           : (darkMode ? 'text-green-400' : 'text-green-600')
                       }>
-                        ${linkedPartsTotal.toFixed(2)}
+                        {formatCurrency(linkedPartsTotal, homeCurrency)}
                       </span>
                       <span className={darkMode ? 'text-gray-300' : 'text-slate-700'}>
-                        {' '}/ ${Math.round(project.budget || 0)}
+                        {' '}/ {getCurrencySymbol(homeCurrency)}{Math.round(project.budget || 0)}
                       </span>
                     </span>
                     <span className={`text-sm font-bold ${
@@ -241,6 +245,13 @@ const ProjectsTab = ({
                       style={{ width: `${Math.min(progress, 100)}%` }}
                     />
                   </div>
+                  {forecast.isOverBudget && (
+                    <p className={`mt-2 text-xs flex items-center gap-1 ${darkMode ? 'text-red-400' : 'text-red-600'}`}>
+                      <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                      {formatCurrency(forecast.forecast - forecast.budget, homeCurrency)} over budget
+                      {forecast.spent <= forecast.budget ? ' with parts not ordered yet' : ''}
+                    </p>
+                  )}
                 </div>
 
                 {/* Dates and Priority */}
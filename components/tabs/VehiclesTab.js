@@ -75,6 +75,8 @@ const VehiclesTab = ({
   vehicleModalProjectView,
   setVehicleModalProjectView,
   parts,
+  vendors,
+  crossReferences,
   vendorColors,
   editingTodoId,
   setEditingTodoId,
@@ -104,7 +106,12 @@ const VehiclesTab = ({
   calculateProjectStatus,
   toast,
   setActiveTab,
-  archivePart
+  archivePart,
+  vehicleExpenses,
+  vehicleExpensesVehicleId,
+  onLoadVehicleExpenses,
+  onAddVehicleExpense,
+  onDeleteVehicleExpense
   // Document and service event props removed - now handled via context in VehicleDetailModal
 }) => {
   // Track layout transitions for animation
@@ -818,6 +825,8 @@ const VehiclesTab = ({
           projects={projects}
           parts={parts}
           vehicles={vehicles}
+          vendors={vendors}
+          crossReferences={crossReferences}
           vendorColors={vendorColors}
           vehicleImagePreview={vehicleImagePreview}
           vehicleImageFile={vehicleImageFile}
@@ -867,6 +876,11 @@ const VehiclesTab = ({
           toast={toast}
           setActiveTab={setActiveTab}
           archivePart={archivePart}
+          vehicleExpenses={vehicleExpenses}
+          vehicleExpensesVehicleId={vehicleExpensesVehicleId}
+          onLoadVehicleExpenses={onLoadVehicleExpenses}
+          onAddVehicleExpense={onAddVehicleExpense}
+          onDeleteVehicleExpense={onDeleteVehicleExpense}
         />
       </>
     </div>
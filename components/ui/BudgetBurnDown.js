@@ -0,0 +1,141 @@
+import React from 'react';
+import { AlertTriangle, TrendingDown } from 'lucide-react';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { calculateProjectForecast, calculateProjectBurnDown } from '../../utils/dataUtils';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 100;
+// Share of the chart width used for the step down to the forecast
+const PROJECTION_WIDTH = 0.12;
+
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// BudgetBurnDown - A project's spent, committed (parts not ordered yet) and forecast spend
+// against its budget, with a chart of the budget left over time from part purchase dates
+const BudgetBurnDown = ({ project, parts, darkMode }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const { budget, spent, committed, forecast, remaining, isOverBudget } = calculateProjectForecast(project, parts);
+  const points = budget > 0 ? calculateProjectBurnDown(project, parts) : [];
+
+  if (budget <= 0 && forecast === 0) return null;
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const valueText = darkMode ? 'text-gray-100' : 'text-slate-800';
+
+  // Chart scales: time across, budget left from the budget down to the lowest point
+  const renderChart = () => {
+    const times = points.map(point => new Date(`${point.date}T00:00:00`).getTime());
+    const firstTime = times[0];
+    const span = Math.max(times[times.length - 1] - firstTime, 1);
+    const historyWidth = CHART_WIDTH * (committed > 0 ? 1 - PROJECTION_WIDTH : 1);
+    const lowest = Math.min(0, remaining, ...points.map(point => point.remaining));
+    const x = (time) => ((time - firstTime) / span) * historyWidth;
+    const y = (value) => ((budget - value) / (budget - lowest)) * CHART_HEIGHT;
+
+    const path = points.map((point, index) => {
+      if (index === 0) return `M ${x(times[0])} ${y(point.remaining)}`;
+      return `H ${x(times[index])} V ${y(point.remaining)}`;
+    }).join(' ');
+    const last = points[points.length - 1];
+
+    return (
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-32 overflow-visible"
+        role="img"
+        aria-label="Budget left over time"
+      >
+        {/* Zero line */}
+        <line
+          x1="0"
+          x2={CHART_WIDTH}
+          y1={y(0)}
+          y2={y(0)}
+          stroke={darkMode ? '#4b5563' : '#cbd5e1'}
+          strokeDasharray="4 4"
+          vectorEffect="non-scaling-stroke"
+        />
+        <path
+          d={path}
+          fill="none"
+          stroke="#3b82f6"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+        {committed > 0 && (
+          <path
+            d={`M ${historyWidth} ${y(last.remaining)} H ${CHART_WIDTH} V ${y(remaining)}`}
+            fill="none"
+            stroke={isOverBudget ? '#ef4444' : '#eab308'}
+            strokeWidth="2"
+            strokeDasharray="4 3"
+            vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </svg>
+    );
+  };
+
+  return (
+    <div className={`pt-6 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+      <h3 className={`text-lg font-semibold mb-3 flex items-center gap-2 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+        <TrendingDown className="w-5 h-5" />
+        Budget Forecast
+      </h3>
+
+      {isOverBudget && (
+        <div className={`mb-4 rounded-lg px-3 py-2 text-sm font-medium flex items-start gap-2 ${
+          darkMode ? 'bg-red-900/30 text-red-300' : 'bg-red-50 text-red-700'
+        }`}>
+          <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          <span>
+            {spent > budget
+              ? `Already ${formatCurrency(spent - budget, homeCurrency)} over budget`
+              : `Parts not ordered yet would put this ${formatCurrency(forecast - budget, homeCurrency)} over budget once bought`}
+          </span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm">
+        <div>
+          <p className={`text-xs ${mutedText}`}>Spent</p>
+          <p className={`font-medium ${valueText}`}>{formatCurrency(spent, homeCurrency)}</p>
+        </div>
+        <div>
+          <p className={`text-xs ${mutedText}`} title="Parts not ordered yet">Committed</p>
+          <p className={`font-medium ${valueText}`}>{formatCurrency(committed, homeCurrency)}</p>
+        </div>
+        <div>
+          <p className={`text-xs ${mutedText}`}>Forecast</p>
+          <p className={`font-medium ${isOverBudget ? (darkMode ? 'text-red-400' : 'text-red-600') : valueText}`}>
+            {formatCurrency(forecast, homeCurrency)}
+          </p>
+        </div>
+        <div>
+          <p className={`text-xs ${mutedText}`}>{budget <= 0 ? 'Budget' : remaining < 0 ? 'Over budget' : 'Left after forecast'}</p>
+          <p className={`font-medium ${valueText}`}>
+            {budget > 0 ? formatCurrency(Math.abs(remaining), homeCurrency) : 'No budget set'}
+          </p>
+        </div>
+      </div>
+
+      {points.length > 1 && (
+        <div className="mt-4">
+          <div className={`flex justify-between text-xs mb-1 ${mutedText}`}>
+            <span>Budget left</span>
+            <span>{formatCurrency(budget, homeCurrency)}</span>
+          </div>
+          {renderChart()}
+          <div className={`flex justify-between text-xs mt-1 ${mutedText}`}>
+            <span>{formatDay(points[0].date)}</span>
+            <span>{formatDay(points[points.length - 1].date)}{committed > 0 ? ' + committed' : ''}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BudgetBurnDown;
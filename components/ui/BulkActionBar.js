@@ -0,0 +1,181 @@
+import React, { useState } from 'react';
+import { Archive, Download, Trash2, X } from 'lucide-react';
+import { selectDropdownStyle } from '../../utils/styleUtils';
+import { RETURN_STATUSES } from '../../utils/returnUtils';
+
+const STATUS_OPTIONS = [
+  { value: 'installed', label: 'Installed' },
+  { value: 'delivered', label: 'Delivered' },
+  { value: 'shipped', label: 'Shipped' },
+  { value: 'purchased', label: 'Ordered' },
+  { value: 'pending', label: 'Pending' }
+];
+
+const NEW_VENDOR = '__new__';
+const NO_VALUE = '__none__';
+
+// BulkActionBar - Actions for the parts selected in the parts table: status, project,
+// vehicle, vendor, archive, export and delete. Each select applies as soon as it changes.
+const BulkActionBar = ({
+  selectedCount,
+  filteredCount,
+  onSelectAll,
+  onClear,
+  onStatus,
+  onProject,
+  onVehicle,
+  onVendor,
+  onArchive,
+  onExport,
+  onDelete,
+  showArchived,
+  projects,
+  vehicles,
+  vendors,
+  isWorking,
+  darkMode
+}) => {
+  const [newVendor, setNewVendor] = useState(null);
+
+  const selectClass = `px-3 py-1.5 pr-8 rounded-lg border text-sm appearance-none cursor-pointer focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-60 disabled:cursor-not-allowed ${
+    darkMode ? 'bg-gray-700 border-gray-600 text-gray-200' : 'bg-slate-50 border-slate-300 text-slate-700'
+  }`;
+  const buttonClass = `flex items-center gap-1.5 px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${
+    darkMode ? 'border-gray-600 text-gray-200 hover:bg-gray-700' : 'border-slate-300 text-slate-700 hover:bg-slate-200'
+  }`;
+
+  // Selects act like menus: pick an option, apply it, go back to the placeholder
+  const renderActionSelect = (label, options, onSelect) => (
+    <select
+      value=""
+      disabled={isWorking}
+      onChange={(e) => {
+        if (e.target.value) onSelect(e.target.value);
+      }}
+      className={selectClass}
+      style={selectDropdownStyle}
+    >
+      <option value="">{label}</option>
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  );
+
+  const submitNewVendor = () => {
+    if (newVendor && newVendor.trim()) {
+      onVendor(newVendor.trim());
+      setNewVendor(null);
+    }
+  };
+
+  return (
+    <div className={`rounded-lg shadow-md mb-4 px-4 py-3 border-l-4 ${
+      darkMode ? 'bg-gray-800 border-blue-500' : 'bg-slate-100 border-blue-500'
+    }`}>
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="flex items-center gap-3 mr-auto">
+          <span className={`text-sm font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+            {selectedCount} selected
+          </span>
+          {selectedCount < filteredCount && (
+            <button
+              onClick={onSelectAll}
+              className={`text-sm font-medium hover:underline ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}
+            >
+              Select all {filteredCount}
+            </button>
+          )}
+          <button
+            onClick={onClear}
+            className={`p-1 rounded transition-colors ${
+              darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-slate-500 hover:bg-slate-200'
+            }`}
+            title="Clear selection"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {renderActionSelect('Set status', [...STATUS_OPTIONS, ...RETURN_STATUSES], onStatus)}
+        {renderActionSelect(
+          'Assign project',
+          [
+            { value: NO_VALUE, label: 'No project' },
+            ...projects.filter(p => !p.archived).map(p => ({ value: String(p.id), label: p.name }))
+          ],
+          (value) => onProject(value === NO_VALUE ? null : parseInt(value))
+        )}
+        {renderActionSelect(
+          'Assign vehicle',
+          [
+            { value: NO_VALUE, label: 'No vehicle' },
+            ...vehicles.filter(v => !v.archived).map(v => ({ value: String(v.id), label: v.nickname || v.name }))
+          ],
+          (value) => onVehicle(value === NO_VALUE ? null : parseInt(value))
+        )}
+        {newVendor === null ? (
+          renderActionSelect(
+            'Set vendor',
+            [
+              ...vendors.map(vendor => ({ value: vendor, label: vendor })),
+              { value: NO_VALUE, label: 'No vendor' },
+              { value: NEW_VENDOR, label: 'New vendor...' }
+            ],
+            (value) => {
+              if (value === NEW_VENDOR) {
+                setNewVendor('');
+              } else {
+                onVendor(value === NO_VALUE ? '' : value);
+              }
+            }
+          )
+        ) : (
+          <div className="flex items-center gap-1">
+            <input
+              type="text"
+              autoFocus
+              value={newVendor}
+              onChange={(e) => setNewVendor(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') submitNewVendor();
+                if (e.key === 'Escape') setNewVendor(null);
+              }}
+              className={`w-40 px-3 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                darkMode ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-400' : 'bg-slate-50 border-slate-300 text-slate-800 placeholder-slate-400'
+              }`}
+              placeholder="Vendor name"
+            />
+            <button onClick={submitNewVendor} disabled={isWorking || !newVendor.trim()} className={buttonClass}>
+              Set
+            </button>
+            <button onClick={() => setNewVendor(null)} className={buttonClass} title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+
+        <button onClick={() => onArchive(!showArchived)} disabled={isWorking} className={buttonClass}>
+          <Archive className="w-4 h-4" />
+          {showArchived ? 'Unarchive' : 'Archive'}
+        </button>
+        <button onClick={onExport} className={buttonClass}>
+          <Download className="w-4 h-4" />
+          Export
+        </button>
+        <button
+          onClick={onDelete}
+          disabled={isWorking}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors disabled:opacity-60 disabled:cursor-not-allowed ${
+            darkMode ? 'border-red-800 text-red-400 hover:bg-red-900/30' : 'border-red-300 text-red-600 hover:bg-red-50'
+          }`}
+        >
+          <Trash2 className="w-4 h-4" />
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
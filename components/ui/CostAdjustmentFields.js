@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency, getCurrencySymbol } from '../../utils/currencyUtils';
+import { hasTaxRate, resolvePartTax } from '../../utils/costUtils';
+import { inputClasses } from '../../utils/styleUtils';
+
+const NUMBER_INPUT_CLASSES = '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+// CostAdjustmentFields Component - tax, discount and core charge inputs for part forms
+// Tax is entered as a percentage of the discounted price or as an amount;
+// taxLocked disables it for parts whose tax comes from a vendor order
+const CostAdjustmentFields = ({ costs, onChange, darkMode, taxLocked = false }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [taxMode, setTaxMode] = useState(hasTaxRate(costs.taxRate) ? 'percent' : 'amount');
+  const isPercent = !taxLocked && (taxMode === 'percent' || hasTaxRate(costs.taxRate));
+  const currency = costs.currency || homeCurrency;
+  const currencySymbol = getCurrencySymbol(currency);
+
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  const toggleTaxMode = () => {
+    if (isPercent) {
+      // Keep the calculated amount when switching back to a fixed amount
+      setTaxMode('amount');
+      onChange({ taxRate: '', tax: hasTaxRate(costs.taxRate) ? resolvePartTax(costs) : costs.tax });
+    } else {
+      setTaxMode('percent');
+      onChange({ taxRate: '', tax: '' });
+    }
+  };
+
+  const renderAmountInput = (field, label) => (
+    <div>
+      <label className={labelClass}>
+        {label} ({currencySymbol})
+      </label>
+      <input
+        type="number"
+        step="0.01"
+        inputMode="decimal"
+        value={costs[field] ?? ''}
+        onChange={(e) => onChange({ [field]: e.target.value })}
+        className={inputClasses(darkMode, NUMBER_INPUT_CLASSES)}
+        placeholder="0.00"
+      />
+    </div>
+  );
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      {/* Tax */}
+      <div>
+        <label className={labelClass}>
+          Tax ({isPercent ? '%' : currencySymbol})
+        </label>
+        <div className="flex">
+          <input
+            type="number"
+            step={isPercent ? 'any' : '0.01'}
+            inputMode="decimal"
+            value={(isPercent ? costs.taxRate : costs.tax) ?? ''}
+            onChange={(e) => onChange(isPercent ? { taxRate: e.target.value } : { tax: e.target.value })}
+            disabled={taxLocked}
+            className={`w-full px-4 py-2 border rounded-l-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${NUMBER_INPUT_CLASSES} ${
+              darkMode
+                ? 'bg-gray-700 border-gray-600 text-gray-100 placeholder-gray-400'
+                : 'bg-slate-50 border-slate-300 text-slate-800 placeholder-slate-400'
+            } ${taxLocked ? 'opacity-60 cursor-not-allowed' : ''}`}
+            placeholder={isPercent ? '0' : '0.00'}
+          />
+          <button
+            type="button"
+            onClick={toggleTaxMode}
+            disabled={taxLocked}
+            title={isPercent ? 'Enter tax as an amount' : 'Enter tax as a percentage'}
+            className={`px-3 border-y border-r rounded-r-lg text-sm font-medium transition-colors ${
+              darkMode
+                ? 'bg-gray-600 border-gray-600 text-gray-300 hover:bg-gray-500'
+                : 'bg-slate-100 border-slate-300 text-slate-600 hover:bg-slate-200'
+            } ${taxLocked ? 'opacity-60 cursor-not-allowed' : ''}`}
+          >
+            {isPercent ? currencySymbol : '%'}
+          </button>
+        </div>
+        {isPercent && hasTaxRate(costs.taxRate) && (
+          <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            = {formatCurrency(resolvePartTax(costs), currency)}
+          </p>
+        )}
+      </div>
+
+      {renderAmountInput('discount', 'Discount / Coupon')}
+      {renderAmountInput('coreCharge', 'Core Charge')}
+      {renderAmountInput('coreRefund', 'Core Refund')}
+    </div>
+  );
+};
+
+export default CostAdjustmentFields;
@@ -0,0 +1,63 @@
+import React from 'react';
+import { useCurrencyContext } from '../../contexts';
+import { CURRENCIES, findExchangeRate } from '../../utils/currencyUtils';
+import { selectDropdownStyle, inputClasses } from '../../utils/styleUtils';
+
+// CurrencyFields Component - currency picker plus exchange rate for part forms
+// The rate field only appears for foreign currencies; leaving it empty uses the
+// stored rate table at save time
+const CurrencyFields = ({ currency, exchangeRate, onChange, rateDate, darkMode }) => {
+  const { homeCurrency, exchangeRates } = useCurrencyContext();
+  const selectedCurrency = currency || homeCurrency;
+  const isForeign = selectedCurrency !== homeCurrency;
+  const storedRate = isForeign ? findExchangeRate(exchangeRates, selectedCurrency, homeCurrency, rateDate) : null;
+
+  // Include the part's currency even if it isn't in the default list
+  const currencyOptions = CURRENCIES.some(c => c.code === selectedCurrency)
+    ? CURRENCIES
+    : [...CURRENCIES, { code: selectedCurrency, name: selectedCurrency }];
+
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  return (
+    <div className="grid grid-cols-2 gap-4">
+      <div>
+        <label className={labelClass}>Currency</label>
+        <select
+          value={selectedCurrency}
+          onChange={(e) => onChange({ currency: e.target.value, exchangeRate: '' })}
+          className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent min-h-[42px] box-border ${
+            darkMode
+              ? 'bg-gray-700 border-gray-600 text-gray-100'
+              : 'bg-slate-50 border-slate-300 text-slate-800'
+          }`}
+          style={selectDropdownStyle}
+        >
+          {currencyOptions.map(option => (
+            <option key={option.code} value={option.code}>
+              {option.code} - {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      {isForeign && (
+        <div>
+          <label className={labelClass}>
+            Rate (1 {selectedCurrency} = ? {homeCurrency})
+          </label>
+          <input
+            type="number"
+            step="any"
+            inputMode="decimal"
+            value={exchangeRate ?? ''}
+            onChange={(e) => onChange({ currency: selectedCurrency, exchangeRate: e.target.value })}
+            className={inputClasses(darkMode, '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none')}
+            placeholder={storedRate ? `${parseFloat(storedRate.rate.toPrecision(6))} (stored)` : 'No stored rate'}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CurrencyFields;
@@ -0,0 +1,78 @@
+import React, { useMemo } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import {
+  getExpiringWarrantyParts,
+  getWarrantyExpiry,
+  getWarrantyDaysLeft,
+  formatWarrantyDaysLeft,
+  WARRANTY_EXPIRING_DAYS
+} from '../../utils/warrantyUtils';
+
+const VISIBLE_LIMIT = 3;
+
+// ExpiringWarranties - Parts whose warranty runs out within WARRANTY_EXPIRING_DAYS,
+// soonest first, with a shortcut to filter the parts list down to them
+const ExpiringWarranties = ({ parts, warrantyFilter, setWarrantyFilter, darkMode, onOpenPart }) => {
+  const expiringParts = useMemo(() => getExpiringWarrantyParts(parts), [parts]);
+  if (expiringParts.length === 0) return null;
+
+  const showingExpiring = warrantyFilter === 'expiring';
+  const mutedText = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  return (
+    <div className={`rounded-lg shadow-md mb-4 border-l-4 ${
+      darkMode ? 'bg-gray-800 border-amber-500' : 'bg-slate-100 border-amber-400'
+    }`}>
+      <div className="flex items-center justify-between gap-3 px-4 pt-3">
+        <div className="flex items-center gap-2">
+          <ShieldAlert className={`w-5 h-5 ${darkMode ? 'text-amber-400' : 'text-amber-600'}`} />
+          <h3 className={`font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+            Warranties expiring soon
+          </h3>
+          <span className={`text-sm ${mutedText}`}>
+            next {WARRANTY_EXPIRING_DAYS} days
+          </span>
+        </div>
+        <button
+          onClick={() => setWarrantyFilter(showingExpiring ? 'all' : 'expiring')}
+          className={`text-sm font-medium hover:underline ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}
+        >
+          {showingExpiring ? 'Show all parts' : `Show ${expiringParts.length}`}
+        </button>
+      </div>
+      <ul className="px-4 py-2">
+        {expiringParts.slice(0, VISIBLE_LIMIT).map(part => {
+          const daysLeft = getWarrantyDaysLeft(part);
+          return (
+            <li key={part.id}>
+              <button
+                onClick={() => onOpenPart(part)}
+                className={`w-full flex items-center justify-between gap-3 py-1.5 text-sm text-left rounded transition-colors ${
+                  darkMode ? 'hover:bg-gray-700' : 'hover:bg-slate-200'
+                }`}
+              >
+                <span className={`truncate ${darkMode ? 'text-gray-200' : 'text-slate-700'}`}>
+                  {part.part}
+                  {part.vendor && <span className={mutedText}> · {part.vendor}</span>}
+                </span>
+                <span
+                  className={`flex-shrink-0 font-medium ${darkMode ? 'text-amber-400' : 'text-amber-700'}`}
+                  title={`Expires ${new Date(getWarrantyExpiry(part) + 'T00:00:00').toLocaleDateString()}`}
+                >
+                  {formatWarrantyDaysLeft(daysLeft)}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+        {expiringParts.length > VISIBLE_LIMIT && !showingExpiring && (
+          <li className={`pt-1 text-xs ${mutedText}`}>
+            and {expiringParts.length - VISIBLE_LIMIT} more
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default ExpiringWarranties;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { inputClasses } from '../../utils/styleUtils';
+
+const NUMBER_INPUT_CLASSES = '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+// InstallFields Component - install date, odometer reading and installer notes for the part edit form
+// Shown while the part's status is Installed; the odometer is in the vehicle's unit
+const InstallFields = ({ part, odometerUnit, onChange, darkMode }) => {
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>
+            Installed On
+          </label>
+          <input
+            type="date"
+            value={part.installedAt || ''}
+            onChange={(e) => onChange({ installedAt: e.target.value || null })}
+            className={inputClasses(darkMode)}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>
+            Odometer ({odometerUnit === 'mi' ? 'mi' : 'km'})
+          </label>
+          <input
+            type="number"
+            min="0"
+            inputMode="numeric"
+            value={part.installedOdometer ?? ''}
+            onChange={(e) => onChange({ installedOdometer: e.target.value })}
+            className={inputClasses(darkMode, NUMBER_INPUT_CLASSES)}
+            placeholder="e.g., 84250"
+          />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>
+          Install Notes
+        </label>
+        <textarea
+          value={part.installNotes || ''}
+          onChange={(e) => onChange({ installNotes: e.target.value })}
+          rows={2}
+          className={inputClasses(darkMode, 'resize-none')}
+          placeholder="Who installed it, torque specs, anything worth remembering"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default InstallFields;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Wrench, Gauge } from 'lucide-react';
+import {
+  getInstalledParts,
+  getCurrentOdometer,
+  getDistanceSinceInstall,
+  formatDistance
+} from '../../utils/installUtils';
+
+// InstalledPartsTimeline - Parts installed on a vehicle, most recent first, with the
+// install date and odometer and the distance each part has covered since
+const InstalledPartsTimeline = ({ vehicle, parts, projects, serviceEvents, darkMode }) => {
+  const installedParts = getInstalledParts(vehicle.id, parts, projects);
+  if (installedParts.length === 0) return null;
+
+  const currentOdometer = getCurrentOdometer(vehicle, serviceEvents);
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  return (
+    <div className={`pt-6 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+      <h3 className={`text-lg font-semibold mb-3 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+        <div className="flex items-center gap-2">
+          <Wrench className="w-5 h-5" />
+          <span>Installed Parts</span>
+        </div>
+      </h3>
+      <div className="space-y-4">
+        {installedParts.map((part, index) => {
+          const distance = getDistanceSinceInstall(part, currentOdometer);
+          const isLast = index === installedParts.length - 1;
+          return (
+            <div key={part.id} className="relative flex items-stretch gap-4">
+              {/* Timeline column with icon and line */}
+              <div className="relative flex flex-col items-center">
+                <div className={`relative z-10 flex-shrink-0 w-10 h-10 rounded-full flex items-center justify-center border-2 ${
+                  darkMode ? 'border-indigo-700 text-indigo-400' : 'border-indigo-300 text-indigo-600'
+                }`}>
+                  <Wrench className="w-4 h-4" />
+                </div>
+                {!isLast && (
+                  <div className={`flex-1 w-0.5 -mb-4 ${darkMode ? 'bg-gray-600' : 'bg-gray-300'}`} />
+                )}
+              </div>
+
+              {/* Part content */}
+              <div className={`flex-1 min-w-0 rounded-lg p-3 border ${
+                darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'
+              }`}>
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className={`font-medium truncate ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+                      {part.part}
+                    </p>
+                    <p className={`text-xs ${mutedText}`}>
+                      {part.installedAt
+                        ? new Date(part.installedAt + 'T00:00:00').toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+                        : 'Install date not set'}
+                      {part.installedOdometer != null && (
+                        <> · {formatDistance(part.installedOdometer, vehicle.odometer_unit)}</>
+                      )}
+                    </p>
+                  </div>
+                  {distance !== null && (
+                    <span className={`flex-shrink-0 px-2 py-1 rounded-md text-xs font-semibold flex items-center gap-1 ${
+                      darkMode ? 'bg-indigo-900/40 text-indigo-300' : 'bg-indigo-100 text-indigo-700'
+                    }`}>
+                      <Gauge className="w-3 h-3" />
+                      {formatDistance(distance, vehicle.odometer_unit)}
+                    </span>
+                  )}
+                </div>
+                {part.installNotes && (
+                  <p className={`mt-2 text-sm whitespace-pre-wrap ${darkMode ? 'text-gray-300' : 'text-slate-600'}`}>
+                    {part.installNotes}
+                  </p>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default InstalledPartsTimeline;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { Package } from 'lucide-react';
 import { getVendorDisplayColor } from '../../utils/colorUtils';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
 
 // LinkedPartsSection - Display parts linked to a project with unlink functionality
 const LinkedPartsSection = ({
@@ -14,6 +16,7 @@ const LinkedPartsSection = ({
   setActiveTab,
   onNavigateToTab
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   const linkedParts = parts.filter(part => part.projectId === projectId);
   const [isHovered, setIsHovered] = useState(false);
 
@@ -90,7 +93,7 @@ const LinkedPartsSection = ({
                   <span className={`text-sm font-bold ${
                     darkMode ? 'text-gray-200' : 'text-gray-900'
                   }`}>
-                    ${part.total.toFixed(2)}
+                    {formatCurrency(part.total, part.currency || homeCurrency)}
                   </span>
                 </div>
               </div>
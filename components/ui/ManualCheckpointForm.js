@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { inputClasses, selectDropdownStyle } from '../../utils/styleUtils';
+import { MANUAL_CHECKPOINT_STATUSES } from '../../utils/trackingStatusMap';
+
+// Current local time as a datetime-local input value (YYYY-MM-DDTHH:mm)
+const getLocalNow = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const emptyDraft = () => ({
+  checkpointTime: getLocalNow(),
+  statusMilestone: 'in_transit',
+  location: '',
+  message: ''
+});
+
+// ManualCheckpointForm - Enter a tracking checkpoint by hand (time, status milestone, location
+// and an optional note) for shipments no tracking provider can follow
+const ManualCheckpointForm = ({ onAdd, onCancel, darkMode }) => {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+
+  const statusOption = MANUAL_CHECKPOINT_STATUSES.find(option => option.value === draft.statusMilestone);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    const saved = await onAdd(draft);
+    setSaving(false);
+    if (saved) {
+      setDraft(emptyDraft());
+    }
+  };
+
+  return (
+    <div className={`rounded-lg p-3 space-y-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <input
+          type="datetime-local"
+          value={draft.checkpointTime}
+          max={getLocalNow()}
+          onChange={(e) => setDraft({ ...draft, checkpointTime: e.target.value })}
+          className={inputClasses(darkMode)}
+        />
+        <select
+          value={draft.statusMilestone}
+          onChange={(e) => setDraft({ ...draft, statusMilestone: e.target.value })}
+          className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+          style={selectDropdownStyle}
+        >
+          {MANUAL_CHECKPOINT_STATUSES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.location}
+          onChange={(e) => setDraft({ ...draft, location: e.target.value })}
+          className={inputClasses(darkMode)}
+          placeholder="Location"
+        />
+      </div>
+      <input
+        type="text"
+        value={draft.message}
+        onChange={(e) => setDraft({ ...draft, message: e.target.value })}
+        className={inputClasses(darkMode)}
+        placeholder={statusOption?.description || 'Note'}
+      />
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+            darkMode ? 'bg-gray-600 hover:bg-gray-500 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+          }`}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleAdd}
+          disabled={saving}
+          className={`px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors ${
+            saving ? 'opacity-50 cursor-not-allowed' : ''
+          }`}
+        >
+          Add
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ManualCheckpointForm;
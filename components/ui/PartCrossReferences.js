@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeftRight, ExternalLink, Plus, X } from 'lucide-react';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { inputClasses, selectDropdownStyle, toAllCaps } from '../../utils/styleUtils';
+import {
+  parsePartNumbers,
+  getPartNumberEquivalents,
+  getPartNumberPurchases,
+  getPartNumberSearchLinks,
+  formatPartNumber
+} from '../../utils/crossReferenceUtils';
+
+const PURCHASE_LIMIT = 5;
+
+const KIND_LABELS = {
+  oem: 'OEM',
+  aftermarket: 'Aftermarket'
+};
+
+// PartCrossReferences - Known equivalents of a free-text part number, vendor search links
+// and where any of them were bought before
+// compact shows a short summary for the vehicle Maintenance Info card; the full view
+// (part detail modal) also lists each number and lets the user link or unlink equivalents
+const PartCrossReferences = ({
+  text,
+  crossReferences = [],
+  parts = [],
+  vendors = [],
+  excludePartId = null,
+  onAdd,
+  onDelete,
+  compact = false,
+  darkMode
+}) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [draft, setDraft] = useState({ kind: 'aftermarket', brand: '', number: '' });
+  const [saving, setSaving] = useState(false);
+
+  // Close the form when moving to another part
+  useEffect(() => {
+    setShowAddForm(false);
+    setDraft({ kind: 'aftermarket', brand: '', number: '' });
+  }, [text]);
+
+  const numbers = parsePartNumbers(text);
+  const equivalents = getPartNumberEquivalents(text, crossReferences);
+  const purchases = getPartNumberPurchases([...numbers, ...equivalents].map(n => n.key), parts, excludePartId);
+  const purchaseVendors = [...new Set(purchases.map(part => part.vendor))];
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const linkClass = `inline-flex items-center gap-0.5 hover:underline ${darkMode ? 'text-blue-400' : 'text-blue-600'}`;
+
+  if (numbers.length === 0) return null;
+
+  if (compact) {
+    const searchLinks = getPartNumberSearchLinks(vendors, numbers[0].number);
+    if (equivalents.length === 0 && purchaseVendors.length === 0 && searchLinks.length === 0) return null;
+    return (
+      <div className={`mt-1 space-y-0.5 text-xs ${mutedText}`}>
+        {equivalents.length > 0 && (
+          <p>Same as {equivalents.map(formatPartNumber).join(', ')}</p>
+        )}
+        {purchaseVendors.length > 0 && (
+          <p>Bought at {purchaseVendors.join(', ')}</p>
+        )}
+        {searchLinks.length > 0 && (
+          <p className="flex flex-wrap items-center gap-x-2">
+            Search
+            {searchLinks.map(link => (
+              <a key={link.vendor} href={link.url} target="_blank" rel="noopener noreferrer" className={linkClass}>
+                {link.vendor}
+                <ExternalLink className="w-3 h-3" />
+              </a>
+            ))}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  const handleAdd = async () => {
+    const source = numbers[0];
+    const equivalent = { brand: draft.brand, number: draft.number };
+    const [oem, aftermarket] = draft.kind === 'oem' ? [equivalent, source] : [source, equivalent];
+    setSaving(true);
+    const saved = await onAdd({
+      oemBrand: oem.brand,
+      oemNumber: oem.number,
+      aftermarketBrand: aftermarket.brand,
+      aftermarketNumber: aftermarket.number
+    });
+    setSaving(false);
+    if (saved) {
+      setShowAddForm(false);
+      setDraft({ kind: 'aftermarket', brand: '', number: '' });
+    }
+  };
+
+  const renderNumber = (partNumber, label, referenceId) => {
+    const searchLinks = getPartNumberSearchLinks(vendors, partNumber.number);
+    return (
+      <li
+        key={partNumber.key}
+        className={`flex items-start justify-between gap-3 rounded-lg p-3 border ${
+          darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'
+        }`}
+      >
+        <div className="min-w-0">
+          <p className={`text-sm font-medium font-mono ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+            {formatPartNumber(partNumber)}
+            <span className={`ml-2 font-sans text-xs font-normal ${mutedText}`}>{label}</span>
+          </p>
+          {searchLinks.length > 0 && (
+            <p className="mt-1 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs">
+              {searchLinks.map(link => (
+                <a key={link.vendor} href={link.url} target="_blank" rel="noopener noreferrer" className={linkClass}>
+                  {link.vendor}
+                  <ExternalLink className="w-3 h-3" />
+                </a>
+              ))}
+            </p>
+          )}
+        </div>
+        {referenceId && onDelete && (
+          <button
+            onClick={() => onDelete(referenceId)}
+            className={`p-1 rounded transition-colors flex-shrink-0 ${
+              darkMode ? 'text-gray-400 hover:text-red-400 hover:bg-gray-600' : 'text-gray-500 hover:text-red-600 hover:bg-gray-200'
+            }`}
+            title="Remove this equivalent"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div
+      className={`pt-6 border-t ${
+        darkMode ? 'border-gray-700' : 'border-slate-200'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h3
+          className={`text-lg font-semibold flex items-center gap-2 ${
+            darkMode ? 'text-gray-200' : 'text-gray-800'
+          }`}
+        >
+          <ArrowLeftRight className="w-5 h-5" />
+          Cross-References
+        </h3>
+        {onAdd && !showAddForm && (
+          <button
+            onClick={() => setShowAddForm(true)}
+            className={`px-2 py-1 rounded-md text-sm flex items-center gap-1 transition-colors ${
+              darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            <Plus className="w-4 h-4" />
+            Add equivalent
+          </button>
+        )}
+      </div>
+
+      <ul className="space-y-2">
+        {numbers.map(partNumber => renderNumber(partNumber, 'This part', null))}
+        {equivalents.map(partNumber => renderNumber(partNumber, KIND_LABELS[partNumber.kind], partNumber.referenceId))}
+      </ul>
+
+      {showAddForm && (
+        <div className={`mt-3 rounded-lg p-3 space-y-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <p className={`text-xs ${mutedText}`}>
+            Same part as {formatPartNumber(numbers[0])}
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            <select
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+              className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+              style={selectDropdownStyle}
+            >
+              <option value="aftermarket">Aftermarket</option>
+              <option value="oem">OEM</option>
+            </select>
+            <input
+              type="text"
+              value={draft.brand}
+              onChange={(e) => setDraft({ ...draft, brand: e.target.value })}
+              className={inputClasses(darkMode)}
+              placeholder="Brand, e.g. Wix"
+            />
+            <input
+              type="text"
+              value={draft.number}
+              onChange={(e) => setDraft({ ...draft, number: toAllCaps(e.target.value) })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && draft.number.trim()) handleAdd();
+              }}
+              className={inputClasses(darkMode)}
+              placeholder="Part number"
+            />
+          </div>
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setShowAddForm(false)}
+              disabled={saving}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                darkMode ? 'bg-gray-600 hover:bg-gray-500 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleAdd}
+              disabled={saving || !draft.number.trim()}
+              className={`px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors ${
+                saving || !draft.number.trim() ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+
+      {purchases.length > 0 && (
+        <div className="mt-4">
+          <p className={`text-xs font-medium mb-2 ${mutedText}`}>Bought before</p>
+          <ul className={`divide-y text-sm ${darkMode ? 'divide-gray-700 text-gray-300' : 'divide-gray-200 text-slate-700'}`}>
+            {purchases.slice(0, PURCHASE_LIMIT).map(part => (
+              <li key={part.id} className="py-2 flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{part.vendor}</p>
+                  <p className={`text-xs truncate ${mutedText}`}>
+                    {part.part} · <span className="font-mono">{part.partNumber}</span>
+                  </p>
+                </div>
+                <div className="text-right flex-shrink-0">
+                  <p className="font-medium">{formatCurrency(part.price, part.currency || homeCurrency)}</p>
+                  {(part.purchasedAt || part.createdAt) && (
+                    <p className={`text-xs ${mutedText}`}>
+                      {new Date(part.purchasedAt || part.createdAt).toLocaleDateString()}
+                    </p>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {purchases.length > PURCHASE_LIMIT && (
+            <p className={`text-xs mt-1 ${mutedText}`}>
+              and {purchases.length - PURCHASE_LIMIT} more
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PartCrossReferences;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { History, Clock, ArrowRight, Package, CheckCircle, BadgeDollarSign, Car, Truck, ListChecks } from 'lucide-react';
+import { describePartEvent } from '../../utils/partEventUtils';
+import { getLeadTimeDays, getVendorLeadTimes, formatDays } from '../../utils/partDateUtils';
+
+// Icon for each kind of history row
+const EVENT_ICONS = {
+  created: Package,
+  status: CheckCircle,
+  cost: BadgeDollarSign,
+  project: ListChecks,
+  vehicle: Car,
+  tracking: Truck
+};
+
+// PartHistory - A part's changes, newest first, with the old and new value of each,
+// plus the part's lead time next to its vendor's average
+const PartHistory = ({ part, parts, events, isLoading, projects, vehicles, formatAmount, darkMode }) => {
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const leadTime = getLeadTimeDays(part);
+  const vendorLeadTime = part.vendor ? getVendorLeadTimes(parts)[part.vendor] : null;
+
+  return (
+    <div className="space-y-4">
+      {(leadTime !== null || vendorLeadTime) && (
+        <div className={`rounded-lg p-4 grid grid-cols-2 gap-4 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <div>
+            <p className={`text-xs ${mutedText}`}>Lead time</p>
+            <p className={`font-medium ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+              {leadTime !== null ? formatDays(leadTime) : (part.delivered ? 'Not recorded' : 'Not delivered yet')}
+            </p>
+          </div>
+          {vendorLeadTime && (
+            <div>
+              <p className={`text-xs ${mutedText}`}>{part.vendor} average</p>
+              <p className={`font-medium ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+                {formatDays(vendorLeadTime.averageDays)}
+                <span className={`ml-1 text-xs font-normal ${mutedText}`}>
+                  ({vendorLeadTime.count} {vendorLeadTime.count === 1 ? 'part' : 'parts'})
+                </span>
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <p className={`text-sm text-center py-8 ${mutedText}`}>Loading history...</p>
+      ) : events.length === 0 ? (
+        <div className={`text-center py-8 ${mutedText}`}>
+          <History className="w-8 h-8 mx-auto mb-2 opacity-50" />
+          <p className="text-sm">No changes recorded yet</p>
+        </div>
+      ) : (
+        <ul className="space-y-2">
+          {events.map(event => {
+            const { label, from, to } = describePartEvent(event, { projects, vehicles, formatAmount });
+            const Icon = EVENT_ICONS[event.event_type] || Clock;
+            return (
+              <li
+                key={event.id}
+                className={`flex items-start gap-3 rounded-lg p-3 border ${
+                  darkMode ? 'bg-gray-700/50 border-gray-600' : 'bg-gray-50 border-gray-200'
+                }`}
+              >
+                <Icon className={`w-4 h-4 mt-0.5 flex-shrink-0 ${mutedText}`} />
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-medium ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>
+                    {label}
+                  </p>
+                  <p className={`text-sm flex flex-wrap items-center gap-1 ${darkMode ? 'text-gray-300' : 'text-slate-600'}`}>
+                    {from !== null && (
+                      <>
+                        <span className="line-through opacity-75 break-all">{from}</span>
+                        <ArrowRight className="w-3 h-3 flex-shrink-0" />
+                      </>
+                    )}
+                    <span className="break-all">{to}</span>
+                  </p>
+                </div>
+                <time
+                  dateTime={event.created_at}
+                  className={`text-xs flex-shrink-0 text-right ${mutedText}`}
+                >
+                  {new Date(event.created_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}
+                  <br />
+                  {new Date(event.created_at).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}
+                </time>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PartHistory;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Boxes, MapPin, Wrench } from 'lucide-react';
+import { getQuantityOnHand, INVENTORY_REASON_LABELS } from '../../utils/inventoryUtils';
+import { inputClasses, selectDropdownStyle } from '../../utils/styleUtils';
+
+const HISTORY_LIMIT = 5;
+
+// PartInventorySection - Stock on hand, storage location, installs and stock history
+// for a delivered part in the part detail modal
+const PartInventorySection = ({
+  part,
+  projects = [],
+  inventoryEvents = [],
+  onInstall,
+  onAdjust,
+  onUpdateLocation,
+  darkMode
+}) => {
+  const onHand = getQuantityOnHand(part);
+  const [location, setLocation] = useState(part.storageLocation || '');
+  const [countDraft, setCountDraft] = useState(String(onHand));
+  const [installQuantity, setInstallQuantity] = useState('1');
+  const [installProjectId, setInstallProjectId] = useState(part.projectId || '');
+  const [installTodoId, setInstallTodoId] = useState('');
+  const [installing, setInstalling] = useState(false);
+
+  // Reset the form when navigating to another part or when stock changes
+  useEffect(() => {
+    setLocation(part.storageLocation || '');
+    setCountDraft(String(onHand));
+  }, [part.id, part.storageLocation, onHand]);
+
+  useEffect(() => {
+    setInstallQuantity('1');
+    setInstallProjectId(part.projectId || '');
+    setInstallTodoId('');
+  }, [part.id]);
+
+  const installProject = projects.find(p => p.id === parseInt(installProjectId, 10));
+  const openTodos = (installProject?.todos || []).filter(todo => !todo.completed);
+  const partEvents = inventoryEvents.filter(event => event.part_id === part.id);
+
+  const labelClass = `block text-xs font-medium mb-1 ${darkMode ? 'text-gray-400' : 'text-slate-600'}`;
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+
+  const handleInstall = async () => {
+    setInstalling(true);
+    const installed = await onInstall(installQuantity, {
+      projectId: installProject?.id || null,
+      todoId: installTodoId || null
+    });
+    setInstalling(false);
+    if (installed) {
+      setInstallQuantity('1');
+      setInstallTodoId('');
+    }
+  };
+
+  const describeEvent = (event) => {
+    if (event.todo_id) {
+      const project = projects.find(p => p.id === event.project_id);
+      const todo = project?.todos?.find(t => String(t.id) === String(event.todo_id));
+      if (todo) return `${project.name}: ${todo.text}`;
+    }
+    if (event.project_id) {
+      const project = projects.find(p => p.id === event.project_id);
+      if (project) return project.name;
+    }
+    if (event.service_event_id) return 'Service event';
+    return event.note || '';
+  };
+
+  return (
+    <div
+      className={`pt-6 border-t ${
+        darkMode ? 'border-gray-700' : 'border-slate-200'
+      }`}
+    >
+      <h3
+        className={`text-lg font-semibold mb-4 flex items-center gap-2 ${
+          darkMode ? 'text-gray-200' : 'text-gray-800'
+        }`}
+      >
+        <Boxes className="w-5 h-5" />
+        Inventory
+      </h3>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>On Hand</label>
+          <input
+            type="number"
+            min="0"
+            inputMode="numeric"
+            value={countDraft}
+            onChange={(e) => setCountDraft(e.target.value)}
+            onBlur={() => {
+              if (countDraft !== String(onHand)) onAdjust(countDraft);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+            }}
+            className={inputClasses(darkMode)}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>
+            <span className="inline-flex items-center gap-1"><MapPin className="w-3 h-3" />Location</span>
+          </label>
+          <input
+            type="text"
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            onBlur={() => {
+              if (location.trim() !== (part.storageLocation || '')) onUpdateLocation(location);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+            }}
+            className={inputClasses(darkMode)}
+            placeholder="e.g., Shelf B, bin 4"
+          />
+        </div>
+      </div>
+
+      {/* Install from stock */}
+      {onHand > 0 && (
+        <div className={`mt-4 rounded-lg p-3 ${darkMode ? 'bg-gray-700/50' : 'bg-gray-50'}`}>
+          <div className="grid grid-cols-[5rem_1fr] gap-3">
+            <div>
+              <label className={labelClass}>Quantity</label>
+              <input
+                type="number"
+                min="1"
+                max={onHand}
+                inputMode="numeric"
+                value={installQuantity}
+                onChange={(e) => setInstallQuantity(e.target.value)}
+                className={inputClasses(darkMode)}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Project</label>
+              <select
+                value={installProjectId}
+                onChange={(e) => {
+                  setInstallProjectId(e.target.value);
+                  setInstallTodoId('');
+                }}
+                className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+                style={selectDropdownStyle}
+              >
+                <option value="">No project</option>
+                {projects.filter(p => !p.archived).map(project => (
+                  <option key={project.id} value={project.id}>{project.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {openTodos.length > 0 && (
+            <div className="mt-3">
+              <label className={labelClass}>Todo</label>
+              <select
+                value={installTodoId}
+                onChange={(e) => setInstallTodoId(e.target.value)}
+                className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+                style={selectDropdownStyle}
+              >
+                <option value="">No todo</option>
+                {openTodos.map(todo => (
+                  <option key={todo.id} value={todo.id}>{todo.text}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <button
+            onClick={handleInstall}
+            disabled={installing}
+            className="mt-3 w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white transition-colors disabled:opacity-60"
+          >
+            <Wrench className="w-4 h-4" />
+            Install from stock
+          </button>
+        </div>
+      )}
+
+      {/* Stock history */}
+      {partEvents.length > 0 && (
+        <ul className="mt-4 space-y-1">
+          {partEvents.slice(0, HISTORY_LIMIT).map(event => (
+            <li key={event.id} className={`flex items-center justify-between gap-3 text-xs ${mutedText}`}>
+              <span className="truncate">
+                {new Date(event.created_at).toLocaleDateString()} · {INVENTORY_REASON_LABELS[event.reason] || event.reason}
+                {describeEvent(event) ? ` · ${describeEvent(event)}` : ''}
+              </span>
+              <span className={`font-medium ${
+                event.quantity_change < 0
+                  ? (darkMode ? 'text-orange-400' : 'text-orange-600')
+                  : (darkMode ? 'text-green-400' : 'text-green-600')
+              }`}>
+                {event.quantity_change > 0 ? '+' : ''}{event.quantity_change}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default PartInventorySection;
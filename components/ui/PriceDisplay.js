@@ -1,14 +1,17 @@
 import React from 'react';
+import { useCurrencyContext } from '../../contexts';
+import { getCurrencyParts } from '../../utils/currencyUtils';
 
 // PriceDisplay Component - displays price with smaller decimal portion
-const PriceDisplay = ({ amount, className = '', darkMode }) => {
-  const formattedAmount = (amount ?? 0).toFixed(2);
-  const [dollars, cents] = formattedAmount.split('.');
+// Uses the user's home currency unless a currency code is passed
+const PriceDisplay = ({ amount, currency, className = '', darkMode }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const { symbol, whole, fraction } = getCurrencyParts(amount, currency || homeCurrency);
 
   return (
     <span className={className}>
-      ${dollars}
-      <span className="text-[0.7em]">.{cents}</span>
+      {symbol}{whole}
+      {fraction && <span className="text-[0.7em]">.{fraction}</span>}
     </span>
   );
 };
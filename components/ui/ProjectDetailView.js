@@ -3,6 +3,9 @@ import { Package, CheckCircle, CheckSquare, ChevronDown, X, Archive, Car } from
 import { getVendorDisplayColor } from '../../utils/colorUtils';
 import { toSentenceCase } from '../../utils/styleUtils';
 import ConfirmDialog from './ConfirmDialog';
+import BudgetBurnDown from './BudgetBurnDown';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency, getCurrencySymbol } from '../../utils/currencyUtils';
 
 // ProjectDetailView - Reusable component for displaying project details with todos and linked parts
 const ProjectDetailView = ({
@@ -26,6 +29,7 @@ const ProjectDetailView = ({
   setNewTodoText,
   onNavigateToTab
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   const linkedParts = parts.filter(part => part.projectId === project.id);
   const linkedPartsTotal = calculateProjectTotal(project.id, parts);
   const progress = project.budget > 0 ? (linkedPartsTotal / project.budget) * 100 : 0;
@@ -715,7 +719,7 @@ const ProjectDetailView = ({
                     Budget
                   </p>
                   <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                    ${linkedPartsTotal.toFixed(2)} / ${Math.round(project.budget || 0)}
+                    {formatCurrency(linkedPartsTotal, homeCurrency)} / {getCurrencySymbol(homeCurrency)}{Math.round(project.budget || 0)}
                   </p>
                 </div>
               </button>
@@ -807,7 +811,7 @@ const ProjectDetailView = ({
                       Budget
                     </p>
                     <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                      ${linkedPartsTotal.toFixed(2)} / ${Math.round(project.budget || 0)}
+                      {formatCurrency(linkedPartsTotal, homeCurrency)} / {getCurrencySymbol(homeCurrency)}{Math.round(project.budget || 0)}
                     </p>
                   </div>
                 </div>
@@ -975,6 +979,9 @@ const ProjectDetailView = ({
         {/* End of two-column grid */}
       </div>
 
+      {/* Budget Forecast - spent, committed and burn-down */}
+      <BudgetBurnDown project={project} parts={parts} darkMode={darkMode} />
+
       {/* Linked Parts List - Full Width Below */}
       {linkedParts.length > 0 && (
         <div className={`pt-6 border-t ${
@@ -1049,7 +1056,7 @@ const ProjectDetailView = ({
                       <span className={`font-medium ${
                         darkMode ? 'text-gray-200' : 'text-gray-800'
                       }`}>
-                        ${part.price.toFixed(2)}
+                        {formatCurrency(part.price, part.currency || homeCurrency)}
                       </span>
                     </div>
                     {part.shipping > 0 && (
@@ -1060,7 +1067,7 @@ const ProjectDetailView = ({
                         <span className={`font-medium ${
                           darkMode ? 'text-gray-200' : 'text-gray-800'
                         }`}>
-                          ${part.shipping.toFixed(2)}
+                          {formatCurrency(part.shipping, part.currency || homeCurrency)}
                         </span>
                       </div>
                     )}
@@ -1072,7 +1079,7 @@ const ProjectDetailView = ({
                         <span className={`font-medium ${
                           darkMode ? 'text-gray-200' : 'text-gray-800'
                         }`}>
-                          ${part.duties.toFixed(2)}
+                          {formatCurrency(part.duties, part.currency || homeCurrency)}
                         </span>
                       </div>
                     )}
@@ -1083,7 +1090,7 @@ const ProjectDetailView = ({
                         Total:
                       </span>
                       <span className={darkMode ? 'text-gray-100' : 'text-slate-800'}>
-                        ${part.total.toFixed(2)}
+                        {formatCurrency(part.total, part.currency || homeCurrency)}
                       </span>
                     </div>
                   </div>
@@ -1,6 +1,8 @@
 import React, { useState, useCallback } from 'react';
 import { Car, ChevronDown } from 'lucide-react';
 import { toTitleCase, toSentenceCase } from '../../utils/styleUtils';
+import { useCurrencyContext } from '../../contexts';
+import { getCurrencySymbol } from '../../utils/currencyUtils';
 
 // ProjectEditForm - Form component for editing project details
 const ProjectEditForm = ({
@@ -13,6 +15,7 @@ const ProjectEditForm = ({
   vendorColors,
   darkMode
 }) => {
+  const { homeCurrency } = useCurrencyContext();
   const [showVehicleDropdown, setShowVehicleDropdown] = useState(false);
   const [isDropdownClosing, setIsDropdownClosing] = useState(false);
 
@@ -183,7 +186,7 @@ const ProjectEditForm = ({
             <label className={`block text-sm font-medium mb-2 ${
               darkMode ? 'text-gray-300' : 'text-slate-700'
             }`}>
-              Budget ($)
+              Budget ({getCurrencySymbol(homeCurrency)})
             </label>
             <input
               type="number"
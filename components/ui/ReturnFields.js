@@ -0,0 +1,97 @@
+import React from 'react';
+import { useCurrencyContext } from '../../contexts';
+import { getCurrencySymbol } from '../../utils/currencyUtils';
+import { RETURN_STATUSES } from '../../utils/returnUtils';
+import { inputClasses, selectDropdownStyle, toAllCaps } from '../../utils/styleUtils';
+
+const NUMBER_INPUT_CLASSES = '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+// ReturnFields Component - return status, RMA, return tracking and refund inputs for the part edit form
+// The RMA, tracking and refund inputs only show once a return status is picked
+const ReturnFields = ({ part, onChange, darkMode }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const currencySymbol = getCurrencySymbol(part.currency || homeCurrency);
+
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className={labelClass}>
+          Return
+        </label>
+        <select
+          value={part.returnStatus || ''}
+          onChange={(e) => onChange({ returnStatus: e.target.value || null })}
+          className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+          style={selectDropdownStyle}
+        >
+          <option value="">Not returned</option>
+          {RETURN_STATUSES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {part.returnStatus && (
+        <>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>
+                RMA Number
+              </label>
+              <input
+                type="text"
+                value={part.rmaNumber || ''}
+                onChange={(e) => onChange({ rmaNumber: toAllCaps(e.target.value) })}
+                className={inputClasses(darkMode)}
+                placeholder="e.g., RMA-12345"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>
+                Return Tracking
+              </label>
+              <input
+                type="text"
+                value={part.returnTracking || ''}
+                onChange={(e) => onChange({ returnTracking: toAllCaps(e.target.value) })}
+                className={inputClasses(darkMode)}
+                placeholder="e.g., 1Z999AA10123456784"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className={labelClass}>
+                Refund ({currencySymbol})
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                inputMode="decimal"
+                value={part.refundAmount ?? ''}
+                onChange={(e) => onChange({ refundAmount: e.target.value })}
+                className={inputClasses(darkMode, NUMBER_INPUT_CLASSES)}
+                placeholder="0.00"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>
+                Refunded On
+              </label>
+              <input
+                type="date"
+                value={part.refundedAt || ''}
+                onChange={(e) => onChange({ refundedAt: e.target.value || null })}
+                className={inputClasses(darkMode)}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReturnFields;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Bookmark, Check, Link2, Trash2 } from 'lucide-react';
+import { getPartsViewUrl, isCustomPartsView, isSamePartsView } from '../../utils/partsViewUtils';
+
+// SavedViewsMenu - Parts list views saved by name: apply, save the current filters
+// under a name (an existing name is replaced), delete, and copy a link to the current view
+const SavedViewsMenu = ({ savedViews, currentView, onApply, onSave, onDelete, darkMode }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [viewName, setViewName] = useState('');
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  const activeView = savedViews.find(view => isSamePartsView(view.filters, currentView));
+  const isFiltered = isCustomPartsView(currentView);
+  const mutedText = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  const handleSave = async () => {
+    if (!viewName.trim()) return;
+    const saved = await onSave(viewName);
+    if (saved) setViewName('');
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getPartsViewUrl(currentView));
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      // Clipboard access denied - the address bar already holds the link
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center justify-center h-[38px] w-[38px] rounded-lg border transition-all ${
+          activeView
+            ? (darkMode
+                ? 'text-blue-300 border-blue-600 hover:text-blue-200 hover:border-blue-500'
+                : 'text-blue-600 border-blue-400 hover:text-blue-700 hover:border-blue-500')
+            : (darkMode
+                ? 'text-gray-400 border-gray-600 hover:text-gray-300 hover:border-gray-500'
+                : 'text-slate-400 border-slate-300 hover:text-slate-600 hover:border-slate-400')
+        }`}
+        title={activeView ? `View: ${activeView.name}` : 'Saved views'}
+      >
+        <Bookmark className="w-5 h-5" />
+      </button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className={`absolute right-0 z-20 mt-1 w-72 rounded-lg border shadow-lg py-2 dropdown-fade-in ${
+            darkMode ? 'bg-gray-700 border-gray-600' : 'bg-slate-50 border-slate-300'
+          }`}>
+            <p className={`px-3 pb-1 text-xs font-semibold uppercase tracking-wider ${mutedText}`}>
+              Saved views
+            </p>
+            {savedViews.length === 0 ? (
+              <p className={`px-3 py-2 text-sm ${mutedText}`}>
+                No saved views yet
+              </p>
+            ) : (
+              <ul className="max-h-60 overflow-y-auto">
+                {savedViews.map(view => (
+                  <li key={view.id} className="flex items-center">
+                    <button
+                      onClick={() => {
+                        onApply(view.filters);
+                        setIsOpen(false);
+                      }}
+                      className={`flex-1 min-w-0 flex items-center gap-2 px-3 py-2 text-sm text-left ${
+                        darkMode ? 'text-gray-100 hover:bg-gray-600' : 'text-gray-900 hover:bg-gray-100'
+                      }`}
+                    >
+                      <Check className={`w-4 h-4 flex-shrink-0 ${activeView?.id === view.id ? '' : 'invisible'}`} />
+                      <span className="truncate">{view.name}</span>
+                    </button>
+                    <button
+                      onClick={() => onDelete(view.id)}
+                      className={`p-2 mr-1 rounded transition-colors ${
+                        darkMode ? 'text-gray-400 hover:text-red-400 hover:bg-gray-600' : 'text-slate-400 hover:text-red-600 hover:bg-gray-100'
+                      }`}
+                      title={`Delete "${view.name}"`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className={`mt-2 pt-2 px-3 border-t ${darkMode ? 'border-gray-600' : 'border-slate-200'}`}>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={viewName}
+                  onChange={(e) => setViewName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleSave();
+                  }}
+                  className={`flex-1 min-w-0 px-3 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    darkMode ? 'bg-gray-800 border-gray-600 text-gray-100 placeholder-gray-400' : 'bg-white border-slate-300 text-slate-800 placeholder-slate-400'
+                  }`}
+                  placeholder="Name this view"
+                />
+                <button
+                  onClick={handleSave}
+                  disabled={!viewName.trim()}
+                  className="px-3 py-1.5 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60 disabled:cursor-not-allowed"
+                >
+                  Save
+                </button>
+              </div>
+              <button
+                onClick={handleCopyLink}
+                disabled={!isFiltered}
+                className={`mt-2 flex items-center gap-2 text-sm disabled:opacity-60 disabled:cursor-not-allowed ${
+                  darkMode ? 'text-blue-400' : 'text-blue-600'
+                }`}
+                title={isFiltered ? undefined : 'Filter or sort the list first'}
+              >
+                {linkCopied ? <Check className="w-4 h-4" /> : <Link2 className="w-4 h-4" />}
+                {linkCopied ? 'Link copied' : 'Copy link to this view'}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsMenu;
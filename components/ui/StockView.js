@@ -0,0 +1,171 @@
+import React, { useState, useMemo } from 'react';
+import { Boxes, AlertTriangle, MapPin } from 'lucide-react';
+import { buildStockItems, getQuantityOnHand } from '../../utils/inventoryUtils';
+
+// StockView - Delivered parts grouped by part number with stock on hand,
+// storage locations and per-part-number low-stock thresholds
+const StockView = ({
+  parts,
+  stockThresholds,
+  onSaveThreshold,
+  searchTerm = '',
+  darkMode,
+  onOpenPart
+}) => {
+  const [showLowOnly, setShowLowOnly] = useState(false);
+  // Threshold inputs being edited, keyed by part number
+  const [thresholdDrafts, setThresholdDrafts] = useState({});
+
+  const stockItems = useMemo(() => buildStockItems(parts, stockThresholds), [parts, stockThresholds]);
+  const lowCount = stockItems.filter(item => item.isLow).length;
+
+  const visibleItems = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return stockItems
+      .filter(item => !showLowOnly || item.isLow)
+      .filter(item => !term ||
+        item.name?.toLowerCase().includes(term) ||
+        item.partNumber.toLowerCase().includes(term) ||
+        item.locations.some(location => location.toLowerCase().includes(term)))
+      // Low stock first, then by name
+      .sort((a, b) => (b.isLow - a.isLow) || (a.name || '').localeCompare(b.name || ''));
+  }, [stockItems, showLowOnly, searchTerm]);
+
+  const commitThreshold = (partNumber) => {
+    if (thresholdDrafts[partNumber] === undefined) return;
+    onSaveThreshold(partNumber, thresholdDrafts[partNumber]);
+    setThresholdDrafts(prev => {
+      const { [partNumber]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-slate-500';
+
+  return (
+    <div className={`rounded-lg shadow-md ${darkMode ? 'bg-gray-800' : 'bg-slate-100'}`}>
+      {/* Header */}
+      <div className={`flex items-center justify-between gap-3 px-4 py-3 border-b ${
+        darkMode ? 'border-gray-700' : 'border-slate-200'
+      }`}>
+        <div className="flex items-center gap-2">
+          <Boxes className={`w-5 h-5 ${darkMode ? 'text-blue-400' : 'text-blue-600'}`} />
+          <h3 className={`font-semibold ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}>Stock</h3>
+          <span className={`text-sm ${mutedText}`}>
+            {stockItems.length} item{stockItems.length !== 1 ? 's' : ''}
+          </span>
+        </div>
+        <button
+          onClick={() => setShowLowOnly(!showLowOnly)}
+          disabled={lowCount === 0 && !showLowOnly}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg border text-sm font-medium transition-colors disabled:opacity-50 ${
+            showLowOnly
+              ? (darkMode ? 'border-orange-600 text-orange-300' : 'border-orange-400 text-orange-700')
+              : (darkMode ? 'border-gray-600 text-gray-300 hover:border-gray-500' : 'border-slate-300 text-slate-600 hover:border-slate-400')
+          }`}
+        >
+          <AlertTriangle className="w-4 h-4" />
+          {lowCount} low
+        </button>
+      </div>
+
+      {visibleItems.length === 0 ? (
+        <div className="text-center py-16 px-4">
+          <Boxes className={`w-16 h-16 mx-auto mb-3 ${darkMode ? 'text-gray-600' : 'text-gray-400'}`} />
+          <p className={mutedText}>
+            {stockItems.length === 0
+              ? 'Delivered parts show up here as stock on hand'
+              : 'No stock matches your filters'}
+          </p>
+        </div>
+      ) : (
+        <div className={`divide-y ${darkMode ? 'divide-gray-700' : 'divide-slate-200'}`}>
+          {visibleItems.map(item => (
+            <div key={item.key} className="px-4 py-3">
+              <div className="flex items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <button
+                    onClick={() => onOpenPart(item.parts[0])}
+                    className={`text-left font-medium truncate hover:underline ${darkMode ? 'text-gray-100' : 'text-slate-800'}`}
+                  >
+                    {item.name}
+                  </button>
+                  <div className={`flex flex-wrap items-center gap-x-3 text-xs ${mutedText}`}>
+                    {item.partNumber && <span className="font-mono">{item.partNumber}</span>}
+                    {item.locations.length > 0 && (
+                      <span className="inline-flex items-center gap-1">
+                        <MapPin className="w-3 h-3" />
+                        {item.locations.join(', ')}
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                {/* Low-stock threshold - part numbers only */}
+                {item.partNumber && (
+                  <label className={`flex items-center gap-1.5 text-xs ${mutedText}`} title="Low stock below this quantity">
+                    Min
+                    <input
+                      type="number"
+                      min="0"
+                      inputMode="numeric"
+                      value={thresholdDrafts[item.partNumber] ?? (item.minQuantity ?? '')}
+                      onChange={(e) => setThresholdDrafts(prev => ({ ...prev, [item.partNumber]: e.target.value }))}
+                      onBlur={() => commitThreshold(item.partNumber)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') e.target.blur();
+                      }}
+                      className={`w-14 px-2 py-1 border rounded-md text-sm text-center [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none ${
+                        darkMode
+                          ? 'bg-gray-700 border-gray-600 text-gray-100'
+                          : 'bg-slate-50 border-slate-300 text-slate-800'
+                      }`}
+                      placeholder="–"
+                    />
+                  </label>
+                )}
+
+                <div className="w-20 text-right">
+                  <span className={`text-lg font-bold ${
+                    item.onHand === 0
+                      ? (darkMode ? 'text-red-400' : 'text-red-600')
+                      : item.isLow
+                        ? (darkMode ? 'text-orange-400' : 'text-orange-600')
+                        : (darkMode ? 'text-gray-100' : 'text-slate-800')
+                  }`}>
+                    {item.onHand}
+                  </span>
+                  <p className={`text-xs ${mutedText}`}>
+                    {item.onHand === 0 ? 'out' : item.isLow ? 'low' : 'on hand'}
+                  </p>
+                </div>
+              </div>
+
+              {/* Individual purchases of the same part number */}
+              {item.parts.length > 1 && (
+                <div className="mt-2 ml-3 space-y-1">
+                  {item.parts.map(part => (
+                    <button
+                      key={part.id}
+                      onClick={() => onOpenPart(part)}
+                      className={`w-full flex items-center justify-between text-xs rounded px-2 py-1 transition-colors ${
+                        darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-slate-600 hover:bg-slate-200'
+                      }`}
+                    >
+                      <span className="truncate">
+                        {part.vendor || 'No vendor'}{part.storageLocation ? ` · ${part.storageLocation}` : ''}
+                      </span>
+                      <span className="font-medium">{getQuantityOnHand(part)}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockView;
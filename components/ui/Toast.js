@@ -11,6 +11,7 @@ import { CheckCircle, X, AlertCircle, AlertTriangle, Info } from 'lucide-react';
  * @param {string} props.message - The message to display
  * @param {string} props.type - Toast type: 'success', 'error', 'warning', 'info'
  * @param {number} props.duration - Duration in ms before auto-dismiss (default: 5000)
+ * @param {Object} props.action - Optional button { label, onClick } shown before the close button
  * @param {Function} props.onClose - Callback when toast is closed
  * @param {boolean} props.darkMode - Dark mode flag
  */
@@ -19,6 +20,7 @@ const Toast = ({
   message,
   type = 'info',
   duration = 5000,
+  action = null,
   onClose,
   darkMode = false
 }) => {
@@ -90,6 +92,20 @@ const Toast = ({
         {message}
       </p>
 
+      {action && (
+        <button
+          onClick={() => {
+            action.onClick();
+            onClose(id);
+          }}
+          className={`flex-shrink-0 rounded-lg px-2 py-1 text-sm font-semibold underline transition-colors ${
+            darkMode ? 'hover:bg-white/10' : 'hover:bg-black/10'
+          }`}
+        >
+          {action.label}
+        </button>
+      )}
+
       <button
         onClick={() => onClose(id)}
         className={`flex-shrink-0 rounded-lg p-1 transition-colors ${
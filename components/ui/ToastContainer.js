@@ -44,6 +44,7 @@ const ToastContainer = ({ toasts, onDismiss, darkMode = false }) => {
           message={toast.message}
           type={toast.type}
           duration={toast.duration}
+          action={toast.action}
           onClose={onDismiss}
           darkMode={darkMode}
         />
@@ -10,7 +10,8 @@ import {
   AlertTriangle,
   ChevronDown,
   ChevronUp,
-  XCircle
+  XCircle,
+  Trash2
 } from 'lucide-react';
 import {
   getTrackingStatusConfig,
@@ -63,9 +64,10 @@ const TrackingProgressBar = ({ status, darkMode }) => {
 
 /**
  * Single checkpoint item in the timeline
+ * Checkpoints entered by hand can be deleted when onDelete is given
  */
-const CheckpointItem = ({ checkpoint, isFirst, isLast, darkMode }) => {
-  // Use checkpoint.status (from Ship24 statusMilestone) or fall back to tag
+const CheckpointItem = ({ checkpoint, isFirst, isLast, darkMode, onDelete }) => {
+  // Use checkpoint.status (provider or manual statusMilestone) or fall back to tag
   const statusTag = checkpoint.status || checkpoint.tag;
   const config = getTrackingStatusConfig(statusTag);
   const IconComponent = ICON_MAP[config.icon] || Package;
@@ -134,6 +136,17 @@ const CheckpointItem = ({ checkpoint, isFirst, isLast, darkMode }) => {
             <div>{date}</div>
             <div>{time}</div>
           </div>
+          {checkpoint.manual && onDelete && (
+            <button
+              onClick={() => onDelete(checkpoint)}
+              className={`p-1 rounded transition-colors flex-shrink-0 ${
+                darkMode ? 'text-gray-500 hover:text-red-400 hover:bg-gray-600' : 'text-gray-400 hover:text-red-600 hover:bg-gray-200'
+              }`}
+              title="Delete checkpoint"
+            >
+              <Trash2 className="w-3.5 h-3.5" />
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -143,6 +156,7 @@ const CheckpointItem = ({ checkpoint, isFirst, isLast, darkMode }) => {
 /**
  * TrackingTimeline Component
  * Displays a vertical timeline of tracking checkpoints
+ * Pass onDeleteCheckpoint to allow deleting checkpoints entered by hand
  */
 const TrackingTimeline = ({
   checkpoints = [],
@@ -150,7 +164,8 @@ const TrackingTimeline = ({
   darkMode,
   maxVisible = 3,
   showProgress = true,
-  className = ''
+  className = '',
+  onDeleteCheckpoint
 }) => {
   const [expanded, setExpanded] = useState(false);
   const contentRef = useRef(null);
@@ -225,6 +240,7 @@ const TrackingTimeline = ({
             isFirst={index === 0}
             isLast={index === sortedCheckpoints.length - 1}
             darkMode={darkMode}
+            onDelete={onDeleteCheckpoint}
           />
         ))}
       </div>
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Calculator, Plus, Trash2 } from 'lucide-react';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { inputClasses, selectDropdownStyle } from '../../utils/styleUtils';
+import { toLocalDay } from '../../utils/partDateUtils';
+import {
+  EXPENSE_CATEGORIES,
+  calculateVehicleTCO,
+  getExpenseCategoryLabel
+} from '../../utils/ownershipCostUtils';
+
+const EXPENSE_LIMIT = 5;
+
+const emptyDraft = () => ({
+  category: 'fuel',
+  amount: '',
+  expenseDate: toLocalDay(new Date()),
+  odometer: '',
+  notes: ''
+});
+
+// VehicleOwnershipCost - A vehicle's total cost of ownership broken down into purchase price,
+// parts, service and running expenses, with cost per km/mile and the insurance,
+// registration and fuel expense log
+const VehicleOwnershipCost = ({
+  vehicle,
+  parts,
+  projects,
+  serviceEvents,
+  expenses = [],
+  onAddExpense,
+  onDeleteExpense,
+  darkMode
+}) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [showAllExpenses, setShowAllExpenses] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [saving, setSaving] = useState(false);
+
+  // Close the form when moving to another vehicle
+  useEffect(() => {
+    setShowAddForm(false);
+    setShowAllExpenses(false);
+    setDraft(emptyDraft());
+  }, [vehicle.id]);
+
+  const tco = calculateVehicleTCO(vehicle, { parts, projects, serviceEvents, expenses });
+  const mutedText = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const valueText = darkMode ? 'text-gray-100' : 'text-slate-800';
+  const unitLabel = tco.unit === 'mi' ? 'mile' : 'km';
+
+  const breakdown = [
+    { label: 'Purchase', value: tco.purchase },
+    { label: 'Parts', value: tco.parts },
+    { label: 'Service', value: tco.service },
+    ...EXPENSE_CATEGORIES.map(({ value, label }) => ({ label, value: tco[value] }))
+  ];
+  let distanceNote = `Log odometer readings on service events or expenses to see the cost per ${unitLabel}`;
+  if (tco.distance > 0) {
+    distanceNote = `Over ${tco.distance.toLocaleString()} ${tco.unit} of odometer history`;
+    if (tco.costPerDistance === null) {
+      distanceNote += `. Log a reading from the purchase date to include the purchase price per ${unitLabel}`;
+    }
+  }
+  const visibleExpenses = showAllExpenses ? expenses : expenses.slice(0, EXPENSE_LIMIT);
+
+  const handleAdd = async () => {
+    setSaving(true);
+    const saved = await onAddExpense(vehicle.id, draft);
+    setSaving(false);
+    if (saved) {
+      setShowAddForm(false);
+      setDraft(emptyDraft());
+    }
+  };
+
+  return (
+    <div className={`pt-6 border-t ${darkMode ? 'border-gray-700' : 'border-slate-200'}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-lg font-semibold flex items-center gap-2 ${darkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+          <Calculator className="w-5 h-5" />
+          Cost of Ownership
+        </h3>
+        {onAddExpense && !showAddForm && (
+          <button
+            onClick={() => setShowAddForm(true)}
+            className={`px-2 py-1 rounded-md text-sm flex items-center gap-1 transition-colors ${
+              darkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-200'
+            }`}
+          >
+            <Plus className="w-4 h-4" />
+            Add expense
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-end gap-x-8 gap-y-2 mb-4">
+        <div>
+          <p className={`text-xs ${mutedText}`}>Total cost of ownership</p>
+          <p className={`text-2xl font-bold ${valueText}`}>{formatCurrency(tco.total, homeCurrency)}</p>
+        </div>
+        {tco.costPerDistance !== null && (
+          <div>
+            <p className={`text-xs ${mutedText}`}>Per {unitLabel}</p>
+            <p className={`text-lg font-semibold ${valueText}`}>{formatCurrency(tco.costPerDistance, homeCurrency)}</p>
+          </div>
+        )}
+        {tco.runningCostPerDistance !== null && (
+          <div>
+            <p className={`text-xs ${mutedText}`}>Running cost per {unitLabel}</p>
+            <p className={`text-lg font-semibold ${valueText}`}>{formatCurrency(tco.runningCostPerDistance, homeCurrency)}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3 text-sm">
+        {breakdown.map(({ label, value }) => (
+          <div key={label} className={`rounded-lg p-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <p className={`text-xs ${mutedText}`}>{label}</p>
+            <p className={`font-medium ${valueText}`}>{formatCurrency(value, homeCurrency)}</p>
+          </div>
+        ))}
+      </div>
+
+      <p className={`text-xs mt-2 ${mutedText}`}>{distanceNote}</p>
+
+      {showAddForm && (
+        <div className={`mt-4 rounded-lg p-3 space-y-3 ${darkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+            <select
+              value={draft.category}
+              onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+              className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+              style={selectDropdownStyle}
+            >
+              {EXPENSE_CATEGORIES.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="date"
+              value={draft.expenseDate}
+              onChange={(e) => setDraft({ ...draft, expenseDate: e.target.value })}
+              className={inputClasses(darkMode)}
+            />
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step="0.01"
+              value={draft.amount}
+              onChange={(e) => setDraft({ ...draft, amount: e.target.value })}
+              className={inputClasses(darkMode)}
+              placeholder={`Amount (${homeCurrency})`}
+            />
+            <input
+              type="number"
+              inputMode="numeric"
+              min="0"
+              value={draft.odometer}
+              onChange={(e) => setDraft({ ...draft, odometer: e.target.value })}
+              className={inputClasses(darkMode)}
+              placeholder={`Odometer (${tco.unit})`}
+            />
+          </div>
+          <input
+            type="text"
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            className={inputClasses(darkMode)}
+            placeholder="Notes, e.g. policy or station"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => setShowAddForm(false)}
+              disabled={saving}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                darkMode ? 'bg-gray-600 hover:bg-gray-500 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+              }`}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleAdd}
+              disabled={saving}
+              className={`px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors ${
+                saving ? 'opacity-50 cursor-not-allowed' : ''
+              }`}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+
+      {expenses.length > 0 && (
+        <div className="mt-4">
+          <p className={`text-xs font-medium mb-2 ${mutedText}`}>Expenses</p>
+          <ul className={`divide-y text-sm ${darkMode ? 'divide-gray-700 text-gray-300' : 'divide-gray-200 text-slate-700'}`}>
+            {visibleExpenses.map(expense => (
+              <li key={expense.id} className="py-2 flex items-center justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">
+                    {getExpenseCategoryLabel(expense.category)}
+                    {expense.notes && <span className={`ml-2 font-normal ${mutedText}`}>{expense.notes}</span>}
+                  </p>
+                  <p className={`text-xs ${mutedText}`}>
+                    {new Date(`${expense.expense_date}T00:00:00`).toLocaleDateString()}
+                    {expense.odometer !== null && expense.odometer !== undefined && (
+                      <> · {Number(expense.odometer).toLocaleString()} {tco.unit}</>
+                    )}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <span className="font-medium">{formatCurrency(parseFloat(expense.amount) || 0, homeCurrency)}</span>
+                  {onDeleteExpense && (
+                    <button
+                      onClick={() => onDeleteExpense(expense.id)}
+                      className={`p-1 rounded transition-colors ${
+                        darkMode ? 'text-gray-400 hover:text-red-400 hover:bg-gray-600' : 'text-gray-500 hover:text-red-600 hover:bg-gray-200'
+                      }`}
+                      title="Delete expense"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+          {expenses.length > EXPENSE_LIMIT && (
+            <button
+              onClick={() => setShowAllExpenses(!showAllExpenses)}
+              className={`text-xs mt-1 hover:underline ${darkMode ? 'text-blue-400' : 'text-blue-600'}`}
+            >
+              {showAllExpenses ? 'Show fewer' : `Show all ${expenses.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VehicleOwnershipCost;
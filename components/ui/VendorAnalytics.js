@@ -0,0 +1,105 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { useCurrencyContext } from '../../contexts';
+import { formatCurrency } from '../../utils/currencyUtils';
+import { formatDays } from '../../utils/partDateUtils';
+import { VENDOR_METRICS, getVendorAnalytics, rankVendors } from '../../utils/vendorAnalyticsUtils';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// VendorAnalytics - Spend, shipping share, lead time and delivery exception rate
+// per vendor, ranked by the chosen metric
+const VendorAnalytics = ({ parts, vendors, darkMode }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [metric, setMetric] = useState('totalSpend');
+
+  const rows = useMemo(
+    () => rankVendors(getVendorAnalytics(parts, vendors), metric),
+    [parts, vendors, metric]
+  );
+
+  const mutedText = darkMode ? 'text-gray-400' : 'text-slate-600';
+  const cellText = darkMode ? 'text-gray-100' : 'text-slate-800';
+
+  if (rows.every(row => row.orderedCount === 0)) {
+    return (
+      <div className={`text-center py-12 ${mutedText}`}>
+        <BarChart3 className="w-16 h-16 mx-auto mb-4 opacity-50" />
+        <p>No ordered parts yet. Vendor figures appear once parts are marked as ordered.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-1.5">
+        <span className={`text-xs mr-1 ${mutedText}`}>Rank by</span>
+        {VENDOR_METRICS.map(option => (
+          <button
+            key={option.value}
+            onClick={() => setMetric(option.value)}
+            className={`px-2 py-1 rounded text-xs font-medium transition-colors ${
+              metric === option.value
+                ? 'bg-blue-600 text-white'
+                : darkMode ? 'bg-gray-700 text-gray-300 hover:bg-gray-600' : 'bg-slate-200 text-slate-700 hover:bg-slate-300'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <div className={`overflow-x-auto rounded-lg border ${darkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+        <table className="w-full text-sm">
+          <thead className={darkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+            <tr className={`text-xs text-left ${mutedText}`}>
+              <th className="px-3 py-2 font-medium">#</th>
+              <th className="px-3 py-2 font-medium">Vendor</th>
+              <th className="px-3 py-2 font-medium text-right">Spend</th>
+              <th className="px-3 py-2 font-medium text-right">Shipping</th>
+              <th className="px-3 py-2 font-medium text-right">Lead time</th>
+              <th className="px-3 py-2 font-medium text-right">Exceptions</th>
+            </tr>
+          </thead>
+          <tbody className={`divide-y ${darkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+            {rows.map(row => (
+              <tr key={row.vendor} className={cellText}>
+                <td className={`px-3 py-2 ${mutedText}`}>{row.rank ?? '–'}</td>
+                <td className="px-3 py-2">
+                  <p className="font-medium">{row.vendor}</p>
+                  <p className={`text-xs ${mutedText}`}>
+                    {row.orderedCount} of {row.partCount} {row.partCount === 1 ? 'part' : 'parts'} ordered
+                  </p>
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  {formatCurrency(row.totalSpend, homeCurrency)}
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap" title="Shipping as a share of the parts' price">
+                  {row.shippingShare !== null ? formatPercent(row.shippingShare) : '–'}
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  {row.averageLeadDays !== null ? (
+                    <>
+                      {formatDays(row.averageLeadDays)}
+                      <p className={`text-xs ${mutedText}`}>{row.leadTimeCount} delivered</p>
+                    </>
+                  ) : '–'}
+                </td>
+                <td className="px-3 py-2 text-right whitespace-nowrap">
+                  {row.exceptionRate !== null ? (
+                    <>
+                      {formatPercent(row.exceptionRate)}
+                      <p className={`text-xs ${mutedText}`}>{row.exceptionCount} of {row.trackedCount} tracked</p>
+                    </>
+                  ) : '–'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default VendorAnalytics;
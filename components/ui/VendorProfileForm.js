@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { useCurrencyContext } from '../../contexts';
+import { CURRENCIES, getCurrencySymbol } from '../../utils/currencyUtils';
+import { PART_NUMBER_PLACEHOLDER, toVendorProfile } from '../../utils/vendorProfileUtils';
+import { inputClasses, selectDropdownStyle } from '../../utils/styleUtils';
+
+const NUMBER_INPUT_CLASSES = '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+// VendorProfileForm Component - website, part search URL, contact details, account number,
+// default shipping/currency and notes for one vendor
+// onSave gets the form values and resolves to true once saved
+const VendorProfileForm = ({ vendor, onSave, onCancel, darkMode }) => {
+  const { homeCurrency } = useCurrencyContext();
+  const [profile, setProfile] = useState(() => toVendorProfile(vendor));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const setField = (key, value) => setProfile(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSave(profile);
+    setIsSaving(false);
+    if (saved) onCancel();
+  };
+
+  // Include the stored currency even if it isn't in the default list
+  const currencyOptions = !profile.defaultCurrency || CURRENCIES.some(c => c.code === profile.defaultCurrency)
+    ? CURRENCIES
+    : [...CURRENCIES, { code: profile.defaultCurrency, name: profile.defaultCurrency }];
+
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  return (
+    <div className="space-y-4" onClick={(e) => e.stopPropagation()}>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Website</label>
+          <input
+            type="url"
+            value={profile.website}
+            onChange={(e) => setField('website', e.target.value)}
+            className={inputClasses(darkMode)}
+            placeholder="e.g., www.rockauto.com"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Account Number</label>
+          <input
+            type="text"
+            value={profile.accountNumber}
+            onChange={(e) => setField('accountNumber', e.target.value)}
+            className={inputClasses(darkMode)}
+            placeholder="Your customer/account number"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Part Search URL</label>
+        <input
+          type="url"
+          value={profile.searchUrl}
+          onChange={(e) => setField('searchUrl', e.target.value)}
+          className={inputClasses(darkMode)}
+          placeholder={`e.g., https://www.rockauto.com/en/partsearch/?partnum=${PART_NUMBER_PLACEHOLDER}`}
+        />
+        <p className={`text-xs mt-1 ${darkMode ? 'text-gray-400' : 'text-slate-500'}`}>
+          Put {PART_NUMBER_PLACEHOLDER} where the part number goes
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Email</label>
+          <input
+            type="email"
+            value={profile.email}
+            onChange={(e) => setField('email', e.target.value)}
+            className={inputClasses(darkMode)}
+            placeholder="e.g., orders@vendor.com"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Phone</label>
+          <input
+            type="tel"
+            value={profile.phone}
+            onChange={(e) => setField('phone', e.target.value)}
+            className={inputClasses(darkMode)}
+            placeholder="e.g., +1 555 123 4567"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>Default Currency</label>
+          <select
+            value={profile.defaultCurrency}
+            onChange={(e) => setField('defaultCurrency', e.target.value)}
+            className={inputClasses(darkMode, 'appearance-none cursor-pointer')}
+            style={selectDropdownStyle}
+          >
+            <option value="">Home currency ({homeCurrency})</option>
+            {currencyOptions.map(option => (
+              <option key={option.code} value={option.code}>
+                {option.code} - {option.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClass}>
+            Default Shipping ({getCurrencySymbol(profile.defaultCurrency || homeCurrency)})
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            inputMode="decimal"
+            value={profile.defaultShipping}
+            onChange={(e) => setField('defaultShipping', e.target.value)}
+            className={inputClasses(darkMode, NUMBER_INPUT_CLASSES)}
+            placeholder="None"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className={labelClass}>Notes</label>
+        <textarea
+          value={profile.notes}
+          onChange={(e) => setField('notes', e.target.value)}
+          rows={3}
+          className={inputClasses(darkMode, 'resize-y')}
+          placeholder="e.g., Free shipping over $50, ships from Wisconsin"
+        />
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          disabled={isSaving}
+          className={`px-4 py-2 rounded-lg font-medium text-sm transition-colors ${
+            darkMode ? 'bg-gray-600 hover:bg-gray-500 text-gray-100' : 'bg-gray-200 hover:bg-gray-300 text-gray-800'
+          }`}
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          className={`px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium text-sm transition-colors ${
+            isSaving ? 'opacity-50 cursor-not-allowed' : ''
+          }`}
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VendorProfileForm;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { inputClasses, selectDropdownStyle } from '../../utils/styleUtils';
+
+const NUMBER_INPUT_CLASSES = '[appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none';
+
+// WarrantyFields Component - warranty length or expiry date, terms and receipt for the part edit form
+// The receipt is picked from the documents of the part's vehicle
+const WarrantyFields = ({ part, documents = [], onChange, darkMode }) => {
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-gray-300' : 'text-slate-700'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>
+            Warranty (months)
+          </label>
+          <input
+            type="number"
+            min="1"
+            inputMode="numeric"
+            value={part.warrantyMonths ?? ''}
+            onChange={(e) => onChange({ warrantyMonths: e.target.value })}
+            className={inputClasses(darkMode, NUMBER_INPUT_CLASSES)}
+            placeholder="e.g., 24"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>
+            Expires On
+          </label>
+          <input
+            type="date"
+            value={part.warrantyExpiresAt || ''}
+            onChange={(e) => onChange({ warrantyExpiresAt: e.target.value || null })}
+            className={inputClasses(darkMode)}
+            title="Overrides the warranty length"
+          />
+        </div>
+      </div>
+      <div>
+        <label className={labelClass}>
+          Warranty Terms
+        </label>
+        <textarea
+          value={part.warrantyTerms || ''}
+          onChange={(e) => onChange({ warrantyTerms: e.target.value })}
+          rows={2}
+          className={inputClasses(darkMode, 'resize-none')}
+          placeholder="e.g., Parts only, claim through the vendor with the original receipt"
+        />
+      </div>
+      <div>
+        <label className={labelClass}>
+          Receipt
+        </label>
+        <select
+          value={part.warrantyDocumentId || ''}
+          onChange={(e) => {
+            const doc = documents.find(d => String(d.id) === e.target.value);
+            onChange({ warrantyDocumentId: doc ? doc.id : null });
+          }}
+          disabled={documents.length === 0}
+          className={inputClasses(darkMode, 'appearance-none cursor-pointer disabled:opacity-60 disabled:cursor-not-allowed')}
+          style={selectDropdownStyle}
+        >
+          <option value="">
+            {documents.length === 0 ? 'Upload the receipt to the vehicle first' : 'No receipt'}
+          </option>
+          {documents.map(doc => (
+            <option key={doc.id} value={doc.id}>{doc.title}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default WarrantyFields;
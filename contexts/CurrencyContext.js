@@ -0,0 +1,21 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_HOME_CURRENCY } from '../utils/currencyUtils';
+
+// Defaults keep price displays working outside the provider (e.g. isolated renders)
+const CurrencyContext = createContext({
+  homeCurrency: DEFAULT_HOME_CURRENCY,
+  exchangeRates: []
+});
+
+export const CurrencyProvider = ({ children, homeCurrency, exchangeRates = [] }) => {
+  const value = useMemo(() => ({
+    homeCurrency: homeCurrency || DEFAULT_HOME_CURRENCY,
+    exchangeRates
+  }), [homeCurrency, exchangeRates]);
+
+  return <CurrencyContext.Provider value={value}>{children}</CurrencyContext.Provider>;
+};
+
+export const useCurrencyContext = () => useContext(CurrencyContext);
+
+export default CurrencyContext;
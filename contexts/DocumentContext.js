@@ -77,6 +77,22 @@ export const DocumentProvider = ({ children, userId, toast, isDemo = false }) =>
     }
   }, [isDemo]);
 
+  // Get a vehicle's documents without replacing the loaded list (e.g. to pick a part's receipt)
+  const getVehicleDocumentOptions = useCallback(async (vehicleId) => {
+    if (!vehicleId) return [];
+
+    if (isDemo) {
+      return getDemoDocuments().filter(doc => doc.vehicle_id === vehicleId);
+    }
+
+    try {
+      return await documentsService.getVehicleDocuments(vehicleId);
+    } catch (error) {
+      console.error('Failed to load documents:', error);
+      return [];
+    }
+  }, [isDemo]);
+
   // Add a new document - matches original hook signature
   const addDocument = useCallback(async (vehicleId, title, file) => {
     if (!vehicleId || !title || !file || !userId) return null;
@@ -261,6 +277,7 @@ export const DocumentProvider = ({ children, userId, toast, isDemo = false }) =>
     isDraggingDocument,
     // Actions
     loadDocuments,
+    getVehicleDocumentOptions,
     addDocument,
     deleteDocument,
     handleDocumentFileChange,
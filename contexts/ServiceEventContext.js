@@ -1,15 +1,24 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useRef } from 'react';
 import * as serviceEventsService from '../services/serviceEventsService';
 import { validateOdometer } from '../utils/validationUtils';
 
 const ServiceEventContext = createContext(null);
 
-export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }) => {
+// onLinkedPartsChange(eventId, linkedPartIds, previousPartIds) runs whenever an event's
+// linked parts change, so installed parts can be taken out of (or put back into) stock
+export const ServiceEventProvider = ({ children, userId, toast, isDemo = false, onLinkedPartsChange }) => {
+  // Ref so the callbacks below don't change identity with the parent's handler
+  const onLinkedPartsChangeRef = useRef(onLinkedPartsChange);
+  onLinkedPartsChangeRef.current = onLinkedPartsChange;
+
   // Service events list state
   const [serviceEvents, setServiceEvents] = useState([]);
   const [loadingServiceEvents, setLoadingServiceEvents] = useState(false);
   const [savingServiceEvent, setSavingServiceEvent] = useState(false);
 
+  // Service events across every vehicle, for the spending dashboard
+  const [allServiceEvents, setAllServiceEvents] = useState([]);
+
   // Modal state
   const [showAddServiceEventModal, setShowAddServiceEventModal] = useState(false);
   const [editingServiceEvent, setEditingServiceEvent] = useState(null);
@@ -39,6 +48,19 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
     }
   }, []);
 
+  // Load service events for every vehicle (service events are not kept in demo mode)
+  const loadAllServiceEvents = useCallback(async () => {
+    if (!userId || isDemo) {
+      setAllServiceEvents([]);
+      return;
+    }
+    try {
+      setAllServiceEvents(await serviceEventsService.getServiceEvents(userId));
+    } catch (error) {
+      toast?.error('Error loading service events');
+    }
+  }, [userId, isDemo, toast]);
+
   // Add a new service event
   const addServiceEvent = useCallback(async (vehicleId, eventDate, description, odometer, notes, linkedPartIds = [], cost = null) => {
     if (!vehicleId || !eventDate || !description || !userId) return null;
@@ -66,6 +88,9 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
       };
 
       const newEvent = await serviceEventsService.createServiceEvent(eventData, userId);
+      if (linkedPartIds.length > 0) {
+        onLinkedPartsChangeRef.current?.(newEvent.id, linkedPartIds, []);
+      }
 
       // Insert in sorted position (by date descending)
       setServiceEvents(prev => {
@@ -96,6 +121,10 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
     try {
       setSavingServiceEvent(true);
       const updatedEvent = await serviceEventsService.updateServiceEvent(eventId, updates);
+      if (updates.linked_part_ids !== undefined) {
+        const previousEvent = serviceEvents.find(event => event.id === eventId);
+        onLinkedPartsChangeRef.current?.(eventId, updates.linked_part_ids || [], previousEvent?.linked_part_ids || []);
+      }
 
       setServiceEvents(prev => {
         const updated = prev.map(event =>
@@ -111,17 +140,22 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
     } finally {
       setSavingServiceEvent(false);
     }
-  }, [toast]);
+  }, [toast, serviceEvents]);
 
   // Delete a service event
   const deleteServiceEvent = useCallback(async (eventId) => {
     try {
+      // Put installed parts back in stock while the event still exists to reference
+      const deletedEvent = serviceEvents.find(event => event.id === eventId);
+      if (deletedEvent?.linked_part_ids?.length > 0) {
+        await onLinkedPartsChangeRef.current?.(eventId, [], deletedEvent.linked_part_ids);
+      }
       await serviceEventsService.deleteServiceEvent(eventId);
       setServiceEvents(prev => prev.filter(event => event.id !== eventId));
     } catch (error) {
       toast?.error('Error deleting service event');
     }
-  }, [toast]);
+  }, [toast, serviceEvents]);
 
   // Reset form fields
   const resetForm = useCallback(() => {
@@ -181,6 +215,7 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
     setServiceEvents,
     loadingServiceEvents,
     savingServiceEvent,
+    allServiceEvents,
     showAddServiceEventModal,
     setShowAddServiceEventModal,
     editingServiceEvent,
@@ -199,6 +234,7 @@ export const ServiceEventProvider = ({ children, userId, toast, isDemo = false }
     setNewEventCost,
     // Actions
     loadServiceEvents,
+    loadAllServiceEvents,
     addServiceEvent,
     updateServiceEvent,
     deleteServiceEvent,
@@ -2,12 +2,14 @@
 export { UIProvider, useUI } from './UIContext';
 export { DocumentProvider, useDocuments } from './DocumentContext';
 export { ServiceEventProvider, useServiceEvents } from './ServiceEventContext';
+export { CurrencyProvider, useCurrencyContext } from './CurrencyContext';
 
 // Combined provider for convenience
 import React from 'react';
 import { UIProvider } from './UIContext';
 import { DocumentProvider } from './DocumentContext';
 import { ServiceEventProvider } from './ServiceEventContext';
+import { CurrencyProvider } from './CurrencyContext';
 
 /**
  * AppProviders - Combines all context providers into a single wrapper
@@ -23,13 +25,16 @@ import { ServiceEventProvider } from './ServiceEventContext';
  * const { darkMode, showConfirm, isModalClosing, handleCloseModal } = useUI();
  * const { documents, addDocument, loadDocuments } = useDocuments();
  * const { serviceEvents, addServiceEvent } = useServiceEvents();
+ * const { homeCurrency, exchangeRates } = useCurrencyContext();
  */
-export const AppProviders = ({ children, darkMode, setDarkMode, userId, toast, isDemo = false }) => {
+export const AppProviders = ({ children, darkMode, setDarkMode, userId, toast, isDemo = false, homeCurrency, exchangeRates, onServiceEventPartsChange }) => {
   return (
     <UIProvider darkMode={darkMode} setDarkMode={setDarkMode} toast={toast}>
       <DocumentProvider userId={userId} toast={toast} isDemo={isDemo}>
-        <ServiceEventProvider userId={userId} toast={toast} isDemo={isDemo}>
-          {children}
+        <ServiceEventProvider userId={userId} toast={toast} isDemo={isDemo} onLinkedPartsChange={onServiceEventPartsChange}>
+          <CurrencyProvider homeCurrency={homeCurrency} exchangeRates={exchangeRates}>
+            {children}
+          </CurrencyProvider>
         </ServiceEventProvider>
       </DocumentProvider>
     </UIProvider>
@@ -1,3 +1,5 @@
+import { getPartChangeEvents } from '../utils/partEventUtils';
+
 /**
  * Demo data for Shako demo mode
  * This data was exported from a real account and sanitized for demo purposes
@@ -275,7 +277,7 @@ export const DEMO_PROJECTS = [
 
 export const DEMO_PARTS = [
   { id: 1, part: "Cup Holder", partNumber: "", vendor: "Etsy", price: 52, shipping: 0, duties: 0, total: 52, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 2 },
-  { id: 2, part: "Sony Stereo", partNumber: "XAV-AX6000", vendor: "Best Buy", price: 436.99, shipping: 0, duties: 0, total: 436.99, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 5 },
+  { id: 2, part: "Sony Stereo", partNumber: "XAV-AX6000", vendor: "Best Buy", price: 436.99, shipping: 0, duties: 0, total: 436.99, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 5, installed: true, installedAt: "2025-06-14", installedOdometer: 96850, installNotes: "Wired into the factory harness with an adapter", warrantyMonths: 36, warrantyTerms: "Manufacturer warranty, original receipt required" },
   { id: 3, part: "FR Fender Rubber", partNumber: "53878-90K00", vendor: "Partsnext", price: 17.54, shipping: 3.29, duties: 132.65, total: 20.83, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 3 },
   { id: 4, part: "FL Fender Rubber", partNumber: "53879-90K00", vendor: "Partsnext", price: 17.54, shipping: 0, duties: 0, total: 17.54, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 3 },
   { id: 5, part: "RR Fender Rubber", partNumber: "61783-90K00", vendor: "Partsnext", price: 10.68, shipping: 3.29, duties: 0, total: 13.97, purchased: true, shipped: true, delivered: true, tracking: "", projectId: 3 },
@@ -337,6 +339,19 @@ export const DEMO_VENDORS = [
   { id: 11, name: "Testing", color: "#6b7280" }
 ];
 
+export const DEMO_CROSS_REFERENCES = [
+  { id: 1, oem_brand: "Toyota", oem_number: "90915-30002", aftermarket_brand: "Wix", aftermarket_number: "57254", notes: null, created_at: "2025-01-10T12:00:00.000Z" },
+  { id: 2, oem_brand: "Toyota", oem_number: "23303-64010", aftermarket_brand: "Wix", aftermarket_number: "33138", notes: null, created_at: "2025-01-10T12:00:00.000Z" }
+];
+
+export const DEMO_VEHICLE_EXPENSES = [
+  { id: 1, vehicle_id: 1, category: "insurance", amount: 1140, expense_date: "2024-08-22", odometer: 98500, notes: "Progressive, 12 months", created_at: "2024-08-22T12:00:00.000Z" },
+  { id: 2, vehicle_id: 1, category: "registration", amount: 210, expense_date: "2024-09-02", odometer: null, notes: null, created_at: "2024-09-02T12:00:00.000Z" },
+  { id: 3, vehicle_id: 1, category: "fuel", amount: 96.4, expense_date: "2025-03-14", odometer: 109200, notes: null, created_at: "2025-03-14T12:00:00.000Z" },
+  { id: 4, vehicle_id: 1, category: "insurance", amount: 1185, expense_date: "2025-08-22", odometer: null, notes: "Progressive, 12 months", created_at: "2025-08-22T12:00:00.000Z" },
+  { id: 5, vehicle_id: 1, category: "fuel", amount: 102.15, expense_date: "2025-10-05", odometer: 118700, notes: null, created_at: "2025-10-05T12:00:00.000Z" }
+];
+
 export const DEMO_DOCUMENTS = [
   {
     id: 1,
@@ -358,6 +373,15 @@ export const DEMO_STORAGE_KEYS = {
   PARTS: 'shako-demo-parts',
   VENDORS: 'shako-demo-vendors',
   DOCUMENTS: 'shako-demo-documents',
+  SETTINGS: 'shako-demo-settings',
+  EXCHANGE_RATES: 'shako-demo-exchange-rates',
+  ORDERS: 'shako-demo-orders',
+  INVENTORY_EVENTS: 'shako-demo-inventory-events',
+  STOCK_THRESHOLDS: 'shako-demo-stock-thresholds',
+  SAVED_VIEWS: 'shako-demo-saved-views',
+  PART_EVENTS: 'shako-demo-part-events',
+  CROSS_REFERENCES: 'shako-demo-cross-references',
+  VEHICLE_EXPENSES: 'shako-demo-vehicle-expenses',
   IS_DEMO_MODE: 'shako-demo-mode',
 };
 
@@ -391,6 +415,15 @@ export const resetDemoData = () => {
   localStorage.setItem(DEMO_STORAGE_KEYS.PARTS, JSON.stringify(DEMO_PARTS));
   localStorage.setItem(DEMO_STORAGE_KEYS.VENDORS, JSON.stringify(DEMO_VENDORS));
   localStorage.setItem(DEMO_STORAGE_KEYS.DOCUMENTS, JSON.stringify(DEMO_DOCUMENTS));
+  localStorage.removeItem(DEMO_STORAGE_KEYS.SETTINGS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.EXCHANGE_RATES);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.ORDERS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.INVENTORY_EVENTS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.STOCK_THRESHOLDS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.SAVED_VIEWS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.PART_EVENTS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.CROSS_REFERENCES);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.VEHICLE_EXPENSES);
 };
 
 /**
@@ -402,6 +435,15 @@ export const clearDemoData = () => {
   localStorage.removeItem(DEMO_STORAGE_KEYS.PARTS);
   localStorage.removeItem(DEMO_STORAGE_KEYS.VENDORS);
   localStorage.removeItem(DEMO_STORAGE_KEYS.DOCUMENTS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.SETTINGS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.EXCHANGE_RATES);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.ORDERS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.INVENTORY_EVENTS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.STOCK_THRESHOLDS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.SAVED_VIEWS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.PART_EVENTS);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.CROSS_REFERENCES);
+  localStorage.removeItem(DEMO_STORAGE_KEYS.VEHICLE_EXPENSES);
   localStorage.removeItem(DEMO_STORAGE_KEYS.IS_DEMO_MODE);
 };
 
@@ -453,8 +495,18 @@ export const saveDemoProjects = (projects) => {
 
 /**
  * Save demo parts to localStorage
+ * Demo mode has no database trigger, so part history is recorded here
  */
 export const saveDemoParts = (parts) => {
+  const previousById = new Map(getDemoParts().map(part => [part.id, part]));
+  const changeEvents = parts.flatMap(part => getPartChangeEvents(previousById.get(part.id) || null, part));
+  const partIds = new Set(parts.map(part => part.id));
+  const createdAt = new Date().toISOString();
+  // History of deleted parts goes with them, as it does in the database
+  saveDemoPartEvents([
+    ...getDemoPartEvents().filter(event => partIds.has(event.part_id)),
+    ...changeEvents.map((event, index) => ({ ...event, id: Date.now() + index, created_at: createdAt }))
+  ]);
   localStorage.setItem(DEMO_STORAGE_KEYS.PARTS, JSON.stringify(parts));
 };
 
@@ -479,3 +531,138 @@ export const getDemoDocuments = () => {
 export const saveDemoDocuments = (documents) => {
   localStorage.setItem(DEMO_STORAGE_KEYS.DOCUMENTS, JSON.stringify(documents));
 };
+
+/**
+ * Get demo user settings from localStorage
+ */
+export const getDemoSettings = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.SETTINGS);
+  return data ? JSON.parse(data) : {};
+};
+
+/**
+ * Save demo user settings to localStorage
+ */
+export const saveDemoSettings = (settings) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.SETTINGS, JSON.stringify(settings));
+};
+
+/**
+ * Get demo exchange rates from localStorage
+ */
+export const getDemoExchangeRates = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.EXCHANGE_RATES);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo exchange rates to localStorage
+ */
+export const saveDemoExchangeRates = (rates) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.EXCHANGE_RATES, JSON.stringify(rates));
+};
+
+/**
+ * Get demo vendor orders from localStorage
+ */
+export const getDemoOrders = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.ORDERS);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo vendor orders to localStorage
+ */
+export const saveDemoOrders = (orders) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.ORDERS, JSON.stringify(orders));
+};
+
+/**
+ * Get demo inventory events from localStorage
+ */
+export const getDemoInventoryEvents = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.INVENTORY_EVENTS);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo inventory events to localStorage
+ */
+export const saveDemoInventoryEvents = (events) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.INVENTORY_EVENTS, JSON.stringify(events));
+};
+
+/**
+ * Get demo stock thresholds from localStorage
+ */
+export const getDemoStockThresholds = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.STOCK_THRESHOLDS);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo stock thresholds to localStorage
+ */
+export const saveDemoStockThresholds = (thresholds) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.STOCK_THRESHOLDS, JSON.stringify(thresholds));
+};
+
+/**
+ * Get demo saved views from localStorage
+ */
+export const getDemoSavedViews = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.SAVED_VIEWS);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo saved views to localStorage
+ */
+export const saveDemoSavedViews = (views) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.SAVED_VIEWS, JSON.stringify(views));
+};
+
+/**
+ * Get demo part history from localStorage
+ */
+export const getDemoPartEvents = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.PART_EVENTS);
+  return data ? JSON.parse(data) : [];
+};
+
+/**
+ * Save demo part history to localStorage
+ */
+export const saveDemoPartEvents = (events) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.PART_EVENTS, JSON.stringify(events));
+};
+
+/**
+ * Get demo part number cross-references from localStorage
+ */
+export const getDemoCrossReferences = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.CROSS_REFERENCES);
+  return data ? JSON.parse(data) : DEMO_CROSS_REFERENCES;
+};
+
+/**
+ * Save demo part number cross-references to localStorage
+ */
+export const saveDemoCrossReferences = (references) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.CROSS_REFERENCES, JSON.stringify(references));
+};
+
+/**
+ * Get demo vehicle expenses from localStorage
+ */
+export const getDemoVehicleExpenses = () => {
+  const data = localStorage.getItem(DEMO_STORAGE_KEYS.VEHICLE_EXPENSES);
+  return data ? JSON.parse(data) : DEMO_VEHICLE_EXPENSES;
+};
+
+/**
+ * Save demo vehicle expenses to localStorage
+ */
+export const saveDemoVehicleExpenses = (expenses) => {
+  localStorage.setItem(DEMO_STORAGE_KEYS.VEHICLE_EXPENSES, JSON.stringify(expenses));
+};
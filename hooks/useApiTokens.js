@@ -0,0 +1,81 @@
+import { useState, useCallback } from 'react';
+import * as apiTokensService from '../services/apiTokensService';
+
+/**
+ * Custom hook for managing personal API tokens
+ *
+ * Features:
+ * - Load tokens for the current user
+ * - Create named tokens with scopes and optional expiry
+ * - Revoke tokens
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @returns {Object} API token state and operations
+ */
+const useApiTokens = (userId, toast) => {
+  const [apiTokens, setApiTokens] = useState([]);
+  const [loadingApiTokens, setLoadingApiTokens] = useState(false);
+
+  /**
+   * Load API tokens from Supabase
+   */
+  const loadApiTokens = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setLoadingApiTokens(true);
+      const data = await apiTokensService.getApiTokens(userId);
+      setApiTokens(data);
+    } catch (error) {
+      toast?.error('Error loading API tokens');
+    } finally {
+      setLoadingApiTokens(false);
+    }
+  }, [userId, toast]);
+
+  /**
+   * Create a new API token
+   * @param {Object} tokenData - { name, scopes, expiresAt }
+   * @returns {Promise<string|null>} Plaintext token (shown once), or null on error
+   */
+  const createApiToken = async (tokenData) => {
+    if (!userId) return null;
+    try {
+      const { token, record } = await apiTokensService.createApiToken(tokenData, userId);
+      setApiTokens(prev => [record, ...prev]);
+      return token;
+    } catch (error) {
+      toast?.error('Error creating API token. Please try again.');
+      return null;
+    }
+  };
+
+  /**
+   * Revoke an API token
+   * @param {string} tokenId - Token ID
+   */
+  const revokeApiToken = async (tokenId) => {
+    try {
+      const revokedAt = await apiTokensService.revokeApiToken(tokenId);
+      setApiTokens(prev => prev.map(token =>
+        token.id === tokenId ? { ...token, revoked_at: revokedAt } : token
+      ));
+      toast?.success('API token revoked');
+    } catch (error) {
+      toast?.error('Error revoking API token. Please try again.');
+    }
+  };
+
+  return {
+    // State
+    apiTokens,
+    loadingApiTokens,
+
+    // Operations
+    loadApiTokens,
+    createApiToken,
+    revokeApiToken
+  };
+};
+
+export default useApiTokens;
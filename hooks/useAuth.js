@@ -1,5 +1,7 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { supabase } from '../lib/supabase';
+import * as pushSubscriptionsService from '../services/pushSubscriptionsService';
+import { unsubscribeFromPush } from '../utils/pushUtils';
 
 // Constants for email migration
 const MIGRATION_TOKEN_KEY = 'shako-pending-email-migration';
@@ -429,6 +431,15 @@ const useAuth = () => {
     setError(null);
 
     try {
+      // Stop this browser getting the user's delivery pushes after sign-out
+      if (user) {
+        try {
+          await unsubscribeFromPush((endpoint) => pushSubscriptionsService.deletePushSubscription(endpoint, user.id));
+        } catch (pushError) {
+          console.error('Error removing push subscription:', pushError);
+        }
+      }
+
       const { error: signOutError } = await supabase.auth.signOut();
 
       if (signOutError) {
@@ -439,7 +450,7 @@ const useAuth = () => {
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [user]);
 
   // Delete user account and all associated data
   const deleteAccount = useCallback(async () => {
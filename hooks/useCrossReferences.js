@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import * as crossReferencesService from '../services/crossReferencesService';
+import { normalizePartNumber } from '../utils/crossReferenceUtils';
+import { getDemoCrossReferences, saveDemoCrossReferences } from '../data/demoData';
+
+/**
+ * Custom hook for managing part number cross-references
+ *
+ * Features:
+ * - Load cross-references from Supabase (or localStorage in demo mode)
+ * - Link an OEM part number to an aftermarket equivalent
+ * - Remove a link
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @returns {Object} Cross-reference state and operations
+ */
+const useCrossReferences = (userId, toast, isDemo = false) => {
+  const [crossReferences, setCrossReferences] = useState([]);
+
+  /**
+   * Load cross-references from Supabase or localStorage (demo mode)
+   */
+  const loadCrossReferences = async () => {
+    if (!userId) return;
+
+    if (isDemo) {
+      setCrossReferences(getDemoCrossReferences());
+      return;
+    }
+
+    try {
+      setCrossReferences(await crossReferencesService.getCrossReferences(userId));
+    } catch (error) {
+      toast?.error('Error loading cross-references');
+    }
+  };
+
+  /**
+   * Link an OEM part number to an aftermarket equivalent
+   * @param {Object} reference - { oemBrand, oemNumber, aftermarketBrand, aftermarketNumber, notes }
+   * @returns {Promise<boolean>} True if saved
+   */
+  const addCrossReference = async ({ oemBrand, oemNumber, aftermarketBrand, aftermarketNumber, notes }) => {
+    if (!userId) return false;
+
+    const oemKey = normalizePartNumber(oemNumber);
+    const aftermarketKey = normalizePartNumber(aftermarketNumber);
+    if (!oemKey || !aftermarketKey) {
+      toast?.warning('Enter both part numbers');
+      return false;
+    }
+    if (oemKey === aftermarketKey) {
+      toast?.warning('A part number cannot be its own equivalent');
+      return false;
+    }
+    const isDuplicate = crossReferences.some(reference => {
+      const keys = [normalizePartNumber(reference.oem_number), normalizePartNumber(reference.aftermarket_number)];
+      return keys.includes(oemKey) && keys.includes(aftermarketKey);
+    });
+    if (isDuplicate) {
+      toast?.warning('These part numbers are already linked');
+      return false;
+    }
+
+    const row = {
+      oem_brand: oemBrand?.trim() || null,
+      oem_number: oemNumber.trim(),
+      aftermarket_brand: aftermarketBrand?.trim() || null,
+      aftermarket_number: aftermarketNumber.trim(),
+      notes: notes?.trim() || null
+    };
+
+    try {
+      let saved;
+      if (isDemo) {
+        saved = { id: Date.now(), ...row, created_at: new Date().toISOString() };
+        saveDemoCrossReferences([...crossReferences, saved]);
+      } else {
+        saved = await crossReferencesService.createCrossReference(row, userId);
+      }
+      setCrossReferences(prev => [...prev, saved]);
+      return true;
+    } catch (error) {
+      toast?.error('Error saving cross-reference. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Remove a cross-reference
+   * @param {number} referenceId - Cross-reference ID
+   */
+  const deleteCrossReference = async (referenceId) => {
+    if (!userId) return;
+    try {
+      const remaining = crossReferences.filter(reference => reference.id !== referenceId);
+      if (isDemo) {
+        saveDemoCrossReferences(remaining);
+      } else {
+        await crossReferencesService.deleteCrossReference(referenceId, userId);
+      }
+      setCrossReferences(remaining);
+    } catch (error) {
+      toast?.error('Error deleting cross-reference. Please try again.');
+    }
+  };
+
+  return {
+    // State
+    crossReferences,
+
+    // Operations
+    loadCrossReferences,
+    addCrossReference,
+    deleteCrossReference
+  };
+};
+
+export default useCrossReferences;
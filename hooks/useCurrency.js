@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import * as userSettingsService from '../services/userSettingsService';
+import * as exchangeRatesService from '../services/exchangeRatesService';
+import { DEFAULT_HOME_CURRENCY, findExchangeRate } from '../utils/currencyUtils';
+import {
+  getDemoSettings,
+  saveDemoSettings,
+  getDemoExchangeRates,
+  saveDemoExchangeRates,
+  getDemoProjects,
+  saveDemoProjects,
+  getDemoVehicles,
+  saveDemoVehicles,
+  getDemoVehicleExpenses,
+  saveDemoVehicleExpenses
+} from '../data/demoData';
+
+/**
+ * Custom hook for managing the home currency and exchange rates
+ *
+ * Features:
+ * - Load the user's home currency and stored exchange rates
+ * - Change the home currency, converting budgets and costs kept in it
+ * - Add rates manually or import a rate table
+ * - Look up the rate for a currency on a given date
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @returns {Object} Currency state and operations
+ */
+const useCurrency = (userId, toast, isDemo = false) => {
+  const [homeCurrency, setHomeCurrency] = useState(DEFAULT_HOME_CURRENCY);
+  const [exchangeRates, setExchangeRates] = useState([]);
+
+  /**
+   * Load home currency and exchange rates from Supabase or localStorage (demo mode)
+   */
+  const loadCurrencySettings = async () => {
+    if (!userId) return;
+    try {
+      if (isDemo) {
+        setHomeCurrency(getDemoSettings().home_currency || DEFAULT_HOME_CURRENCY);
+        setExchangeRates(getDemoExchangeRates());
+        return;
+      }
+
+      const [settings, rates] = await Promise.all([
+        userSettingsService.getUserSettings(userId),
+        exchangeRatesService.getExchangeRates(userId)
+      ]);
+      setHomeCurrency(settings?.home_currency || DEFAULT_HOME_CURRENCY);
+      setExchangeRates(rates);
+    } catch (error) {
+      toast?.error('Error loading currency settings');
+    }
+  };
+
+  /**
+   * Change the user's home currency, converting the amounts kept in it
+   * Project budgets, service event costs, vehicle purchase prices and running
+   * expenses use the stored rate between the two currencies as of today and are
+   * saved together with the new setting (demo mode keeps no service events).
+   * Without a stored rate nothing changes.
+   * @param {string} currency - New home currency code
+   * @returns {Promise<boolean>} True if saved
+   */
+  const changeHomeCurrency = async (currency) => {
+    if (!userId) return false;
+    if (currency === homeCurrency) return true;
+
+    const match = findExchangeRate(exchangeRates, homeCurrency, currency);
+    if (!match) {
+      toast?.warning(`Add a ${homeCurrency} → ${currency} rate first, so budgets and costs can be converted.`);
+      return false;
+    }
+
+    try {
+      if (isDemo) {
+        const convert = (amount) => (
+          amount === null || amount === undefined || amount === ''
+            ? amount
+            : Math.round(parseFloat(amount) * match.rate * 100) / 100
+        );
+        saveDemoProjects(getDemoProjects().map(project => ({ ...project, budget: convert(project.budget) })));
+        saveDemoVehicles(getDemoVehicles().map(vehicle => ({ ...vehicle, purchase_price: convert(vehicle.purchase_price) })));
+        saveDemoVehicleExpenses(getDemoVehicleExpenses().map(expense => ({ ...expense, amount: convert(expense.amount) })));
+        saveDemoSettings({ ...getDemoSettings(), home_currency: currency });
+      } else {
+        await userSettingsService.changeHomeCurrency(currency, match.rate);
+      }
+      setHomeCurrency(currency);
+      return true;
+    } catch (error) {
+      toast?.error('Error changing home currency. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Save exchange rates, replacing any existing rate for the same pair and day
+   * @param {Array<Object>} rates - Rows { from_currency, to_currency, rate, rate_date }
+   * @param {string} source - Where the rates came from ('manual' | 'import')
+   * @returns {Promise<number>} Number of rates saved
+   */
+  const saveExchangeRates = async (rates, source = 'manual') => {
+    if (!userId || rates.length === 0) return 0;
+    const rows = rates.map(rate => ({ ...rate, source }));
+    const isSameRate = (a, b) =>
+      a.from_currency === b.from_currency && a.to_currency === b.to_currency && a.rate_date === b.rate_date;
+
+    try {
+      if (isDemo) {
+        const existing = getDemoExchangeRates().filter(rate => !rows.some(row => isSameRate(rate, row)));
+        const updated = [...rows.map((row, index) => ({ id: Date.now() + index, ...row })), ...existing]
+          .sort((a, b) => b.rate_date.localeCompare(a.rate_date));
+        saveDemoExchangeRates(updated);
+        setExchangeRates(updated);
+        return rows.length;
+      }
+
+      const saved = await exchangeRatesService.upsertExchangeRates(rows, userId);
+      setExchangeRates(prev =>
+        [...saved, ...prev.filter(rate => !saved.some(row => isSameRate(rate, row)))]
+          .sort((a, b) => b.rate_date.localeCompare(a.rate_date))
+      );
+      return saved.length;
+    } catch (error) {
+      toast?.error('Error saving exchange rates. Please try again.');
+      return 0;
+    }
+  };
+
+  /**
+   * Delete an exchange rate
+   * @param {number} rateId - Exchange rate ID
+   */
+  const deleteExchangeRate = async (rateId) => {
+    try {
+      if (isDemo) {
+        const updated = getDemoExchangeRates().filter(rate => rate.id !== rateId);
+        saveDemoExchangeRates(updated);
+        setExchangeRates(updated);
+        return;
+      }
+
+      await exchangeRatesService.deleteExchangeRate(rateId);
+      setExchangeRates(prev => prev.filter(rate => rate.id !== rateId));
+    } catch (error) {
+      toast?.error('Error deleting exchange rate. Please try again.');
+    }
+  };
+
+  /**
+   * Look up the stored rate from a currency into the home currency
+   * @param {string} currency - Currency to convert from
+   * @param {string} date - Date to look up (defaults to today)
+   * @returns {{ rate: number, rateDate: string }|null} Matching rate, or null if none stored
+   */
+  const getExchangeRate = (currency, date) => {
+    return findExchangeRate(exchangeRates, currency, homeCurrency, date);
+  };
+
+  return {
+    // State
+    homeCurrency,
+    exchangeRates,
+
+    // Operations
+    loadCurrencySettings,
+    changeHomeCurrency,
+    saveExchangeRates,
+    deleteExchangeRate,
+    getExchangeRate
+  };
+};
+
+export default useCurrency;
@@ -1,11 +1,16 @@
 import { useState, useEffect } from 'react';
+import { normalizePartsView } from '../utils/partsViewUtils';
 
 /**
  * Custom hook for managing filter and sort state with localStorage persistence
  *
  * Features:
- * - Parts filtering (search, delivered, status, vendor, date)
+ * - Parts filtering (search, delivered, status, vendor, date, warranty)
+ * - Parts date filter on the created, purchased, shipped or delivered date,
+ *   over a preset period or a custom from/to range
  * - Parts sorting (by various fields, asc/desc)
+ * - Parts table rows per page ('auto' fits the window)
+ * - Parts views: read and apply the whole filter, sort and rows-per-page state at once
  * - Project filtering (by vehicle)
  * - Archive state management (collapsed/expanded)
  * - Dropdown visibility management
@@ -24,10 +29,15 @@ const useFilters = () => {
   const [isSorting, setIsSorting] = useState(false);
   const [isStatusFiltering, setIsStatusFiltering] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
-  const [partsDateFilter, setPartsDateFilter] = useState('all'); // 'all', '1week', '2weeks', '1month'
+  const [partsDateFilter, setPartsDateFilter] = useState('all'); // 'all', '1week', '2weeks', '1month', 'custom'
+  const [partsDateField, setPartsDateField] = useState('created'); // 'created', 'purchased', 'shipped', 'delivered'
+  const [partsDateFrom, setPartsDateFrom] = useState(''); // YYYY-MM-DD, custom range only
+  const [partsDateTo, setPartsDateTo] = useState(''); // YYYY-MM-DD, custom range only
   const [isFilteringParts, setIsFilteringParts] = useState(false);
   const [showDateFilterDropdown, setShowDateFilterDropdown] = useState(false);
   const [showArchivedParts, setShowArchivedParts] = useState(false); // Show archived parts only
+  const [warrantyFilter, setWarrantyFilter] = useState('all'); // 'all', 'active', 'expiring', 'expired', 'none'
+  const [partsRowsPerPage, setPartsRowsPerPage] = useState('auto'); // 'auto' or a number of rows
 
   // Project filters
   const [projectVehicleFilter, setProjectVehicleFilter] = useState('all'); // 'all' or vehicle ID
@@ -95,10 +105,16 @@ const useFilters = () => {
   // Initialize parts date filter from localStorage
   useEffect(() => {
     if (typeof window !== 'undefined') {
-      const savedPartsDateFilter = localStorage.getItem('partsDateFilter');
-      if (savedPartsDateFilter !== null) {
-        setPartsDateFilter(savedPartsDateFilter);
-      }
+      const saved = normalizePartsView({
+        partsDateFilter: localStorage.getItem('partsDateFilter'),
+        partsDateField: localStorage.getItem('partsDateField'),
+        partsDateFrom: localStorage.getItem('partsDateFrom'),
+        partsDateTo: localStorage.getItem('partsDateTo')
+      });
+      setPartsDateFilter(saved.partsDateFilter);
+      setPartsDateField(saved.partsDateField);
+      setPartsDateFrom(saved.partsDateFrom);
+      setPartsDateTo(saved.partsDateTo);
     }
   }, []);
 
@@ -106,8 +122,68 @@ const useFilters = () => {
   useEffect(() => {
     if (typeof window !== 'undefined' && archiveStatesInitialized) {
       localStorage.setItem('partsDateFilter', partsDateFilter);
+      localStorage.setItem('partsDateField', partsDateField);
+      localStorage.setItem('partsDateFrom', partsDateFrom);
+      localStorage.setItem('partsDateTo', partsDateTo);
+    }
+  }, [partsDateFilter, partsDateField, partsDateFrom, partsDateTo, archiveStatesInitialized]);
+
+  // Initialize parts table rows per page from localStorage
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      const savedRowsPerPage = localStorage.getItem('partsTableRowsPerPage');
+      if (savedRowsPerPage !== null) {
+        setPartsRowsPerPage(normalizePartsView({ rowsPerPage: savedRowsPerPage }).rowsPerPage);
+      }
+    }
+  }, []);
+
+  // Save parts table rows per page to localStorage
+  useEffect(() => {
+    if (typeof window !== 'undefined' && archiveStatesInitialized) {
+      localStorage.setItem('partsTableRowsPerPage', String(partsRowsPerPage));
     }
-  }, [partsDateFilter, archiveStatesInitialized]);
+  }, [partsRowsPerPage, archiveStatesInitialized]);
+
+  // Current parts view (see utils/partsViewUtils.js)
+  // Normalized so date settings that don't apply to the current range are left out
+  const partsView = normalizePartsView({
+    searchTerm,
+    statusFilter,
+    vendorFilter,
+    deliveredFilter,
+    partsDateFilter,
+    partsDateField,
+    partsDateFrom,
+    partsDateTo,
+    warrantyFilter,
+    showArchivedParts,
+    sortBy,
+    sortOrder,
+    rowsPerPage: partsRowsPerPage
+  });
+
+  /**
+   * Replace the parts filters, sort and rows per page with a view
+   * Fields missing from the view go back to their defaults
+   * @param {Object} view - Parts view
+   */
+  const applyPartsView = (view) => {
+    const normalized = normalizePartsView(view);
+    setSearchTerm(normalized.searchTerm);
+    setStatusFilter(normalized.statusFilter);
+    setVendorFilter(normalized.vendorFilter);
+    setDeliveredFilter(normalized.deliveredFilter);
+    setPartsDateFilter(normalized.partsDateFilter);
+    setPartsDateField(normalized.partsDateField);
+    setPartsDateFrom(normalized.partsDateFrom);
+    setPartsDateTo(normalized.partsDateTo);
+    setWarrantyFilter(normalized.warrantyFilter);
+    setShowArchivedParts(normalized.showArchivedParts);
+    setSortBy(normalized.sortBy);
+    setSortOrder(normalized.sortOrder);
+    setPartsRowsPerPage(normalized.rowsPerPage);
+  };
 
   return {
     // Parts filters
@@ -131,12 +207,24 @@ const useFilters = () => {
     setIsSearching,
     partsDateFilter,
     setPartsDateFilter,
+    partsDateField,
+    setPartsDateField,
+    partsDateFrom,
+    setPartsDateFrom,
+    partsDateTo,
+    setPartsDateTo,
     isFilteringParts,
     setIsFilteringParts,
     showDateFilterDropdown,
     setShowDateFilterDropdown,
     showArchivedParts,
     setShowArchivedParts,
+    warrantyFilter,
+    setWarrantyFilter,
+    partsRowsPerPage,
+    setPartsRowsPerPage,
+    partsView,
+    applyPartsView,
 
     // Project filters
     projectVehicleFilter,
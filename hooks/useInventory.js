@@ -0,0 +1,255 @@
+import { useState } from 'react';
+import * as inventoryService from '../services/inventoryService';
+import * as partsService from '../services/partsService';
+import {
+  getQuantityOnHand,
+  normalizePartNumber,
+  getServiceEventStockChanges
+} from '../utils/inventoryUtils';
+import {
+  saveDemoParts,
+  getDemoInventoryEvents,
+  saveDemoInventoryEvents,
+  getDemoStockThresholds,
+  saveDemoStockThresholds
+} from '../data/demoData';
+
+/**
+ * Custom hook for managing parts inventory
+ *
+ * Features:
+ * - Stock on hand and storage location for delivered parts
+ * - Install parts from stock for a project todo, with a consumption event per install
+ * - Consume and restock parts as they are linked to and unlinked from service events
+ * - Manual stock count adjustments
+ * - Low-stock thresholds per part number
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @param {Object} partsState - { parts, setParts } from useParts
+ * @returns {Object} Inventory state and operations
+ */
+const useInventory = (userId, toast, isDemo, { parts, setParts }) => {
+  const [inventoryEvents, setInventoryEvents] = useState([]);
+  const [stockThresholds, setStockThresholds] = useState([]);
+
+  /**
+   * Load inventory events and stock thresholds from Supabase or localStorage (demo mode)
+   */
+  const loadInventory = async () => {
+    if (!userId) return;
+
+    if (isDemo) {
+      setInventoryEvents(getDemoInventoryEvents());
+      setStockThresholds(getDemoStockThresholds());
+      return;
+    }
+
+    try {
+      const [events, thresholds] = await Promise.all([
+        inventoryService.getInventoryEvents(userId),
+        inventoryService.getStockThresholds(userId)
+      ]);
+      setInventoryEvents(events);
+      setStockThresholds(thresholds);
+    } catch (error) {
+      toast?.error('Error loading inventory');
+    }
+  };
+
+  /**
+   * Apply stock changes to parts and record an inventory event for each
+   * @param {Array} changes - [{ part, quantityChange, reason, serviceEventId?, projectId?, todoId?, note? }]
+   */
+  const recordStockChanges = async (changes) => {
+    const newQuantities = {};
+    const eventsData = changes.map(change => {
+      newQuantities[change.part.id] = getQuantityOnHand(change.part) + change.quantityChange;
+      return {
+        part_id: change.part.id,
+        quantity_change: change.quantityChange,
+        reason: change.reason,
+        service_event_id: change.serviceEventId || null,
+        project_id: change.projectId || null,
+        todo_id: change.todoId || null,
+        note: change.note?.trim() || null
+      };
+    });
+
+    // The stock update and its event are saved together, so neither is kept if the other fails
+    const newEvents = isDemo
+      ? eventsData.map((eventData, index) => ({
+        ...eventData,
+        id: Date.now() + index,
+        user_id: userId,
+        created_at: new Date().toISOString()
+      }))
+      : await inventoryService.recordStockChanges(eventsData);
+
+    const applyQuantities = (partsList) => partsList.map(part =>
+      newQuantities[part.id] !== undefined ? { ...part, quantityOnHand: newQuantities[part.id] } : part
+    );
+    const updatedEvents = [...newEvents.reverse(), ...inventoryEvents];
+
+    if (isDemo) {
+      saveDemoParts(applyQuantities(parts));
+      saveDemoInventoryEvents(updatedEvents);
+    }
+    setParts(prevParts => applyQuantities(prevParts));
+    setInventoryEvents(updatedEvents);
+  };
+
+  /**
+   * Install a part from stock, optionally for a project todo
+   * @param {number} partId - Part ID
+   * @param {number|string} quantity - Units taken from stock
+   * @param {Object} target - { projectId, todoId, note }
+   * @returns {Promise<boolean>} True if the stock was updated
+   */
+  const installFromStock = async (partId, quantity, { projectId = null, todoId = null, note = '' } = {}) => {
+    const part = parts.find(p => p.id === partId);
+    if (!part) return false;
+
+    const units = parseInt(quantity, 10);
+    const onHand = getQuantityOnHand(part);
+    if (!units || units < 1) {
+      toast?.warning('Quantity must be at least 1');
+      return false;
+    }
+    if (units > onHand) {
+      toast?.warning(`Only ${onHand} on hand`);
+      return false;
+    }
+
+    try {
+      await recordStockChanges([{ part, quantityChange: -units, reason: 'installed', projectId, todoId, note }]);
+      return true;
+    } catch (error) {
+      toast?.error('Error updating stock. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Correct the stock count of a part
+   * @param {number} partId - Part ID
+   * @param {number|string} quantityOnHand - Counted quantity
+   * @param {string} note - Optional reason for the adjustment
+   * @returns {Promise<boolean>} True if the stock was updated
+   */
+  const adjustStock = async (partId, quantityOnHand, note = '') => {
+    const part = parts.find(p => p.id === partId);
+    if (!part) return false;
+
+    const counted = parseInt(quantityOnHand, 10);
+    if (isNaN(counted) || counted < 0) {
+      toast?.warning('Quantity on hand cannot be negative');
+      return false;
+    }
+    const quantityChange = counted - getQuantityOnHand(part);
+    if (quantityChange === 0) return true;
+
+    try {
+      await recordStockChanges([{ part, quantityChange, reason: 'adjusted', note }]);
+      return true;
+    } catch (error) {
+      toast?.error('Error updating stock. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Set the shelf/bin a part is stored in
+   * @param {number} partId - Part ID
+   * @param {string} storageLocation - Storage location
+   */
+  const updateStorageLocation = async (partId, storageLocation) => {
+    const location = storageLocation?.trim() || '';
+    const applyLocation = (partsList) => partsList.map(part =>
+      part.id === partId ? { ...part, storageLocation: location } : part
+    );
+
+    try {
+      if (isDemo) {
+        saveDemoParts(applyLocation(parts));
+      } else {
+        await partsService.updatePart(partId, { storage_location: location || null });
+      }
+      setParts(prevParts => applyLocation(prevParts));
+    } catch (error) {
+      toast?.error('Error saving storage location');
+    }
+  };
+
+  /**
+   * Consume and restock parts as a service event's linked parts change
+   * Each newly linked part in stock is installed once; unlinked parts get their units back.
+   * @param {number} serviceEventId - Service event ID
+   * @param {Array<number>} linkedPartIds - Part IDs linked after the change
+   * @param {Array<number>} previousPartIds - Part IDs linked before the change
+   */
+  const syncServiceEventStock = async (serviceEventId, linkedPartIds = [], previousPartIds = []) => {
+    const changes = getServiceEventStockChanges(parts, inventoryEvents, serviceEventId, linkedPartIds, previousPartIds);
+    if (changes.length === 0) return;
+
+    try {
+      await recordStockChanges(changes);
+    } catch (error) {
+      toast?.error('Error updating stock for service event parts');
+    }
+  };
+
+  /**
+   * Set or clear the low-stock threshold of a part number
+   * @param {string} partNumber - Part number
+   * @param {number|string} minQuantity - Minimum quantity to keep, empty to clear
+   */
+  const saveStockThreshold = async (partNumber, minQuantity) => {
+    const normalized = normalizePartNumber(partNumber);
+    if (!normalized || !userId) return;
+
+    const clearing = minQuantity === '' || minQuantity === null || minQuantity === undefined;
+    const minimum = parseInt(minQuantity, 10);
+    if (!clearing && (isNaN(minimum) || minimum < 0)) {
+      toast?.warning('Low-stock threshold must be 0 or more');
+      return;
+    }
+
+    const otherThresholds = stockThresholds.filter(t => normalizePartNumber(t.part_number) !== normalized);
+
+    try {
+      let updatedThresholds = otherThresholds;
+      if (isDemo) {
+        if (!clearing) {
+          updatedThresholds = [...otherThresholds, { id: Date.now(), part_number: normalized, min_quantity: minimum }];
+        }
+        saveDemoStockThresholds(updatedThresholds);
+      } else if (clearing) {
+        await inventoryService.deleteStockThreshold(normalized, userId);
+      } else {
+        const saved = await inventoryService.upsertStockThreshold(normalized, minimum, userId);
+        updatedThresholds = [...otherThresholds, saved];
+      }
+      setStockThresholds(updatedThresholds);
+    } catch (error) {
+      toast?.error('Error saving low-stock threshold');
+    }
+  };
+
+  return {
+    // State
+    inventoryEvents,
+    stockThresholds,
+
+    // Operations
+    loadInventory,
+    installFromStock,
+    adjustStock,
+    updateStorageLocation,
+    syncServiceEventStock,
+    saveStockThreshold
+  };
+};
+
+export default useInventory;
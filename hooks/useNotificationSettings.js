@@ -0,0 +1,123 @@
+import { useState, useCallback } from 'react';
+import * as userSettingsService from '../services/userSettingsService';
+import * as pushSubscriptionsService from '../services/pushSubscriptionsService';
+import * as notificationLogService from '../services/notificationLogService';
+import { getNotificationPreferences } from '../utils/notificationUtils';
+import { validateNotificationEmail } from '../utils/validationUtils';
+import { isPushSupported, getPushSubscription, subscribeToPush, unsubscribeFromPush } from '../utils/pushUtils';
+
+/**
+ * Custom hook for delivery notification settings
+ *
+ * Features:
+ * - Load and save which tracking statuses notify by push and email
+ * - Email address for notifications (null = the account's email)
+ * - Turn push on or off for this browser
+ * - Recent notifications from the notification log
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @returns {Object} Notification settings state and operations
+ */
+const useNotificationSettings = (userId, toast) => {
+  const [notificationPreferences, setNotificationPreferences] = useState(getNotificationPreferences());
+  const [notificationEmail, setNotificationEmail] = useState(null);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [notificationLog, setNotificationLog] = useState([]);
+
+  /**
+   * Load notification settings, this browser's push state and the log
+   */
+  const loadNotificationSettings = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const [settings, log, subscription] = await Promise.all([
+        userSettingsService.getUserSettings(userId),
+        notificationLogService.getNotificationLog(userId),
+        getPushSubscription()
+      ]);
+      setNotificationPreferences(getNotificationPreferences(settings?.delivery_notifications));
+      setNotificationEmail(settings?.notification_email || null);
+      setNotificationLog(log);
+      // The browser may be subscribed for another account that used it
+      setPushEnabled(!!subscription && await pushSubscriptionsService.hasPushSubscription(subscription.endpoint, userId));
+    } catch (error) {
+      toast?.error('Error loading notification settings');
+    }
+  }, [userId, toast]);
+
+  /**
+   * Save notification preferences
+   * @param {Object} settings - { preferences, email } where preferences maps
+   *   tracking statuses to { push, email }
+   * @returns {Promise<boolean>} True if saved
+   */
+  const updateNotificationSettings = async ({ preferences, email }) => {
+    if (!userId) return false;
+    const validation = validateNotificationEmail(email, toast);
+    if (!validation.isValid) return false;
+
+    try {
+      await userSettingsService.updateUserSettings({
+        delivery_notifications: preferences,
+        notification_email: validation.values.email
+      }, userId);
+      setNotificationPreferences(preferences);
+      setNotificationEmail(validation.values.email);
+      return true;
+    } catch (error) {
+      toast?.error('Error saving notification settings. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Turn push notifications on for this browser
+   * @returns {Promise<boolean>} True if subscribed
+   */
+  const enablePush = async () => {
+    if (!userId) return false;
+    try {
+      const subscription = await subscribeToPush();
+      await pushSubscriptionsService.savePushSubscription(subscription);
+      setPushEnabled(true);
+      return true;
+    } catch (error) {
+      toast?.error(error.message || 'Error turning on push notifications');
+      return false;
+    }
+  };
+
+  /**
+   * Turn push notifications off for this browser
+   * @returns {Promise<boolean>} True if unsubscribed
+   */
+  const disablePush = async () => {
+    if (!userId) return false;
+    try {
+      await unsubscribeFromPush((endpoint) => pushSubscriptionsService.deletePushSubscription(endpoint, userId));
+      setPushEnabled(false);
+      return true;
+    } catch (error) {
+      toast?.error('Error turning off push notifications. Please try again.');
+      return false;
+    }
+  };
+
+  return {
+    // State
+    notificationPreferences,
+    notificationEmail,
+    pushEnabled,
+    pushSupported: isPushSupported(),
+    notificationLog,
+
+    // Operations
+    loadNotificationSettings,
+    updateNotificationSettings,
+    enablePush,
+    disablePush
+  };
+};
+
+export default useNotificationSettings;
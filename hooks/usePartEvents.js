@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import * as partEventsService from '../services/partEventsService';
+import { getDemoPartEvents } from '../data/demoData';
+
+/**
+ * Custom hook for part history
+ *
+ * Features:
+ * - Load the history of one part at a time (status changes, cost edits,
+ *   project and vehicle reassignments, tracking changes), newest first
+ *
+ * History is recorded by the database (or by demo storage), so there is
+ * nothing to write here.
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @returns {Object} Part history state and operations
+ */
+const usePartEvents = (userId, toast, isDemo = false) => {
+  const [partEvents, setPartEvents] = useState([]);
+  const [partEventsPartId, setPartEventsPartId] = useState(null);
+  const [isLoadingPartEvents, setIsLoadingPartEvents] = useState(false);
+
+  /**
+   * Load the history of a part
+   * @param {number} partId - Part ID
+   */
+  const loadPartEvents = async (partId) => {
+    if (!userId || !partId) return;
+
+    setPartEventsPartId(partId);
+    if (isDemo) {
+      setPartEvents(
+        getDemoPartEvents()
+          .filter(event => event.part_id === partId)
+          .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id)
+      );
+      return;
+    }
+
+    setIsLoadingPartEvents(true);
+    try {
+      setPartEvents(await partEventsService.getPartEvents(partId, userId));
+    } catch (error) {
+      setPartEvents([]);
+      toast?.error('Error loading part history');
+    } finally {
+      setIsLoadingPartEvents(false);
+    }
+  };
+
+  return {
+    // State
+    partEvents,
+    partEventsPartId,
+    isLoadingPartEvents,
+
+    // Operations
+    loadPartEvents
+  };
+};
+
+export default usePartEvents;
@@ -1,14 +1,28 @@
 import { useState } from 'react';
 import * as partsService from '../services/partsService';
 import * as vendorsService from '../services/vendorsService';
-import { validatePartCosts } from '../utils/validationUtils';
-import { shouldSkipShip24, getTrackingPurgeFields } from '../utils/trackingUtils';
+import * as ordersService from '../services/ordersService';
+import { validatePartCosts, validateExchangeRate, validateCurrency, validateOdometer, validatePositiveInteger, validateVendorProfile, validateManualCheckpoint } from '../utils/validationUtils';
+import { DEFAULT_HOME_CURRENCY, findExchangeRate } from '../utils/currencyUtils';
+import { apportionOrderCosts, getOrderCurrencies } from '../utils/orderUtils';
+import { calculatePartTotal, resolvePartTax, hasTaxRate } from '../utils/costUtils';
+import { shouldSkipShip24, getTrackingPurgeFields, getReturnTrackingPurgeFields, buildManualCheckpoint, getManualTrackingFields } from '../utils/trackingUtils';
+import { isReturnStatus, isRefundWithinTotal } from '../utils/returnUtils';
+import {
+  getStatusDateChanges,
+  getTrackingAdvanceFields,
+  getTrackingAdvanceUndoFields,
+  getTrackingAdvanceUndoUpdates
+} from '../utils/partDateUtils';
+import { toVendorProfileRow } from '../utils/vendorProfileUtils';
 import { fetchWithAuth } from '../utils/fetchWithAuth';
 import {
   getDemoParts,
   saveDemoParts,
   getDemoVendors,
-  saveDemoVendors
+  saveDemoVendors,
+  getDemoOrders,
+  saveDemoOrders
 } from '../data/demoData';
 
 /**
@@ -17,20 +31,31 @@ import {
  * Features:
  * - Load parts from Supabase (or localStorage in demo mode)
  * - Add, update, and delete parts
- * - Update part status (pending/purchased/shipped/delivered)
- * - Manage tracking information
+ * - Update part status (pending/purchased/shipped/delivered/installed)
+ * - Manage tracking information, with checkpoints entered by hand for shipments
+ *   no tracking provider can follow (Amazon, URLs, "Local")
  * - Link/unlink parts to/from projects
- * - Vendor management (rename, delete vendors)
+ * - Vendor management (rename, delete vendors) and vendor profiles (website,
+ *   part search URL, contact details, account number, default shipping and currency)
+ * - Per-part currency with exchange rate snapshots into the home currency
+ * - Vendor orders: shared shipping/duties/tax split across parts, one tracking number per order
+ * - Tax (percentage or amount), discounts and core charges/refunds in part totals
+ * - Returns: RMA number, return shipment tracking and refunds netted out of spend
+ * - Installations: install date, odometer reading and installer notes
+ * - Warranties: duration or expiry date, terms and a receipt from the vehicle's documents
+ * - Bulk actions on selected parts, written as batched requests
  *
  * @param {string} userId - Current user's ID for data isolation
  * @param {Object} toast - Toast notification functions { error, success, warning, info }
  * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @param {Object} currencySettings - { homeCurrency, exchangeRates } from useCurrency
  * @returns {Object} Parts state and operations
  */
-const useParts = (userId, toast, isDemo = false) => {
+const useParts = (userId, toast, isDemo = false, currencySettings = {}) => {
   const [parts, setParts] = useState([]);
   const [vendors, setVendors] = useState([]);
   const [vendorColors, setVendorColors] = useState({});
+  const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [newPart, setNewPart] = useState({
     part: '',
@@ -39,6 +64,13 @@ const useParts = (userId, toast, isDemo = false) => {
     price: '',
     shipping: '',
     duties: '',
+    tax: '',
+    taxRate: '',
+    discount: '',
+    coreCharge: '',
+    coreRefund: '',
+    currency: '',
+    exchangeRate: '',
     quantity: 1,
     tracking: '',
     status: 'pending',
@@ -77,21 +109,58 @@ const useParts = (userId, toast, isDemo = false) => {
           price: parseFloat(part.price) || 0,
           shipping: parseFloat(part.shipping) || 0,
           duties: parseFloat(part.duties) || 0,
+          tax: parseFloat(part.tax) || 0,
+          taxRate: part.tax_rate !== null && part.tax_rate !== undefined ? parseFloat(part.tax_rate) : null,
+          discount: parseFloat(part.discount) || 0,
+          coreCharge: parseFloat(part.core_charge) || 0,
+          coreRefund: parseFloat(part.core_refund) || 0,
           quantity: parseInt(part.quantity) || 1,
           total: parseFloat(part.total) || 0,
+          currency: part.currency || null,
+          exchangeRate: part.exchange_rate ? parseFloat(part.exchange_rate) : null,
+          exchangeRateDate: part.exchange_rate_date || null,
           tracking: part.tracking || '',
           projectId: part.project_id || null,
           vehicleId: part.vehicle_id || null,
+          orderId: part.order_id || null,
           createdAt: part.created_at || null,
+          purchasedAt: part.purchased_at || null,
+          shippedAt: part.shipped_at || null,
+          deliveredAt: part.delivered_at || null,
           archived: part.archived || false,
-          // Tracking data from Ship24
+          // Tracking data from the tracking provider (Ship24 unless set otherwise)
           ship24_id: part.ship24_id || null,
+          tracking_provider: part.tracking_provider || null,
           tracking_status: part.tracking_status || null,
           tracking_substatus: part.tracking_substatus || null,
           tracking_location: part.tracking_location || null,
           tracking_eta: part.tracking_eta || null,
           tracking_updated_at: part.tracking_updated_at || null,
-          tracking_checkpoints: part.tracking_checkpoints || null
+          tracking_checkpoints: part.tracking_checkpoints || null,
+          // Returns and refunds
+          returnStatus: part.return_status || null,
+          rmaNumber: part.rma_number || '',
+          refundAmount: parseFloat(part.refund_amount) || 0,
+          refundedAt: part.refunded_at || null,
+          returnTracking: part.return_tracking || '',
+          return_tracking_status: part.return_tracking_status || null,
+          return_tracking_location: part.return_tracking_location || null,
+          return_tracking_eta: part.return_tracking_eta || null,
+          return_tracking_updated_at: part.return_tracking_updated_at || null,
+          return_tracking_checkpoints: part.return_tracking_checkpoints || null,
+          // Inventory (null = purchased quantity still on hand)
+          quantityOnHand: part.quantity_on_hand ?? null,
+          storageLocation: part.storage_location || '',
+          // Installation on the vehicle
+          installed: part.installed || false,
+          installedAt: part.installed_at || null,
+          installedOdometer: part.installed_odometer ?? null,
+          installNotes: part.install_notes || '',
+          // Warranty
+          warrantyMonths: part.warranty_months || null,
+          warrantyExpiresAt: part.warranty_expires_at || null,
+          warrantyTerms: part.warranty_terms || '',
+          warrantyDocumentId: part.warranty_document_id || null
         }));
         setParts(formattedParts);
       } else {
@@ -138,6 +207,42 @@ const useParts = (userId, toast, isDemo = false) => {
     }
   };
 
+  /**
+   * Convert an order from database format to app format
+   * @param {Object} order - orders row
+   * @returns {Object} Order (app format)
+   */
+  const formatOrder = (order) => ({
+    id: order.id,
+    vendor: order.vendor || '',
+    orderNumber: order.order_number || '',
+    orderDate: order.order_date || null,
+    shipping: parseFloat(order.shipping) || 0,
+    duties: parseFloat(order.duties) || 0,
+    tax: parseFloat(order.tax) || 0,
+    allocationMethod: order.allocation_method || 'price',
+    tracking: order.tracking || '',
+    createdAt: order.created_at || null
+  });
+
+  /**
+   * Load vendor orders from Supabase or localStorage (demo mode)
+   */
+  const loadOrders = async () => {
+    if (!userId) return;
+    try {
+      if (isDemo) {
+        setOrders(getDemoOrders());
+        return;
+      }
+
+      const data = await ordersService.getAllOrders(userId);
+      setOrders(data.map(formatOrder));
+    } catch (error) {
+      toast?.error('Error loading orders from database');
+    }
+  };
+
   /**
    * Update vendor color in database or localStorage (demo mode)
    */
@@ -172,6 +277,69 @@ const useParts = (userId, toast, isDemo = false) => {
     }
   };
 
+  /**
+   * Save a vendor's profile in database or localStorage (demo mode)
+   * @param {string} vendorName - Vendor name
+   * @param {Object} profile - Profile form values (see toVendorProfile)
+   * @returns {Promise<boolean>} True if saved
+   */
+  const updateVendorProfile = async (vendorName, profile) => {
+    if (!userId) return false;
+
+    const { isValid, values } = validateVendorProfile(profile, toast);
+    if (!isValid) return false;
+    const row = toVendorProfileRow(values);
+
+    try {
+      if (isDemo) {
+        const demoVendors = getDemoVendors();
+        const existingIndex = demoVendors.findIndex(v => v.name === vendorName);
+        if (existingIndex >= 0) {
+          demoVendors[existingIndex] = { ...demoVendors[existingIndex], ...row };
+        } else {
+          demoVendors.push({ id: Date.now(), name: vendorName, ...row });
+        }
+        saveDemoVendors(demoVendors);
+        setVendors(demoVendors);
+        return true;
+      }
+
+      await vendorsService.updateVendorProfile(vendorName, row, userId);
+      await loadVendors();
+      return true;
+    } catch (error) {
+      toast?.error('Error saving vendor details');
+      return false;
+    }
+  };
+
+  /**
+   * Snapshot the exchange rate from a part's currency into the home currency
+   * A rate entered on the part wins; otherwise the stored rate table is used
+   * @param {string} currency - Part currency ('' or null = home currency)
+   * @param {number|null} manualRate - Rate entered by the user
+   * @param {string} date - Purchase date the rate applies to
+   * @returns {{ currency: string, exchangeRate: number|null, exchangeRateDate: string|null }}
+   */
+  const getExchangeRateSnapshot = (currency, manualRate, date) => {
+    const homeCurrency = currencySettings.homeCurrency || DEFAULT_HOME_CURRENCY;
+    if (!currency || currency === homeCurrency) {
+      return { currency: homeCurrency, exchangeRate: null, exchangeRateDate: null };
+    }
+
+    const snapshotDate = (date || new Date().toISOString()).slice(0, 10);
+    if (manualRate > 0) {
+      return { currency, exchangeRate: manualRate, exchangeRateDate: snapshotDate };
+    }
+
+    const match = findExchangeRate(currencySettings.exchangeRates, currency, homeCurrency, snapshotDate);
+    return {
+      currency,
+      exchangeRate: match ? match.rate : null,
+      exchangeRateDate: match ? snapshotDate : null
+    };
+  };
+
   /**
    * Add a new part
    */
@@ -183,6 +351,11 @@ const useParts = (userId, toast, isDemo = false) => {
       price: newPart.price,
       shipping: newPart.shipping,
       duties: newPart.duties,
+      tax: newPart.tax,
+      taxRate: newPart.taxRate,
+      discount: newPart.discount,
+      coreCharge: newPart.coreCharge,
+      coreRefund: newPart.coreRefund,
       quantity: newPart.quantity
     }, toast);
 
@@ -190,7 +363,12 @@ const useParts = (userId, toast, isDemo = false) => {
       return; // Toast already shown by validatePartCosts
     }
 
-    const { price, shipping, duties, quantity, total } = costValidation.values;
+    const rateValidation = validateExchangeRate(newPart.exchangeRate, toast);
+    if (!rateValidation.isValid) {
+      return;
+    }
+
+    const { price, shipping, duties, tax, taxRate, discount, coreCharge, coreRefund, quantity, total } = costValidation.values;
     const statusMap = {
       delivered: { delivered: true, shipped: true, purchased: true },
       shipped: { delivered: false, shipped: true, purchased: true },
@@ -200,6 +378,8 @@ const useParts = (userId, toast, isDemo = false) => {
     try {
       const createdAt = new Date().toISOString();
       const newId = isDemo ? Date.now() : null;
+      const { currency, exchangeRate, exchangeRateDate } = getExchangeRateSnapshot(newPart.currency, rateValidation.value, createdAt);
+      const statusDates = getStatusDateChanges({}, statusMap[newPart.status], createdAt);
 
       // In demo mode, save to localStorage
       if (isDemo) {
@@ -212,12 +392,21 @@ const useParts = (userId, toast, isDemo = false) => {
           price,
           shipping,
           duties,
+          tax,
+          taxRate,
+          discount,
+          coreCharge,
+          coreRefund,
           quantity,
           total,
+          currency,
+          exchangeRate,
+          exchangeRateDate,
           tracking: newPart.tracking,
           projectId: newPart.projectId || null,
           vehicleId: newPart.vehicleId || null,
-          createdAt: createdAt
+          createdAt: createdAt,
+          ...statusDates.localDates
         };
         const updatedParts = [...parts, partToAdd];
         setParts(updatedParts);
@@ -230,6 +419,13 @@ const useParts = (userId, toast, isDemo = false) => {
           price: '',
           shipping: '',
           duties: '',
+          tax: '',
+          taxRate: '',
+          discount: '',
+          coreCharge: '',
+          coreRefund: '',
+          currency: '',
+          exchangeRate: '',
           quantity: 1,
           tracking: '',
           status: 'pending',
@@ -248,12 +444,21 @@ const useParts = (userId, toast, isDemo = false) => {
         price,
         shipping,
         duties,
+        tax,
+        tax_rate: taxRate,
+        discount,
+        core_charge: coreCharge,
+        core_refund: coreRefund,
         quantity,
         total,
+        currency,
+        exchange_rate: exchangeRate,
+        exchange_rate_date: exchangeRateDate,
         tracking: newPart.tracking,
         project_id: newPart.projectId || null,
         vehicle_id: newPart.vehicleId || null,
-        created_at: createdAt
+        created_at: createdAt,
+        ...statusDates.dates
       }, userId);
       // Add to local state with the ID from database
       const partToAdd = {
@@ -265,12 +470,21 @@ const useParts = (userId, toast, isDemo = false) => {
         price,
         shipping,
         duties,
+        tax,
+        taxRate,
+        discount,
+        coreCharge,
+        coreRefund,
         quantity,
         total,
+        currency,
+        exchangeRate,
+        exchangeRateDate,
         tracking: newPart.tracking,
         projectId: newPart.projectId || null,
         vehicleId: newPart.vehicleId || null,
-        createdAt: createdAt
+        createdAt: createdAt,
+        ...statusDates.localDates
       };
       setParts([...parts, partToAdd]);
       if (setShowAddModal) setShowAddModal(false);
@@ -281,6 +495,13 @@ const useParts = (userId, toast, isDemo = false) => {
         price: '',
         shipping: '',
         duties: '',
+        tax: '',
+        taxRate: '',
+        discount: '',
+        coreCharge: '',
+        coreRefund: '',
+        currency: '',
+        exchangeRate: '',
         quantity: 1,
         tracking: '',
         status: 'pending',
@@ -317,11 +538,21 @@ const useParts = (userId, toast, isDemo = false) => {
     const shipping = parseFloat(partData.shipping) || 0;
     const duties = parseFloat(partData.duties) || 0;
     const quantity = parseInt(partData.quantity) || 1;
-    // Quantity only multiplies price, not shipping/duties (those are per-order costs)
-    const total = (price * quantity) + shipping + duties;
+    const taxRate = hasTaxRate(partData.taxRate) ? parseFloat(partData.taxRate) || 0 : null;
+    const discount = parseFloat(partData.discount) || 0;
+    const coreCharge = parseFloat(partData.coreCharge) || 0;
+    const coreRefund = parseFloat(partData.coreRefund) || 0;
+    const tax = resolvePartTax({ price, quantity, discount, taxRate, tax: partData.tax });
+    const total = calculatePartTotal({ price, quantity, shipping, duties, tax, discount, coreCharge, coreRefund });
 
     try {
       const createdAt = new Date().toISOString();
+      const { currency, exchangeRate, exchangeRateDate } = getExchangeRateSnapshot(
+        partData.currency,
+        parseFloat(partData.exchangeRate) || null,
+        createdAt
+      );
+      const statusDates = getStatusDateChanges({}, statusMap[status], createdAt);
 
       if (isDemo) {
         const partToAdd = {
@@ -333,12 +564,21 @@ const useParts = (userId, toast, isDemo = false) => {
           price,
           shipping,
           duties,
+          tax,
+          taxRate,
+          discount,
+          coreCharge,
+          coreRefund,
           quantity,
           total,
+          currency,
+          exchangeRate,
+          exchangeRateDate,
           tracking: partData.tracking || '',
           projectId: partData.projectId || null,
           vehicleId: partData.vehicleId || null,
-          createdAt
+          createdAt,
+          ...statusDates.localDates
         };
         // Use functional update to handle multiple rapid calls
         setParts(prevParts => {
@@ -357,12 +597,21 @@ const useParts = (userId, toast, isDemo = false) => {
         price,
         shipping,
         duties,
+        tax,
+        tax_rate: taxRate,
+        discount,
+        core_charge: coreCharge,
+        core_refund: coreRefund,
         quantity,
         total,
+        currency,
+        exchange_rate: exchangeRate,
+        exchange_rate_date: exchangeRateDate,
         tracking: partData.tracking || '',
         project_id: partData.projectId || null,
         vehicle_id: partData.vehicleId || null,
-        created_at: createdAt
+        created_at: createdAt,
+        ...statusDates.dates
       }, userId);
 
       const partToAdd = {
@@ -374,12 +623,21 @@ const useParts = (userId, toast, isDemo = false) => {
         price,
         shipping,
         duties,
+        tax,
+        taxRate,
+        discount,
+        coreCharge,
+        coreRefund,
         quantity,
         total,
+        currency,
+        exchangeRate,
+        exchangeRateDate,
         tracking: partData.tracking || '',
         projectId: partData.projectId || null,
         vehicleId: partData.vehicleId || null,
-        createdAt
+        createdAt,
+        ...statusDates.localDates
       };
       // Use functional update to handle multiple rapid calls
       setParts(prevParts => [...prevParts, partToAdd]);
@@ -390,10 +648,100 @@ const useParts = (userId, toast, isDemo = false) => {
     }
   };
 
+  /**
+   * Work out the fields that change when a part moves to a new status
+   * @param {Object} currentPart - Part (app format)
+   * @param {string} newStatus - Purchase status, installed or a return status
+   * @param {Object} installDefaults - { installedOdometer } used when marking a part installed
+   * @param {string} at - Timestamp for the status dates that turn on (defaults to now)
+   * @returns {Object} { updates, localUpdates }, or { warning } if the part can't take the status
+   */
+  const getStatusChange = (currentPart, newStatus, installDefaults = {}, at = new Date().toISOString()) => {
+    const statusMap = {
+      delivered: { delivered: true, shipped: true, purchased: true },
+      shipped: { delivered: false, shipped: true, purchased: true },
+      purchased: { delivered: false, shipped: false, purchased: true },
+      pending: { delivered: false, shipped: false, purchased: false }
+    };
+    let updates;
+    let localUpdates;
+
+    if (isReturnStatus(newStatus)) {
+      if (!currentPart?.purchased) {
+        return { warning: 'Only ordered parts can be returned' };
+      }
+      updates = { return_status: newStatus };
+      localUpdates = { returnStatus: newStatus };
+
+      // Default to a full refund dated today; both can be corrected by editing the part
+      if (newStatus === 'refunded') {
+        if (!currentPart.refundedAt) {
+          updates.refunded_at = new Date().toISOString().slice(0, 10);
+          localUpdates.refundedAt = updates.refunded_at;
+        }
+        if (!(currentPart.refundAmount > 0)) {
+          updates.refund_amount = currentPart.total;
+          localUpdates.refundAmount = currentPart.total;
+        }
+      }
+    } else if (newStatus === 'installed') {
+      if (currentPart?.returnStatus) {
+        return { warning: 'Returned parts cannot be installed' };
+      }
+      // Installed parts have arrived; the install is dated today and read
+      // off the vehicle's odometer unless it was already recorded
+      updates = { ...statusMap.delivered, installed: true };
+      localUpdates = { ...updates };
+      if (!currentPart?.installedAt) {
+        updates.installed_at = new Date().toISOString().slice(0, 10);
+        localUpdates.installedAt = updates.installed_at;
+      }
+      if (currentPart?.installedOdometer == null && installDefaults.installedOdometer != null) {
+        updates.installed_odometer = installDefaults.installedOdometer;
+        localUpdates.installedOdometer = installDefaults.installedOdometer;
+      }
+    } else {
+      updates = { ...statusMap[newStatus] };
+      localUpdates = { ...updates };
+
+      // Picking a regular status cancels the return and the install
+      if (currentPart?.returnStatus) {
+        updates.return_status = null;
+        localUpdates.returnStatus = null;
+      }
+      if (currentPart?.installed) {
+        Object.assign(updates, { installed: false, installed_at: null, installed_odometer: null, install_notes: null });
+        Object.assign(localUpdates, { installed: false, installedAt: null, installedOdometer: null, installNotes: '' });
+      }
+    }
+
+    // Date the purchase, shipping and delivery as each flag turns on
+    const statusDates = getStatusDateChanges(currentPart, updates, at);
+    Object.assign(updates, statusDates.dates);
+    Object.assign(localUpdates, statusDates.localDates);
+
+    // Snapshot the exchange rate at purchase time for foreign-currency parts
+    if (currentPart && !currentPart.purchased && updates.purchased) {
+      const snapshot = getExchangeRateSnapshot(currentPart.currency, null, at);
+      if (snapshot.exchangeRate) {
+        updates.exchange_rate = snapshot.exchangeRate;
+        updates.exchange_rate_date = snapshot.exchangeRateDate;
+        localUpdates.exchangeRate = snapshot.exchangeRate;
+        localUpdates.exchangeRateDate = snapshot.exchangeRateDate;
+      }
+    }
+
+    return { updates, localUpdates };
+  };
+
   /**
    * Update part status
+   * Accepts the purchase statuses (pending/purchased/shipped/delivered),
+   * installed and the return statuses (returned/return_in_transit/refunded)
+   * @param {Object} installDefaults - { installedOdometer } used when marking a part installed
+   * @returns {Promise<Object|undefined>} The part fields that changed
    */
-  const updatePartStatus = async (partId, newStatus, setTrackingModalPartId, setShowTrackingModal, setOpenDropdown) => {
+  const updatePartStatus = async (partId, newStatus, setTrackingModalPartId, setShowTrackingModal, setOpenDropdown, installDefaults = {}) => {
     // If changing to shipped and tracking modal callbacks are provided, show tracking modal
     if (newStatus === 'shipped' && setTrackingModalPartId && setShowTrackingModal) {
       setTrackingModalPartId(partId);
@@ -402,23 +750,23 @@ const useParts = (userId, toast, isDemo = false) => {
       return;
     }
     try {
-      const statusMap = {
-        delivered: { delivered: true, shipped: true, purchased: true },
-        shipped: { delivered: false, shipped: true, purchased: true },
-        purchased: { delivered: false, shipped: false, purchased: true },
-        pending: { delivered: false, shipped: false, purchased: false }
-      };
-      const updates = statusMap[newStatus];
+      const currentPart = parts.find(part => part.id === partId);
+      const { updates, localUpdates, warning } = getStatusChange(currentPart, newStatus, installDefaults);
+      if (warning) {
+        toast?.warning(warning);
+        if (setOpenDropdown) setOpenDropdown(null);
+        return;
+      }
 
       // In demo mode, update localStorage
       if (isDemo) {
         const updatedParts = parts.map(part =>
-          part.id === partId ? { ...part, ...updates } : part
+          part.id === partId ? { ...part, ...localUpdates } : part
         );
         setParts(updatedParts);
         saveDemoParts(updatedParts);
         if (setOpenDropdown) setOpenDropdown(null);
-        return;
+        return localUpdates;
       }
 
       // Update in database
@@ -426,11 +774,12 @@ const useParts = (userId, toast, isDemo = false) => {
       // Update local state
       setParts(prevParts => prevParts.map(part => {
         if (part.id === partId) {
-          return { ...part, ...updates };
+          return { ...part, ...localUpdates };
         }
         return part;
       }));
       if (setOpenDropdown) setOpenDropdown(null);
+      return localUpdates;
     } catch (error) {
       toast?.error('Error updating part status. Please try again.');
     }
@@ -440,12 +789,27 @@ const useParts = (userId, toast, isDemo = false) => {
    * Save tracking information
    */
   const saveTrackingInfo = async (trackingModalPartId, trackingInput, setShowTrackingModal, setTrackingModalPartId, setTrackingInput) => {
+    // Tracking for a part in an order belongs to the whole order
+    const trackedPart = parts.find(part => part.id === trackingModalPartId);
+    const trackedOrder = trackedPart?.orderId ? orders.find(order => order.id === trackedPart.orderId) : null;
+    if (trackedOrder && trackingInput) {
+      const orderPartIds = parts.filter(part => part.orderId === trackedOrder.id).map(part => part.id);
+      const savedOrder = await saveOrder({ ...trackedOrder, tracking: trackingInput }, orderPartIds);
+      if (savedOrder) {
+        if (setShowTrackingModal) setShowTrackingModal(false);
+        if (setTrackingModalPartId) setTrackingModalPartId(null);
+        if (setTrackingInput) setTrackingInput('');
+      }
+      return;
+    }
+
     try {
+      const shippedFlags = { delivered: false, shipped: true, purchased: true };
+      const statusDates = getStatusDateChanges(trackedPart, shippedFlags);
       // Update in database
       await partsService.updatePart(trackingModalPartId, {
-        delivered: false,
-        shipped: true,
-        purchased: true,
+        ...shippedFlags,
+        ...statusDates.dates,
         tracking: trackingInput
       });
       // Update local state
@@ -453,9 +817,8 @@ const useParts = (userId, toast, isDemo = false) => {
         if (part.id === trackingModalPartId) {
           return {
             ...part,
-            delivered: false,
-            shipped: true,
-            purchased: true,
+            ...shippedFlags,
+            ...statusDates.localDates,
             tracking: trackingInput
           };
         }
@@ -471,16 +834,8 @@ const useParts = (userId, toast, isDemo = false) => {
           const response = await fetchWithAuth(`/api/tracking/${trackingModalPartId}`);
           const data = await response.json();
           if (data.success && data.tracking) {
-            setParts(prevParts => prevParts.map(part => {
-              if (part.id === trackingModalPartId) {
-                return {
-                  ...part,
-                  ...data.tracking,
-                  delivered: data.tracking.tracking_status === 'Delivered' ? true : part.delivered
-                };
-              }
-              return part;
-            }));
+            updatePartTrackingData(trackingModalPartId, data.tracking, data.advanced);
+            notifyTrackingAdvance(data.advanced);
           } else if (data.error) {
             toast?.error(`Tracking update failed: ${data.error}`);
           }
@@ -499,20 +854,20 @@ const useParts = (userId, toast, isDemo = false) => {
    */
   const skipTrackingInfo = async (trackingModalPartId, setShowTrackingModal, setTrackingModalPartId, setTrackingInput) => {
     try {
+      const shippedFlags = { delivered: false, shipped: true, purchased: true };
+      const statusDates = getStatusDateChanges(parts.find(part => part.id === trackingModalPartId), shippedFlags);
       // Update in database
       await partsService.updatePart(trackingModalPartId, {
-        delivered: false,
-        shipped: true,
-        purchased: true
+        ...shippedFlags,
+        ...statusDates.dates
       });
       // Update local state
       setParts(prevParts => prevParts.map(part => {
         if (part.id === trackingModalPartId) {
           return {
             ...part,
-            delivered: false,
-            shipped: true,
-            purchased: true
+            ...shippedFlags,
+            ...statusDates.localDates
           };
         }
         return part;
@@ -534,6 +889,11 @@ const useParts = (userId, toast, isDemo = false) => {
       price: editingPart.price,
       shipping: editingPart.shipping,
       duties: editingPart.duties,
+      tax: editingPart.tax,
+      taxRate: editingPart.taxRate,
+      discount: editingPart.discount,
+      coreCharge: editingPart.coreCharge,
+      coreRefund: editingPart.coreRefund,
       quantity: editingPart.quantity
     }, toast);
 
@@ -541,8 +901,50 @@ const useParts = (userId, toast, isDemo = false) => {
       return; // Toast already shown by validatePartCosts
     }
 
-    const { price, shipping, duties, quantity, total } = costValidation.values;
+    const rateValidation = validateExchangeRate(editingPart.exchangeRate, toast);
+    if (!rateValidation.isValid) {
+      return;
+    }
+
+    const { price, shipping, duties, tax, taxRate, discount, coreCharge, coreRefund, quantity, total } = costValidation.values;
+
+    const refundValidation = validateCurrency(editingPart.refundAmount, 'Refund');
+    if (!refundValidation.isValid) {
+      toast?.warning(refundValidation.error);
+      return;
+    }
+    if (!isRefundWithinTotal(refundValidation.value, total)) {
+      toast?.warning('Refund cannot exceed the part total');
+      return;
+    }
+
+    const installed = editingPart.status === 'installed';
+    const odometerValidation = validateOdometer(installed ? editingPart.installedOdometer : '', 'Install odometer');
+    if (!odometerValidation.isValid) {
+      toast?.warning(odometerValidation.error);
+      return;
+    }
+    const installFields = {
+      installed,
+      installedAt: installed ? (editingPart.installedAt || new Date().toISOString().slice(0, 10)) : null,
+      installedOdometer: installed ? odometerValidation.value : null,
+      installNotes: installed ? (editingPart.installNotes || '').trim() : ''
+    };
+
+    const warrantyValidation = validatePositiveInteger(editingPart.warrantyMonths, 'Warranty length', { min: 1, max: 1200 });
+    if (!warrantyValidation.isValid) {
+      toast?.warning(warrantyValidation.error);
+      return;
+    }
+    const warrantyFields = {
+      warrantyMonths: warrantyValidation.value,
+      warrantyExpiresAt: editingPart.warrantyExpiresAt || null,
+      warrantyTerms: (editingPart.warrantyTerms || '').trim(),
+      warrantyDocumentId: editingPart.warrantyDocumentId || null
+    };
+
     const statusMap = {
+      installed: { delivered: true, shipped: true, purchased: true },
       delivered: { delivered: true, shipped: true, purchased: true },
       shipped: { delivered: false, shipped: true, purchased: true },
       purchased: { delivered: false, shipped: false, purchased: true },
@@ -551,8 +953,41 @@ const useParts = (userId, toast, isDemo = false) => {
 
     // Check if tracking was removed or changed
     const originalPart = parts.find(p => p.id === editingPart.id);
+    const statusDates = getStatusDateChanges(originalPart, statusMap[editingPart.status]);
+
+    // Return shipment - adding a return tracking number means the return is on its way
+    const returnTracking = editingPart.returnStatus ? (editingPart.returnTracking || '').trim() : '';
+    const returnTrackingChanged = returnTracking !== (originalPart?.returnTracking || '');
+    const returnStatus = editingPart.returnStatus === 'returned' && returnTracking && returnTrackingChanged
+      ? 'return_in_transit'
+      : (editingPart.returnStatus || null);
+    const returnFields = {
+      returnStatus,
+      rmaNumber: returnStatus ? (editingPart.rmaNumber || '').trim() : '',
+      refundAmount: returnStatus ? refundValidation.value : 0,
+      refundedAt: returnStatus ? (editingPart.refundedAt || null) : null,
+      returnTracking
+    };
+
+    // Keep the original snapshot date so edits don't move the rate to today
+    const { currency, exchangeRate, exchangeRateDate } = getExchangeRateSnapshot(
+      editingPart.currency,
+      rateValidation.value,
+      originalPart?.exchangeRateDate || originalPart?.createdAt
+    );
+    // Parts in an order share the order's tracking number
+    const order = orders.find(o => o.id === editingPart.orderId) || null;
+    if (order) {
+      const orderParts = [...parts.filter(p => p.orderId === order.id && p.id !== editingPart.id), { currency }];
+      const orderCurrencies = getOrderCurrencies(orderParts, currencySettings.homeCurrency || DEFAULT_HOME_CURRENCY);
+      if (orderCurrencies.length > 1) {
+        toast?.warning(`Parts in an order must share one currency (${orderCurrencies.join(', ')})`);
+        return;
+      }
+    }
+    const editedTracking = order ? order.tracking : (editingPart.tracking || '');
     const originalTracking = originalPart?.tracking || '';
-    const newTracking = editingPart.tracking || '';
+    const newTracking = editedTracking;
     const trackingRemoved = originalTracking && !newTracking;
     const trackingChanged = originalTracking && newTracking && originalTracking !== newTracking;
     const shouldPurgeTrackingData = trackingRemoved || trackingChanged;
@@ -561,49 +996,89 @@ const useParts = (userId, toast, isDemo = false) => {
       // Build update object
       const updateData = {
         ...statusMap[editingPart.status],
+        ...statusDates.dates,
         part: editingPart.part,
         part_number: editingPart.partNumber,
         vendor: editingPart.vendor,
         price,
         shipping,
         duties,
+        tax,
+        tax_rate: taxRate,
+        discount,
+        core_charge: coreCharge,
+        core_refund: coreRefund,
         quantity,
         total,
-        tracking: editingPart.tracking,
+        currency,
+        exchange_rate: exchangeRate,
+        exchange_rate_date: exchangeRateDate,
+        tracking: editedTracking,
         project_id: editingPart.projectId || null,
-        vehicle_id: editingPart.vehicleId || null
+        vehicle_id: editingPart.vehicleId || null,
+        order_id: editingPart.orderId || null,
+        return_status: returnFields.returnStatus,
+        rma_number: returnFields.rmaNumber || null,
+        refund_amount: returnFields.refundAmount,
+        refunded_at: returnFields.refundedAt,
+        return_tracking: returnFields.returnTracking || null,
+        installed: installFields.installed,
+        installed_at: installFields.installedAt,
+        installed_odometer: installFields.installedOdometer,
+        install_notes: installFields.installNotes || null,
+        warranty_months: warrantyFields.warrantyMonths,
+        warranty_expires_at: warrantyFields.warrantyExpiresAt,
+        warranty_terms: warrantyFields.warrantyTerms || null,
+        warranty_document_id: warrantyFields.warrantyDocumentId
       };
 
       // If tracking was removed or changed, purge all tracking data
       if (shouldPurgeTrackingData) {
         Object.assign(updateData, getTrackingPurgeFields());
       }
+      if (returnTrackingChanged) {
+        Object.assign(updateData, getReturnTrackingPurgeFields());
+      }
 
       // Update in database
       await partsService.updatePart(editingPart.id, updateData);
 
       // Update local state
-      setParts(prevParts => prevParts.map(part => {
+      let updatedParts = parts.map(part => {
         if (part.id === editingPart.id) {
           const updatedPart = {
             ...part,
             ...statusMap[editingPart.status],
+            ...statusDates.localDates,
             part: editingPart.part,
             partNumber: editingPart.partNumber,
             vendor: editingPart.vendor,
             price,
             shipping,
             duties,
+            tax,
+            taxRate,
+            discount,
+            coreCharge,
+            coreRefund,
             quantity,
             total,
-            tracking: editingPart.tracking,
+            currency,
+            exchangeRate,
+            exchangeRateDate,
+            tracking: editedTracking,
             projectId: editingPart.projectId || null,
-            vehicleId: editingPart.vehicleId || null
+            vehicleId: editingPart.vehicleId || null,
+            orderId: editingPart.orderId || null,
+            ...returnFields,
+            ...installFields,
+            ...warrantyFields
           };
 
           // If tracking was removed or changed, clear tracking data from local state
           if (shouldPurgeTrackingData) {
             updatedPart.ship24_id = null;
+            updatedPart.tracking_provider = null;
             updatedPart.tracking_status = null;
             updatedPart.tracking_substatus = null;
             updatedPart.tracking_location = null;
@@ -611,41 +1086,55 @@ const useParts = (userId, toast, isDemo = false) => {
             updatedPart.tracking_updated_at = null;
             updatedPart.tracking_checkpoints = null;
           }
+          if (returnTrackingChanged) {
+            Object.assign(updatedPart, getReturnTrackingPurgeFields());
+          }
 
           return updatedPart;
         }
         return part;
-      }));
+      });
+
+      // Re-split shared costs of the orders this part joined or left
+      const touchedOrders = orders.filter(o => o.id === editingPart.orderId || o.id === originalPart?.orderId);
+      if (touchedOrders.length > 0) {
+        const beforeSplit = updatedParts;
+        updatedParts = touchedOrders.reduce((partList, o) => applyOrderToParts(o, partList), updatedParts);
+        await persistOrderPartChanges(beforeSplit, updatedParts);
+      }
+      setParts(updatedParts);
 
       // Capture values before clearing state
       const partId = editingPart.id;
-      const newTrackingValue = editingPart.tracking;
+      const newTrackingValue = editedTracking;
 
       // Clear editing state
       if (setEditingPart) setEditingPart(null);
       if (setPartModalView) setPartModalView(null);
 
       // Auto-refresh tracking from Ship24 if tracking was added or changed
-      if (newTrackingValue && (trackingChanged || !originalTracking) && !shouldSkipShip24(newTrackingValue)) {
+      if (order && newTrackingValue && newTrackingValue !== originalTracking && !shouldSkipShip24(newTrackingValue)) {
+        refreshOrderTracking(order.id);
+      } else if (newTrackingValue && (trackingChanged || !originalTracking) && !shouldSkipShip24(newTrackingValue)) {
         try {
           const response = await fetchWithAuth(`/api/tracking/${partId}`);
           const data = await response.json();
           if (data.success && data.tracking) {
-            setParts(prevParts => prevParts.map(part => {
-              if (part.id === partId) {
-                return {
-                  ...part,
-                  ...data.tracking,
-                  delivered: data.tracking.tracking_status === 'Delivered' ? true : part.delivered
-                };
-              }
-              return part;
-            }));
+            updatePartTrackingData(partId, data.tracking, data.advanced);
+            notifyTrackingAdvance(data.advanced);
           }
         } catch (trackingError) {
           // Silently fail - tracking will be refreshed on next view
         }
       }
+
+      // Same for the return shipment
+      if (returnTracking && returnTrackingChanged && !shouldSkipShip24(returnTracking)) {
+        refreshReturnTracking(partId);
+      }
+
+      // Saved part including its re-split order costs
+      return updatedParts.find(part => part.id === partId);
     } catch (error) {
       toast?.error('Error saving part. Please try again.');
     }
@@ -656,9 +1145,14 @@ const useParts = (userId, toast, isDemo = false) => {
    */
   const deletePart = async (partId) => {
     try {
+      // The rest of the part's order picks up its share of the shared costs
+      const deletedPart = parts.find(part => part.id === partId);
+      const order = deletedPart?.orderId ? orders.find(o => o.id === deletedPart.orderId) : null;
+      const remainingParts = parts.filter(part => part.id !== partId);
+      const updatedParts = order ? applyOrderToParts(order, remainingParts) : remainingParts;
+
       // In demo mode, delete from localStorage
       if (isDemo) {
-        const updatedParts = parts.filter(part => part.id !== partId);
         setParts(updatedParts);
         saveDemoParts(updatedParts);
         return;
@@ -666,6 +1160,11 @@ const useParts = (userId, toast, isDemo = false) => {
 
       // Delete from database
       await partsService.deletePart(partId);
+      if (order) {
+        await persistOrderPartChanges(remainingParts, updatedParts);
+        setParts(updatedParts);
+        return;
+      }
       // Update local state
       setParts(prevParts => prevParts.filter(part => part.id !== partId));
     } catch (error) {
@@ -798,14 +1297,125 @@ const useParts = (userId, toast, isDemo = false) => {
 
   /**
    * Update part tracking data in local state
-   * Used after refreshing tracking from Ship24 API
+   * Used after refreshing tracking from the tracking API
+   * @param {number} partId - Part ID
+   * @param {Object} trackingData - Tracking fields from the API
+   * @param {Array} advanced - [{ partId, status, flags, at }] parts the refresh marked shipped or delivered
    */
-  const updatePartTrackingData = (partId, trackingData) => {
+  const updatePartTrackingData = (partId, trackingData, advanced = []) => {
     setParts(prevParts => prevParts.map(part =>
-      part.id === partId ? { ...part, ...trackingData } : part
+      part.id === partId
+        ? { ...part, ...trackingData, ...getTrackingAdvanceFields(part, advanced) }
+        : part
     ));
   };
 
+  /**
+   * Put parts back to the status they had before tracking advanced them
+   * @param {Array} advanced - [{ partId, status, flags, at }] from the tracking API
+   * @returns {Promise<boolean>} True if undone
+   */
+  const undoTrackingAdvance = async (advanced) => {
+    try {
+      await Promise.all(advanced.map(advance =>
+        partsService.updatePart(advance.partId, getTrackingAdvanceUndoUpdates(advance))
+      ));
+      setParts(prevParts => prevParts.map(part => ({
+        ...part,
+        ...getTrackingAdvanceUndoFields(part, advanced)
+      })));
+      return true;
+    } catch (error) {
+      toast?.error('Error undoing status change. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Tell the user tracking changed part statuses, with an Undo button
+   * @param {Array} advanced - [{ partId, status, flags, at }] from the tracking API
+   * @param {Function} onUndone - Optional callback after the change is undone
+   */
+  const notifyTrackingAdvance = (advanced = [], onUndone) => {
+    if (advanced.length === 0) return;
+    const status = advanced.every(entry => entry.status === 'delivered') ? 'delivered' : 'shipped';
+    const message = advanced.length === 1
+      ? `Tracking marked ${parts.find(part => part.id === advanced[0].partId)?.part || 'part'} ${status}`
+      : `Tracking marked ${advanced.length} parts ${status}`;
+    toast?.success(message, {
+      duration: 10000,
+      action: {
+        label: 'Undo',
+        onClick: async () => {
+          if (await undoTrackingAdvance(advanced)) {
+            onUndone?.();
+          }
+        }
+      }
+    });
+  };
+
+  /**
+   * Save a part's manual checkpoints and the tracking status they imply
+   * A Delivered checkpoint marks the part delivered at the checkpoint's time,
+   * along with any purchased and shipped flags it skipped
+   * @param {Object} part - Part (app format)
+   * @param {Array<Object>} checkpoints - Manual checkpoints
+   * @returns {Promise<Object|null>} Updated fields (app format), or null on error
+   */
+  const saveManualCheckpoints = async (part, checkpoints) => {
+    const trackingFields = getManualTrackingFields(checkpoints);
+    let updates = { ...trackingFields };
+    let localUpdates = { ...trackingFields };
+    if (trackingFields.tracking_status === 'Delivered' && !part.delivered) {
+      const statusChange = getStatusChange(part, 'delivered', {}, trackingFields.tracking_checkpoints[0].checkpoint_time);
+      updates = { ...updates, ...statusChange.updates };
+      localUpdates = { ...localUpdates, ...statusChange.localUpdates };
+    }
+
+    try {
+      if (isDemo) {
+        saveDemoParts(parts.map(p => p.id === part.id ? { ...p, ...localUpdates } : p));
+      } else {
+        await partsService.updatePart(part.id, updates);
+      }
+      setParts(prevParts => prevParts.map(p =>
+        p.id === part.id ? { ...p, ...localUpdates } : p
+      ));
+      return localUpdates;
+    } catch (error) {
+      toast?.error('Error saving tracking checkpoint. Please try again.');
+      return null;
+    }
+  };
+
+  /**
+   * Add a checkpoint entered by hand to a part's tracking timeline
+   * @param {Object} part - Part (app format)
+   * @param {Object} draft - { checkpointTime, location, statusMilestone, message } as entered
+   * @returns {Promise<Object|null>} Updated fields (app format), or null if not saved
+   */
+  const addManualCheckpoint = async (part, draft) => {
+    const validation = validateManualCheckpoint(draft, toast);
+    if (!validation.isValid) return null;
+
+    const checkpoint = buildManualCheckpoint({ ...draft, checkpointTime: validation.values.checkpointTime });
+    return saveManualCheckpoints(part, [...(part.tracking_checkpoints || []), checkpoint]);
+  };
+
+  /**
+   * Remove a checkpoint entered by hand
+   * @param {Object} part - Part (app format)
+   * @param {Object} checkpoint - Checkpoint to remove
+   * @returns {Promise<Object|null>} Updated fields (app format), or null on error
+   */
+  const deleteManualCheckpoint = async (part, checkpoint) => {
+    const remaining = (part.tracking_checkpoints || []).filter(existing =>
+      existing.checkpoint_time !== checkpoint.checkpoint_time || existing.status !== checkpoint.status
+    );
+    return saveManualCheckpoints(part, remaining);
+  };
+
   /**
    * Get unique vendors from parts
    */
@@ -813,6 +1423,174 @@ const useParts = (userId, toast, isDemo = false) => {
     return [...new Set(parts.filter(p => p.vendor).map(p => p.vendor))].sort();
   };
 
+  /**
+   * Apply per-part changes to several parts at once
+   * Every part is written in one request, so a failure leaves all of them unchanged
+   * @param {Array<Object>} changes - [{ id, updates, localUpdates }]
+   */
+  const applyBulkChanges = async (changes) => {
+    const changesById = new Map(changes.map(change => [change.id, change]));
+    const mergeChanges = (partList) => partList.map(part =>
+      changesById.has(part.id) ? { ...part, ...changesById.get(part.id).localUpdates } : part
+    );
+
+    // In demo mode, update localStorage
+    if (isDemo) {
+      const updatedParts = mergeChanges(parts);
+      setParts(updatedParts);
+      saveDemoParts(updatedParts);
+      return;
+    }
+
+    await partsService.updatePartsBatch(changes.map(({ id, updates }) => ({ id, updates })));
+    setParts(prevParts => mergeChanges(prevParts));
+  };
+
+  /**
+   * Set the same fields on several parts
+   * @param {Array<number>} partIds - Part IDs
+   * @param {Object} updates - Database fields
+   * @param {Object} localUpdates - The same fields in app format
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkUpdateParts = async (partIds, updates, localUpdates) => {
+    try {
+      await applyBulkChanges(partIds.map(id => ({ id, updates, localUpdates })));
+      return partIds.length;
+    } catch (error) {
+      toast?.error('Error updating parts. Please try again.');
+      return 0;
+    }
+  };
+
+  /**
+   * Move several parts to a new status
+   * Parts that can't take the status (e.g. returning an unordered part) are skipped
+   * @param {Array<number>} partIds - Part IDs
+   * @param {string} newStatus - Purchase status, installed or a return status
+   * @param {Function} getInstallDefaults - partId => { installedOdometer }
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkUpdateStatus = async (partIds, newStatus, getInstallDefaults) => {
+    const ids = new Set(partIds);
+    const changes = [];
+    let skipWarning = null;
+    let skipped = 0;
+
+    parts.filter(part => ids.has(part.id)).forEach(part => {
+      const installDefaults = getInstallDefaults ? getInstallDefaults(part.id) : {};
+      const { updates, localUpdates, warning } = getStatusChange(part, newStatus, installDefaults);
+      if (warning) {
+        skipWarning = warning;
+        skipped++;
+        return;
+      }
+      changes.push({ id: part.id, updates, localUpdates });
+    });
+
+    try {
+      if (changes.length > 0) await applyBulkChanges(changes);
+      if (skipped > 0) {
+        toast?.warning(`${skipped} part${skipped !== 1 ? 's' : ''} skipped. ${skipWarning}`);
+      }
+      return changes.length;
+    } catch (error) {
+      toast?.error('Error updating part status. Please try again.');
+      return 0;
+    }
+  };
+
+  /**
+   * Link several parts to a project (or unlink them with a null projectId)
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkAssignProject = (partIds, projectId) => bulkUpdateParts(
+    partIds,
+    { project_id: projectId || null },
+    { projectId: projectId || null }
+  );
+
+  /**
+   * Assign several parts to a vehicle (or clear it with a null vehicleId)
+   * A part's project decides its vehicle, so parts in a project on another
+   * vehicle are unlinked from the project
+   * @param {Array} projects - Projects, to look up each part's vehicle
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkAssignVehicle = async (partIds, vehicleId, projects = []) => {
+    const ids = new Set(partIds);
+    const changes = parts.filter(part => ids.has(part.id)).map(part => {
+      const project = part.projectId ? projects.find(p => p.id === part.projectId) : null;
+      const updates = { vehicle_id: vehicleId || null };
+      const localUpdates = { vehicleId: vehicleId || null };
+      if (project?.vehicle_id && project.vehicle_id !== vehicleId) {
+        updates.project_id = null;
+        localUpdates.projectId = null;
+      }
+      return { id: part.id, updates, localUpdates };
+    });
+
+    try {
+      await applyBulkChanges(changes);
+      return changes.length;
+    } catch (error) {
+      toast?.error('Error updating parts. Please try again.');
+      return 0;
+    }
+  };
+
+  /**
+   * Set the vendor of several parts (an empty name clears it)
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkSetVendor = (partIds, vendor) => {
+    const trimmedVendor = (vendor || '').trim();
+    return bulkUpdateParts(partIds, { vendor: trimmedVendor }, { vendor: trimmedVendor });
+  };
+
+  /**
+   * Archive or unarchive several parts
+   * @returns {Promise<number>} Number of parts updated
+   */
+  const bulkArchiveParts = (partIds, archived) => bulkUpdateParts(partIds, { archived }, { archived });
+
+  /**
+   * Delete several parts in one request
+   * The rest of each affected order picks up the deleted parts' share of the shared costs
+   * @param {Array<number>} partIds - Part IDs
+   * @returns {Promise<number>} Number of parts deleted
+   */
+  const bulkDeleteParts = async (partIds) => {
+    const ids = new Set(partIds);
+    try {
+      const deletedParts = parts.filter(part => ids.has(part.id));
+      const affectedOrders = orders.filter(order => deletedParts.some(part => part.orderId === order.id));
+      const remainingParts = parts.filter(part => !ids.has(part.id));
+      const updatedParts = affectedOrders.reduce((partList, order) => applyOrderToParts(order, partList), remainingParts);
+
+      // In demo mode, delete from localStorage
+      if (isDemo) {
+        setParts(updatedParts);
+        saveDemoParts(updatedParts);
+        return deletedParts.length;
+      }
+
+      // Delete from database
+      await partsService.deleteParts(deletedParts.map(part => part.id));
+      if (affectedOrders.length > 0) {
+        await persistOrderPartChanges(remainingParts, updatedParts);
+        setParts(updatedParts);
+        return deletedParts.length;
+      }
+      // Update local state
+      setParts(prevParts => prevParts.filter(part => !ids.has(part.id)));
+      return deletedParts.length;
+    } catch (error) {
+      toast?.error('Error deleting parts. Please try again.');
+      return 0;
+    }
+  };
+
   /**
    * Import multiple parts from CSV
    * Note: For bulk imports, we sanitize values silently (defaulting to 0)
@@ -829,8 +1607,15 @@ const useParts = (userId, toast, isDemo = false) => {
       const shipping = Math.max(0, parseFloat(partData.shipping) || 0);
       const duties = Math.max(0, parseFloat(partData.duties) || 0);
       const quantity = Math.max(1, parseInt(partData.quantity) || 1);
-      // Quantity only multiplies price, not shipping/duties (those are per-order costs)
-      const total = (price * quantity) + shipping + duties;
+      const taxRate = hasTaxRate(partData.taxRate)
+        ? Math.min(100, Math.max(0, parseFloat(partData.taxRate) || 0))
+        : null;
+      // Exports often list discounts as negative amounts
+      const discount = Math.min(price * quantity, Math.abs(parseFloat(partData.discount) || 0));
+      const coreCharge = Math.max(0, parseFloat(partData.coreCharge) || 0);
+      const coreRefund = Math.min(coreCharge, Math.max(0, parseFloat(partData.coreRefund) || 0));
+      const tax = resolvePartTax({ price, quantity, discount, taxRate, tax: Math.max(0, parseFloat(partData.tax) || 0) });
+      const total = calculatePartTotal({ price, quantity, shipping, duties, tax, discount, coreCharge, coreRefund });
       const statusMap = {
         delivered: { delivered: true, shipped: true, purchased: true },
         shipped: { delivered: false, shipped: true, purchased: true },
@@ -841,6 +1626,12 @@ const useParts = (userId, toast, isDemo = false) => {
 
       try {
         const createdAt = new Date().toISOString();
+        const { currency, exchangeRate, exchangeRateDate } = getExchangeRateSnapshot(
+          partData.currency,
+          parseFloat(partData.exchangeRate) || null,
+          createdAt
+        );
+        const statusDates = getStatusDateChanges({}, statusMap[status], createdAt);
         const data = await partsService.createPart({
           ...statusMap[status],
           part: partData.part,
@@ -849,12 +1640,21 @@ const useParts = (userId, toast, isDemo = false) => {
           price,
           shipping,
           duties,
+          tax,
+          tax_rate: taxRate,
+          discount,
+          core_charge: coreCharge,
+          core_refund: coreRefund,
           quantity,
           total,
+          currency,
+          exchange_rate: exchangeRate,
+          exchange_rate_date: exchangeRateDate,
           tracking: partData.tracking || '',
           project_id: partData.projectId || null,
           vehicle_id: partData.vehicleId || null,
-          created_at: createdAt
+          created_at: createdAt,
+          ...statusDates.dates
         }, userId);
 
         createdParts.push({
@@ -866,12 +1666,21 @@ const useParts = (userId, toast, isDemo = false) => {
           price,
           shipping,
           duties,
+          tax,
+          taxRate,
+          discount,
+          coreCharge,
+          coreRefund,
           quantity,
           total,
+          currency,
+          exchangeRate,
+          exchangeRateDate,
           tracking: partData.tracking || '',
           projectId: partData.projectId || null,
           vehicleId: partData.vehicleId || null,
-          createdAt: createdAt
+          createdAt: createdAt,
+          ...statusDates.localDates
         });
       } catch (error) {
         console.error('Error importing part:', partData.part, error);
@@ -885,12 +1694,341 @@ const useParts = (userId, toast, isDemo = false) => {
     return createdParts.length;
   };
 
+  /**
+   * Apply an order's shared costs and tracking to the parts in it
+   * @param {Object} order - Order (app format)
+   * @param {Array} partList - Parts (app format)
+   * @returns {Array} Parts with recalculated shares, totals and tracking
+   */
+  const applyOrderToParts = (order, partList) => {
+    const orderParts = partList.filter(part => part.orderId === order.id);
+    const allocations = apportionOrderCosts(order, orderParts);
+    const orderTracking = order.tracking || '';
+
+    return partList.map(part => {
+      const share = allocations[part.id];
+      if (!share) return part;
+
+      // The order's tax is an amount, so it replaces any per-part tax rate
+      const updated = { ...part, ...share, taxRate: null };
+      updated.total = calculatePartTotal(updated);
+
+      if ((part.tracking || '') !== orderTracking) {
+        updated.tracking = orderTracking;
+        // A new tracking number invalidates cached carrier data
+        Object.assign(updated, getTrackingPurgeFields());
+      }
+      // Parts with a tracking number have shipped
+      if (orderTracking && !part.shipped) {
+        Object.assign(updated, getStatusDateChanges(part, { purchased: true, shipped: true }).localDates);
+        updated.purchased = true;
+        updated.shipped = true;
+      }
+      return updated;
+    });
+  };
+
+  /**
+   * Write the order-managed fields of parts that changed to the database
+   * All parts are saved in one request, so an order's split is never half written
+   * @param {Array} previousParts - Parts before the change
+   * @param {Array} updatedParts - Parts after the change
+   */
+  const persistOrderPartChanges = async (previousParts, updatedParts) => {
+    const previousById = new Map(previousParts.map(part => [part.id, part]));
+    const changes = updatedParts
+      .filter(part => previousById.has(part.id) && previousById.get(part.id) !== part)
+      .map(part => {
+        const previous = previousById.get(part.id);
+        const updates = {
+          order_id: part.orderId || null,
+          shipping: part.shipping,
+          duties: part.duties,
+          tax: part.tax || 0,
+          tax_rate: hasTaxRate(part.taxRate) ? part.taxRate : null,
+          total: part.total,
+          purchased: part.purchased,
+          shipped: part.shipped
+        };
+        if (part.shippedAt !== previous.shippedAt) {
+          updates.purchased_at = part.purchasedAt || null;
+          updates.shipped_at = part.shippedAt || null;
+        }
+        if ((previous.tracking || '') !== (part.tracking || '')) {
+          Object.assign(updates, getTrackingPurgeFields(), { tracking: part.tracking });
+        }
+        return { id: part.id, updates };
+      });
+    if (changes.length > 0) {
+      await partsService.updatePartsBatch(changes);
+    }
+  };
+
+  /**
+   * Refresh carrier tracking for every part in an order (one API call)
+   * @param {number} orderId - Order ID
+   */
+  const refreshOrderTracking = async (orderId) => {
+    try {
+      const response = await fetchWithAuth(`/api/tracking/orders/${orderId}`);
+      const data = await response.json();
+      if (data.success && data.tracking) {
+        setParts(prevParts => prevParts.map(part => {
+          if (part.orderId === orderId) {
+            return {
+              ...part,
+              ...data.tracking,
+              ...getTrackingAdvanceFields(part, data.advanced)
+            };
+          }
+          return part;
+        }));
+        notifyTrackingAdvance(data.advanced);
+      } else if (data.error) {
+        toast?.error(`Tracking update failed: ${data.error}`);
+      }
+    } catch (trackingError) {
+      console.error('[useParts] Failed to refresh order tracking:', trackingError);
+      toast?.error('Failed to fetch tracking information');
+    }
+  };
+
+  /**
+   * Refresh carrier tracking for a part's return shipment
+   * @param {number} partId - Part ID
+   */
+  const refreshReturnTracking = async (partId) => {
+    try {
+      const response = await fetchWithAuth(`/api/tracking/${partId}/return`);
+      const data = await response.json();
+      if (data.success && data.tracking) {
+        setParts(prevParts => prevParts.map(part =>
+          part.id === partId ? { ...part, ...data.tracking } : part
+        ));
+      }
+      return data;
+    } catch (error) {
+      // Silently fail - return tracking will be refreshed on next view
+      return null;
+    }
+  };
+
+  /**
+   * Create or update a vendor order and set which parts belong to it
+   * Parts removed from the order drop their share of its costs.
+   * @param {Object} orderData - { id?, vendor, orderNumber, orderDate, shipping, duties, tax, allocationMethod, tracking }
+   * @param {Array<number>} partIds - IDs of the parts in the order
+   * @returns {Promise<Object|null>} Saved order, or null on error
+   */
+  const saveOrder = async (orderData, partIds) => {
+    if (!userId) return null;
+
+    const costResults = [
+      validateCurrency(orderData.shipping, 'Shipping'),
+      validateCurrency(orderData.duties, 'Duties'),
+      validateCurrency(orderData.tax, 'Tax')
+    ];
+    const invalidCost = costResults.find(result => !result.isValid);
+    if (invalidCost) {
+      toast?.warning(invalidCost.error);
+      return null;
+    }
+    const [shipping, duties, tax] = costResults.map(result => result.value);
+
+    const orderCurrencies = getOrderCurrencies(
+      parts.filter(part => partIds.includes(part.id)),
+      currencySettings.homeCurrency || DEFAULT_HOME_CURRENCY
+    );
+    if (orderCurrencies.length > 1) {
+      toast?.warning(`Parts in an order must share one currency (${orderCurrencies.join(', ')})`);
+      return null;
+    }
+
+    const record = {
+      vendor: orderData.vendor || null,
+      order_number: orderData.orderNumber?.trim() || null,
+      order_date: orderData.orderDate || null,
+      shipping,
+      duties,
+      tax,
+      allocation_method: orderData.allocationMethod || 'price',
+      tracking: orderData.tracking?.trim() || null
+    };
+
+    try {
+      const previousOrder = orders.find(order => order.id === orderData.id);
+      let savedOrder;
+      if (isDemo) {
+        savedOrder = formatOrder({
+          id: orderData.id || Date.now(),
+          created_at: previousOrder?.createdAt || new Date().toISOString(),
+          ...record
+        });
+      } else if (orderData.id) {
+        savedOrder = formatOrder(await ordersService.updateOrder(orderData.id, record));
+      } else {
+        savedOrder = formatOrder(await ordersService.createOrder(record, userId));
+      }
+
+      const memberIds = new Set(partIds);
+      const regrouped = parts.map(part => {
+        const isMember = memberIds.has(part.id);
+        if (isMember && part.orderId !== savedOrder.id) {
+          return { ...part, orderId: savedOrder.id };
+        }
+        if (!isMember && part.orderId === savedOrder.id) {
+          const released = { ...part, orderId: null, shipping: 0, duties: 0, tax: 0 };
+          released.total = calculatePartTotal(released);
+          return released;
+        }
+        return part;
+      });
+      // Parts moved out of another order leave a gap in that order's split
+      const affectedOrders = [
+        savedOrder,
+        ...orders.filter(order =>
+          order.id !== savedOrder.id &&
+          parts.some(part => memberIds.has(part.id) && part.orderId === order.id)
+        )
+      ];
+      const updatedParts = affectedOrders.reduce(
+        (partList, order) => applyOrderToParts(order, partList),
+        regrouped
+      );
+
+      const updatedOrders = previousOrder
+        ? orders.map(order => (order.id === savedOrder.id ? savedOrder : order))
+        : [savedOrder, ...orders];
+
+      if (isDemo) {
+        saveDemoOrders(updatedOrders);
+        saveDemoParts(updatedParts);
+      } else {
+        await persistOrderPartChanges(parts, updatedParts);
+      }
+      setOrders(updatedOrders);
+      setParts(updatedParts);
+
+      const trackingChanged = (previousOrder?.tracking || '') !== savedOrder.tracking;
+      if (!isDemo && savedOrder.tracking && trackingChanged && !shouldSkipShip24(savedOrder.tracking)) {
+        refreshOrderTracking(savedOrder.id);
+      }
+
+      return savedOrder;
+    } catch (error) {
+      toast?.error('Error saving order. Please try again.');
+      return null;
+    }
+  };
+
+  /**
+   * Delete a vendor order
+   * Its parts are kept and keep their share of the order's costs.
+   * @param {number} orderId - Order ID
+   */
+  const deleteOrder = async (orderId) => {
+    try {
+      const updatedOrders = orders.filter(order => order.id !== orderId);
+      const updatedParts = parts.map(part =>
+        part.orderId === orderId ? { ...part, orderId: null } : part
+      );
+
+      if (isDemo) {
+        saveDemoOrders(updatedOrders);
+        saveDemoParts(updatedParts);
+      } else {
+        // order_id is cleared by the foreign key (ON DELETE SET NULL)
+        await ordersService.deleteOrder(orderId);
+      }
+      setOrders(updatedOrders);
+      setParts(updatedParts);
+    } catch (error) {
+      toast?.error('Error deleting order. Please try again.');
+    }
+  };
+
+  /**
+   * Re-snapshot exchange rates after the home currency changes
+   * Parts without a currency are pinned to the previous home currency first.
+   * Rates are looked up directly for the new home currency, or bridged
+   * through the previous one when only that pair is stored.
+   * @param {string} previousHome - Home currency before the change
+   * @param {string} newHome - New home currency
+   * @param {Array} rates - Stored exchange_rates rows
+   * @returns {Promise<number>} Number of foreign-currency parts left without a rate
+   */
+  const rebasePartsCurrency = async (previousHome, newHome, rates) => {
+    if (!userId || previousHome === newHome) return 0;
+
+    let missingRates = 0;
+    const changes = [];
+
+    parts.forEach(part => {
+      const currency = part.currency || previousHome;
+      const date = (part.exchangeRateDate || part.createdAt || new Date().toISOString()).slice(0, 10);
+      let exchangeRate = null;
+
+      if (currency !== newHome) {
+        const direct = findExchangeRate(rates, currency, newHome, date);
+        const previousRate = currency === previousHome ? 1 : part.exchangeRate;
+        const bridge = findExchangeRate(rates, previousHome, newHome, date);
+
+        if (direct) {
+          exchangeRate = direct.rate;
+        } else if (previousRate && bridge) {
+          exchangeRate = previousRate * bridge.rate;
+        } else {
+          missingRates++;
+        }
+      }
+
+      if (currency !== part.currency || exchangeRate !== part.exchangeRate) {
+        changes.push({
+          id: part.id,
+          currency,
+          exchangeRate,
+          exchangeRateDate: exchangeRate ? date : null
+        });
+      }
+    });
+
+    try {
+      if (!isDemo) {
+        await partsService.assignCurrencyToParts(previousHome, userId);
+
+        // One request for every part, so no part is left on the old rate
+        if (changes.length > 0) {
+          await partsService.updatePartsBatch(changes.map(change => ({
+            id: change.id,
+            updates: {
+              currency: change.currency,
+              exchange_rate: change.exchangeRate,
+              exchange_rate_date: change.exchangeRateDate
+            }
+          })));
+        }
+      }
+
+      const updatedParts = parts.map(part => {
+        const change = changes.find(c => c.id === part.id);
+        return change ? { ...part, ...change } : part;
+      });
+      setParts(updatedParts);
+      if (isDemo) saveDemoParts(updatedParts);
+    } catch (error) {
+      toast?.error('Error converting parts to the new home currency. Please try again.');
+    }
+
+    return missingRates;
+  };
+
   return {
     // State
     parts,
     setParts,
     vendors,
     vendorColors,
+    orders,
     loading,
     newPart,
     setNewPart,
@@ -899,6 +2037,7 @@ const useParts = (userId, toast, isDemo = false) => {
     loadParts,
     loadVendors,
     updateVendorColor,
+    updateVendorProfile,
     addNewPart,
     createPartDirectly,
     updatePartStatus,
@@ -912,8 +2051,23 @@ const useParts = (userId, toast, isDemo = false) => {
     unlinkPartFromProject,
     updatePartProject,
     updatePartTrackingData,
+    notifyTrackingAdvance,
+    addManualCheckpoint,
+    deleteManualCheckpoint,
     getUniqueVendors,
-    importPartsFromCSV
+    bulkUpdateStatus,
+    bulkAssignProject,
+    bulkAssignVehicle,
+    bulkSetVendor,
+    bulkArchiveParts,
+    bulkDeleteParts,
+    importPartsFromCSV,
+    rebasePartsCurrency,
+    loadOrders,
+    saveOrder,
+    deleteOrder,
+    refreshOrderTracking,
+    refreshReturnTracking
   };
 };
 
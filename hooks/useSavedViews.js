@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import * as savedViewsService from '../services/savedViewsService';
+import { normalizePartsView } from '../utils/partsViewUtils';
+import { getDemoSavedViews, saveDemoSavedViews } from '../data/demoData';
+
+/**
+ * Custom hook for managing saved parts list views
+ *
+ * Features:
+ * - Load saved views from Supabase (or localStorage in demo mode)
+ * - Save the current filters, sort and rows per page under a name
+ *   (saving under an existing name replaces that view)
+ * - Delete saved views
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @returns {Object} Saved views state and operations
+ */
+const useSavedViews = (userId, toast, isDemo = false) => {
+  const [savedViews, setSavedViews] = useState([]);
+
+  const formatView = (view) => ({
+    id: view.id,
+    name: view.name,
+    filters: normalizePartsView(view.filters),
+    updatedAt: view.updated_at
+  });
+
+  // Demo views are stored in the database format
+  const toDemoView = (view) => ({
+    id: view.id,
+    name: view.name,
+    filters: view.filters,
+    updated_at: view.updatedAt
+  });
+
+  const sortByName = (views) => [...views].sort((a, b) => a.name.localeCompare(b.name));
+
+  /**
+   * Load saved views from Supabase or localStorage (demo mode)
+   */
+  const loadSavedViews = async () => {
+    if (!userId) return;
+
+    if (isDemo) {
+      setSavedViews(sortByName(getDemoSavedViews().map(formatView)));
+      return;
+    }
+
+    try {
+      const data = await savedViewsService.getSavedViews(userId);
+      setSavedViews(data.map(formatView));
+    } catch (error) {
+      toast?.error('Error loading saved views');
+    }
+  };
+
+  /**
+   * Save a parts view under a name
+   * @param {string} name - View name
+   * @param {Object} filters - Parts view
+   * @returns {Promise<Object|undefined>} Saved view
+   */
+  const saveView = async (name, filters) => {
+    if (!userId) return;
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      toast?.warning('View name cannot be empty');
+      return;
+    }
+
+    const normalized = normalizePartsView(filters);
+    const otherViews = savedViews.filter(view => view.name !== trimmedName);
+
+    try {
+      let saved;
+      if (isDemo) {
+        const existing = savedViews.find(view => view.name === trimmedName);
+        saved = formatView({
+          id: existing?.id || Date.now(),
+          name: trimmedName,
+          filters: normalized,
+          updated_at: new Date().toISOString()
+        });
+        saveDemoSavedViews([...otherViews, saved].map(toDemoView));
+      } else {
+        saved = formatView(await savedViewsService.upsertSavedView(trimmedName, normalized, userId));
+      }
+      setSavedViews(sortByName([...otherViews, saved]));
+      return saved;
+    } catch (error) {
+      toast?.error('Error saving view. Please try again.');
+    }
+  };
+
+  /**
+   * Delete a saved view
+   * @param {number} viewId - Saved view ID
+   */
+  const deleteView = async (viewId) => {
+    try {
+      const remainingViews = savedViews.filter(view => view.id !== viewId);
+      if (isDemo) {
+        saveDemoSavedViews(remainingViews.map(toDemoView));
+      } else {
+        await savedViewsService.deleteSavedView(viewId);
+      }
+      setSavedViews(remainingViews);
+    } catch (error) {
+      toast?.error('Error deleting view. Please try again.');
+    }
+  };
+
+  return {
+    // State
+    savedViews,
+
+    // Operations
+    loadSavedViews,
+    saveView,
+    deleteView
+  };
+};
+
+export default useSavedViews;
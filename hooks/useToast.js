@@ -16,12 +16,14 @@ const useToast = () => {
    * @param {Object} options - Toast options
    * @param {string} options.type - Toast type: 'success', 'error', 'warning', 'info'
    * @param {number} options.duration - Duration in ms before auto-dismiss (0 = no auto-dismiss)
+   * @param {Object} options.action - Optional button { label, onClick }; the toast closes when clicked
    * @returns {string} Toast ID
    */
   const showToast = useCallback((message, options = {}) => {
     const {
       type = 'info',
-      duration = 5000
+      duration = 5000,
+      action = null
     } = options;
 
     const id = `toast-${Date.now()}-${Math.random()}`;
@@ -30,7 +32,8 @@ const useToast = () => {
       id,
       message,
       type,
-      duration
+      duration,
+      action
     };
 
     setToasts(prev => [...prev, newToast]);
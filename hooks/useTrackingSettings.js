@@ -0,0 +1,72 @@
+import { useState, useCallback } from 'react';
+import * as userSettingsService from '../services/userSettingsService';
+
+/**
+ * Custom hook for the user's shipment tracking settings
+ *
+ * Features:
+ * - Load the default tracking provider and per-carrier overrides
+ * - Save provider choices (null = server default)
+ * - Turn automatic shipped/delivered status from tracking on or off
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @returns {Object} Tracking settings state and operations
+ */
+const useTrackingSettings = (userId, toast) => {
+  const [trackingProvider, setTrackingProvider] = useState(null);
+  const [carrierProviders, setCarrierProviders] = useState({});
+  const [trackingAutoAdvance, setTrackingAutoAdvance] = useState(true);
+
+  /**
+   * Load tracking settings from Supabase
+   */
+  const loadTrackingSettings = useCallback(async () => {
+    if (!userId) return;
+    try {
+      const settings = await userSettingsService.getUserSettings(userId);
+      setTrackingProvider(settings?.tracking_provider || null);
+      setCarrierProviders(settings?.tracking_carrier_providers || {});
+      setTrackingAutoAdvance(settings?.tracking_auto_advance !== false);
+    } catch (error) {
+      toast?.error('Error loading tracking settings');
+    }
+  }, [userId, toast]);
+
+  /**
+   * Save the tracking settings
+   * @param {Object} choices - { trackingProvider, carrierProviders, autoAdvance } where
+   *   carrierProviders maps carrier names to provider names
+   * @returns {Promise<boolean>} True if saved
+   */
+  const updateTrackingSettings = async ({ trackingProvider: provider, carrierProviders: carriers, autoAdvance }) => {
+    if (!userId) return false;
+    try {
+      await userSettingsService.updateUserSettings({
+        tracking_provider: provider || null,
+        tracking_carrier_providers: carriers,
+        tracking_auto_advance: autoAdvance
+      }, userId);
+      setTrackingProvider(provider || null);
+      setCarrierProviders(carriers);
+      setTrackingAutoAdvance(autoAdvance);
+      return true;
+    } catch (error) {
+      toast?.error('Error saving tracking settings. Please try again.');
+      return false;
+    }
+  };
+
+  return {
+    // State
+    trackingProvider,
+    carrierProviders,
+    trackingAutoAdvance,
+
+    // Operations
+    loadTrackingSettings,
+    updateTrackingSettings
+  };
+};
+
+export default useTrackingSettings;
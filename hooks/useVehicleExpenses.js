@@ -0,0 +1,116 @@
+import { useState } from 'react';
+import * as vehicleExpensesService from '../services/vehicleExpensesService';
+import { validateVehicleExpense } from '../utils/validationUtils';
+import { getDemoVehicleExpenses, saveDemoVehicleExpenses } from '../data/demoData';
+
+// Newest first, like the service returns them
+const sortExpenses = (expenses) => {
+  return [...expenses].sort((a, b) => b.expense_date.localeCompare(a.expense_date) || b.id - a.id);
+};
+
+/**
+ * Custom hook for vehicle running expenses (insurance, registration, fuel)
+ *
+ * Features:
+ * - Load the expenses of one vehicle at a time, newest first
+ * - Add an expense with an optional odometer reading
+ * - Delete an expense
+ *
+ * @param {string} userId - Current user's ID for data isolation
+ * @param {Object} toast - Toast notification functions { error, success, warning, info }
+ * @param {boolean} isDemo - Whether in demo mode (uses localStorage instead of Supabase)
+ * @returns {Object} Vehicle expense state and operations
+ */
+const useVehicleExpenses = (userId, toast, isDemo = false) => {
+  const [vehicleExpenses, setVehicleExpenses] = useState([]);
+  const [vehicleExpensesVehicleId, setVehicleExpensesVehicleId] = useState(null);
+
+  /**
+   * Load the expenses of a vehicle
+   * @param {number} vehicleId - Vehicle ID
+   */
+  const loadVehicleExpenses = async (vehicleId) => {
+    if (!userId || !vehicleId) return;
+
+    if (isDemo) {
+      setVehicleExpenses(sortExpenses(getDemoVehicleExpenses().filter(expense => expense.vehicle_id === vehicleId)));
+      setVehicleExpensesVehicleId(vehicleId);
+      return;
+    }
+
+    try {
+      setVehicleExpenses(await vehicleExpensesService.getVehicleExpenses(vehicleId, userId));
+      setVehicleExpensesVehicleId(vehicleId);
+    } catch (error) {
+      toast?.error('Error loading vehicle expenses');
+    }
+  };
+
+  /**
+   * Add an expense to a vehicle
+   * @param {number} vehicleId - Vehicle ID
+   * @param {Object} expense - { category, amount, expenseDate, odometer, notes } as entered
+   * @returns {Promise<boolean>} True if saved
+   */
+  const addVehicleExpense = async (vehicleId, { category, amount, expenseDate, odometer, notes }) => {
+    if (!userId || !vehicleId) return false;
+
+    const validation = validateVehicleExpense({ amount, expenseDate, odometer }, toast);
+    if (!validation.isValid) return false;
+
+    const row = {
+      vehicle_id: vehicleId,
+      category,
+      amount: validation.values.amount,
+      expense_date: expenseDate,
+      odometer: validation.values.odometer,
+      notes: notes?.trim() || null
+    };
+
+    try {
+      let saved;
+      if (isDemo) {
+        saved = { id: Date.now(), ...row, created_at: new Date().toISOString() };
+        saveDemoVehicleExpenses([...getDemoVehicleExpenses(), saved]);
+      } else {
+        saved = await vehicleExpensesService.createVehicleExpense(row, userId);
+      }
+      setVehicleExpenses(prev => sortExpenses([...prev, saved]));
+      return true;
+    } catch (error) {
+      toast?.error('Error saving expense. Please try again.');
+      return false;
+    }
+  };
+
+  /**
+   * Delete a vehicle expense
+   * @param {number} expenseId - Expense ID
+   */
+  const deleteVehicleExpense = async (expenseId) => {
+    if (!userId) return;
+    try {
+      if (isDemo) {
+        saveDemoVehicleExpenses(getDemoVehicleExpenses().filter(expense => expense.id !== expenseId));
+      } else {
+        await vehicleExpensesService.deleteVehicleExpense(expenseId, userId);
+      }
+      setVehicleExpenses(prev => prev.filter(expense => expense.id !== expenseId));
+    } catch (error) {
+      toast?.error('Error deleting expense. Please try again.');
+    }
+  };
+
+  return {
+    // State
+    vehicleExpenses,
+    vehicleExpensesVehicleId,
+
+    // Operations
+    loadVehicleExpenses,
+    addVehicleExpense,
+    deleteVehicleExpense
+  };
+};
+
+export default useVehicleExpenses;
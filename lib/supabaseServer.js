@@ -1,4 +1,6 @@
+import { createHash, createHmac } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { isApiToken, ALL_API_SCOPES } from '../utils/apiTokenUtils';
 
 const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
@@ -44,6 +46,124 @@ export const createServerClient = (request) => {
   });
 };
 
+// Lifetime of the short-lived JWT minted for personal API token requests
+const TOKEN_SESSION_TTL_SECONDS = 300;
+
+/**
+ * Create a server-side Supabase client for a given access token (JWT)
+ * @param {string} accessToken - JWT to send as the Authorization header
+ * @returns {Object} Supabase client with that auth context
+ */
+const createClientForAccessToken = (accessToken) => {
+  return createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+    global: {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+      },
+    },
+  });
+};
+
+/**
+ * Sign a short-lived Supabase JWT for a user
+ * Lets personal API token requests run with the user's RLS context
+ * instead of bypassing it with a service role key
+ *
+ * @param {string} userId - User ID (JWT subject)
+ * @returns {string} Signed HS256 JWT
+ */
+const signUserAccessToken = (userId) => {
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  if (!secret) {
+    throw new Error('SUPABASE_JWT_SECRET not configured');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({
+    sub: userId,
+    role: 'authenticated',
+    aud: 'authenticated',
+    iat: now,
+    exp: now + TOKEN_SESSION_TTL_SECONDS
+  });
+  const signature = createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+
+  return `${header}.${payload}.${signature}`;
+};
+
+/**
+ * Verify a personal API token against the api_tokens table
+ * @param {string} token - Plaintext personal API token
+ * @returns {Promise<{ userId: string, scopes: Array<string> }|null>} Token owner and scopes, or null if invalid/revoked/expired
+ */
+const verifyApiToken = async (token) => {
+  const tokenHash = createHash('sha256').update(token).digest('hex');
+
+  const { data, error } = await supabaseServer.rpc('verify_api_token', {
+    p_token_hash: tokenHash
+  });
+
+  if (error) {
+    console.error('Error verifying API token:', error);
+    return null;
+  }
+
+  const match = Array.isArray(data) ? data[0] : data;
+  if (!match?.user_id) return null;
+
+  return { userId: match.user_id, scopes: match.scopes || [] };
+};
+
+/**
+ * Authenticate an API request and resolve the calling user
+ * Accepts either a Supabase session JWT or a personal API token.
+ * Verifies the credential so routes can reject anonymous callers
+ * instead of silently returning empty RLS results
+ *
+ * @param {Request} request - The incoming request with Authorization header
+ * @returns {Promise<{ supabase: Object, user: Object|null, scopes: Array<string>, authMethod: string|null }>}
+ *   Client with user's auth context, verified user (null if unauthenticated), granted scopes,
+ *   and how the request authenticated ('session' | 'token' | null)
+ */
+export const authenticateRequest = async (request) => {
+  const authHeader = request.headers.get('authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { supabase: createServerClient(request), user: null, scopes: [], authMethod: null };
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+
+  if (isApiToken(token)) {
+    const verified = await verifyApiToken(token);
+    if (!verified) {
+      return { supabase: supabaseServer, user: null, scopes: [], authMethod: null };
+    }
+
+    return {
+      supabase: createClientForAccessToken(signUserAccessToken(verified.userId)),
+      user: { id: verified.userId },
+      scopes: verified.scopes,
+      authMethod: 'token'
+    };
+  }
+
+  const supabase = createServerClient(request);
+  const { data, error } = await supabase.auth.getUser(token);
+
+  if (error || !data?.user) {
+    return { supabase, user: null, scopes: [], authMethod: null };
+  }
+
+  return { supabase, user: data.user, scopes: ALL_API_SCOPES, authMethod: 'session' };
+};
+
 /**
  * Anonymous server-side Supabase client (no auth)
  * Use only for public data or when auth is not required
@@ -54,3 +174,24 @@ export const supabaseServer = createClient(supabaseUrl, supabaseAnonKey, {
     persistSession: false,
   },
 });
+
+/**
+ * Server-side Supabase client with the service role key (bypasses RLS)
+ * Use only for scheduled jobs that work across all users, never for
+ * requests made on behalf of a user
+ *
+ * @returns {Object} Supabase client with service role access
+ */
+export const createServiceClient = () => {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!serviceRoleKey) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY not configured');
+  }
+
+  return createClient(supabaseUrl, serviceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false,
+    },
+  });
+};
@@ -0,0 +1,37 @@
+// Service worker for delivery notifications
+// Shows the web push sent by services/notificationService.js and opens
+// (or focuses) the app when the notification is clicked.
+
+self.addEventListener('push', (event) => {
+  let notification = {};
+  try {
+    notification = event.data ? event.data.json() : {};
+  } catch (error) {
+    notification = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(notification.title || 'Shako', {
+      body: notification.body || '',
+      // A newer status for the same part replaces the older notification
+      tag: notification.tag,
+      renotify: !!notification.tag,
+      data: { url: notification.url || '/' }
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find(client => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
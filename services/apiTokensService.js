@@ -0,0 +1,96 @@
+import { supabase } from '../lib/supabase';
+import {
+  generateApiToken,
+  hashApiToken,
+  getApiTokenDisplayPrefix
+} from '../utils/apiTokenUtils';
+
+/**
+ * Service layer for personal API token operations
+ * Centralizes all database calls for api_tokens table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+// Columns safe to return to the client (never select token_hash)
+const TOKEN_COLUMNS = 'id, name, token_prefix, scopes, created_at, expires_at, last_used_at, revoked_at';
+
+/**
+ * Load all API tokens for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of tokens, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getApiTokens = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_tokens')
+      .select(TOKEN_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load API tokens: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Create a new API token
+ * The plaintext token is only returned here; the database stores its hash
+ * @param {Object} tokenData - { name, scopes, expiresAt }
+ * @param {string} userId - User ID to associate with the token
+ * @returns {Promise<{ token: string, record: Object }>} Plaintext token and created record
+ * @throws {Error} With context about the failed operation
+ */
+export const createApiToken = async ({ name, scopes, expiresAt = null }, userId) => {
+  try {
+    const token = generateApiToken();
+    const tokenHash = await hashApiToken(token);
+
+    const { data, error } = await supabase
+      .from('api_tokens')
+      .insert({
+        name,
+        scopes,
+        expires_at: expiresAt,
+        token_prefix: getApiTokenDisplayPrefix(token),
+        token_hash: tokenHash,
+        user_id: userId
+      })
+      .select(TOKEN_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return { token, record: data };
+  } catch (error) {
+    error.message = `Failed to create API token: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Revoke an API token by ID
+ * Revoked tokens are kept so the list still shows when they were last used
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<string>} Revocation timestamp
+ * @throws {Error} With context about the failed operation
+ */
+export const revokeApiToken = async (tokenId) => {
+  try {
+    const revokedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('api_tokens')
+      .update({ revoked_at: revokedAt })
+      .eq('id', tokenId);
+
+    if (error) throw error;
+    return revokedAt;
+  } catch (error) {
+    error.message = `Failed to revoke API token: ${error.message}`;
+    throw error;
+  }
+};
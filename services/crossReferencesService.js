@@ -0,0 +1,76 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for part number cross-references
+ * Centralizes all database calls for part_cross_references table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all cross-references for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of cross-references, oldest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getCrossReferences = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('part_cross_references')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load cross-references: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Create a cross-reference
+ * @param {Object} reference - { oem_brand, oem_number, aftermarket_brand, aftermarket_number, notes }
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Created cross-reference
+ * @throws {Error} With context about the failed operation
+ */
+export const createCrossReference = async (reference, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('part_cross_references')
+      .insert({ ...reference, user_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to create cross-reference: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete a cross-reference by ID
+ * @param {number} referenceId - Cross-reference ID
+ * @param {string} userId - User ID to filter by (prevents cross-user deletes)
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteCrossReference = async (referenceId, userId) => {
+  try {
+    const { error } = await supabase
+      .from('part_cross_references')
+      .delete()
+      .eq('id', referenceId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete cross-reference: ${error.message}`;
+    throw error;
+  }
+};
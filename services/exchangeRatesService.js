@@ -0,0 +1,76 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for exchange rate-related Supabase operations
+ * Centralizes all database calls for exchange_rates table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all exchange rates for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of rates, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getExchangeRates = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .select('*')
+      .eq('user_id', userId)
+      .order('rate_date', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load exchange rates: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Insert or replace exchange rates (one per currency pair per day)
+ * @param {Array<Object>} rates - Rows { from_currency, to_currency, rate, rate_date, source }
+ * @param {string} userId - User ID to associate with the rates
+ * @returns {Promise<Array>} Saved rates
+ * @throws {Error} With context about the failed operation
+ */
+export const upsertExchangeRates = async (rates, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('exchange_rates')
+      .upsert(
+        rates.map(rate => ({ ...rate, user_id: userId })),
+        { onConflict: 'user_id,from_currency,to_currency,rate_date' }
+      )
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to save exchange rates: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete an exchange rate by ID
+ * @param {number} rateId - Exchange rate ID
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteExchangeRate = async (rateId) => {
+  try {
+    const { error } = await supabase
+      .from('exchange_rates')
+      .delete()
+      .eq('id', rateId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete exchange rate: ${error.message}`;
+    throw error;
+  }
+};
@@ -0,0 +1,121 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for parts inventory
+ * Centralizes all database calls for inventory_events and stock_thresholds tables
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all inventory events for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of inventory events, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getInventoryEvents = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('inventory_events')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load inventory events: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Add changes to parts' stock on hand and record an inventory event for each
+ * Runs in one transaction (see record_stock_changes), so stock and history stay in step;
+ * quantity_change is added to the stored count, not a count worked out here
+ * @param {Array<Object>} changes - Inventory event data
+ * @returns {Promise<Array>} Created inventory events, in the order of the changes
+ * @throws {Error} With context about the failed operation
+ */
+export const recordStockChanges = async (changes) => {
+  try {
+    const { data, error } = await supabase.rpc('record_stock_changes', { p_changes: changes });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to record stock changes: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Load all low-stock thresholds for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of stock thresholds
+ * @throws {Error} With context about the failed operation
+ */
+export const getStockThresholds = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stock_thresholds')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load stock thresholds: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Insert or update the low-stock threshold for a part number
+ * @param {string} partNumber - Part number
+ * @param {number} minQuantity - Stock is low below this quantity
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Saved stock threshold
+ * @throws {Error} With context about the failed operation
+ */
+export const upsertStockThreshold = async (partNumber, minQuantity, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('stock_thresholds')
+      .upsert(
+        { user_id: userId, part_number: partNumber, min_quantity: minQuantity },
+        { onConflict: 'user_id,part_number' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to save stock threshold: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete the low-stock threshold for a part number
+ * @param {string} partNumber - Part number
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteStockThreshold = async (partNumber, userId) => {
+  try {
+    const { error } = await supabase
+      .from('stock_thresholds')
+      .delete()
+      .eq('user_id', userId)
+      .eq('part_number', partNumber);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete stock threshold: ${error.message}`;
+    throw error;
+  }
+};
@@ -0,0 +1,45 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * File-sink mail transport for development
+ * Writes each message as an .eml file to MAIL_FILE_DIR (default .mail/)
+ * instead of sending it; open the files with any mail client
+ */
+
+const getMailDir = () => path.resolve(process.env.MAIL_FILE_DIR || '.mail');
+
+// Builds the raw message without delivering it
+const streamTransporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+/**
+ * Write a message to the mail directory
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<Object>} { messageId, file }
+ */
+const send = async (message) => {
+  try {
+    const info = await streamTransporter.sendMail(message);
+    const dir = getMailDir();
+    await mkdir(dir, { recursive: true });
+
+    const recipient = String(message.to).replace(/[^a-z0-9@.-]/gi, '_');
+    const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+    await writeFile(file, info.message);
+
+    return { messageId: info.messageId, file };
+  } catch (error) {
+    error.message = `Failed to write email file: ${error.message}`;
+    throw error;
+  }
+};
+
+const fileTransport = {
+  name: 'file',
+  label: 'File sink (development)',
+  isAvailable: () => process.env.NODE_ENV !== 'production' || process.env.MAIL_TRANSPORT === 'file',
+  send
+};
+
+export default fileTransport;
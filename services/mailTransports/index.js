@@ -0,0 +1,39 @@
+import smtpTransport from './smtp';
+import fileTransport from './file';
+
+/**
+ * Mail transport registry
+ * Every transport implements the same interface, so notifications never
+ * depend on how mail leaves the server. To add one (an email API such as
+ * SES or Postmark), implement the interface in a new module and register
+ * it below.
+ *
+ * @typedef {Object} MailTransport
+ * @property {string} name - Value of MAIL_TRANSPORT that selects it
+ * @property {string} label - Display name
+ * @property {() => boolean} isAvailable - Whether the transport is configured on this server
+ * @property {(message: { from: string, to: string, subject: string, text: string, html?: string }) => Promise<Object>} send - Deliver a message
+ */
+
+const MAIL_TRANSPORTS = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport
+};
+
+/**
+ * Get the server's mail transport
+ * MAIL_TRANSPORT picks it; otherwise SMTP when SMTP_HOST is set, and the
+ * file sink in development
+ * @returns {MailTransport|null} Transport, or null if none is available
+ */
+export const getMailTransport = () => {
+  const transport = MAIL_TRANSPORTS[process.env.MAIL_TRANSPORT]
+    || [smtpTransport, fileTransport].find(option => option.isAvailable());
+  return transport?.isAvailable() ? transport : null;
+};
+
+/**
+ * Sender address for outgoing mail
+ * @returns {string} MAIL_FROM, or a no-reply default
+ */
+export const getMailFrom = () => process.env.MAIL_FROM || 'Shako <no-reply@localhost>';
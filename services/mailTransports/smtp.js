@@ -0,0 +1,47 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP mail transport
+ * Sends through any SMTP server configured with SMTP_HOST, SMTP_PORT
+ * (default 587), SMTP_USER, SMTP_PASS and SMTP_SECURE=true for port 465
+ */
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a message
+ * @param {Object} message - { from, to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }
+ */
+const send = async (message) => {
+  try {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  } catch (error) {
+    error.message = `Failed to send email over SMTP: ${error.message}`;
+    throw error;
+  }
+};
+
+const smtpTransport = {
+  name: 'smtp',
+  label: 'SMTP',
+  isAvailable: () => !!process.env.SMTP_HOST,
+  send
+};
+
+export default smtpTransport;
@@ -0,0 +1,54 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for the delivery notification log
+ * Centralizes all database calls for notification_log table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * Rows are written by the server with the service role, not by the app.
+ */
+
+/**
+ * Load the user's most recent notifications
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @param {number} limit - Maximum rows to return
+ * @returns {Promise<Array>} Notification log rows, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getNotificationLog = async (userId, limit = 20) => {
+  try {
+    const { data, error } = await supabase
+      .from('notification_log')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load notification log: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Record notifications that were sent or failed (server)
+ * @param {Array<Object>} entries - notification_log rows without id and created_at
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const logNotifications = async (entries, supabaseClient) => {
+  try {
+    const { error } = await supabaseClient
+      .from('notification_log')
+      .insert(entries);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to log notifications: ${error.message}`;
+    throw error;
+  }
+};
@@ -0,0 +1,217 @@
+import webpush from 'web-push';
+import { getNotificationChannels, buildDeliveryNotification } from '../utils/notificationUtils';
+import { getMailTransport, getMailFrom } from './mailTransports';
+import { getUserPushSubscriptions, deleteExpiredPushSubscriptions } from './pushSubscriptionsService';
+import { logNotifications } from './notificationLogService';
+import { createServiceClient } from '../lib/supabaseServer';
+
+/**
+ * Service layer for delivery notifications
+ * Tells a part's owner about tracking milestones by web push and email,
+ * per their preferences, and records each attempt in notification_log
+ *
+ * Runs on the server with the service role client: it reads the owner's
+ * settings, push subscriptions and account email.
+ */
+
+let vapidConfigured = false;
+
+/**
+ * Check web push is configured, setting up the VAPID keys on first use
+ * @returns {boolean} True if NEXT_PUBLIC_VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are set
+ */
+const isPushConfigured = () => {
+  const publicKey = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+  const privateKey = process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return false;
+
+  if (!vapidConfigured) {
+    webpush.setVapidDetails(process.env.VAPID_SUBJECT || 'mailto:no-reply@localhost', publicKey, privateKey);
+    vapidConfigured = true;
+  }
+  return true;
+};
+
+/**
+ * Load a user's notification preferences and address
+ * @param {string} userId - User ID
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<Object|null>} { delivery_notifications, notification_email }, or null if no settings saved
+ */
+const getNotificationSettings = async (userId, supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('user_settings')
+      .select('delivery_notifications, notification_email')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to load notification settings: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Get the email address to notify a user at
+ * @param {string} userId - User ID
+ * @param {Object} settings - Notification settings
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<string|null>} notification_email, or the account's email
+ */
+const getNotificationEmail = async (userId, settings, supabaseClient) => {
+  if (settings?.notification_email) return settings.notification_email;
+
+  const { data, error } = await supabaseClient.auth.admin.getUserById(userId);
+  if (error) {
+    error.message = `Failed to load account email: ${error.message}`;
+    throw error;
+  }
+  return data?.user?.email || null;
+};
+
+/**
+ * Push a notification to every browser the user enabled push on
+ * Subscriptions the push service reports gone are removed
+ * @returns {Promise<Object|null>} { status, recipient, error } for the log, or null if the user has no browsers
+ */
+const sendPushNotification = async (userId, notification, supabaseClient) => {
+  if (!isPushConfigured()) {
+    return { status: 'failed', recipient: null, error: 'Web push is not configured on the server' };
+  }
+
+  const subscriptions = await getUserPushSubscriptions(userId, supabaseClient);
+  if (subscriptions.length === 0) return null;
+
+  const payload = JSON.stringify(notification);
+  const expiredIds = [];
+  const errors = [];
+  let sent = 0;
+
+  await Promise.all(subscriptions.map(async (subscription) => {
+    try {
+      await webpush.sendNotification({
+        endpoint: subscription.endpoint,
+        keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+      }, payload);
+      sent++;
+    } catch (error) {
+      // 404/410: the browser unsubscribed or the subscription expired
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        expiredIds.push(subscription.id);
+      } else {
+        errors.push(error.message);
+      }
+    }
+  }));
+
+  if (expiredIds.length > 0) {
+    await deleteExpiredPushSubscriptions(expiredIds, supabaseClient);
+  }
+
+  return {
+    status: sent > 0 ? 'sent' : 'failed',
+    recipient: `${sent} of ${subscriptions.length} ${subscriptions.length === 1 ? 'browser' : 'browsers'}`,
+    error: errors.length > 0 ? errors.join('; ') : (sent === 0 ? 'All push subscriptions expired' : null)
+  };
+};
+
+/**
+ * Email a notification through the server's mail transport
+ * @returns {Promise<Object|null>} { status, recipient, error } for the log, or null if the user has no address
+ */
+const sendEmailNotification = async (userId, notification, part, settings, supabaseClient) => {
+  const transport = getMailTransport();
+  if (!transport) {
+    return { status: 'failed', recipient: null, error: 'No mail transport is configured on the server' };
+  }
+
+  const to = await getNotificationEmail(userId, settings, supabaseClient);
+  if (!to) return null;
+
+  try {
+    await transport.send({
+      from: getMailFrom(),
+      to,
+      subject: notification.title,
+      text: `${notification.body}\n\nTracking number: ${part.tracking}`
+    });
+    return { status: 'sent', recipient: to, error: null };
+  } catch (error) {
+    return { status: 'failed', recipient: to, error: error.message };
+  }
+};
+
+/**
+ * Notify a part's owner that its shipment reached a new tracking status
+ * Only the statuses in NOTIFICATION_STATUSES are sent, once per change,
+ * on the channels the owner turned on for that status
+ * @param {Object} part - Part row before the update (id, user_id, part, tracking, tracking_status)
+ * @param {Object} trackingData - Normalized tracking fields from the update
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<Array>} Logged notification_log entries
+ */
+export const notifyTrackingStatus = async (part, trackingData, supabaseClient) => {
+  if (part.tracking_status === trackingData.tracking_status) return [];
+
+  const settings = await getNotificationSettings(part.user_id, supabaseClient);
+  const channels = getNotificationChannels(settings?.delivery_notifications, trackingData.tracking_status);
+  if (channels.length === 0) return [];
+
+  const notification = buildDeliveryNotification(part, trackingData);
+  const results = await Promise.all(channels.map(async (channel) => {
+    let result;
+    try {
+      result = channel === 'push'
+        ? await sendPushNotification(part.user_id, notification, supabaseClient)
+        : await sendEmailNotification(part.user_id, notification, part, settings, supabaseClient);
+    } catch (error) {
+      result = { status: 'failed', recipient: null, error: error.message };
+    }
+
+    return result && {
+      user_id: part.user_id,
+      part_id: part.id,
+      tracking_status: trackingData.tracking_status,
+      channel,
+      title: notification.title,
+      ...result
+    };
+  }));
+
+  const entries = results.filter(Boolean);
+  if (entries.length > 0) {
+    await logNotifications(entries, supabaseClient);
+  }
+  return entries;
+};
+
+/**
+ * Notify the owners of parts a tracking refresh synced
+ * Each part is notified on its own; a failure is logged without stopping the others
+ * @param {Array<Object>} parts - Part rows before the update (see notifyTrackingStatus)
+ * @param {Object} trackingData - Normalized tracking fields from the update
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<void>}
+ */
+export const notifySyncedParts = async (parts, trackingData, supabaseClient) => {
+  for (const part of parts) {
+    try {
+      await notifyTrackingStatus(part, trackingData, supabaseClient);
+    } catch (error) {
+      console.error(`Error sending notifications for part ${part.id}:`, error);
+    }
+  }
+};
+
+/**
+ * Get the client to send notifications with from a user's tracking refresh
+ * Notifications read the account email and write notification_log, so they
+ * need the service role; without SUPABASE_SERVICE_ROLE_KEY they are off
+ * @returns {Object|null} Service role Supabase client, or null
+ */
+export const getNotificationClient = () => {
+  return process.env.SUPABASE_SERVICE_ROLE_KEY ? createServiceClient() : null;
+};
@@ -0,0 +1,100 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for vendor order-related Supabase operations
+ * Centralizes all database calls for orders table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all orders for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of orders, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getAllOrders = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*')
+      .eq('user_id', userId)
+      .order('order_date', { ascending: false, nullsFirst: false })
+      .order('id', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load orders: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Create a new order
+ * @param {Object} orderData - Order data to insert
+ * @param {string} userId - User ID to associate with the order
+ * @returns {Promise<Object>} Created order
+ * @throws {Error} With context about the failed operation
+ */
+export const createOrder = async (orderData, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .insert({ ...orderData, user_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to create order: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Update an order by ID
+ * @param {number} orderId - Order ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated order
+ * @throws {Error} With context about the failed operation
+ */
+export const updateOrder = async (orderId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .update(updates)
+      .eq('id', orderId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to update order: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete an order by ID
+ * Parts in the order are kept and unlinked (order_id is set to NULL)
+ * @param {number} orderId - Order ID
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteOrder = async (orderId) => {
+  try {
+    const { error } = await supabase
+      .from('orders')
+      .delete()
+      .eq('id', orderId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete order: ${error.message}`;
+    throw error;
+  }
+};
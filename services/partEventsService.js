@@ -0,0 +1,34 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for part history
+ * Centralizes all database calls for part_events table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * History rows are written by a database trigger on parts, not by the app.
+ */
+
+/**
+ * Load the history of a part
+ * @param {number} partId - Part ID
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of part events, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getPartEvents = async (partId, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('part_events')
+      .select('*')
+      .eq('part_id', partId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load part history: ${error.message}`;
+    throw error;
+  }
+};
@@ -94,6 +94,65 @@ export const deletePart = async (partId) => {
   }
 };
 
+/**
+ * Apply the same updates to several parts in one request
+ * @param {Array<number>} partIds - Part IDs
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const updateParts = async (partIds, updates) => {
+  try {
+    const { error } = await supabase
+      .from('parts')
+      .update(updates)
+      .in('id', partIds);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to update parts: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Apply different updates to several parts in one request
+ * Runs in one transaction (see update_parts_batch), so either every part is updated or none
+ * @param {Array<Object>} changes - [{ id, updates }] with updates in database format
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const updatePartsBatch = async (changes) => {
+  try {
+    const { error } = await supabase.rpc('update_parts_batch', { p_changes: changes });
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to update parts: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete several parts in one request
+ * @param {Array<number>} partIds - Part IDs
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteParts = async (partIds) => {
+  try {
+    const { error } = await supabase
+      .from('parts')
+      .delete()
+      .in('id', partIds);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete parts: ${error.message}`;
+    throw error;
+  }
+};
+
 /**
  * Update all parts with a specific vendor name
  * @param {string} oldVendorName - Current vendor name
@@ -138,3 +197,27 @@ export const removeVendorFromParts = async (vendorName, userId) => {
     throw error;
   }
 };
+
+/**
+ * Set a currency on all parts that don't have one yet
+ * Used before changing the home currency so existing parts keep the
+ * currency they were entered in
+ * @param {string} currency - Currency code to assign
+ * @param {string} userId - User ID to filter by (prevents cross-user updates)
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const assignCurrencyToParts = async (currency, userId) => {
+  try {
+    const { error } = await supabase
+      .from('parts')
+      .update({ currency })
+      .is('currency', null)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to assign part currency: ${error.message}`;
+    throw error;
+  }
+};
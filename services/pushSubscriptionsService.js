@@ -0,0 +1,127 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for web push subscriptions
+ * Centralizes all database calls for push_subscriptions table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * Functions taking a supabaseClient are used by the server with the service role.
+ */
+
+/**
+ * Save a browser's push subscription for the current user
+ * An endpoint has one owner: this takes it over from any account that
+ * subscribed the same browser before, and re-subscribing updates its keys
+ * @param {Object} subscription - PushSubscription JSON { endpoint, keys: { p256dh, auth } }
+ * @returns {Promise<Object>} Saved subscription row
+ * @throws {Error} With context about the failed operation
+ */
+export const savePushSubscription = async (subscription) => {
+  try {
+    const { data, error } = await supabase.rpc('claim_push_subscription', {
+      p_endpoint: subscription.endpoint,
+      p_p256dh: subscription.keys.p256dh,
+      p_auth: subscription.keys.auth,
+      p_user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null
+    });
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to save push subscription: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Check a browser's push subscription is saved for the user
+ * Another account may have subscribed the same browser
+ * @param {string} endpoint - Subscription endpoint
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<boolean>} True if saved for the user
+ * @throws {Error} With context about the failed operation
+ */
+export const hasPushSubscription = async (endpoint, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .select('id')
+      .eq('endpoint', endpoint)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  } catch (error) {
+    error.message = `Failed to load push subscription: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Remove a browser's push subscription
+ * @param {string} endpoint - Subscription endpoint
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<boolean>} True if the user's row was removed, false if
+ *   another account owns the endpoint
+ * @throws {Error} With context about the failed operation
+ */
+export const deletePushSubscription = async (endpoint, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('endpoint', endpoint)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  } catch (error) {
+    error.message = `Failed to delete push subscription: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Load every push subscription of a user (server)
+ * @param {string} userId - User ID
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<Array>} Subscription rows
+ * @throws {Error} With context about the failed operation
+ */
+export const getUserPushSubscriptions = async (userId, supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('push_subscriptions')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load push subscriptions: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Remove subscriptions the push service no longer accepts (server)
+ * @param {Array<number>} ids - Subscription IDs
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteExpiredPushSubscriptions = async (ids, supabaseClient) => {
+  try {
+    const { error } = await supabaseClient
+      .from('push_subscriptions')
+      .delete()
+      .in('id', ids);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete expired push subscriptions: ${error.message}`;
+    throw error;
+  }
+};
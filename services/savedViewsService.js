@@ -0,0 +1,78 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for saved parts list views
+ * Centralizes all database calls for saved_views table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all saved views for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of saved views, by name
+ * @throws {Error} With context about the failed operation
+ */
+export const getSavedViews = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('saved_views')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load saved views: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Create a saved view, or replace the one with the same name
+ * @param {string} name - View name
+ * @param {Object} filters - Filter, sort and rows per page state
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Saved view
+ * @throws {Error} With context about the failed operation
+ */
+export const upsertSavedView = async (name, filters, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('saved_views')
+      .upsert(
+        { user_id: userId, name, filters, updated_at: new Date().toISOString() },
+        { onConflict: 'user_id,name' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to save view: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete a saved view by ID
+ * @param {number} viewId - Saved view ID
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteSavedView = async (viewId) => {
+  try {
+    const { error } = await supabase
+      .from('saved_views')
+      .delete()
+      .eq('id', viewId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete saved view: ${error.message}`;
+    throw error;
+  }
+};
@@ -30,6 +30,28 @@ export const getVehicleServiceEvents = async (vehicleId) => {
   }
 };
 
+/**
+ * Load service events for every vehicle of the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of service events sorted by date descending
+ * @throws {Error} With context about the failed operation
+ */
+export const getServiceEvents = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('service_events')
+      .select('*')
+      .eq('user_id', userId)
+      .order('event_date', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load service events: ${error.message}`;
+    throw error;
+  }
+};
+
 /**
  * Create a new service event
  * @param {Object} eventData - Service event data to insert
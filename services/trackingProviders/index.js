@@ -0,0 +1,63 @@
+import { selectTrackingProviderName } from '../../utils/trackingUtils';
+import ship24Provider from './ship24';
+import mockProvider from './mock';
+
+/**
+ * Tracking provider registry
+ * Every provider implements the same interface, so trackingService and the
+ * API routes never depend on one vendor's API or response shape. To add a
+ * provider (AfterShip, 17TRACK, a carrier's own API), implement the
+ * interface in a new module, register it below and add it to
+ * TRACKING_PROVIDER_OPTIONS in utils/trackingUtils.js.
+ *
+ * @typedef {Object} TrackingProvider
+ * @property {string} name - Stored in parts.tracking_provider and user settings
+ * @property {string} label - Display name
+ * @property {() => boolean} isAvailable - Whether the provider can be used on this server (e.g. API key configured)
+ * @property {(trackingNumber: string, options?: { title?: string }) => Promise<Object>} createTracker - Register a tracking number and return the provider's raw tracking
+ * @property {(trackingNumber: string) => Promise<Object>} fetchResults - Fetch fresh raw tracking for a number
+ * @property {(request: Request) => boolean} verifyWebhook - Check a webhook call came from the provider
+ * @property {() => boolean} hasWebhookSecret - Whether webhook calls are verified against a configured secret
+ * @property {(payload: Object) => Array<{ trackingNumber: string, tracking: Object }>} parseWebhook - Raw trackings in a webhook body
+ * @property {(event: Object) => Object} normalizeEvent - Raw event to a tracking checkpoint
+ * @property {(tracking: Object) => Object|null} normalizeTracking - Raw tracking to tracking_* columns (via buildTrackingFields)
+ */
+
+const TRACKING_PROVIDERS = {
+  [ship24Provider.name]: ship24Provider,
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get a provider by name
+ * @param {string} name - Provider name
+ * @returns {TrackingProvider|null} Provider, or null if unknown
+ */
+export const getTrackingProvider = (name) => {
+  return TRACKING_PROVIDERS[name] || null;
+};
+
+/**
+ * Get the server's default provider
+ * TRACKING_PROVIDER picks it (e.g. mock for offline development), Ship24 otherwise
+ * @returns {TrackingProvider} Default provider
+ */
+export const getDefaultTrackingProvider = () => {
+  return getTrackingProvider(process.env.TRACKING_PROVIDER) || ship24Provider;
+};
+
+/**
+ * Resolve the provider to track a number with
+ * Uses the user's per-carrier or default choice when that provider is
+ * available on this server, and the server default otherwise
+ * @param {string} trackingNumber - Tracking number
+ * @param {Object} settings - { tracking_provider, tracking_carrier_providers } from user_settings
+ * @returns {TrackingProvider} Provider
+ */
+export const resolveTrackingProvider = (trackingNumber, settings = null) => {
+  const provider = getTrackingProvider(selectTrackingProviderName(trackingNumber, settings));
+  if (provider?.isAvailable()) {
+    return provider;
+  }
+  return getDefaultTrackingProvider();
+};
@@ -0,0 +1,171 @@
+import { buildTrackingFields } from '../../utils/trackingUtils';
+
+/**
+ * Mock tracking provider
+ * Generates shipments locally so tracking can be developed and tested
+ * without network access or API keys. The last digit of the tracking
+ * number picks the status, so every status can be reproduced:
+ *
+ *   0 pending, 1 info_received, 2 in_transit, 3 out_for_delivery,
+ *   4 attempt_fail, 5 delivered, 6 available_for_pickup, 7 exception,
+ *   8 expired, 9 delivered
+ *
+ * Webhooks can be simulated by POSTing { trackingNumber, status? } to
+ * /api/tracking/webhook?provider=mock. Available outside production, or
+ * in production when TRACKING_PROVIDER=mock.
+ */
+
+const MOCK_MILESTONES = [
+  'pending',
+  'info_received',
+  'in_transit',
+  'out_for_delivery',
+  'attempt_fail',
+  'delivered',
+  'available_for_pickup',
+  'exception',
+  'expired',
+  'delivered'
+];
+
+const LABEL_CREATED = { statusMilestone: 'info_received', statusCode: 'data_shipment_created', status: 'Shipping label created', location: 'Los Angeles, CA' };
+const PICKED_UP = { statusMilestone: 'in_transit', statusCode: 'transit_pickup', status: 'Picked up by carrier', location: 'Los Angeles, CA' };
+const DEPARTED = { statusMilestone: 'in_transit', statusCode: 'transit_departure', status: 'Departed facility', location: 'Phoenix, AZ' };
+const OUT_FOR_DELIVERY = { statusMilestone: 'out_for_delivery', statusCode: 'delivery_out_for_delivery', status: 'Out for delivery', location: 'Denver, CO' };
+
+// Events leading to each status, oldest first
+const MOCK_EVENTS = {
+  pending: [],
+  info_received: [LABEL_CREATED],
+  in_transit: [LABEL_CREATED, PICKED_UP, DEPARTED],
+  out_for_delivery: [LABEL_CREATED, PICKED_UP, DEPARTED, OUT_FOR_DELIVERY],
+  attempt_fail: [LABEL_CREATED, PICKED_UP, DEPARTED, OUT_FOR_DELIVERY,
+    { statusMilestone: 'attempt_fail', statusCode: 'failed_attempt_unknown', status: 'Delivery attempted - no access to delivery location', location: 'Denver, CO' }],
+  delivered: [LABEL_CREATED, PICKED_UP, DEPARTED, OUT_FOR_DELIVERY,
+    { statusMilestone: 'delivered', statusCode: 'delivery_delivered', status: 'Delivered, front door', location: 'Denver, CO' }],
+  available_for_pickup: [LABEL_CREATED, PICKED_UP, DEPARTED,
+    { statusMilestone: 'available_for_pickup', statusCode: 'delivery_awaiting_pickup', status: 'Available for pickup at access point', location: 'Denver, CO' }],
+  exception: [LABEL_CREATED, PICKED_UP,
+    { statusMilestone: 'exception', statusCode: 'exception_delayed', status: 'Shipment delayed - weather', location: 'Phoenix, AZ' }],
+  expired: [LABEL_CREATED]
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Whether mock tracking may be used on this server
+ * @returns {boolean} True outside production or when TRACKING_PROVIDER=mock
+ */
+const isAvailable = () => process.env.NODE_ENV !== 'production' || process.env.TRACKING_PROVIDER === 'mock';
+
+/**
+ * Build a mock shipment for a tracking number
+ * Events are a day apart, the latest one an hour ago
+ * @param {string} trackingNumber - Tracking number
+ * @param {string} statusMilestone - Status to end on (defaults to the one the last digit picks)
+ * @returns {Object} Mock tracking
+ */
+const buildMockTracking = (trackingNumber, statusMilestone = null) => {
+  const lastDigit = parseInt(String(trackingNumber).slice(-1), 10);
+  const milestone = MOCK_EVENTS[statusMilestone]
+    ? statusMilestone
+    : MOCK_MILESTONES[isNaN(lastDigit) ? 2 : lastDigit];
+  const now = Date.now();
+  const steps = MOCK_EVENTS[milestone];
+  const inProgress = ['info_received', 'in_transit', 'out_for_delivery', 'attempt_fail'].includes(milestone);
+
+  return {
+    trackerId: `mock-${trackingNumber}`,
+    trackingNumber,
+    statusMilestone: milestone,
+    estimatedDelivery: inProgress ? new Date(now + 48 * HOUR_MS).toISOString() : null,
+    events: steps
+      .map((step, index) => ({
+        ...step,
+        datetime: new Date(now - HOUR_MS - (steps.length - 1 - index) * 24 * HOUR_MS).toISOString()
+      }))
+      .reverse()
+  };
+};
+
+/**
+ * Create a mock tracker
+ * @param {string} trackingNumber - The tracking number
+ * @returns {Promise<Object>} Mock tracking
+ */
+const createTracker = async (trackingNumber) => buildMockTracking(trackingNumber);
+
+/**
+ * Get mock tracking results for a tracking number
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Promise<Object>} Mock tracking
+ */
+const fetchResults = async (trackingNumber) => buildMockTracking(trackingNumber);
+
+/**
+ * Mock webhooks need no secret, but are refused where the provider isn't available
+ */
+const verifyWebhook = () => isAvailable();
+
+// Mock webhooks are never signed
+const hasWebhookSecret = () => false;
+
+/**
+ * Read a simulated webhook
+ * @param {Object} payload - { trackingNumber, status? } where status is a milestone such as delivered
+ * @returns {Array<Object>} [{ trackingNumber, tracking }]
+ */
+const parseWebhook = (payload) => {
+  if (!payload?.trackingNumber) return [];
+  return [{
+    trackingNumber: payload.trackingNumber,
+    tracking: buildMockTracking(payload.trackingNumber, payload.status)
+  }];
+};
+
+/**
+ * Normalize a mock event into a checkpoint
+ * @param {Object} event - Mock event
+ * @returns {Object} Checkpoint
+ */
+const normalizeEvent = (event) => ({
+  checkpoint_time: event.datetime,
+  message: event.status,
+  location: event.location,
+  status: event.statusMilestone,
+  statusCode: event.statusCode
+});
+
+/**
+ * Normalize mock tracking data for our database
+ * @param {Object} trackingData - Mock tracking
+ * @returns {Object|null} Tracking fields for the parts table
+ */
+const normalizeTracking = (trackingData) => {
+  if (!trackingData) {
+    return null;
+  }
+
+  return buildTrackingFields({
+    provider: 'mock',
+    trackerId: trackingData.trackerId,
+    statusMilestone: trackingData.statusMilestone,
+    eta: trackingData.estimatedDelivery,
+    checkpoints: trackingData.events.map(normalizeEvent)
+  });
+};
+
+const mockProvider = {
+  name: 'mock',
+  label: 'Mock',
+  isAvailable,
+  createTracker,
+  fetchResults,
+  verifyWebhook,
+  hasWebhookSecret,
+  parseWebhook,
+  normalizeEvent,
+  normalizeTracking
+};
+
+export default mockProvider;
@@ -0,0 +1,195 @@
+import { buildTrackingFields } from '../../utils/trackingUtils';
+
+/**
+ * Ship24 tracking provider
+ * Tracks any carrier Ship24 supports through its public API and receives
+ * updates from Ship24 webhooks. Needs SHIP24_API_KEY (and optionally
+ * SHIP24_WEBHOOK_SECRET to verify webhook calls).
+ */
+
+const SHIP24_API_BASE = 'https://api.ship24.com/public/v1';
+
+/**
+ * Get authorization headers for Ship24 API
+ */
+const getHeaders = () => {
+  const apiKey = process.env.SHIP24_API_KEY;
+  if (!apiKey) {
+    throw new Error('Ship24 API key not configured');
+  }
+  return {
+    'Authorization': `Bearer ${apiKey}`,
+    'Content-Type': 'application/json'
+  };
+};
+
+/**
+ * Call the Ship24 API and unwrap its data envelope
+ * @param {string} path - Path below the API base
+ * @param {Object} options - fetch options (method, body)
+ * @returns {Promise<Object>} Response data
+ */
+const ship24Request = async (path, options) => {
+  const response = await fetch(`${SHIP24_API_BASE}${path}`, {
+    ...options,
+    headers: getHeaders()
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || `Ship24 API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  return data.data;
+};
+
+/**
+ * Ship24 sends locations as a string (e.g. "SAINT PETERSBURG, FL 33710"),
+ * older webhook payloads as { city, country }
+ */
+const formatLocation = (location) => {
+  if (!location) return null;
+  if (typeof location === 'string') return location;
+  return location.city || location.country || null;
+};
+
+/**
+ * Create a new tracking in Ship24 and get results synchronously
+ * @param {string} trackingNumber - The tracking number
+ * @param {Object} options - { title } optional shipment reference (part name)
+ * @returns {Promise<Object>} Ship24 tracking response
+ */
+const createTracker = async (trackingNumber, { title = null } = {}) => {
+  try {
+    const body = { trackingNumber };
+    if (title) {
+      body.shipmentReference = title;
+    }
+
+    return await ship24Request('/trackers/track', {
+      method: 'POST',
+      body: JSON.stringify(body)
+    });
+  } catch (error) {
+    error.message = `Failed to create Ship24 tracking: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Get fresh tracking results for a tracking number
+ * The POST /trackers/track endpoint queries carriers for new updates
+ * while GET /trackers/{id}/results only returns cached data, so the
+ * tracking number is always used
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Promise<Object>} Ship24 tracking response
+ */
+const fetchResults = async (trackingNumber) => {
+  try {
+    return await ship24Request('/trackers/track', {
+      method: 'POST',
+      body: JSON.stringify({ trackingNumber })
+    });
+  } catch (error) {
+    error.message = `Failed to get Ship24 tracking: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Verify Ship24 webhook authorization
+ * Ship24 sends the webhook secret in the Authorization header
+ * @param {Request} request - Incoming request
+ * @returns {boolean} Whether authorization is valid
+ */
+const verifyWebhook = (request) => {
+  const secret = process.env.SHIP24_WEBHOOK_SECRET;
+  if (!secret) {
+    console.warn('SHIP24_WEBHOOK_SECRET not configured, skipping verification');
+    return true; // Allow in development
+  }
+
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader) {
+    return false;
+  }
+
+  return authHeader === secret || authHeader === `Bearer ${secret}`;
+};
+
+/**
+ * Check webhook calls are verified against SHIP24_WEBHOOK_SECRET
+ * @returns {boolean} True if the secret is configured
+ */
+const hasWebhookSecret = () => !!process.env.SHIP24_WEBHOOK_SECRET;
+
+/**
+ * Split a Ship24 webhook payload into its trackings
+ * Ship24 batches updates as { trackings: [...] }; a single tracking
+ * may also arrive with trackerId/trackingNumber at the top level
+ * @param {Object} payload - Webhook body
+ * @returns {Array<Object>} [{ trackingNumber, tracking }] with the raw tracking to normalize
+ */
+const parseWebhook = (payload) => {
+  const trackings = payload?.trackings || [payload];
+  return trackings
+    .map(tracking => ({
+      trackingNumber: tracking?.tracker?.trackingNumber || tracking?.trackingNumber,
+      tracking
+    }))
+    .filter(({ trackingNumber }) => !!trackingNumber);
+};
+
+/**
+ * Normalize a Ship24 event into a checkpoint
+ * @param {Object} event - Ship24 event
+ * @returns {Object} Checkpoint
+ */
+const normalizeEvent = (event) => ({
+  checkpoint_time: event.datetime,
+  message: event.status,
+  location: formatLocation(event.location),
+  status: event.statusMilestone,
+  statusCode: event.statusCode
+});
+
+/**
+ * Normalize Ship24 tracking data for our database
+ * @param {Object} trackingData - Ship24 tracking response or webhook tracking
+ * @returns {Object|null} Tracking fields for the parts table
+ */
+const normalizeTracking = (trackingData) => {
+  if (!trackingData) {
+    return null;
+  }
+
+  const tracker = trackingData.trackings?.[0] || trackingData;
+  const shipment = tracker.shipment || {};
+  const events = tracker.events || []; // Ship24 returns events in reverse chronological order
+
+  return buildTrackingFields({
+    provider: 'ship24',
+    trackerId: tracker.tracker?.trackerId || tracker.trackerId || trackingData.trackerId,
+    statusMilestone: shipment.statusMilestone || events[0]?.statusMilestone || 'pending',
+    eta: shipment.delivery?.estimatedDeliveryDate,
+    checkpoints: events.map(normalizeEvent)
+  });
+};
+
+const ship24Provider = {
+  name: 'ship24',
+  label: 'Ship24',
+  isAvailable: () => !!process.env.SHIP24_API_KEY,
+  createTracker,
+  fetchResults,
+  verifyWebhook,
+  hasWebhookSecret,
+  parseWebhook,
+  normalizeEvent,
+  normalizeTracking
+};
+
+export default ship24Provider;
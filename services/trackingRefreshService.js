@@ -0,0 +1,173 @@
+import { retryWithBackoff, isRetryableError } from '../utils/errorHandler';
+import { runWithConcurrency, createRateLimiter } from '../utils/concurrencyUtils';
+import { isTrackingRateLimitError } from '../utils/trackingUtils';
+import {
+  getActiveTrackingParts,
+  getTrackingShipments,
+  getTrackingSettings,
+  syncTrackingShipment
+} from './trackingService';
+import { notifySyncedParts } from './notificationService';
+
+/**
+ * Service layer for the scheduled tracking refresh
+ * Centralizes all database calls for tracking_refresh_runs table
+ *
+ * The job runs with the service role client (createServiceClient in
+ * lib/supabaseServer.js), so its queries cover every user's parts.
+ */
+
+// Defaults, each overridable with a TRACKING_REFRESH_* environment variable
+const DEFAULT_REFRESH_OPTIONS = {
+  concurrency: 3,     // Shipments synced at once
+  perMinute: 60,      // Provider calls per minute
+  staleHours: 6,      // Only tracking older than this is refreshed
+  maxShipments: 200,  // Per run; the stalest go first, the rest wait for the next run
+  maxRunSeconds: 50,  // Shipments not started by then wait for the next run
+  maxRetries: 3,
+  retryDelay: 2000    // First backoff delay in ms, doubled on each retry
+};
+
+const readPositiveInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return value > 0 ? value : fallback;
+};
+
+/**
+ * Get the refresh job's limits from the environment
+ * @returns {Object} { concurrency, perMinute, staleHours, maxShipments, maxRunSeconds, maxRetries, retryDelay }
+ */
+export const getTrackingRefreshOptions = () => ({
+  ...DEFAULT_REFRESH_OPTIONS,
+  concurrency: readPositiveInt('TRACKING_REFRESH_CONCURRENCY', DEFAULT_REFRESH_OPTIONS.concurrency),
+  perMinute: readPositiveInt('TRACKING_REFRESH_PER_MINUTE', DEFAULT_REFRESH_OPTIONS.perMinute),
+  staleHours: readPositiveInt('TRACKING_REFRESH_STALE_HOURS', DEFAULT_REFRESH_OPTIONS.staleHours),
+  maxShipments: readPositiveInt('TRACKING_REFRESH_MAX_SHIPMENTS', DEFAULT_REFRESH_OPTIONS.maxShipments),
+  maxRunSeconds: readPositiveInt('TRACKING_REFRESH_MAX_SECONDS', DEFAULT_REFRESH_OPTIONS.maxRunSeconds)
+});
+
+/**
+ * Record the summary of a refresh run
+ * @param {Object} summary - tracking_refresh_runs row without id
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @returns {Promise<Object>} Created run
+ * @throws {Error} With context about the failed operation
+ */
+export const logTrackingRefreshRun = async (summary, supabaseClient) => {
+  try {
+    const { data, error } = await supabaseClient
+      .from('tracking_refresh_runs')
+      .insert([summary])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to log tracking refresh run: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Refresh stale tracking for every user
+ * Shipments are synced a few at a time and spaced to the provider's rate
+ * limit; rate limit and network errors are retried with backoff. A run takes
+ * no more shipments than the rate limit allows in maxRunSeconds and starts none
+ * after that; when the provider keeps refusing calls the run stops early. The
+ * remaining shipments wait for the next run. Owners are notified of delivery
+ * milestones as by the webhook. Each run is logged to tracking_refresh_runs.
+ * @param {Object} supabaseClient - Service role Supabase client
+ * @param {Object} options - Limits (defaults from getTrackingRefreshOptions)
+ * @returns {Promise<Object>} Run summary; status is 'completed', 'rate_limited' or 'failed'
+ */
+export const runScheduledTrackingRefresh = async (supabaseClient, options = getTrackingRefreshOptions()) => {
+  const summary = {
+    started_at: new Date().toISOString(),
+    status: 'completed',
+    users: 0,
+    shipments: 0,
+    updated: 0,
+    advanced: 0,
+    failed: 0,
+    skipped: 0,
+    error: null
+  };
+
+  try {
+    const staleBefore = new Date(Date.now() - options.staleHours * 60 * 60 * 1000).toISOString();
+    const shipments = getTrackingShipments(await getActiveTrackingParts({ staleBefore }, supabaseClient));
+    const runLimit = Math.min(options.maxShipments, Math.max(1, Math.floor(options.perMinute * options.maxRunSeconds / 60)));
+    const due = shipments.slice(0, runLimit);
+    const deadline = Date.now() + options.maxRunSeconds * 1000;
+
+    summary.users = new Set(shipments.map(({ part }) => part.user_id)).size;
+    summary.shipments = shipments.length;
+    summary.skipped = shipments.length - due.length;
+
+    // Each user's settings are loaded once, by the first of their shipments
+    const settingsByUser = new Map();
+    const getSettings = (userId) => {
+      if (!settingsByUser.has(userId)) {
+        settingsByUser.set(userId, getTrackingSettings(userId, supabaseClient));
+      }
+      return settingsByUser.get(userId);
+    };
+
+    const waitForSlot = createRateLimiter(options.perMinute);
+    let rateLimited = false;
+
+    const notify = (parts, trackingData) => notifySyncedParts(parts, trackingData, supabaseClient);
+
+    await runWithConcurrency(due, async (shipment) => {
+      if (rateLimited || Date.now() > deadline) {
+        summary.skipped++;
+        return;
+      }
+
+      try {
+        const settings = await getSettings(shipment.part.user_id);
+        const result = await retryWithBackoff(async () => {
+          await waitForSlot();
+          return syncTrackingShipment(shipment, supabaseClient, settings, notify);
+        }, {
+          maxRetries: options.maxRetries,
+          initialDelay: options.retryDelay,
+          shouldRetry: (error) => isTrackingRateLimitError(error) || isRetryableError(error)
+        });
+
+        if (result) {
+          summary.updated++;
+          summary.advanced += result.advanced?.length || 0;
+        }
+      } catch (error) {
+        if (isTrackingRateLimitError(error)) {
+          rateLimited = true;
+          summary.skipped++;
+          return;
+        }
+        summary.failed++;
+        console.error(`Scheduled refresh failed for ${shipment.type} of part ${shipment.part.id}:`, error);
+      }
+    }, options.concurrency);
+
+    if (rateLimited) {
+      summary.status = 'rate_limited';
+    }
+  } catch (error) {
+    console.error('Scheduled tracking refresh failed:', error);
+    summary.status = 'failed';
+    summary.error = error.message;
+  }
+
+  summary.finished_at = new Date().toISOString();
+
+  try {
+    await logTrackingRefreshRun(summary, supabaseClient);
+  } catch (error) {
+    // The refresh itself is done; a missing log row should not fail the run
+    console.error(error.message);
+  }
+
+  return summary;
+};
@@ -1,196 +1,168 @@
 import { supabase } from '../lib/supabase';
-import { shouldSkipShip24 } from '../utils/trackingUtils';
+import { shouldSkipShip24, toReturnTrackingFields, getTrackingStatusAdvance } from '../utils/trackingUtils';
+import { runWithConcurrency } from '../utils/concurrencyUtils';
+import { resolveTrackingProvider } from './trackingProviders';
 
 /**
- * Service layer for Ship24 tracking operations
- * Handles creating, fetching, and managing shipment tracking
+ * Service layer for shipment tracking operations
+ * Handles creating, fetching, and managing shipment tracking through the
+ * provider each user (or carrier) is set to - see services/trackingProviders
  */
 
-const SHIP24_API_BASE = 'https://api.ship24.com/public/v1';
-
 /**
- * Get authorization headers for Ship24 API
- */
-const getHeaders = () => {
-  const apiKey = process.env.SHIP24_API_KEY;
-  if (!apiKey) {
-    throw new Error('Ship24 API key not configured');
-  }
-  return {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json'
-  };
-};
-
-/**
- * Create a new tracking in Ship24 and get results synchronously
- * @param {string} trackingNumber - The tracking number
- * @param {string} title - Optional title (part name)
- * @returns {Promise<Object>} Ship24 tracking response
+ * Load a user's tracking settings
+ * @param {string} userId - User ID
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @returns {Promise<Object|null>} { tracking_provider, tracking_carrier_providers, tracking_auto_advance },
+ *   or null if no settings saved
  */
-export const createShip24Tracking = async (trackingNumber, title = null) => {
+export const getTrackingSettings = async (userId, supabaseClient = null) => {
   try {
-    const body = {
-      trackingNumber
-    };
-
-    if (title) {
-      body.shipmentReference = title;
-    }
-
-    const response = await fetch(`${SHIP24_API_BASE}/trackers/track`, {
-      method: 'POST',
-      headers: getHeaders(),
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Ship24 API error: ${response.status}`);
-    }
+    const client = supabaseClient || supabase;
+    const { data, error } = await client
+      .from('user_settings')
+      .select('tracking_provider, tracking_carrier_providers, tracking_auto_advance')
+      .eq('user_id', userId)
+      .maybeSingle();
 
-    const data = await response.json();
-    return data.data;
+    if (error) throw error;
+    return data;
   } catch (error) {
-    error.message = `Failed to create Ship24 tracking: ${error.message}`;
+    error.message = `Failed to load tracking settings: ${error.message}`;
     throw error;
   }
 };
 
 /**
- * Get tracking results by Ship24 tracker ID
- * @param {string} trackerId - Ship24 tracker ID
- * @returns {Promise<Object>} Tracking data
+ * Use the given tracking settings, or load them for the user
+ * @param {Object|null|undefined} settings - Settings already loaded (undefined to load)
+ * @param {string} userId - User ID
+ * @param {Object} supabaseClient - Optional Supabase client
+ * @returns {Promise<Object|null>} Tracking settings
  */
-export const getShip24Tracking = async (trackerId) => {
-  try {
-    const response = await fetch(`${SHIP24_API_BASE}/trackers/${trackerId}/results`, {
-      method: 'GET',
-      headers: getHeaders()
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Ship24 API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.data;
-  } catch (error) {
-    error.message = `Failed to get Ship24 tracking: ${error.message}`;
-    throw error;
+const withTrackingSettings = async (settings, userId, supabaseClient) => {
+  if (settings !== undefined || !userId) {
+    return settings || null;
   }
+  return getTrackingSettings(userId, supabaseClient);
 };
 
 /**
- * Get tracking by tracking number using the sync track endpoint
- * @param {string} trackingNumber - Tracking number
- * @returns {Promise<Object>} Tracking data
+ * Start tracking a number with the user's provider and get its current status
+ * @param {string} trackingNumber - The tracking number
+ * @param {Object} options - { title, settings } optional shipment title (part name)
+ *   and the user's provider settings
+ * @returns {Promise<Object>} Tracking fields for the parts table
  */
-export const getShip24TrackingByNumber = async (trackingNumber) => {
-  try {
-    const response = await fetch(`${SHIP24_API_BASE}/trackers/track`, {
-      method: 'POST',
-      headers: getHeaders(),
-      body: JSON.stringify({ trackingNumber })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.message || `Ship24 API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.data;
-  } catch (error) {
-    error.message = `Failed to get Ship24 tracking: ${error.message}`;
-    throw error;
-  }
+export const createTracking = async (trackingNumber, { title = null, settings = null } = {}) => {
+  const provider = resolveTrackingProvider(trackingNumber, settings);
+  const tracking = await provider.createTracker(trackingNumber, { title });
+  return provider.normalizeTracking(tracking);
 };
 
 /**
- * Delete tracking from Ship24
- * Note: Ship24 doesn't have a delete endpoint - trackers expire automatically
- * @param {string} trackerId - Ship24 tracker ID
- * @returns {Promise<void>}
+ * Fetch fresh tracking for a number from the user's provider
+ * @param {string} trackingNumber - The tracking number
+ * @param {Object} settings - The user's provider settings
+ * @returns {Promise<Object>} Tracking fields for the parts table
  */
-export const deleteShip24Tracking = async (trackerId) => {
-  // Ship24 doesn't support deleting trackers - they expire automatically
-  // This is a no-op for API compatibility
+export const fetchTracking = async (trackingNumber, settings = null) => {
+  const provider = resolveTrackingProvider(trackingNumber, settings);
+  const tracking = await provider.fetchResults(trackingNumber);
+  return provider.normalizeTracking(tracking);
 };
 
 /**
- * Map Ship24 statusMilestone to our display format (PascalCase for compatibility)
- * @param {string} statusMilestone - Ship24 status milestone
- * @returns {string} Normalized status tag
+ * Update part with tracking data
+ * @param {number} partId - Part ID to update
+ * @param {Object} trackingData - Normalized tracking data
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @returns {Promise<void>}
  */
-const normalizeStatusMilestone = (statusMilestone) => {
-  const statusMap = {
-    'pending': 'Pending',
-    'info_received': 'InfoReceived',
-    'in_transit': 'InTransit',
-    'out_for_delivery': 'OutForDelivery',
-    'attempt_fail': 'AttemptFail',
-    'delivered': 'Delivered',
-    'available_for_pickup': 'AvailableForPickup',
-    'exception': 'Exception',
-    'expired': 'Expired'
-  };
-  return statusMap[statusMilestone] || 'Pending';
-};
+export const updatePartTracking = async (partId, trackingData, supabaseClient = null) => {
+  try {
+    const client = supabaseClient || supabase;
+    const { error } = await client
+      .from('parts')
+      .update(trackingData)
+      .eq('id', partId);
 
-/**
- * Normalize Ship24 tracking data for our database
- * @param {Object} trackingData - Ship24 tracking response
- * @returns {Object} Normalized tracking data for parts table
- */
-export const normalizeTrackingData = (trackingData) => {
-  if (!trackingData) {
-    return null;
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to update part tracking: ${error.message}`;
+    throw error;
   }
-
-  const tracker = trackingData.trackings?.[0] || trackingData;
-  const shipment = tracker.shipment || {};
-  const events = tracker.events || [];
-  const lastEvent = events[0]; // Ship24 returns events in reverse chronological order
-
-  // Get the overall status milestone
-  const statusMilestone = shipment.statusMilestone || lastEvent?.statusMilestone || 'pending';
-
-  // Ship24 returns location as a string (e.g., "SAINT PETERSBURG, FL 33710")
-  return {
-    ship24_id: tracker.tracker?.trackerId || trackingData.trackerId,
-    tracking_status: normalizeStatusMilestone(statusMilestone),
-    tracking_substatus: lastEvent?.statusCode || null,
-    tracking_location: lastEvent?.location || null,
-    tracking_eta: shipment.delivery?.estimatedDeliveryDate || null,
-    tracking_updated_at: new Date().toISOString(),
-    tracking_checkpoints: events.map(event => ({
-      checkpoint_time: event.datetime,
-      message: event.status,
-      location: event.location || null,
-      status: event.statusMilestone,
-      statusCode: event.statusCode
-    }))
-  };
 };
 
 /**
- * Update part with tracking data from Ship24
- * @param {number} partId - Part ID to update
+ * Update every part in a vendor order with tracking data
+ * @param {number} orderId - Order ID whose parts to update
  * @param {Object} trackingData - Normalized tracking data
  * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
  * @returns {Promise<void>}
  */
-export const updatePartTracking = async (partId, trackingData, supabaseClient = null) => {
+export const updateOrderTracking = async (orderId, trackingData, supabaseClient = null) => {
   try {
     const client = supabaseClient || supabase;
     const { error } = await client
       .from('parts')
       .update(trackingData)
-      .eq('id', partId);
+      .eq('order_id', orderId);
 
     if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to update order tracking: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Write tracking data to parts, advancing their status when the carrier says so
+ * Delivered marks parts delivered and InfoReceived/InTransit marks purchased
+ * parts shipped, unless the user turned tracking_auto_advance off. The status
+ * goes in the same update as the tracking data, so the part's history records
+ * it as coming from tracking. Only a status the part did not already have
+ * advances it, so a change the user undid is not made again on the next refresh.
+ * @param {Array<Object>} parts - Parts rows with id, purchased, shipped, delivered and tracking_status
+ * @param {Object} trackingData - Normalized tracking data
+ * @param {Object} settings - The parts owner's tracking settings
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @returns {Promise<Array>} Advanced parts as [{ partId, status, flags, at }]
+ */
+export const applyTrackingData = async (parts, trackingData, settings, supabaseClient = null) => {
+  try {
+    const client = supabaseClient || supabase;
+    const autoAdvance = settings?.tracking_auto_advance !== false;
+    const at = trackingData.tracking_updated_at || new Date().toISOString();
+
+    // Parts that get the same status change share one update
+    const batches = new Map();
+    const advanced = [];
+    for (const part of parts) {
+      const isNewStatus = part.tracking_status !== trackingData.tracking_status;
+      const advance = autoAdvance && isNewStatus
+        ? getTrackingStatusAdvance(part, trackingData.tracking_status, at)
+        : null;
+      if (advance) {
+        advanced.push({ partId: part.id, status: advance.status, flags: advance.flags, at });
+      }
+      const key = advance ? advance.flags.join(',') : 'none';
+      if (!batches.has(key)) {
+        batches.set(key, { ids: [], updates: { ...trackingData, ...advance?.updates } });
+      }
+      batches.get(key).ids.push(part.id);
+    }
+
+    for (const { ids, updates } of batches.values()) {
+      const { error } = await client
+        .from('parts')
+        .update(updates)
+        .in('id', ids);
+
+      if (error) throw error;
+    }
+
+    return advanced;
   } catch (error) {
     error.message = `Failed to update part tracking: ${error.message}`;
     throw error;
@@ -222,61 +194,217 @@ export const getPartByTrackingNumber = async (trackingNumber, userId) => {
 
 /**
  * Sync tracking status for a part
- * Creates tracking in Ship24 if needed, then updates part with status
+ * Fetches fresh tracking from the user's provider, then updates part with status
  * @param {Object} part - Part object with tracking number
  * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
- * @returns {Promise<Object>} Updated tracking data
+ * @param {Object} settings - The user's tracking settings (loaded for part.user_id if omitted)
+ * @returns {Promise<Object|null>} { tracking, advanced, parts } with the updated tracking data,
+ *   the part if its status advanced (see applyTrackingData) and the part as it was before
  */
-export const syncPartTracking = async (part, supabaseClient = null) => {
+export const syncPartTracking = async (part, supabaseClient = null, settings = undefined) => {
   if (shouldSkipShip24(part.tracking)) {
     return null; // Skip URLs, Amazon tracking, and empty tracking
   }
 
-  // Always use the tracking number to fetch fresh data from Ship24
-  // The POST /trackers/track endpoint queries carriers for new updates
-  // while GET /trackers/{id}/results only returns cached data
-  const trackingData = await getShip24TrackingByNumber(part.tracking);
+  const providerSettings = await withTrackingSettings(settings, part.user_id, supabaseClient);
+  const normalizedData = await fetchTracking(part.tracking, providerSettings);
+  const advanced = await applyTrackingData([part], normalizedData, providerSettings, supabaseClient);
+
+  return { tracking: normalizedData, advanced, parts: [part] };
+};
+
+/**
+ * Sync tracking status for a vendor order
+ * Fetches the order's tracking number once and updates all of its parts
+ * @param {Object} order - Order row with tracking number
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @param {Object} settings - The user's tracking settings (loaded for order.user_id if omitted)
+ * @returns {Promise<Object|null>} { tracking, advanced, parts } with the updated tracking data,
+ *   the order's parts whose status advanced (see applyTrackingData) and its parts as they were before
+ */
+export const syncOrderTracking = async (order, supabaseClient = null, settings = undefined) => {
+  if (shouldSkipShip24(order.tracking)) {
+    return null; // Skip URLs, Amazon tracking, and empty tracking
+  }
+
+  const providerSettings = await withTrackingSettings(settings, order.user_id, supabaseClient);
+  const normalizedData = await fetchTracking(order.tracking, providerSettings);
 
-  const normalizedData = normalizeTrackingData(trackingData);
-  await updatePartTracking(part.id, normalizedData, supabaseClient);
+  const client = supabaseClient || supabase;
+  const { data: orderParts, error } = await client
+    .from('parts')
+    .select('id, user_id, part, tracking, purchased, shipped, delivered, tracking_status')
+    .eq('order_id', order.id);
 
-  return normalizedData;
+  if (error) {
+    error.message = `Failed to load order parts: ${error.message}`;
+    throw error;
+  }
+
+  const advanced = await applyTrackingData(orderParts || [], normalizedData, providerSettings, supabaseClient);
+
+  return { tracking: normalizedData, advanced, parts: orderParts || [] };
 };
 
 /**
- * Refresh tracking for all shipped but not delivered parts
- * @param {string} userId - User ID
+ * Sync tracking status for a part's return shipment
+ * Stored in the return_tracking_* columns instead of tracking_*
+ * @param {Object} part - Part row with return_tracking number
  * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
- * @returns {Promise<Array>} Array of updated parts
+ * @param {Object} settings - The user's tracking settings (loaded for part.user_id if omitted)
+ * @returns {Promise<Object>} Updated return tracking data
  */
-export const refreshAllActiveTrackings = async (userId, supabaseClient = null) => {
+export const syncPartReturnTracking = async (part, supabaseClient = null, settings = undefined) => {
+  if (shouldSkipShip24(part.return_tracking)) {
+    return null; // Skip URLs, Amazon tracking, and empty tracking
+  }
+
+  const providerSettings = await withTrackingSettings(settings, part.user_id, supabaseClient);
+  const returnData = toReturnTrackingFields(await fetchTracking(part.return_tracking, providerSettings));
+  await updatePartTracking(part.id, returnData, supabaseClient);
+
+  return returnData;
+};
+
+// Parts refreshed at once by refreshAllActiveTrackings, to stay well inside provider rate limits
+const USER_REFRESH_CONCURRENCY = 3;
+
+/**
+ * Get the parts whose tracking a refresh should update
+ * Undelivered parts with a tracking number (parts still waiting to ship are
+ * included so a created label can mark them shipped) and returns on their
+ * way back to the vendor
+ * @param {Object} filters - { userId, staleBefore } to limit to one user, and to
+ *   tracking last updated before an ISO timestamp (or never)
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @returns {Promise<Object>} { parts, returnParts } as database rows, stalest first
+ */
+export const getActiveTrackingParts = async ({ userId = null, staleBefore = null } = {}, supabaseClient = null) => {
   try {
     const client = supabaseClient || supabase;
-    // Get all parts that are shipped but not delivered with tracking numbers
-    const { data: parts, error } = await client
+
+    let partsQuery = client
       .from('parts')
       .select('*')
-      .eq('user_id', userId)
-      .eq('shipped', true)
       .eq('delivered', false)
       .not('tracking', 'is', null)
-      .neq('tracking', '');
+      .neq('tracking', '')
+      .order('tracking_updated_at', { ascending: true, nullsFirst: true });
+
+    let returnsQuery = client
+      .from('parts')
+      .select('*')
+      .eq('return_status', 'return_in_transit')
+      .not('return_tracking', 'is', null)
+      .neq('return_tracking', '')
+      .order('return_tracking_updated_at', { ascending: true, nullsFirst: true });
+
+    if (userId) {
+      partsQuery = partsQuery.eq('user_id', userId);
+      returnsQuery = returnsQuery.eq('user_id', userId);
+    }
+    if (staleBefore) {
+      partsQuery = partsQuery.or(`tracking_updated_at.is.null,tracking_updated_at.lt.${staleBefore}`);
+      returnsQuery = returnsQuery.or(`return_tracking_updated_at.is.null,return_tracking_updated_at.lt.${staleBefore}`);
+    }
 
+    const { data: parts, error } = await partsQuery;
     if (error) throw error;
 
-    const results = [];
-    for (const part of parts || []) {
+    const { data: returnParts, error: returnError } = await returnsQuery;
+    if (returnError) throw returnError;
+
+    return { parts: parts || [], returnParts: returnParts || [] };
+  } catch (error) {
+    error.message = `Failed to load active trackings: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Turn active parts into one refresh per shipment
+ * Parts in the same order share one tracking number, so the order is synced
+ * once; tracking numbers no provider can follow are left out
+ * @param {Object} activeParts - { parts, returnParts } from getActiveTrackingParts
+ * @returns {Array<Object>} Shipments as { type: 'order' | 'part' | 'return', part }
+ */
+export const getTrackingShipments = ({ parts, returnParts }) => {
+  const shipments = [];
+  const orderIds = new Set();
+
+  for (const part of parts) {
+    if (shouldSkipShip24(part.tracking)) continue;
+    if (part.order_id) {
+      if (orderIds.has(part.order_id)) continue;
+      orderIds.add(part.order_id);
+      shipments.push({ type: 'order', part });
+    } else {
+      shipments.push({ type: 'part', part });
+    }
+  }
+
+  for (const part of returnParts) {
+    if (!shouldSkipShip24(part.return_tracking)) {
+      shipments.push({ type: 'return', part });
+    }
+  }
+
+  return shipments;
+};
+
+/**
+ * Sync one shipment from getTrackingShipments
+ * @param {Object} shipment - { type, part }
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @param {Object} settings - The owner's tracking settings (loaded for the part's user if omitted)
+ * @param {Function} onSynced - Optional async (parts, trackingData) called after an outbound
+ *   shipment is saved, with its parts as they were before (e.g. to send delivery notifications)
+ * @returns {Promise<Object|null>} { partId | orderId, isReturn?, ...tracking, advanced }, or null if skipped
+ */
+export const syncTrackingShipment = async ({ type, part }, supabaseClient = null, settings = undefined, onSynced = null) => {
+  if (type === 'return') {
+    const returnData = await syncPartReturnTracking(part, supabaseClient, settings);
+    return returnData && { partId: part.id, isReturn: true, ...returnData };
+  }
+
+  const synced = type === 'order'
+    ? await syncOrderTracking({ id: part.order_id, tracking: part.tracking, user_id: part.user_id }, supabaseClient, settings)
+    : await syncPartTracking(part, supabaseClient, settings);
+  if (!synced) return null;
+
+  if (onSynced) {
+    await onSynced(synced.parts, synced.tracking);
+  }
+  return type === 'order'
+    ? { orderId: part.order_id, ...synced.tracking, advanced: synced.advanced }
+    : { partId: part.id, ...synced.tracking, advanced: synced.advanced };
+};
+
+/**
+ * Refresh tracking for all undelivered parts and in-transit returns of a user
+ * A few shipments are synced at once; one failing does not stop the others
+ * @param {string} userId - User ID
+ * @param {Object} supabaseClient - Optional Supabase client (for server-side auth)
+ * @param {Function} onSynced - Optional callback for each outbound shipment (see syncTrackingShipment)
+ * @returns {Promise<Array>} Array of updated parts
+ */
+export const refreshAllActiveTrackings = async (userId, supabaseClient = null, onSynced = null) => {
+  try {
+    const shipments = getTrackingShipments(await getActiveTrackingParts({ userId }, supabaseClient));
+
+    // One settings lookup for every shipment of this user
+    const settings = await getTrackingSettings(userId, supabaseClient);
+
+    const results = await runWithConcurrency(shipments, async (shipment) => {
       try {
-        const updated = await syncPartTracking(part, supabaseClient);
-        if (updated) {
-          results.push({ partId: part.id, ...updated });
-        }
+        return await syncTrackingShipment(shipment, supabaseClient, settings, onSynced);
       } catch (err) {
-        console.error(`Failed to sync tracking for part ${part.id}:`, err);
+        console.error(`Failed to sync ${shipment.type === 'return' ? 'return ' : ''}tracking for part ${shipment.part.id}:`, err);
+        return null;
       }
-    }
+    }, USER_REFRESH_CONCURRENCY);
 
-    return results;
+    return results.filter(Boolean);
   } catch (error) {
     error.message = `Failed to refresh trackings: ${error.message}`;
     throw error;
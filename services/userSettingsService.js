@@ -0,0 +1,74 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for user settings-related Supabase operations
+ * Centralizes all database calls for user_settings table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load settings for the authenticated user
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Object|null>} Settings row, or null if none saved yet
+ * @throws {Error} With context about the failed operation
+ */
+export const getUserSettings = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to load settings: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Save settings for a user (creates the row on first save)
+ * @param {Object} updates - Settings columns to save
+ * @param {string} userId - User ID the settings belong to
+ * @returns {Promise<Object>} Saved settings row
+ * @throws {Error} With context about the failed operation
+ */
+export const updateUserSettings = async (updates, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_settings')
+      .upsert({ ...updates, user_id: userId, updated_at: new Date().toISOString() }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to save settings: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Change the home currency and convert the amounts kept in it
+ * The setting, project budgets, service event costs, vehicle purchase prices
+ * and running expenses are saved in one transaction (see change_home_currency)
+ * @param {string} currency - New home currency code
+ * @param {number} rate - New home currency units per 1 unit of the old one
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const changeHomeCurrency = async (currency, rate) => {
+  try {
+    const { error } = await supabase.rpc('change_home_currency', { p_currency: currency, p_rate: rate });
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to change home currency: ${error.message}`;
+    throw error;
+  }
+};
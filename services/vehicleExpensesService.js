@@ -0,0 +1,79 @@
+import { supabase } from '../lib/supabase';
+
+/**
+ * Service layer for vehicle running expenses (insurance, registration, fuel)
+ * Centralizes all database calls for vehicle_expenses table
+ *
+ * Note: With RLS enabled, queries automatically filter by authenticated user.
+ * user_id must be included when creating new records.
+ */
+
+/**
+ * Load all expenses for a vehicle
+ * @param {number} vehicleId - Vehicle ID
+ * @param {string} userId - User ID to filter by (defense-in-depth with RLS)
+ * @returns {Promise<Array>} Array of expenses, newest first
+ * @throws {Error} With context about the failed operation
+ */
+export const getVehicleExpenses = async (vehicleId, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('vehicle_expenses')
+      .select('*')
+      .eq('vehicle_id', vehicleId)
+      .eq('user_id', userId)
+      .order('expense_date', { ascending: false })
+      .order('id', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    error.message = `Failed to load vehicle expenses: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Create a vehicle expense
+ * @param {Object} expense - { vehicle_id, category, amount, expense_date, odometer, notes }
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Created expense
+ * @throws {Error} With context about the failed operation
+ */
+export const createVehicleExpense = async (expense, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('vehicle_expenses')
+      .insert({ ...expense, user_id: userId })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    error.message = `Failed to create vehicle expense: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Delete a vehicle expense by ID
+ * @param {number} expenseId - Expense ID
+ * @param {string} userId - User ID to filter by (prevents cross-user deletes)
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const deleteVehicleExpense = async (expenseId, userId) => {
+  try {
+    const { error } = await supabase
+      .from('vehicle_expenses')
+      .delete()
+      .eq('id', expenseId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  } catch (error) {
+    error.message = `Failed to delete vehicle expense: ${error.message}`;
+    throw error;
+  }
+};
@@ -30,6 +30,43 @@ export const getAllVendors = async (userId) => {
   }
 };
 
+/**
+ * Insert a vendor or update the given columns of an existing one
+ * @param {string} vendorName - Vendor name
+ * @param {Object} fields - Columns to set (database format)
+ * @param {string} userId - User ID to associate with the vendor
+ * @returns {Promise<void>}
+ * @throws {Error} Supabase error
+ */
+const upsertVendorFields = async (vendorName, fields, userId) => {
+  // First check if vendor exists for this user
+  const { data: existing, error: selectError } = await supabase
+    .from('vendors')
+    .select('id')
+    .eq('name', vendorName)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (selectError) throw selectError;
+
+  if (existing) {
+    // Update existing vendor
+    const { error } = await supabase
+      .from('vendors')
+      .update(fields)
+      .eq('id', existing.id);
+
+    if (error) throw error;
+  } else {
+    // Insert new vendor
+    const { error } = await supabase
+      .from('vendors')
+      .insert({ name: vendorName, ...fields, user_id: userId });
+
+    if (error) throw error;
+  }
+};
+
 /**
  * Upsert a vendor (insert or update)
  * @param {string} vendorName - Vendor name
@@ -40,49 +77,31 @@ export const getAllVendors = async (userId) => {
  */
 export const upsertVendor = async (vendorName, color, userId) => {
   try {
-    // First check if vendor exists for this user
-    const { data: existing } = await supabase
-      .from('vendors')
-      .select('id')
-      .eq('name', vendorName)
-      .eq('user_id', userId)
-      .single();
-
-    if (existing) {
-      // Update existing vendor
-      const { error } = await supabase
-        .from('vendors')
-        .update({ color })
-        .eq('id', existing.id);
-
-      if (error) throw error;
-    } else {
-      // Insert new vendor
-      const { error } = await supabase
-        .from('vendors')
-        .insert({ name: vendorName, color, user_id: userId });
-
-      if (error) throw error;
-    }
+    await upsertVendorFields(vendorName, { color }, userId);
   } catch (error) {
-    // Ignore "no rows" error from .single() when vendor doesn't exist
-    if (error.code === 'PGRST116') {
-      // Vendor doesn't exist, insert it
-      const { error: insertError } = await supabase
-        .from('vendors')
-        .insert({ name: vendorName, color, user_id: userId });
-
-      if (insertError) {
-        insertError.message = `Failed to save vendor color: ${insertError.message}`;
-        throw insertError;
-      }
-      return;
-    }
     error.message = `Failed to save vendor color: ${error.message}`;
     throw error;
   }
 };
 
+/**
+ * Save a vendor's profile (website, search URL, contact details, account
+ * number, default shipping and currency, notes), creating the vendor if needed
+ * @param {string} vendorName - Vendor name
+ * @param {Object} profile - Profile columns (database format, see toVendorProfileRow)
+ * @param {string} userId - User ID to associate with the vendor
+ * @returns {Promise<void>}
+ * @throws {Error} With context about the failed operation
+ */
+export const updateVendorProfile = async (vendorName, profile, userId) => {
+  try {
+    await upsertVendorFields(vendorName, profile, userId);
+  } catch (error) {
+    error.message = `Failed to save vendor details: ${error.message}`;
+    throw error;
+  }
+};
+
 /**
  * Delete a vendor by name
  * @param {string} vendorName - Vendor name to delete
@@ -0,0 +1,78 @@
+-- =============================================
+-- Migration: Add personal API tokens
+-- =============================================
+-- Personal access tokens let scripts and other apps call the /api routes
+-- without a browser session. Only a SHA-256 hash of each token is stored;
+-- the plaintext token is shown to the user once when it is created.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create api_tokens table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.api_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_prefix TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT ARRAY['read']::text[],
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_token_hash ON api_tokens(token_hash);
+
+-- =============================================
+-- STEP 2: Enable Row Level Security
+-- =============================================
+
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Users can list their own tokens (hashes are never useful to clients)
+CREATE POLICY "Users can view own api_tokens" ON api_tokens
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Users can create tokens for themselves
+CREATE POLICY "Users can insert own api_tokens" ON api_tokens
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+-- Users can revoke (update) their own tokens
+CREATE POLICY "Users can update own api_tokens" ON api_tokens
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- Users can delete their own tokens
+CREATE POLICY "Users can delete own api_tokens" ON api_tokens
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 3: Function to verify a token
+-- =============================================
+-- Called by the API server with the anon key, so it runs with owner
+-- privileges to look up the hash. Returns the owning user and scopes
+-- for an active token and records when it was last used.
+
+CREATE OR REPLACE FUNCTION public.verify_api_token(p_token_hash TEXT)
+RETURNS TABLE (user_id UUID, scopes TEXT[])
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE public.api_tokens t
+  SET last_used_at = NOW()
+  WHERE t.token_hash = p_token_hash
+    AND t.revoked_at IS NULL
+    AND (t.expires_at IS NULL OR t.expires_at > NOW())
+  RETURNING t.user_id, t.scopes;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.verify_api_token(TEXT) TO anon, authenticated;
+
+COMMENT ON FUNCTION public.verify_api_token(TEXT) IS
+  'Resolves an active personal API token hash to its user and scopes.';
@@ -0,0 +1,79 @@
+-- =============================================
+-- Migration: Add multi-currency part costs
+-- =============================================
+-- Parts keep their costs in the currency they were bought in. Each part
+-- stores a snapshot of the exchange rate into the user's home currency,
+-- taken at purchase time, so totals don't drift as rates change.
+-- Rates come from manual entry or an imported rate table.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add currency columns to parts
+-- =============================================
+
+-- ISO 4217 code the part was priced in (NULL = user's home currency)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS currency TEXT;
+
+-- Home currency units per 1 unit of the part currency (NULL = same currency)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(20, 10);
+
+-- Date the exchange rate was snapshotted
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS exchange_rate_date DATE;
+
+-- =============================================
+-- STEP 2: Create user_settings table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_settings (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  home_currency TEXT NOT NULL DEFAULT 'USD',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own user_settings" ON user_settings
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own user_settings" ON user_settings
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own user_settings" ON user_settings
+  FOR UPDATE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 3: Create exchange_rates table
+-- =============================================
+
+-- 1 unit of from_currency = rate units of to_currency on rate_date
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  from_currency TEXT NOT NULL,
+  to_currency TEXT NOT NULL,
+  rate NUMERIC(20, 10) NOT NULL CHECK (rate > 0),
+  rate_date DATE NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, from_currency, to_currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_user_id ON exchange_rates(user_id);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own exchange_rates" ON exchange_rates
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own exchange_rates" ON exchange_rates
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own exchange_rates" ON exchange_rates
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own exchange_rates" ON exchange_rates
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,59 @@
+-- =============================================
+-- Migration: Group parts into vendor orders
+-- =============================================
+-- An order is one purchase from a vendor. Parts belong to at most one
+-- order. Shipping, duties and tax are entered once on the order and
+-- apportioned across its parts (by price or quantity); each part keeps
+-- its share in its own shipping/duties/tax columns so every total in the
+-- app keeps working unchanged. The order's tracking number is copied to
+-- its parts so tracking refreshes and webhooks update them together.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create orders table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.orders (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  vendor TEXT,
+  order_number TEXT,
+  order_date DATE,
+  shipping NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  duties NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  tax NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  -- How shared costs are split: 'price' (by line total) or 'quantity'
+  allocation_method TEXT NOT NULL DEFAULT 'price' CHECK (allocation_method IN ('price', 'quantity')),
+  tracking TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own orders" ON orders
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own orders" ON orders
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own orders" ON orders
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own orders" ON orders
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 2: Link parts to orders
+-- =============================================
+
+-- Deleting an order keeps its parts (and their apportioned costs)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS order_id BIGINT REFERENCES orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_parts_order_id ON parts(order_id);
+
+-- Sales tax share (included in total)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS tax NUMERIC(10, 2) NOT NULL DEFAULT 0;
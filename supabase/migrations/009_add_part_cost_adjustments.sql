@@ -0,0 +1,32 @@
+-- =============================================
+-- Migration: Add tax, discount and core charge costs to parts
+-- =============================================
+-- Part totals become:
+--   price × quantity + shipping + duties + tax - discount
+--     + core_charge - core_refund
+-- Tax can be entered as a percentage (tax_rate) of the discounted
+-- subtotal or as an absolute amount. The resolved amount is always
+-- stored in tax so totals never need the rate to be recomputed.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add cost adjustment columns to parts
+-- =============================================
+
+-- Sales tax percentage (NULL = tax was entered as an absolute amount)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6, 3)
+CHECK (tax_rate IS NULL OR (tax_rate >= 0 AND tax_rate <= 100));
+
+-- Discounts and coupons, subtracted from the total
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS discount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Core deposit paid on remanufactured parts
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS core_charge NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Core deposit refunded after returning the old part
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS core_refund NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
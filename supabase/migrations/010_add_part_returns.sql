@@ -0,0 +1,54 @@
+-- =============================================
+-- Migration: Track returns, RMAs and refunds on parts
+-- =============================================
+-- A returned part keeps its purchase history. return_status moves
+-- through returned -> return_in_transit -> refunded, the return
+-- shipment is tracked through Ship24 like outbound tracking, and once
+-- refunded the refund amount is subtracted from spend totals.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add return columns to parts
+-- =============================================
+
+-- NULL = not returned
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_status TEXT
+CHECK (return_status IS NULL OR return_status IN ('returned', 'return_in_transit', 'refunded'));
+
+-- Return merchandise authorization number from the vendor
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS rma_number TEXT;
+
+-- Refund received, in the part's currency
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS refund_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS refunded_at DATE;
+
+-- =============================================
+-- STEP 2: Add return shipment tracking columns
+-- =============================================
+
+-- Mirrors the outbound tracking_* columns
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking TEXT;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking_status TEXT;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking_location TEXT;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking_eta TIMESTAMPTZ;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking_updated_at TIMESTAMPTZ;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS return_tracking_checkpoints JSONB;
+
+-- Ship24 webhooks look parts up by return tracking number
+CREATE INDEX IF NOT EXISTS idx_parts_return_tracking ON parts(return_tracking);
@@ -0,0 +1,88 @@
+-- =============================================
+-- Migration: Track delivered parts as inventory
+-- =============================================
+-- Delivered parts become stock on hand. quantity_on_hand stays NULL
+-- until the stock is first changed, so existing delivered parts count
+-- their full purchased quantity. Every change is recorded in
+-- inventory_events - installing a part through a service event or a
+-- project todo, or a manual count adjustment. Low-stock thresholds are
+-- kept per part number so repeat purchases share one threshold.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add stock columns to parts
+-- =============================================
+
+-- NULL = untouched since delivery (the purchased quantity is on hand)
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS quantity_on_hand INTEGER
+CHECK (quantity_on_hand IS NULL OR quantity_on_hand >= 0);
+
+-- Shelf / bin where the part is stored
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS storage_location TEXT;
+
+-- =============================================
+-- STEP 2: Create inventory_events table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.inventory_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  part_id BIGINT NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+  -- Signed change in stock: negative when consumed
+  quantity_change INTEGER NOT NULL,
+  -- installed: used on a vehicle or project, restocked: install undone, adjusted: manual count
+  reason TEXT NOT NULL CHECK (reason IN ('installed', 'restocked', 'adjusted')),
+  service_event_id BIGINT REFERENCES service_events(id) ON DELETE SET NULL,
+  project_id BIGINT REFERENCES projects(id) ON DELETE SET NULL,
+  -- Project todos live in projects.todos (JSONB), so they are referenced by their id
+  todo_id TEXT,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_events_user_id ON inventory_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_events_part_id ON inventory_events(part_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_events_service_event_id ON inventory_events(service_event_id);
+
+ALTER TABLE inventory_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own inventory_events" ON inventory_events
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own inventory_events" ON inventory_events
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own inventory_events" ON inventory_events
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 3: Create stock_thresholds table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.stock_thresholds (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  part_number TEXT NOT NULL,
+  -- Stock is low when fewer than this many are on hand
+  min_quantity INTEGER NOT NULL CHECK (min_quantity >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, part_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_thresholds_user_id ON stock_thresholds(user_id);
+
+ALTER TABLE stock_thresholds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own stock_thresholds" ON stock_thresholds
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own stock_thresholds" ON stock_thresholds
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own stock_thresholds" ON stock_thresholds
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own stock_thresholds" ON stock_thresholds
+  FOR DELETE USING (auth.uid() = user_id);
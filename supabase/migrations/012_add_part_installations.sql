@@ -0,0 +1,34 @@
+-- =============================================
+-- Migration: Record part installations against the vehicle odometer
+-- =============================================
+-- A delivered part can be marked installed. The install date, the
+-- odometer reading at install time and installer notes are kept on the
+-- part, so the distance a part has been in service can be worked out
+-- from the vehicle's current odometer.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add installation columns to parts
+-- =============================================
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS installed BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS installed_at DATE;
+
+-- Odometer reading at install, in the vehicle's odometer unit
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS installed_odometer INTEGER
+CHECK (installed_odometer IS NULL OR installed_odometer >= 0);
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS install_notes TEXT;
+
+-- =============================================
+-- STEP 2: Index installed parts for vehicle timelines
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_parts_installed
+ON parts(user_id, installed_at)
+WHERE installed = true;
@@ -0,0 +1,29 @@
+-- =============================================
+-- Migration: Track warranties on parts
+-- =============================================
+-- A part's warranty runs for warranty_months from the install date (or
+-- the purchase date for parts that are not installed), unless an exact
+-- expiry date is entered. Terms are free text and the receipt is a
+-- document already uploaded to the part's vehicle.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add warranty columns to parts
+-- =============================================
+
+-- Warranty length; NULL = no warranty recorded
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS warranty_months INTEGER
+CHECK (warranty_months IS NULL OR warranty_months > 0);
+
+-- Exact expiry date, overrides warranty_months when set
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS warranty_expires_at DATE;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS warranty_terms TEXT;
+
+-- Receipt kept with the vehicle's documents
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS warranty_document_id BIGINT
+REFERENCES vehicle_documents(id) ON DELETE SET NULL;
@@ -0,0 +1,46 @@
+-- =============================================
+-- Migration: Saved views for the parts list
+-- =============================================
+-- A saved view is a named snapshot of the parts list filters, sort and
+-- rows per page, so a user can switch between the views they use
+-- every day. The view state is kept as JSON so new filters don't need
+-- a schema change. Names are unique per user; saving a view under an
+-- existing name replaces it.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create saved_views table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.saved_views (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (char_length(trim(name)) > 0),
+  -- { searchTerm, statusFilter, vendorFilter, deliveredFilter, partsDateFilter,
+  --   partsDateField, partsDateFrom, partsDateTo, warrantyFilter,
+  --   showArchivedParts, sortBy, sortOrder, rowsPerPage }
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_views_user_id ON saved_views(user_id);
+
+-- =============================================
+-- STEP 2: Row level security
+-- =============================================
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own saved_views" ON saved_views
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own saved_views" ON saved_views
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own saved_views" ON saved_views
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own saved_views" ON saved_views
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,34 @@
+-- =============================================
+-- Migration: Record when parts were purchased, shipped and delivered
+-- =============================================
+-- The purchased/shipped/delivered flags only say where a part is now.
+-- Each flag gets a timestamp that is set when the flag turns on and
+-- cleared when it turns off, so the parts list can be filtered by any
+-- of these dates. Parts that reached a status before this migration
+-- keep a NULL date for it.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add status date columns to parts
+-- =============================================
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS purchased_at TIMESTAMPTZ;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMPTZ;
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+
+-- =============================================
+-- STEP 2: Backfill delivery dates from carrier tracking
+-- =============================================
+
+-- Parts the carrier reported delivered were last updated at delivery
+UPDATE parts
+SET delivered_at = tracking_updated_at
+WHERE delivered = true
+  AND delivered_at IS NULL
+  AND tracking_status = 'Delivered'
+  AND tracking_updated_at IS NOT NULL;
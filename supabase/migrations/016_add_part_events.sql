@@ -0,0 +1,118 @@
+-- =============================================
+-- Migration: Part history
+-- =============================================
+-- Every change to a part's status, costs, project, vehicle or tracking
+-- is recorded in part_events with the old and new value. The events are
+-- written by a trigger on parts, so changes made through the app, the
+-- REST API, bulk actions and carrier tracking updates are all captured.
+-- History starts when this migration runs; earlier changes are unknown.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create part_events table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.part_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  part_id BIGINT NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('created', 'status', 'cost', 'project', 'vehicle', 'tracking')),
+  -- Column that changed; 'status' for status changes (see part_status_name)
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_part_events_user_id ON part_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_part_events_part_id ON part_events(part_id, created_at);
+
+ALTER TABLE part_events ENABLE ROW LEVEL SECURITY;
+
+-- History is append-only, so there is no update policy
+CREATE POLICY "Users can view own part_events" ON part_events
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own part_events" ON part_events
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own part_events" ON part_events
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 2: Status name of a part
+-- =============================================
+
+-- Same order as the app: a return wins over installed, installed over the purchase flags
+CREATE OR REPLACE FUNCTION public.part_status_name(p public.parts)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN p.return_status IS NOT NULL THEN p.return_status
+    WHEN p.installed THEN 'installed'
+    WHEN p.delivered THEN 'delivered'
+    WHEN p.shipped THEN 'shipped'
+    WHEN p.purchased THEN 'purchased'
+    ELSE 'pending'
+  END;
+$$;
+
+-- =============================================
+-- STEP 3: Record part changes
+-- =============================================
+
+CREATE OR REPLACE FUNCTION public.log_part_events()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  change RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO part_events (user_id, part_id, event_type, field, new_value)
+    VALUES (NEW.user_id, NEW.id, 'created', 'status', part_status_name(NEW));
+    RETURN NEW;
+  END IF;
+
+  -- Compare columns as JSON so numbers with a different scale (10 vs 10.00) are equal
+  FOR change IN
+    SELECT t.event_type, t.field
+    FROM (VALUES
+      ('cost', 'price'),
+      ('cost', 'quantity'),
+      ('cost', 'shipping'),
+      ('cost', 'duties'),
+      ('cost', 'tax'),
+      ('cost', 'discount'),
+      ('cost', 'core_charge'),
+      ('cost', 'core_refund'),
+      ('project', 'project_id'),
+      ('vehicle', 'vehicle_id'),
+      ('tracking', 'tracking'),
+      ('tracking', 'tracking_status')
+    ) AS t(event_type, field)
+    WHERE (to_jsonb(OLD) -> t.field) IS DISTINCT FROM (to_jsonb(NEW) -> t.field)
+  LOOP
+    INSERT INTO part_events (user_id, part_id, event_type, field, old_value, new_value)
+    VALUES (NEW.user_id, NEW.id, change.event_type, change.field, to_jsonb(OLD) ->> change.field, to_jsonb(NEW) ->> change.field);
+  END LOOP;
+
+  IF part_status_name(OLD) IS DISTINCT FROM part_status_name(NEW) THEN
+    INSERT INTO part_events (user_id, part_id, event_type, field, old_value, new_value)
+    VALUES (NEW.user_id, NEW.id, 'status', 'status', part_status_name(OLD), part_status_name(NEW));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS log_part_events ON parts;
+
+CREATE TRIGGER log_part_events
+AFTER INSERT OR UPDATE ON parts
+FOR EACH ROW
+EXECUTE FUNCTION public.log_part_events();
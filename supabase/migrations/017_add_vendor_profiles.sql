@@ -0,0 +1,48 @@
+-- =============================================
+-- Migration: Add vendor profiles
+-- =============================================
+-- Vendors held just a name and a badge color. They now also keep the
+-- details needed when ordering from them: website, a search URL for part
+-- numbers, contact email and phone, our account/customer number with them,
+-- notes, and a default shipping cost and currency that prefill new parts.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Add profile columns to vendors
+-- =============================================
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS website TEXT;
+
+-- Search page URL with {part} where the part number goes,
+-- e.g. https://www.rockauto.com/en/partsearch/?partnum={part}
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS search_url TEXT;
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS email TEXT;
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS phone TEXT;
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS account_number TEXT;
+
+-- Prefilled on new parts from this vendor (NULL = no default)
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS default_shipping NUMERIC(10, 2);
+
+-- ISO 4217 code prefilled on new parts (NULL = user's home currency)
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS default_currency TEXT;
+
+ALTER TABLE vendors
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- =============================================
+-- STEP 2: Allow vendors without a color
+-- =============================================
+
+-- A vendor can get a profile before anyone picks a badge color for it
+ALTER TABLE vendors
+ALTER COLUMN color DROP NOT NULL;
@@ -0,0 +1,45 @@
+-- =============================================
+-- Migration: Part number cross-references
+-- =============================================
+-- Part numbers are free text on parts and on the vehicle maintenance
+-- fields (oil_filter, air_filter, fuel_filter), e.g. "Wix 51067". A
+-- cross-reference records that an OEM number and an aftermarket number
+-- are the same part, so the app can list known equivalents and where any
+-- of them were bought before. Numbers are matched ignoring case, spaces
+-- and punctuation, so "90915-YZZD1" and "90915yzzd1" are the same.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create part_cross_references table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.part_cross_references (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  oem_brand TEXT,
+  oem_number TEXT NOT NULL CHECK (char_length(trim(oem_number)) > 0),
+  aftermarket_brand TEXT,
+  aftermarket_number TEXT NOT NULL CHECK (char_length(trim(aftermarket_number)) > 0),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_part_cross_references_user_id ON part_cross_references(user_id);
+
+-- =============================================
+-- STEP 2: Row level security
+-- =============================================
+
+ALTER TABLE part_cross_references ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own part_cross_references" ON part_cross_references
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own part_cross_references" ON part_cross_references
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own part_cross_references" ON part_cross_references
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own part_cross_references" ON part_cross_references
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,48 @@
+-- =============================================
+-- Migration: Vehicle running expenses
+-- =============================================
+-- Insurance premiums, registration fees and fuel fill-ups for a vehicle.
+-- Together with the purchase price, part spend and service costs they
+-- make up the vehicle's total cost of ownership. Amounts are in the
+-- user's home currency, like service event costs. An expense can carry
+-- the odometer reading at the time (typically a fuel fill-up), which
+-- adds to the odometer history used for cost per km/mile.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create vehicle_expenses table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.vehicle_expenses (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  vehicle_id BIGINT NOT NULL REFERENCES vehicles(id) ON DELETE CASCADE,
+  category TEXT NOT NULL CHECK (category IN ('insurance', 'registration', 'fuel')),
+  amount NUMERIC(10,2) NOT NULL CHECK (amount >= 0),
+  expense_date DATE NOT NULL,
+  -- Odometer reading at the time, in the vehicle's odometer unit
+  odometer INTEGER CHECK (odometer IS NULL OR odometer >= 0),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vehicle_expenses_user_id ON vehicle_expenses(user_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_expenses_vehicle_id ON vehicle_expenses(vehicle_id);
+
+-- =============================================
+-- STEP 2: Row level security
+-- =============================================
+
+ALTER TABLE vehicle_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own vehicle_expenses" ON vehicle_expenses
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own vehicle_expenses" ON vehicle_expenses
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own vehicle_expenses" ON vehicle_expenses
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own vehicle_expenses" ON vehicle_expenses
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,28 @@
+-- =============================================
+-- Migration: Tracking providers
+-- =============================================
+-- Shipment tracking goes through a pluggable provider (Ship24, or the
+-- mock provider for offline development). Users can pick a default
+-- provider and override it per carrier; parts record which provider
+-- their tracking data came from. parts.ship24_id keeps holding the
+-- provider's tracker ID.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Provider choices on user_settings
+-- =============================================
+
+-- Default provider for the user (NULL = server default)
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS tracking_provider TEXT;
+
+-- Per-carrier overrides, e.g. { "UPS": "ship24" }
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS tracking_carrier_providers JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- =============================================
+-- STEP 2: Provider on parts
+-- =============================================
+
+ALTER TABLE parts
+ADD COLUMN IF NOT EXISTS tracking_provider TEXT;
@@ -0,0 +1,25 @@
+-- =============================================
+-- Migration: Auto-advance part status from tracking
+-- =============================================
+-- When a tracking refresh or webhook reports a package delivered, the
+-- part is marked delivered; when the carrier has the label or the
+-- package is in transit, a purchased part is marked shipped. Users can
+-- turn this off. The status change is written in the same update as
+-- the tracking data, so the history trigger can record it as coming
+-- from tracking (see migration 031).
+-- =============================================
+
+-- =============================================
+-- STEP 1: Setting on user_settings
+-- =============================================
+
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS tracking_auto_advance BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- =============================================
+-- STEP 2: Source of history rows
+-- =============================================
+
+-- 'tracking' for status changes made by carrier tracking, NULL otherwise
+ALTER TABLE part_events
+ADD COLUMN IF NOT EXISTS source TEXT;
@@ -0,0 +1,34 @@
+-- =============================================
+-- Migration: Scheduled tracking refresh log
+-- =============================================
+-- GET /api/tracking/refresh, called by a scheduler, refreshes stale
+-- tracking for every user. Each run records a summary here so the job
+-- can be monitored. Only the job (service role) reads and writes it.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Create tracking_refresh_runs table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.tracking_refresh_runs (
+  id BIGSERIAL PRIMARY KEY,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  -- rate_limited: the provider kept refusing calls and the run stopped early
+  status TEXT NOT NULL CHECK (status IN ('completed', 'rate_limited', 'failed')),
+  users INTEGER NOT NULL DEFAULT 0,
+  -- Shipments due for a refresh (an order counts once)
+  shipments INTEGER NOT NULL DEFAULT 0,
+  updated INTEGER NOT NULL DEFAULT 0,
+  -- Parts marked shipped or delivered from tracking
+  advanced INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  -- Left for the next run (per-run cap or rate limit)
+  skipped INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracking_refresh_runs_started_at ON tracking_refresh_runs(started_at DESC);
+
+-- No policies: users cannot see the log, the service role bypasses RLS
+ALTER TABLE tracking_refresh_runs ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,83 @@
+-- =============================================
+-- Migration: Delivery notifications
+-- =============================================
+-- When the tracking webhook moves a part to Out for Delivery, Delivered,
+-- Delivery Attempt Failed or Exception, its owner is told by web push
+-- and/or email, per their preferences. Browsers subscribed to push are
+-- stored in push_subscriptions; every notification sent (or failed) is
+-- recorded in notification_log. The webhook writes with the service
+-- role, so users only need to read the log.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Preferences on user_settings
+-- =============================================
+
+-- Channels per tracking status, e.g. { "Delivered": { "push": true, "email": true } }
+-- (statuses left out use the app's defaults)
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS delivery_notifications JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Address for email notifications (NULL = the account's email)
+ALTER TABLE user_settings
+ADD COLUMN IF NOT EXISTS notification_email TEXT;
+
+-- =============================================
+-- STEP 2: Create push_subscriptions table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.push_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- Push service URL of one browser profile
+  endpoint TEXT NOT NULL,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Per user, so several accounts can get push on a shared browser
+  UNIQUE (user_id, endpoint)
+);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own push_subscriptions" ON push_subscriptions
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own push_subscriptions" ON push_subscriptions
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own push_subscriptions" ON push_subscriptions
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own push_subscriptions" ON push_subscriptions
+  FOR DELETE USING (auth.uid() = user_id);
+
+-- =============================================
+-- STEP 3: Create notification_log table
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.notification_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  part_id BIGINT REFERENCES parts(id) ON DELETE SET NULL,
+  tracking_status TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('push', 'email')),
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  -- Email address, or the number of browsers for push
+  recipient TEXT,
+  title TEXT NOT NULL,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_log_user_id ON notification_log(user_id, created_at DESC);
+
+ALTER TABLE notification_log ENABLE ROW LEVEL SECURITY;
+
+-- Written by the webhook with the service role; users read and clear their own
+CREATE POLICY "Users can view own notification_log" ON notification_log
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own notification_log" ON notification_log
+  FOR DELETE USING (auth.uid() = user_id);
@@ -0,0 +1,56 @@
+-- =============================================
+-- Migration: Convert home currency amounts
+-- =============================================
+-- Parts carry their own currency and exchange rate, but project budgets,
+-- service event costs, vehicle purchase prices and running expenses are
+-- entered in the user's home currency. When the home currency changes
+-- they are converted at one rate, all in a single transaction, so no
+-- table is left in the old currency. Order costs are in the currency of
+-- their parts and are left alone.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Conversion function
+-- =============================================
+
+-- p_rate: new home currency units per 1 unit of the old one
+CREATE OR REPLACE FUNCTION public.convert_home_currency_amounts(p_rate NUMERIC)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_rate IS NULL OR p_rate <= 0 THEN
+    RAISE EXCEPTION 'Exchange rate must be a positive number';
+  END IF;
+
+  UPDATE projects
+  SET budget = ROUND(budget * p_rate, 2)
+  WHERE user_id = current_user_id AND budget IS NOT NULL;
+
+  UPDATE service_events
+  SET cost = ROUND(cost * p_rate, 2)
+  WHERE user_id = current_user_id AND cost IS NOT NULL;
+
+  UPDATE vehicles
+  SET purchase_price = ROUND(purchase_price * p_rate, 2)
+  WHERE user_id = current_user_id AND purchase_price IS NOT NULL;
+
+  UPDATE vehicle_expenses
+  SET amount = ROUND(amount * p_rate, 2)
+  WHERE user_id = current_user_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.convert_home_currency_amounts(NUMERIC) TO authenticated;
+
+COMMENT ON FUNCTION public.convert_home_currency_amounts(NUMERIC) IS
+  'Converts the current user''s home currency amounts (project budgets, service
+   event costs, vehicle purchase prices and running expenses) at one rate.';
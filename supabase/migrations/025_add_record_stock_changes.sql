@@ -0,0 +1,65 @@
+-- =============================================
+-- Migration: Record stock changes in one transaction
+-- =============================================
+-- A stock change sets a part's quantity_on_hand and records an
+-- inventory_events row. Both now happen in one function call, so a
+-- failure part way through leaves neither the stock nor the history
+-- changed. Runs as the caller, so the usual RLS policies apply.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Stock change function
+-- =============================================
+
+-- p_changes: [{ part_id, quantity_on_hand, quantity_change, reason,
+--   service_event_id, project_id, todo_id, note }]
+CREATE OR REPLACE FUNCTION public.record_stock_changes(p_changes JSONB)
+RETURNS SETOF public.inventory_events
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  change JSONB;
+  new_event public.inventory_events;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  FOR change IN SELECT * FROM jsonb_array_elements(p_changes)
+  LOOP
+    UPDATE parts
+    SET quantity_on_hand = (change->>'quantity_on_hand')::INTEGER
+    WHERE id = (change->>'part_id')::BIGINT AND user_id = current_user_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Part % not found', change->>'part_id';
+    END IF;
+
+    INSERT INTO inventory_events (
+      user_id, part_id, quantity_change, reason, service_event_id, project_id, todo_id, note
+    )
+    VALUES (
+      current_user_id,
+      (change->>'part_id')::BIGINT,
+      (change->>'quantity_change')::INTEGER,
+      change->>'reason',
+      (change->>'service_event_id')::BIGINT,
+      (change->>'project_id')::BIGINT,
+      change->>'todo_id',
+      change->>'note'
+    )
+    RETURNING * INTO new_event;
+
+    RETURN NEXT new_event;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_stock_changes(JSONB) TO authenticated;
+
+COMMENT ON FUNCTION public.record_stock_changes(JSONB) IS
+  'Sets quantity_on_hand on the current user''s parts and records an
+   inventory event for each change, all or nothing.';
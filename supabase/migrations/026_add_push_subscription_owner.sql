@@ -0,0 +1,79 @@
+-- =============================================
+-- Migration: One owner per push subscription
+-- =============================================
+-- A browser has one push endpoint, whichever account turned push on.
+-- Each endpoint now belongs to a single user: turning push on claims
+-- it from any account that used the browser before, so their delivery
+-- pushes stop showing up there. The app deletes the row on sign-out.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Unique endpoint
+-- =============================================
+
+-- Keep the newest row of each endpoint
+DELETE FROM push_subscriptions older
+USING push_subscriptions newer
+WHERE older.endpoint = newer.endpoint
+  AND (older.created_at, older.id) < (newer.created_at, newer.id);
+
+ALTER TABLE push_subscriptions
+DROP CONSTRAINT IF EXISTS push_subscriptions_user_id_endpoint_key;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'push_subscriptions_endpoint_key'
+  ) THEN
+    ALTER TABLE push_subscriptions ADD CONSTRAINT push_subscriptions_endpoint_key UNIQUE (endpoint);
+  END IF;
+END;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+-- =============================================
+-- STEP 2: Claim an endpoint
+-- =============================================
+
+-- Saves this browser's subscription for the current user, taking the
+-- endpoint over from another account (RLS hides other users' rows, hence
+-- SECURITY DEFINER)
+CREATE OR REPLACE FUNCTION public.claim_push_subscription(
+  p_endpoint TEXT,
+  p_p256dh TEXT,
+  p_auth TEXT,
+  p_user_agent TEXT
+)
+RETURNS public.push_subscriptions
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  saved public.push_subscriptions;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+  VALUES (current_user_id, p_endpoint, p_p256dh, p_auth, p_user_agent)
+  ON CONFLICT (endpoint) DO UPDATE
+  SET user_id = EXCLUDED.user_id,
+      p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      user_agent = EXCLUDED.user_agent,
+      created_at = NOW()
+  RETURNING * INTO saved;
+
+  RETURN saved;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.claim_push_subscription(TEXT, TEXT, TEXT, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION public.claim_push_subscription(TEXT, TEXT, TEXT, TEXT) IS
+  'Saves a browser push subscription for the current user, re-assigning the
+   endpoint if another account had it.';
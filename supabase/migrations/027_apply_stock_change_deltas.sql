@@ -0,0 +1,65 @@
+-- =============================================
+-- Migration: Apply stock changes as deltas
+-- =============================================
+-- record_stock_changes used to set quantity_on_hand to a count worked
+-- out in the browser, so two tabs (or the app and the API) changing the
+-- same part could overwrite each other. It now adds each change's
+-- quantity_change to the stored count. A NULL count means the part is
+-- untouched since delivery, so the purchased quantity is on hand.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Stock change function
+-- =============================================
+
+-- p_changes: [{ part_id, quantity_change, reason, service_event_id,
+--   project_id, todo_id, note }]
+CREATE OR REPLACE FUNCTION public.record_stock_changes(p_changes JSONB)
+RETURNS SETOF public.inventory_events
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  change JSONB;
+  new_event public.inventory_events;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  FOR change IN SELECT * FROM jsonb_array_elements(p_changes)
+  LOOP
+    UPDATE parts
+    SET quantity_on_hand = COALESCE(quantity_on_hand, NULLIF(quantity, 0), 1)
+      + (change->>'quantity_change')::INTEGER
+    WHERE id = (change->>'part_id')::BIGINT AND user_id = current_user_id;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Part % not found', change->>'part_id';
+    END IF;
+
+    INSERT INTO inventory_events (
+      user_id, part_id, quantity_change, reason, service_event_id, project_id, todo_id, note
+    )
+    VALUES (
+      current_user_id,
+      (change->>'part_id')::BIGINT,
+      (change->>'quantity_change')::INTEGER,
+      change->>'reason',
+      (change->>'service_event_id')::BIGINT,
+      (change->>'project_id')::BIGINT,
+      change->>'todo_id',
+      change->>'note'
+    )
+    RETURNING * INTO new_event;
+
+    RETURN NEXT new_event;
+  END LOOP;
+END;
+$$;
+
+COMMENT ON FUNCTION public.record_stock_changes(JSONB) IS
+  'Adds each change to quantity_on_hand of the current user''s parts and records
+   an inventory event for it, all or nothing.';
@@ -0,0 +1,47 @@
+-- =============================================
+-- Migration: Change the home currency in one call
+-- =============================================
+-- The home currency setting used to be saved before its amounts were
+-- converted, so a failed conversion left budgets and costs in the old
+-- currency under the new one. change_home_currency saves the setting
+-- and converts the amounts (convert_home_currency_amounts) in the same
+-- transaction.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Change function
+-- =============================================
+
+-- p_rate: new home currency units per 1 unit of the old one
+CREATE OR REPLACE FUNCTION public.change_home_currency(p_currency TEXT, p_rate NUMERIC)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_currency IS NULL OR p_currency !~ '^[A-Z]{3}$' THEN
+    RAISE EXCEPTION 'Currency must be a 3-letter code';
+  END IF;
+
+  INSERT INTO user_settings (user_id, home_currency, updated_at)
+  VALUES (current_user_id, p_currency, NOW())
+  ON CONFLICT (user_id) DO UPDATE
+  SET home_currency = EXCLUDED.home_currency,
+      updated_at = EXCLUDED.updated_at;
+
+  PERFORM convert_home_currency_amounts(p_rate);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.change_home_currency(TEXT, NUMERIC) TO authenticated;
+
+COMMENT ON FUNCTION public.change_home_currency(TEXT, NUMERIC) IS
+  'Saves the current user''s home currency and converts their home currency
+   amounts at one rate, all or nothing.';
@@ -0,0 +1,63 @@
+-- =============================================
+-- Migration: Update several parts in one call
+-- =============================================
+-- Changes that touch many parts with different values (re-splitting an
+-- order's shared costs, bulk edits) were sent as one request per part,
+-- so a failure part way through left some parts changed and others not.
+-- update_parts_batch applies them all in one transaction. Runs as the
+-- caller, so the usual RLS policies apply.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Batch update function
+-- =============================================
+
+-- p_changes: [{ id, updates: { column: value, ... } }]
+CREATE OR REPLACE FUNCTION public.update_parts_batch(p_changes JSONB)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY INVOKER
+SET search_path = public
+AS $$
+DECLARE
+  current_user_id UUID := auth.uid();
+  change JSONB;
+  set_list TEXT;
+  updated_count INTEGER;
+BEGIN
+  IF current_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  FOR change IN SELECT * FROM jsonb_array_elements(p_changes)
+  LOOP
+    -- Each column takes its value from the updates, cast to the column's type
+    SELECT string_agg(format('%I = changed.%I', column_name, column_name), ', ')
+    INTO set_list
+    FROM jsonb_object_keys(change->'updates') AS column_name
+    WHERE column_name NOT IN ('id', 'user_id', 'created_at');
+
+    IF set_list IS NULL THEN
+      CONTINUE;
+    END IF;
+
+    EXECUTE format(
+      'UPDATE parts SET %s FROM jsonb_populate_record(NULL::parts, $1) AS changed
+       WHERE parts.id = $2 AND parts.user_id = $3',
+      set_list
+    )
+    USING change->'updates', (change->>'id')::BIGINT, current_user_id;
+
+    -- EXECUTE does not set FOUND
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    IF updated_count = 0 THEN
+      RAISE EXCEPTION 'Part % not found', change->>'id';
+    END IF;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.update_parts_batch(JSONB) TO authenticated;
+
+COMMENT ON FUNCTION public.update_parts_batch(JSONB) IS
+  'Applies per-part column updates to the current user''s parts, all or nothing.';
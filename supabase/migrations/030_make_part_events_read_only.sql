@@ -0,0 +1,16 @@
+-- =============================================
+-- Migration: Read-only part history
+-- =============================================
+-- part_events rows are written by the trigger on parts, which runs as
+-- its owner (SECURITY DEFINER), and go when their part is deleted.
+-- Users could also insert and delete their own rows directly, letting
+-- them forge or erase history; those policies are dropped so the
+-- history can only be read.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Drop write policies
+-- =============================================
+
+DROP POLICY IF EXISTS "Users can insert own part_events" ON part_events;
+DROP POLICY IF EXISTS "Users can delete own part_events" ON part_events;
@@ -0,0 +1,64 @@
+-- =============================================
+-- Migration: Tag status changes made by tracking
+-- =============================================
+-- Migration 021 added part_events.source. The history trigger now fills
+-- it in: a status change written in the same update as new tracking
+-- data is tagged 'tracking', so the part history can show that the
+-- carrier, not the user, moved the part along.
+-- =============================================
+
+-- =============================================
+-- STEP 1: Record the source of status changes
+-- =============================================
+
+-- Same as migration 016, except a status change made in the same update
+-- as new tracking data (tracking_updated_at changed) is tagged 'tracking'
+CREATE OR REPLACE FUNCTION public.log_part_events()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  change RECORD;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO part_events (user_id, part_id, event_type, field, new_value)
+    VALUES (NEW.user_id, NEW.id, 'created', 'status', part_status_name(NEW));
+    RETURN NEW;
+  END IF;
+
+  -- Compare columns as JSON so numbers with a different scale (10 vs 10.00) are equal
+  FOR change IN
+    SELECT t.event_type, t.field
+    FROM (VALUES
+      ('cost', 'price'),
+      ('cost', 'quantity'),
+      ('cost', 'shipping'),
+      ('cost', 'duties'),
+      ('cost', 'tax'),
+      ('cost', 'discount'),
+      ('cost', 'core_charge'),
+      ('cost', 'core_refund'),
+      ('project', 'project_id'),
+      ('vehicle', 'vehicle_id'),
+      ('tracking', 'tracking'),
+      ('tracking', 'tracking_status')
+    ) AS t(event_type, field)
+    WHERE (to_jsonb(OLD) -> t.field) IS DISTINCT FROM (to_jsonb(NEW) -> t.field)
+  LOOP
+    INSERT INTO part_events (user_id, part_id, event_type, field, old_value, new_value)
+    VALUES (NEW.user_id, NEW.id, change.event_type, change.field, to_jsonb(OLD) ->> change.field, to_jsonb(NEW) ->> change.field);
+  END LOOP;
+
+  IF part_status_name(OLD) IS DISTINCT FROM part_status_name(NEW) THEN
+    INSERT INTO part_events (user_id, part_id, event_type, field, old_value, new_value, source)
+    VALUES (
+      NEW.user_id, NEW.id, 'status', 'status', part_status_name(OLD), part_status_name(NEW),
+      CASE WHEN OLD.tracking_updated_at IS DISTINCT FROM NEW.tracking_updated_at THEN 'tracking' END
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,85 @@
+// ========================================
+// API TOKEN UTILITIES
+// ========================================
+
+// Prefix used to tell personal API tokens apart from Supabase session JWTs
+export const API_TOKEN_PREFIX = 'shako_pat_';
+
+/**
+ * Scopes that can be granted to a personal API token
+ * Session-authenticated requests implicitly have every scope
+ */
+export const API_TOKEN_SCOPES = [
+  {
+    id: 'read',
+    label: 'Read-only',
+    description: 'List and view parts, projects, vehicles and service events'
+  },
+  {
+    id: 'parts:write',
+    label: 'Parts write',
+    description: 'Create, update and delete parts and their tracking'
+  },
+  {
+    id: 'projects:write',
+    label: 'Projects write',
+    description: 'Create, update and delete projects'
+  },
+  {
+    id: 'vehicles:write',
+    label: 'Vehicles write',
+    description: 'Create, update and delete vehicles and service events'
+  }
+];
+
+export const ALL_API_SCOPES = API_TOKEN_SCOPES.map(scope => scope.id);
+
+/**
+ * Check whether a bearer token is a personal API token
+ * @param {string} token - Raw bearer token
+ * @returns {boolean} True if the token has the personal token prefix
+ */
+export const isApiToken = (token) => {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+};
+
+/**
+ * Check whether a set of granted scopes includes a required scope
+ * @param {Array<string>} scopes - Granted scopes
+ * @param {string} requiredScope - Scope needed for the operation
+ * @returns {boolean} True if the scope is granted
+ */
+export const hasApiScope = (scopes, requiredScope) => {
+  return Array.isArray(scopes) && scopes.includes(requiredScope);
+};
+
+/**
+ * Generate a new random personal API token (browser)
+ * @returns {string} Plaintext token, e.g. shako_pat_3f9a...
+ */
+export const generateApiToken = () => {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  const random = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${API_TOKEN_PREFIX}${random}`;
+};
+
+/**
+ * Hash a token with SHA-256 (browser)
+ * Must produce the same hex digest as the server-side check in lib/supabaseServer.js
+ * @param {string} token - Plaintext token
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+export const hashApiToken = async (token) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Get the short, non-secret prefix shown in the token list
+ * @param {string} token - Plaintext token
+ * @returns {string} Display prefix
+ */
+export const getApiTokenDisplayPrefix = (token) => {
+  return token.slice(0, API_TOKEN_PREFIX.length + 6);
+};
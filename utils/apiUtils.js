@@ -0,0 +1,559 @@
+import { NextResponse } from 'next/server';
+import { authenticateRequest } from '../lib/supabaseServer';
+import { validatePartCosts, validateCurrency, validateOdometer, validateYear } from './validationUtils';
+import { hasApiScope } from './apiTokenUtils';
+import { isValidCurrencyCode } from './currencyUtils';
+import { RETURN_STATUSES, isReturnStatus, isRefundWithinTotal } from './returnUtils';
+import { getStatusDateChanges } from './partDateUtils';
+import { getServiceEventStockChanges } from './inventoryUtils';
+
+// ========================================
+// REST API UTILITIES
+// ========================================
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+// Writable columns per resource (user_id, id and timestamps are managed server-side)
+export const PART_API_FIELDS = [
+  'part',
+  'part_number',
+  'vendor',
+  'price',
+  'shipping',
+  'duties',
+  'tax',
+  'tax_rate',
+  'discount',
+  'core_charge',
+  'core_refund',
+  'currency',
+  'exchange_rate',
+  'exchange_rate_date',
+  'quantity',
+  'tracking',
+  'project_id',
+  'vehicle_id',
+  'order_id',
+  'archived',
+  'purchased',
+  'shipped',
+  'delivered',
+  'return_status',
+  'rma_number',
+  'return_tracking',
+  'refund_amount',
+  'refunded_at',
+  'quantity_on_hand',
+  'storage_location',
+  'installed',
+  'installed_at',
+  'installed_odometer',
+  'install_notes',
+  'warranty_months',
+  'warranty_expires_at',
+  'warranty_terms',
+  'warranty_document_id'
+];
+
+export const PROJECT_API_FIELDS = [
+  'name',
+  'description',
+  'budget',
+  'priority',
+  'vehicle_id',
+  'todos',
+  'archived',
+  'paused',
+  'display_order'
+];
+
+// Images are managed through storage uploads, so they are not writable through the API
+export const VEHICLE_API_FIELDS = [
+  'nickname',
+  'name',
+  'make',
+  'year',
+  'license_plate',
+  'vin',
+  'odometer_range',
+  'odometer_unit',
+  'purchase_price',
+  'purchase_date',
+  'color',
+  'archived',
+  'display_order',
+  'fuel_filter',
+  'air_filter',
+  'oil_filter',
+  'oil_type',
+  'oil_capacity',
+  'oil_brand',
+  'drain_plug',
+  'battery',
+  'insurance_policy',
+  'fuel_type'
+];
+
+export const SERVICE_EVENT_API_FIELDS = [
+  'event_date',
+  'description',
+  'odometer',
+  'notes',
+  'linked_part_ids',
+  'cost'
+];
+
+// Columns that link to another of the user's records, and the table each points to
+export const PART_LINK_FIELDS = {
+  project_id: 'projects',
+  vehicle_id: 'vehicles',
+  order_id: 'orders'
+};
+
+export const PROJECT_LINK_FIELDS = {
+  vehicle_id: 'vehicles'
+};
+
+// Part status names mapped to the boolean columns stored in the parts table
+export const PART_STATUS_FLAGS = {
+  installed: { installed: true, delivered: true, shipped: true, purchased: true },
+  delivered: { installed: false, delivered: true, shipped: true, purchased: true },
+  shipped: { installed: false, delivered: false, shipped: true, purchased: true },
+  purchased: { installed: false, delivered: false, shipped: false, purchased: true },
+  pending: { installed: false, delivered: false, shipped: false, purchased: false }
+};
+
+/**
+ * Build a JSON error response
+ * @param {string} message - Error message returned to the caller
+ * @param {number} status - HTTP status code
+ * @returns {NextResponse} JSON response
+ */
+export const apiError = (message, status = 400) => {
+  return NextResponse.json({ error: message }, { status });
+};
+
+/**
+ * Build a 403 response if the caller lacks a scope
+ * Session-authenticated callers have every scope; personal API tokens
+ * only have the scopes chosen when the token was created
+ * @param {Object} auth - Result of authenticateRequest
+ * @param {string} scope - Required scope
+ * @returns {NextResponse|null} Error response, or null if allowed
+ */
+export const requireApiScope = (auth, scope) => {
+  if (auth.authMethod === 'token' && !hasApiScope(auth.scopes, scope)) {
+    return apiError(`API token is missing the required scope: ${scope}`, 403);
+  }
+  return null;
+};
+
+/**
+ * Wrap a route handler with authentication, scope checks and error handling
+ * The handler receives ({ request, supabase, user, params })
+ * @param {Function} handler - Async route handler
+ * @param {Object} options - Options
+ * @param {string} options.scope - Scope required for this handler (e.g. 'read', 'parts:write')
+ * @returns {Function} Next.js route handler
+ */
+export const withApiAuth = (handler, { scope = 'read' } = {}) => {
+  return async (request, context = {}) => {
+    try {
+      const auth = await authenticateRequest(request);
+
+      if (!auth.user) {
+        return apiError('Authentication required', 401);
+      }
+
+      const scopeError = requireApiScope(auth, scope);
+      if (scopeError) return scopeError;
+
+      const params = context.params ? await context.params : {};
+      return await handler({ request, supabase: auth.supabase, user: auth.user, params });
+    } catch (error) {
+      // Database and runtime messages stay in the server log
+      console.error(`API error (${request.method} ${new URL(request.url).pathname}):`, error);
+      return apiError('Internal server error', 500);
+    }
+  };
+};
+
+/**
+ * Parse a numeric route ID
+ * @param {string} id - Raw route parameter
+ * @returns {number|null} Parsed ID or null if invalid
+ */
+export const parseId = (id) => {
+  const parsed = parseInt(id, 10);
+  return isNaN(parsed) || parsed < 1 ? null : parsed;
+};
+
+/**
+ * Parse limit/offset pagination from query params
+ * @param {URLSearchParams} searchParams - Request query params
+ * @returns {{ limit: number, offset: number }} Sanitized pagination
+ */
+export const parsePagination = (searchParams) => {
+  const limit = parseInt(searchParams.get('limit'), 10);
+  const offset = parseInt(searchParams.get('offset'), 10);
+
+  return {
+    limit: isNaN(limit) || limit < 1 ? DEFAULT_PAGE_LIMIT : Math.min(limit, MAX_PAGE_LIMIT),
+    offset: isNaN(offset) || offset < 0 ? 0 : offset
+  };
+};
+
+/**
+ * Parse a boolean query param ('true'/'false')
+ * @param {URLSearchParams} searchParams - Request query params
+ * @param {string} name - Param name
+ * @returns {boolean|null} Parsed value or null when absent/invalid
+ */
+export const parseBooleanParam = (searchParams, name) => {
+  const value = searchParams.get(name);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return null;
+};
+
+/**
+ * Build a paginated list response
+ * @param {Array} data - Page of records
+ * @param {number} total - Total matching records
+ * @param {{ limit: number, offset: number }} pagination - Pagination used for the query
+ * @returns {NextResponse} JSON response
+ */
+export const paginatedResponse = (data, total, { limit, offset }) => {
+  return NextResponse.json({
+    data: data || [],
+    pagination: {
+      limit,
+      offset,
+      total: total ?? 0,
+      hasMore: offset + (data?.length || 0) < (total ?? 0)
+    }
+  });
+};
+
+/**
+ * Read a JSON request body, returning null for malformed input
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} Parsed body
+ */
+export const readJsonBody = async (request) => {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Keep only writable fields from a request body
+ * @param {Object} body - Request body
+ * @param {Array<string>} allowedFields - Writable column names
+ * @returns {Object} Filtered object
+ */
+export const pickFields = (body, allowedFields) => {
+  const picked = {};
+  for (const key of allowedFields) {
+    if (body[key] !== undefined) {
+      picked[key] = body[key];
+    }
+  }
+  return picked;
+};
+
+/**
+ * Check that the records a request links to belong to the caller
+ * Looked up with the caller's client, so records of other users are not found
+ * @param {Object} supabase - Caller's Supabase client
+ * @param {string} userId - Caller's user ID
+ * @param {Object} values - Prepared column values
+ * @param {Object} linkFields - Link columns mapped to their tables (e.g. PART_LINK_FIELDS)
+ * @returns {Promise<NextResponse|null>} Error response for the first bad link, or null if all are valid
+ */
+export const checkLinkedRecords = async (supabase, userId, values, linkFields) => {
+  for (const [column, table] of Object.entries(linkFields)) {
+    const value = values[column];
+    if (value === undefined || value === null) continue;
+
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) {
+      return apiError(`${column} must be a positive integer or null`);
+    }
+
+    const { data, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return apiError(`${column} ${id} not found`, 404);
+  }
+  return null;
+};
+
+/**
+ * Prepare part fields for insert/update
+ * Resolves a `status` name into status flags and recalculates the total
+ * whenever a cost field is present, using the same rules as the app
+ * @param {Object} body - Request body
+ * @param {Object|null} existingPart - Current part row (for partial updates)
+ * @returns {{ values: Object|null, error: string|null }} Prepared values or validation error
+ */
+export const preparePartFields = (body, existingPart = null) => {
+  const values = pickFields(body, PART_API_FIELDS);
+
+  if (body.status !== undefined) {
+    const flags = PART_STATUS_FLAGS[body.status];
+    if (!flags) {
+      return { values: null, error: `Invalid status. Expected one of: ${Object.keys(PART_STATUS_FLAGS).join(', ')}` };
+    }
+    Object.assign(values, flags);
+  }
+
+  // Date the status flags that turn on, and clear the dates of those that turn off
+  Object.assign(values, getStatusDateChanges(existingPart || {}, values).dates);
+
+  if (values.currency !== undefined && values.currency !== null) {
+    values.currency = String(values.currency).toUpperCase();
+    if (!isValidCurrencyCode(values.currency)) {
+      return { values: null, error: 'Invalid currency. Expected an ISO 4217 code such as USD or JPY' };
+    }
+  }
+  if (values.exchange_rate !== undefined && values.exchange_rate !== null && !(parseFloat(values.exchange_rate) > 0)) {
+    return { values: null, error: 'exchange_rate must be a positive number' };
+  }
+  if (values.return_status !== undefined && values.return_status !== null && !isReturnStatus(values.return_status)) {
+    return { values: null, error: `Invalid return_status. Expected null or one of: ${RETURN_STATUSES.map(option => option.value).join(', ')}` };
+  }
+  if (values.refund_amount !== undefined && !(parseFloat(values.refund_amount) >= 0)) {
+    return { values: null, error: 'refund_amount must be a non-negative number' };
+  }
+  if (values.quantity_on_hand !== undefined && values.quantity_on_hand !== null &&
+      !(Number.isInteger(Number(values.quantity_on_hand)) && Number(values.quantity_on_hand) >= 0)) {
+    return { values: null, error: 'quantity_on_hand must be a non-negative integer' };
+  }
+  if (values.installed_odometer !== undefined && values.installed_odometer !== null &&
+      !(Number.isInteger(Number(values.installed_odometer)) && Number(values.installed_odometer) >= 0)) {
+    return { values: null, error: 'installed_odometer must be a non-negative integer' };
+  }
+  if (values.warranty_months !== undefined && values.warranty_months !== null &&
+      !(Number.isInteger(Number(values.warranty_months)) && Number(values.warranty_months) > 0)) {
+    return { values: null, error: 'warranty_months must be a positive integer' };
+  }
+
+  const costFields = ['price', 'shipping', 'duties', 'tax', 'tax_rate', 'discount', 'core_charge', 'core_refund', 'quantity'];
+  if (!existingPart || costFields.some(field => values[field] !== undefined)) {
+    // Collect the first validation message instead of showing a toast
+    let validationError = null;
+    const collector = { warning: (message) => { validationError = message; } };
+    const costValidation = validatePartCosts({
+      price: values.price ?? existingPart?.price,
+      shipping: values.shipping ?? existingPart?.shipping,
+      duties: values.duties ?? existingPart?.duties,
+      tax: values.tax ?? existingPart?.tax,
+      // An explicit tax amount replaces a stored tax rate
+      taxRate: values.tax_rate !== undefined || values.tax !== undefined ? values.tax_rate : existingPart?.tax_rate,
+      discount: values.discount ?? existingPart?.discount,
+      coreCharge: values.core_charge ?? existingPart?.core_charge,
+      coreRefund: values.core_refund ?? existingPart?.core_refund,
+      quantity: values.quantity ?? existingPart?.quantity
+    }, collector);
+
+    if (!costValidation.isValid) {
+      return { values: null, error: validationError };
+    }
+
+    const { taxRate, coreCharge, coreRefund, ...amounts } = costValidation.values;
+    Object.assign(values, amounts, {
+      tax_rate: taxRate,
+      core_charge: coreCharge,
+      core_refund: coreRefund
+    });
+  }
+
+  // Checked against the recalculated total, so lowering the price can't leave a larger refund
+  const refundAmount = values.refund_amount !== undefined ? values.refund_amount : existingPart?.refund_amount;
+  const total = values.total !== undefined ? values.total : existingPart?.total;
+  if (refundAmount !== undefined && refundAmount !== null && !isRefundWithinTotal(refundAmount, total)) {
+    return { values: null, error: 'refund_amount cannot exceed the part total' };
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Check a value is a real calendar date in YYYY-MM-DD form
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isValidDateString = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Prepare vehicle fields for insert/update
+ * Validates the numeric, date and unit fields with the same limits as the app
+ * @param {Object} body - Request body
+ * @returns {{ values: Object|null, error: string|null }} Prepared values or validation error
+ */
+export const prepareVehicleFields = (body) => {
+  const values = pickFields(body, VEHICLE_API_FIELDS);
+
+  const integerFields = [
+    ['year', validateYear],
+    ['odometer_range', validateOdometer]
+  ];
+  for (const [field, validate] of integerFields) {
+    if (values[field] === undefined) continue;
+    const result = validate(values[field], field);
+    if (!result.isValid) return { values: null, error: result.error };
+    values[field] = result.value;
+  }
+
+  if (values.purchase_price !== undefined && values.purchase_price !== null) {
+    const priceResult = validateCurrency(values.purchase_price, 'purchase_price');
+    if (!priceResult.isValid) return { values: null, error: priceResult.error };
+    values.purchase_price = priceResult.value;
+  }
+  if (values.purchase_date !== undefined && values.purchase_date !== null && !isValidDateString(values.purchase_date)) {
+    return { values: null, error: 'purchase_date must be a date in YYYY-MM-DD form or null' };
+  }
+  if (values.odometer_unit !== undefined && !['km', 'mi'].includes(values.odometer_unit)) {
+    return { values: null, error: 'odometer_unit must be km or mi' };
+  }
+  if (values.archived !== undefined && typeof values.archived !== 'boolean') {
+    return { values: null, error: 'archived must be true or false' };
+  }
+  if (values.display_order !== undefined && values.display_order !== null &&
+      !(Number.isInteger(Number(values.display_order)) && Number(values.display_order) >= 0)) {
+    return { values: null, error: 'display_order must be a non-negative integer' };
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Prepare service event fields for insert/update
+ * Validates the date, odometer and cost, and normalizes linked_part_ids
+ * to unique part IDs (ownership is checked by checkLinkedParts)
+ * @param {Object} body - Request body
+ * @returns {{ values: Object|null, error: string|null }} Prepared values or validation error
+ */
+export const prepareServiceEventFields = (body) => {
+  const values = pickFields(body, SERVICE_EVENT_API_FIELDS);
+
+  if (values.event_date !== undefined && !isValidDateString(values.event_date)) {
+    return { values: null, error: 'event_date must be a date in YYYY-MM-DD form' };
+  }
+  if (values.description !== undefined && !String(values.description ?? '').trim()) {
+    return { values: null, error: 'description cannot be empty' };
+  }
+
+  if (values.odometer !== undefined) {
+    const odometerResult = validateOdometer(values.odometer, 'odometer');
+    if (!odometerResult.isValid) return { values: null, error: odometerResult.error };
+    values.odometer = odometerResult.value;
+  }
+
+  if (values.cost !== undefined && values.cost !== null) {
+    const costResult = validateCurrency(values.cost, 'cost');
+    if (!costResult.isValid) return { values: null, error: costResult.error };
+    values.cost = costResult.value;
+  }
+
+  if (values.linked_part_ids !== undefined && values.linked_part_ids !== null) {
+    const ids = Array.isArray(values.linked_part_ids) ? values.linked_part_ids.map(Number) : null;
+    if (!ids || !ids.every(id => Number.isInteger(id) && id > 0)) {
+      return { values: null, error: 'linked_part_ids must be an array of part IDs or null' };
+    }
+    values.linked_part_ids = ids.length > 0 ? [...new Set(ids)] : null;
+  }
+
+  return { values, error: null };
+};
+
+/**
+ * Check that every linked part belongs to the user
+ * @param {Object} supabase - Supabase client with the user's auth context
+ * @param {string} userId - User ID
+ * @param {Array<number>|null} partIds - Part IDs from prepareServiceEventFields
+ * @returns {Promise<NextResponse|null>} 404 response naming the missing parts, or null if all found
+ */
+export const checkLinkedParts = async (supabase, userId, partIds) => {
+  if (!partIds?.length) return null;
+
+  const { data, error } = await supabase
+    .from('parts')
+    .select('id')
+    .in('id', partIds)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  const found = new Set(data.map(part => part.id));
+  const missing = partIds.filter(id => !found.has(id));
+  return missing.length > 0 ? apiError(`linked_part_ids ${missing.join(', ')} not found`, 404) : null;
+};
+
+/**
+ * Take parts out of (or put them back into) stock as a service event's
+ * linked parts change, with the same rules as the app
+ * @param {Object} supabase - Supabase client with the user's auth context
+ * @param {string} userId - User ID
+ * @param {number} serviceEventId - Service event ID
+ * @param {Array<number>|null} linkedPartIds - Part IDs linked after the change
+ * @param {Array<number>|null} previousPartIds - Part IDs linked before the change
+ * @returns {Promise<void>}
+ */
+export const syncServiceEventStock = async (supabase, userId, serviceEventId, linkedPartIds, previousPartIds) => {
+  const linked = linkedPartIds || [];
+  const previous = previousPartIds || [];
+  const partIds = [...new Set([...linked, ...previous])];
+  if (partIds.length === 0) return;
+
+  const [partsResult, eventsResult] = await Promise.all([
+    supabase
+      .from('parts')
+      .select('id, delivered, installed, archived, return_status, quantity, quantity_on_hand')
+      .in('id', partIds)
+      .eq('user_id', userId),
+    supabase
+      .from('inventory_events')
+      .select('part_id, service_event_id, quantity_change')
+      .eq('service_event_id', serviceEventId)
+      .eq('user_id', userId)
+  ]);
+  if (partsResult.error) throw partsResult.error;
+  if (eventsResult.error) throw eventsResult.error;
+
+  // getQuantityOnHand reads the app's part format
+  const parts = partsResult.data.map(part => ({
+    id: part.id,
+    delivered: part.delivered,
+    installed: part.installed || false,
+    archived: part.archived || false,
+    returnStatus: part.return_status || null,
+    quantity: parseInt(part.quantity) || 1,
+    quantityOnHand: part.quantity_on_hand ?? null
+  }));
+  const changes = getServiceEventStockChanges(parts, eventsResult.data, serviceEventId, linked, previous);
+  if (changes.length === 0) return;
+
+  const { error } = await supabase.rpc('record_stock_changes', {
+    p_changes: changes.map(change => ({
+      part_id: change.part.id,
+      quantity_change: change.quantityChange,
+      reason: change.reason,
+      service_event_id: serviceEventId
+    }))
+  });
+  if (error) throw error;
+};
@@ -0,0 +1,51 @@
+// ========================================
+// CONCURRENCY UTILITIES
+// ========================================
+
+// Helpers for server jobs that call rate-limited APIs (tracking providers)
+// for many items: a worker pool that caps how many calls run at once, and
+// a limiter that spaces calls out over time. Combine with retryWithBackoff
+// in errorHandler.js to ride out temporary failures.
+
+/**
+ * Run an async worker over items with at most `concurrency` running at once
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {number} concurrency - Maximum workers running at once
+ * @returns {Promise<Array>} Worker results in item order
+ */
+export const runWithConcurrency = async (items, worker, concurrency = 1) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+  return results;
+};
+
+/**
+ * Create a limiter that spaces calls evenly to at most `perMinute` a minute
+ * Await the returned function before each call
+ * @param {number} perMinute - Calls allowed per minute
+ * @returns {Function} async () => void, resolving when the next call may start
+ */
+export const createRateLimiter = (perMinute) => {
+  const interval = 60000 / perMinute;
+  let nextSlot = 0;
+
+  return async () => {
+    const now = Date.now();
+    const wait = Math.max(0, nextSlot - now);
+    nextSlot = Math.max(now, nextSlot) + interval;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  };
+};
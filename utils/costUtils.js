@@ -0,0 +1,80 @@
+// ========================================
+// PART COST UTILITIES
+// ========================================
+
+// A part's total is:
+//   price × quantity + shipping + duties + tax - discount + coreCharge - coreRefund
+// Quantity only multiplies price; the other components are per-purchase amounts.
+
+// Cost components in display order (sign is how they count toward the total)
+export const PART_COST_COMPONENTS = [
+  { key: 'subtotal', label: 'Parts', sign: 1 },
+  { key: 'shipping', label: 'Shipping', sign: 1 },
+  { key: 'duties', label: 'Import Duties', sign: 1 },
+  { key: 'tax', label: 'Tax', sign: 1 },
+  { key: 'discount', label: 'Discounts', sign: -1 },
+  { key: 'coreCharge', label: 'Core Charges', sign: 1 },
+  { key: 'coreRefund', label: 'Core Refunds', sign: -1 }
+];
+
+/**
+ * Check whether a tax rate has been entered
+ * @param {string|number|null} taxRate - Tax percentage
+ * @returns {boolean} True if tax is entered as a percentage
+ */
+export const hasTaxRate = (taxRate) => {
+  return taxRate !== null && taxRate !== undefined && taxRate !== '';
+};
+
+/**
+ * Get the price × quantity subtotal of a part
+ * @param {Object} costs - { price, quantity }
+ * @returns {number} Subtotal
+ */
+export const getPartSubtotal = ({ price, quantity }) => {
+  return (parseFloat(price) || 0) * (parseInt(quantity) || 1);
+};
+
+/**
+ * Get the tax amount of a part
+ * A tax rate applies to the discounted subtotal and wins over an absolute amount
+ * @param {Object} costs - { price, quantity, discount, tax, taxRate }
+ * @returns {number} Tax amount, rounded to cents
+ */
+export const resolvePartTax = (costs) => {
+  if (!hasTaxRate(costs.taxRate)) {
+    return parseFloat(costs.tax) || 0;
+  }
+  const taxable = Math.max(0, getPartSubtotal(costs) - (parseFloat(costs.discount) || 0));
+  return Math.round(taxable * (parseFloat(costs.taxRate) || 0)) / 100;
+};
+
+/**
+ * Calculate a part's total from its costs
+ * @param {Object} costs - { price, quantity, shipping, duties, tax, taxRate, discount, coreCharge, coreRefund }
+ * @returns {number} Part total
+ */
+export const calculatePartTotal = (costs) => {
+  return getPartSubtotal(costs)
+    + (parseFloat(costs.shipping) || 0)
+    + (parseFloat(costs.duties) || 0)
+    + resolvePartTax(costs)
+    - (parseFloat(costs.discount) || 0)
+    + (parseFloat(costs.coreCharge) || 0)
+    - (parseFloat(costs.coreRefund) || 0);
+};
+
+/**
+ * Get each cost component of a part (tax resolved to an amount)
+ * @param {Object} part - Part (app format)
+ * @returns {Object} Map of PART_COST_COMPONENTS key to amount
+ */
+export const getPartCostComponents = (part) => ({
+  subtotal: getPartSubtotal(part),
+  shipping: parseFloat(part.shipping) || 0,
+  duties: parseFloat(part.duties) || 0,
+  tax: resolvePartTax(part),
+  discount: parseFloat(part.discount) || 0,
+  coreCharge: parseFloat(part.coreCharge) || 0,
+  coreRefund: parseFloat(part.coreRefund) || 0
+});
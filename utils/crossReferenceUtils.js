@@ -0,0 +1,120 @@
+import { getVendorSearchUrl } from './vendorProfileUtils';
+
+// ========================================
+// PART CROSS-REFERENCE UTILITIES
+// ========================================
+
+// Part numbers are free text such as "Wix 57254 (90915-30002)". A word with
+// a digit in it is a part number and the words in front of it are the
+// brand. Numbers match ignoring case, spaces and punctuation. A
+// cross-reference links an OEM number to an aftermarket number, and
+// equivalence carries through chains of them: if A = B and B = C, C shows
+// up as an equivalent of A.
+
+/**
+ * Reduce a part number to the form used for matching
+ * @param {string} number - Part number as entered
+ * @returns {string} Upper-case letters and digits only
+ */
+export const normalizePartNumber = (number) => {
+  return (number || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+};
+
+/**
+ * Pull the part numbers out of free text
+ * Parentheses, commas, semicolons and slashes separate numbers
+ * @param {string} text - e.g. "Wix 57254 (90915-30002)"
+ * @returns {Array<Object>} [{ brand, number, key }] where brand may be ''
+ *   and key is the normalized number
+ */
+export const parsePartNumbers = (text) => {
+  const numbers = [];
+  (text || '').split(/[(),;/]+/).forEach(segment => {
+    let brandWords = [];
+    segment.trim().split(/\s+/).filter(Boolean).forEach(word => {
+      if (!/\d/.test(word)) {
+        if (!/^(or|and)$/i.test(word)) brandWords.push(word);
+        return;
+      }
+      const key = normalizePartNumber(word);
+      if (key.length >= 3 && !numbers.some(n => n.key === key)) {
+        numbers.push({ brand: brandWords.join(' '), number: word, key });
+      }
+      brandWords = [];
+    });
+  });
+  return numbers;
+};
+
+/**
+ * Find the known equivalents of the part numbers in a piece of text
+ * @param {string} text - Part number text (part number or maintenance field)
+ * @param {Array} crossReferences - part_cross_references rows
+ * @returns {Array<Object>} [{ brand, number, key, kind, referenceId }] where kind is
+ *   'oem' or 'aftermarket' and referenceId is the cross-reference linking it
+ *   directly to the text (null when it is only linked through another equivalent)
+ */
+export const getPartNumberEquivalents = (text, crossReferences) => {
+  const startKeys = parsePartNumbers(text).map(n => n.key);
+  if (startKeys.length === 0) return [];
+
+  const sides = crossReferences.map(reference => ({
+    id: reference.id,
+    oem: { brand: reference.oem_brand || '', number: reference.oem_number, key: normalizePartNumber(reference.oem_number), kind: 'oem' },
+    aftermarket: { brand: reference.aftermarket_brand || '', number: reference.aftermarket_number, key: normalizePartNumber(reference.aftermarket_number), kind: 'aftermarket' }
+  }));
+
+  const seen = new Set(startKeys);
+  const equivalents = [];
+  let frontier = startKeys;
+  while (frontier.length > 0) {
+    const next = [];
+    sides.forEach(({ id, oem, aftermarket }) => {
+      [[oem, aftermarket], [aftermarket, oem]].forEach(([from, to]) => {
+        if (!frontier.includes(from.key) || seen.has(to.key)) return;
+        seen.add(to.key);
+        next.push(to.key);
+        equivalents.push({ ...to, referenceId: startKeys.includes(from.key) ? id : null });
+      });
+    });
+    frontier = next;
+  }
+  return equivalents;
+};
+
+/**
+ * Find ordered parts whose part number matches any of the given numbers
+ * @param {Array<string>} keys - Normalized part numbers
+ * @param {Array} parts - Parts (app format)
+ * @param {number|null} excludePartId - Part to leave out (the one being viewed)
+ * @returns {Array<Object>} Matching parts, most recently bought first
+ */
+export const getPartNumberPurchases = (keys, parts, excludePartId = null) => {
+  if (keys.length === 0) return [];
+  const purchaseDate = (part) => part.purchasedAt || part.createdAt || '';
+  return parts
+    .filter(part => part.id !== excludePartId && part.purchased && part.vendor)
+    .filter(part => parsePartNumbers(part.partNumber).some(n => keys.includes(n.key)))
+    .sort((a, b) => purchaseDate(b).localeCompare(purchaseDate(a)));
+};
+
+/**
+ * Build search links for a part number on every vendor with a search URL
+ * @param {Array} vendors - vendors rows
+ * @param {string} number - Part number
+ * @returns {Array<Object>} [{ vendor, url }]
+ */
+export const getPartNumberSearchLinks = (vendors, number) => {
+  return vendors
+    .map(vendor => ({ vendor: vendor.name, url: getVendorSearchUrl(vendor, number) }))
+    .filter(link => link.url);
+};
+
+/**
+ * Format a part number with its brand for display
+ * @param {Object} partNumber - { brand, number }
+ * @returns {string} e.g. "Wix 57254"
+ */
+export const formatPartNumber = ({ brand, number }) => {
+  return brand ? `${brand} ${number}` : number;
+};
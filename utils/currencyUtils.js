@@ -0,0 +1,229 @@
+import { getPartNetTotal } from './returnUtils';
+
+// ========================================
+// CURRENCY UTILITIES
+// ========================================
+
+export const DEFAULT_HOME_CURRENCY = 'USD';
+
+// Currencies offered in pickers (any ISO 4217 code works in formatting)
+export const CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'NZD', name: 'New Zealand Dollar' },
+  { code: 'CHF', name: 'Swiss Franc' },
+  { code: 'CNY', name: 'Chinese Yuan' },
+  { code: 'HKD', name: 'Hong Kong Dollar' },
+  { code: 'KRW', name: 'South Korean Won' },
+  { code: 'TWD', name: 'New Taiwan Dollar' },
+  { code: 'THB', name: 'Thai Baht' },
+  { code: 'SGD', name: 'Singapore Dollar' },
+  { code: 'SEK', name: 'Swedish Krona' },
+  { code: 'NOK', name: 'Norwegian Krone' },
+  { code: 'DKK', name: 'Danish Krone' },
+  { code: 'MXN', name: 'Mexican Peso' }
+];
+
+/**
+ * Check whether a string is a valid ISO 4217 currency code
+ * @param {string} code - Currency code
+ * @returns {boolean} True if Intl can format the code
+ */
+export const isValidCurrencyCode = (code) => {
+  if (!code || !/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency: code });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the number of minor-unit digits for a currency (JPY = 0, USD = 2)
+ * @param {string} code - Currency code
+ * @returns {number} Fraction digits
+ */
+export const getCurrencyDecimals = (code = DEFAULT_HOME_CURRENCY) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: code })
+      .resolvedOptions().maximumFractionDigits;
+  } catch (error) {
+    return 2;
+  }
+};
+
+/**
+ * Split an amount into symbol, whole and fraction parts for display
+ * @param {number} amount - Amount to format
+ * @param {string} code - Currency code
+ * @returns {{ symbol: string, whole: string, fraction: string }} Formatted parts
+ */
+export const getCurrencyParts = (amount, code = DEFAULT_HOME_CURRENCY) => {
+  const currency = code || DEFAULT_HOME_CURRENCY;
+  const decimals = getCurrencyDecimals(currency);
+  let symbol = currency;
+  try {
+    const symbolPart = new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      currencyDisplay: 'narrowSymbol'
+    }).formatToParts(0).find(part => part.type === 'currency');
+    if (symbolPart) symbol = symbolPart.value;
+  } catch (error) {
+    // Fall back to the bare code
+  }
+
+  const [whole, fraction = ''] = (amount ?? 0).toFixed(decimals).split('.');
+  return { symbol, whole, fraction };
+};
+
+/**
+ * Get the display symbol for a currency (e.g. "$", "¥", "€")
+ * @param {string} code - Currency code
+ * @returns {string} Currency symbol
+ */
+export const getCurrencySymbol = (code = DEFAULT_HOME_CURRENCY) => getCurrencyParts(0, code).symbol;
+
+/**
+ * Format an amount with its currency symbol (e.g. "$12.50", "¥1200")
+ * @param {number} amount - Amount to format
+ * @param {string} code - Currency code
+ * @returns {string} Formatted amount
+ */
+export const formatCurrency = (amount, code = DEFAULT_HOME_CURRENCY) => {
+  const { symbol, whole, fraction } = getCurrencyParts(amount, code);
+  const sign = whole.startsWith('-') ? '-' : '';
+  return `${sign}${symbol}${whole.replace('-', '')}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Check whether a part is priced in a currency other than the home currency
+ * @param {Object} part - Part (app format)
+ * @param {string} homeCurrency - User's home currency
+ * @returns {boolean} True if the part needs conversion
+ */
+export const isForeignCurrencyPart = (part, homeCurrency) => {
+  return !!part?.currency && part.currency !== homeCurrency;
+};
+
+/**
+ * Get the multiplier that converts a part's costs into the home currency
+ * Parts without a snapshotted rate are counted 1:1
+ * @param {Object} part - Part (app format)
+ * @returns {number} Exchange rate multiplier
+ */
+export const getPartExchangeRate = (part) => {
+  const rate = parseFloat(part?.exchangeRate);
+  return rate > 0 ? rate : 1;
+};
+
+/**
+ * Convert an amount in a part's currency into the home currency
+ * @param {number} amount - Amount in the part's currency
+ * @param {Object} part - Part (app format)
+ * @returns {number} Amount in the home currency
+ */
+export const toHomeCurrency = (amount, part) => {
+  return (amount || 0) * getPartExchangeRate(part);
+};
+
+/**
+ * Get a part's total in the home currency
+ * @param {Object} part - Part (app format)
+ * @returns {number} Converted total
+ */
+export const getPartHomeTotal = (part) => toHomeCurrency(part?.total, part);
+
+/**
+ * Get what a part actually cost in the home currency (total minus refunds)
+ * @param {Object} part - Part (app format)
+ * @returns {number} Converted net spend
+ */
+export const getPartHomeSpend = (part) => toHomeCurrency(getPartNetTotal(part), part);
+
+/**
+ * Check whether a foreign-currency part is missing its exchange rate snapshot
+ * @param {Object} part - Part (app format)
+ * @param {string} homeCurrency - User's home currency
+ * @returns {boolean} True if the part is foreign and has no rate
+ */
+export const isMissingExchangeRate = (part, homeCurrency) => {
+  return isForeignCurrencyPart(part, homeCurrency) && !(parseFloat(part.exchangeRate) > 0);
+};
+
+/**
+ * Find the exchange rate between two currencies for a date
+ * Uses the closest rate on or before the date, falling back to the earliest
+ * rate after it. Rates stored in the opposite direction are inverted.
+ * @param {Array} rates - exchange_rates rows { from_currency, to_currency, rate, rate_date }
+ * @param {string} fromCurrency - Currency being converted
+ * @param {string} toCurrency - Target currency
+ * @param {string} date - ISO date (YYYY-MM-DD or full timestamp)
+ * @returns {{ rate: number, rateDate: string }|null} Matching rate, or null if none
+ */
+export const findExchangeRate = (rates, fromCurrency, toCurrency, date) => {
+  if (!fromCurrency || !toCurrency) return null;
+  if (fromCurrency === toCurrency) return { rate: 1, rateDate: null };
+
+  const targetDate = (date || new Date().toISOString()).slice(0, 10);
+  const candidates = (rates || [])
+    .map(row => {
+      const rate = parseFloat(row.rate);
+      if (!(rate > 0)) return null;
+      if (row.from_currency === fromCurrency && row.to_currency === toCurrency) {
+        return { rate, rateDate: row.rate_date };
+      }
+      if (row.from_currency === toCurrency && row.to_currency === fromCurrency) {
+        return { rate: 1 / rate, rateDate: row.rate_date };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rateDate.localeCompare(b.rateDate));
+
+  if (candidates.length === 0) return null;
+
+  const onOrBefore = candidates.filter(c => c.rateDate <= targetDate);
+  return onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : candidates[0];
+};
+
+/**
+ * Parse an imported exchange rate table
+ * Accepts CSV or whitespace-separated lines of: date, from, to, rate
+ * (a header row is skipped). Example: 2025-03-01,JPY,USD,0.0067
+ * @param {string} text - Raw file or pasted text
+ * @returns {{ rows: Array, errors: Array<string> }} Parsed rows and per-line errors
+ */
+export const parseExchangeRateTable = (text) => {
+  const rows = [];
+  const errors = [];
+
+  (text || '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const [date, from, to, rateValue] = trimmed.split(/[,;\t ]+/);
+    if (index === 0 && isNaN(parseFloat(rateValue))) return; // Header row
+
+    const fromCurrency = (from || '').toUpperCase();
+    const toCurrency = (to || '').toUpperCase();
+    const rate = parseFloat(rateValue);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+      errors.push(`Line ${index + 1}: date must be YYYY-MM-DD`);
+    } else if (!isValidCurrencyCode(fromCurrency) || !isValidCurrencyCode(toCurrency)) {
+      errors.push(`Line ${index + 1}: unknown currency code`);
+    } else if (!(rate > 0)) {
+      errors.push(`Line ${index + 1}: rate must be a positive number`);
+    } else {
+      rows.push({ rate_date: date, from_currency: fromCurrency, to_currency: toCurrency, rate });
+    }
+  });
+
+  return { rows, errors };
+};
@@ -1,7 +1,17 @@
+import { getPartHomeTotal, getPartHomeSpend, toHomeCurrency } from './currencyUtils';
+import { getPartRefund } from './returnUtils';
+import { PART_COST_COMPONENTS, getPartCostComponents } from './costUtils';
+import { toLocalDay } from './partDateUtils';
+
 // ========================================
 // DATA UTILITIES
 // ========================================
 
+// All totals are in the user's home currency (part totals are converted
+// using each part's snapshotted exchange rate). Part totals already include
+// tax, discounts and core charges/refunds; spend totals also subtract refunds
+// for returned parts.
+
 // Get all part IDs that are linked to service events for a vehicle
 const getServiceLinkedPartIds = (vehicleId, serviceEvents) => {
   if (!serviceEvents) return new Set();
@@ -28,13 +38,13 @@ export const calculateVehicleTotalSpent = (vehicleId, projects, parts, serviceEv
     const projectParts = parts.filter(part =>
       part.projectId === project.id && !serviceLinkedPartIds.has(part.id)
     );
-    return sum + projectParts.reduce((partSum, part) => partSum + (part.total || 0), 0);
+    return sum + projectParts.reduce((partSum, part) => partSum + getPartHomeSpend(part), 0);
   }, 0);
 
   // Parts directly linked to vehicle (not through projects, excluding service-linked parts)
   const directPartsTotal = parts
     .filter(part => part.vehicleId === vehicleId && !part.projectId && !serviceLinkedPartIds.has(part.id))
-    .reduce((sum, part) => sum + (part.total || 0), 0);
+    .reduce((sum, part) => sum + getPartHomeSpend(part), 0);
 
   return projectPartsTotal + directPartsTotal;
 };
@@ -48,7 +58,7 @@ export const calculateServicePartsTotal = (vehicleId, parts, serviceEvents) => {
   // Sum of linked parts
   const partsTotal = parts
     .filter(part => serviceLinkedPartIds.has(part.id))
-    .reduce((sum, part) => sum + (part.total || 0), 0);
+    .reduce((sum, part) => sum + getPartHomeSpend(part), 0);
 
   // Sum of direct event costs
   const directCostsTotal = serviceEvents
@@ -62,5 +72,84 @@ export const calculateServicePartsTotal = (vehicleId, parts, serviceEvents) => {
 export const calculateProjectTotal = (projectId, parts) => {
   return parts
     .filter(part => part.projectId === projectId)
-    .reduce((sum, part) => sum + (part.total || 0), 0);
+    .reduce((sum, part) => sum + getPartHomeSpend(part), 0);
+};
+
+// Calculate a project's budget forecast. Spent is what ordered parts cost,
+// committed is what the parts not ordered yet will cost, and the forecast
+// (their sum) matches calculateProjectTotal
+export const calculateProjectForecast = (project, parts) => {
+  const projectParts = parts.filter(part => part.projectId === project.id);
+  const spent = projectParts
+    .filter(part => part.purchased)
+    .reduce((sum, part) => sum + getPartHomeSpend(part), 0);
+  const committed = projectParts
+    .filter(part => !part.purchased)
+    .reduce((sum, part) => sum + getPartHomeSpend(part), 0);
+  const budget = project.budget || 0;
+  const forecast = spent + committed;
+
+  return {
+    budget,
+    spent,
+    committed,
+    forecast,
+    remaining: budget - forecast,
+    isOverBudget: budget > 0 && forecast > budget
+  };
+};
+
+// Build a project's burn-down: the budget left after each day ordered parts
+// were bought, starting from the full budget the day before the first one.
+// Parts ordered before purchase dates were recorded count from the day they
+// were added; parts with neither date count from the first day.
+export const calculateProjectBurnDown = (project, parts) => {
+  const budget = project.budget || 0;
+  const spendByDay = {};
+  let undatedSpend = 0;
+
+  parts
+    .filter(part => part.projectId === project.id && part.purchased)
+    .forEach(part => {
+      const date = part.purchasedAt || part.createdAt;
+      if (!date) {
+        undatedSpend += getPartHomeSpend(part);
+        return;
+      }
+      const day = toLocalDay(date);
+      spendByDay[day] = (spendByDay[day] || 0) + getPartHomeSpend(part);
+    });
+
+  const days = Object.keys(spendByDay).sort();
+  if (days.length === 0) return [];
+
+  const start = new Date(`${days[0]}T00:00:00`);
+  start.setDate(start.getDate() - 1);
+  const points = [{ date: toLocalDay(start), spent: 0, remaining: budget }];
+
+  let spent = undatedSpend;
+  days.forEach(day => {
+    spent += spendByDay[day];
+    points.push({ date: day, spent, remaining: budget - spent });
+  });
+  return points;
+};
+
+// Sum each cost component (see PART_COST_COMPONENTS), the total, refunds and
+// net spend across parts
+export const calculateCostBreakdown = (parts) => {
+  const breakdown = { total: 0, refunds: 0, net: 0 };
+  PART_COST_COMPONENTS.forEach(({ key }) => { breakdown[key] = 0; });
+
+  parts.forEach(part => {
+    const components = getPartCostComponents(part);
+    PART_COST_COMPONENTS.forEach(({ key }) => {
+      breakdown[key] += toHomeCurrency(components[key], part);
+    });
+    breakdown.total += getPartHomeTotal(part);
+    breakdown.refunds += toHomeCurrency(getPartRefund(part), part);
+  });
+  breakdown.net = breakdown.total - breakdown.refunds;
+
+  return breakdown;
 };
@@ -0,0 +1,70 @@
+// ========================================
+// PARTS EXPORT UTILITIES
+// ========================================
+
+// Parts export to CSV with the same column names the CSV import
+// recognises, so an exported file can be imported again. Amounts are in
+// each part's own currency.
+
+const PART_EXPORT_COLUMNS = [
+  { label: 'Part Name', value: (part) => part.part },
+  { label: 'Part Number', value: (part) => part.partNumber },
+  { label: 'Vendor', value: (part) => part.vendor },
+  { label: 'Price', value: (part) => part.price },
+  { label: 'Quantity', value: (part) => part.quantity },
+  { label: 'Shipping', value: (part) => part.shipping },
+  { label: 'Import Duties', value: (part) => part.duties },
+  { label: 'Tax', value: (part) => part.tax },
+  { label: 'Tax Rate (%)', value: (part) => part.taxRate },
+  { label: 'Discount', value: (part) => part.discount },
+  { label: 'Core Charge', value: (part) => part.coreCharge },
+  { label: 'Core Refund', value: (part) => part.coreRefund },
+  { label: 'Total', value: (part) => part.total },
+  { label: 'Currency', value: (part, context) => part.currency || context.homeCurrency },
+  { label: 'Exchange Rate', value: (part) => part.exchangeRate },
+  { label: 'Tracking', value: (part) => part.tracking },
+  { label: 'Status', value: (part, context) => context.getStatusText(part) },
+  { label: 'Project', value: (part, context) => context.projects.find(p => p.id === part.projectId)?.name },
+  {
+    label: 'Vehicle',
+    value: (part, context) => {
+      const project = context.projects.find(p => p.id === part.projectId);
+      const vehicleId = project?.vehicle_id || part.vehicleId;
+      const vehicle = vehicleId ? context.vehicles.find(v => v.id === vehicleId) : null;
+      return vehicle ? (vehicle.nickname || vehicle.name) : '';
+    }
+  }
+];
+
+/**
+ * Quote a value for a CSV cell when it contains a comma, quote or line break
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const toCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV file of parts
+ * @param {Array} parts - Parts (app format)
+ * @param {Object} context - { projects, vehicles, homeCurrency, getStatusText }
+ * @returns {string} CSV text with a header row
+ */
+export const buildPartsCSV = (parts, context) => {
+  const rows = [
+    PART_EXPORT_COLUMNS.map(column => column.label),
+    ...parts.map(part => PART_EXPORT_COLUMNS.map(column => column.value(part, context)))
+  ];
+  return rows.map(row => row.map(toCSVCell).join(',')).join('\r\n');
+};
+
+/**
+ * Get a dated filename for a parts export
+ * @returns {string} e.g. "parts-2024-05-01.csv"
+ */
+export const getPartsExportFilename = () => {
+  return `parts-${new Date().toISOString().slice(0, 10)}.csv`;
+};
@@ -0,0 +1,88 @@
+// ========================================
+// PART INSTALLATION UTILITIES
+// ========================================
+
+// A delivered part is marked installed with the date, the odometer reading
+// at install and installer notes. Parts belong to a vehicle directly
+// (vehicleId) or through their project. Odometer readings are in the
+// vehicle's odometer unit.
+
+/**
+ * Parse an odometer reading
+ * @param {string|number} value - Reading as stored or entered (commas allowed)
+ * @returns {number|null} Whole reading, or null if blank or invalid
+ */
+export const parseOdometer = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseInt(String(value).replace(/[,\s]/g, ''), 10);
+  return isNaN(parsed) || parsed < 0 ? null : parsed;
+};
+
+/**
+ * Get the vehicle a part belongs to
+ * @param {Object} part - Part (app format)
+ * @param {Array} projects - Projects
+ * @returns {number|null} Vehicle ID from the part itself or its project
+ */
+export const getPartVehicleId = (part, projects = []) => {
+  if (part.vehicleId) return part.vehicleId;
+  const project = part.projectId ? projects.find(p => p.id === part.projectId) : null;
+  return project?.vehicle_id || null;
+};
+
+/**
+ * Get a vehicle's latest known odometer reading
+ * The higher of the vehicle's odometer and its latest service event reading
+ * @param {Object} vehicle - Vehicle
+ * @param {Array} serviceEvents - Service events (any vehicle)
+ * @returns {number|null} Current odometer, or null if never recorded
+ */
+export const getCurrentOdometer = (vehicle, serviceEvents = []) => {
+  if (!vehicle) return null;
+  const readings = [
+    parseOdometer(vehicle.odometer_range),
+    ...serviceEvents
+      .filter(event => event.vehicle_id === vehicle.id)
+      .map(event => parseOdometer(event.odometer))
+  ].filter(reading => reading !== null);
+  return readings.length > 0 ? Math.max(...readings) : null;
+};
+
+/**
+ * Get the distance driven since a part was installed
+ * @param {Object} part - Part (app format)
+ * @param {number|null} currentOdometer - Vehicle's current odometer
+ * @returns {number|null} Distance in the vehicle's unit, or null if unknown
+ */
+export const getDistanceSinceInstall = (part, currentOdometer) => {
+  if (!part?.installed || currentOdometer === null) return null;
+  const installedOdometer = parseOdometer(part.installedOdometer);
+  if (installedOdometer === null) return null;
+  return Math.max(0, currentOdometer - installedOdometer);
+};
+
+/**
+ * Get a vehicle's installed parts, most recent install first
+ * @param {number} vehicleId - Vehicle ID
+ * @param {Array} parts - Parts (app format)
+ * @param {Array} projects - Projects
+ * @returns {Array} Installed parts
+ */
+export const getInstalledParts = (vehicleId, parts, projects = []) => {
+  return parts
+    .filter(part => part.installed && getPartVehicleId(part, projects) === vehicleId)
+    .sort((a, b) =>
+      (b.installedAt || '').localeCompare(a.installedAt || '') ||
+      (parseOdometer(b.installedOdometer) || 0) - (parseOdometer(a.installedOdometer) || 0)
+    );
+};
+
+/**
+ * Format a distance with the vehicle's odometer unit
+ * @param {number} distance - Distance
+ * @param {string} unit - Vehicle odometer unit ('mi' or 'km')
+ * @returns {string} e.g. "12,400 km"
+ */
+export const formatDistance = (distance, unit) => {
+  return `${distance.toLocaleString()} ${unit === 'mi' ? 'mi' : 'km'}`;
+};
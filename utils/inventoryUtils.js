@@ -0,0 +1,141 @@
+// ========================================
+// PARTS INVENTORY UTILITIES
+// ========================================
+
+// Delivered parts are stock on hand. quantityOnHand stays null until the
+// stock first changes; until then the purchased quantity counts as on hand.
+// Parts are grouped into stock items by part number so repeat purchases of
+// the same spare share one count and one low-stock threshold.
+
+export const INVENTORY_REASON_LABELS = {
+  installed: 'Installed',
+  restocked: 'Restocked',
+  adjusted: 'Adjusted'
+};
+
+/**
+ * Normalize a part number for grouping and threshold lookups
+ * @param {string} partNumber - Part number as entered
+ * @returns {string} Trimmed, upper-case part number ('' for blanks and '-' placeholders)
+ */
+export const normalizePartNumber = (partNumber) => {
+  const normalized = (partNumber || '').trim().toUpperCase();
+  return /^-*$/.test(normalized) ? '' : normalized;
+};
+
+/**
+ * Check whether a part's stock has been counted or changed since delivery
+ * @param {Object} part - Part (app format)
+ * @returns {boolean} True if quantityOnHand is set
+ */
+const hasCountedStock = (part) => {
+  return part.quantityOnHand !== null && part.quantityOnHand !== undefined;
+};
+
+/**
+ * Check whether a part is held in inventory
+ * Delivered parts that were not returned or installed on a vehicle;
+ * archived parts only once their stock was counted
+ * @param {Object} part - Part (app format)
+ * @returns {boolean} True if the part belongs in the stock view
+ */
+export const isStockPart = (part) => {
+  if (!part?.delivered || part.returnStatus || part.installed) return false;
+  return !part.archived || hasCountedStock(part);
+};
+
+/**
+ * Get the quantity of a part still on the shelf
+ * @param {Object} part - Part (app format)
+ * @returns {number} Quantity on hand
+ */
+export const getQuantityOnHand = (part) => {
+  if (!isStockPart(part)) return 0;
+  return hasCountedStock(part) ? part.quantityOnHand : (parseInt(part.quantity) || 1);
+};
+
+/**
+ * Group stock parts into stock items by part number
+ * Parts without a part number are their own item and have no threshold
+ * @param {Array} parts - Parts (app format)
+ * @param {Array} thresholds - stock_thresholds rows
+ * @returns {Array} Stock items { key, partNumber, name, parts, onHand, locations, minQuantity, isLow }
+ */
+export const buildStockItems = (parts, thresholds = []) => {
+  const minByPartNumber = new Map(
+    thresholds.map(threshold => [normalizePartNumber(threshold.part_number), threshold.min_quantity])
+  );
+  const items = new Map();
+
+  parts.filter(isStockPart).forEach(part => {
+    const partNumber = normalizePartNumber(part.partNumber);
+    const key = partNumber || `part-${part.id}`;
+    if (!items.has(key)) {
+      items.set(key, {
+        key,
+        partNumber,
+        name: part.part,
+        parts: [],
+        onHand: 0,
+        locations: [],
+        minQuantity: minByPartNumber.has(partNumber) ? minByPartNumber.get(partNumber) : null
+      });
+    }
+    const item = items.get(key);
+    item.parts.push(part);
+    item.onHand += getQuantityOnHand(part);
+    if (part.storageLocation && !item.locations.includes(part.storageLocation)) {
+      item.locations.push(part.storageLocation);
+    }
+  });
+
+  return [...items.values()].map(item => ({
+    ...item,
+    isLow: item.minQuantity !== null && item.onHand < item.minQuantity
+  }));
+};
+
+/**
+ * Get how many units of a part are still installed through a service event
+ * @param {Array} inventoryEvents - inventory_events rows
+ * @param {number} serviceEventId - Service event ID
+ * @param {number} partId - Part ID
+ * @returns {number} Units consumed by the event and not restocked
+ */
+export const getServiceEventInstalledQuantity = (inventoryEvents, serviceEventId, partId) => {
+  return -inventoryEvents
+    .filter(event => event.service_event_id === serviceEventId && event.part_id === partId)
+    .reduce((sum, event) => sum + event.quantity_change, 0);
+};
+
+/**
+ * Get the stock changes for a change to a service event's linked parts
+ * Each newly linked part in stock is installed once; unlinked parts get their units back.
+ * @param {Array} parts - Parts (app format) that may be affected
+ * @param {Array} inventoryEvents - inventory_events rows
+ * @param {number} serviceEventId - Service event ID
+ * @param {Array<number>} linkedPartIds - Part IDs linked after the change
+ * @param {Array<number>} previousPartIds - Part IDs linked before the change
+ * @returns {Array} Changes { part, quantityChange, reason, serviceEventId }
+ */
+export const getServiceEventStockChanges = (parts, inventoryEvents, serviceEventId, linkedPartIds = [], previousPartIds = []) => {
+  const changes = [];
+
+  linkedPartIds.filter(id => !previousPartIds.includes(id)).forEach(partId => {
+    const part = parts.find(p => p.id === partId);
+    if (part && getQuantityOnHand(part) > 0 &&
+        getServiceEventInstalledQuantity(inventoryEvents, serviceEventId, partId) === 0) {
+      changes.push({ part, quantityChange: -1, reason: 'installed', serviceEventId });
+    }
+  });
+
+  previousPartIds.filter(id => !linkedPartIds.includes(id)).forEach(partId => {
+    const part = parts.find(p => p.id === partId);
+    const installed = getServiceEventInstalledQuantity(inventoryEvents, serviceEventId, partId);
+    if (part && installed > 0) {
+      changes.push({ part, quantityChange: installed, reason: 'restocked', serviceEventId });
+    }
+  });
+
+  return changes;
+};
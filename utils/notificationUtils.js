@@ -0,0 +1,71 @@
+import { TRACKING_STATUS_CONFIG } from './trackingStatusMap';
+
+// ========================================
+// DELIVERY NOTIFICATION UTILITIES
+// ========================================
+
+// Tracking statuses worth telling the user about, and the channels a
+// notification goes out on. Preferences are stored in
+// user_settings.delivery_notifications as { [status]: { push, email } };
+// statuses missing from it use DEFAULT_NOTIFICATION_PREFERENCES.
+
+export const NOTIFICATION_STATUSES = ['OutForDelivery', 'Delivered', 'AttemptFail', 'Exception'].map(value => ({
+  value,
+  label: TRACKING_STATUS_CONFIG[value].label,
+  description: TRACKING_STATUS_CONFIG[value].description
+}));
+
+export const NOTIFICATION_CHANNELS = [
+  { value: 'push', label: 'Push' },
+  { value: 'email', label: 'Email' }
+];
+
+// Push only reaches browsers the user enabled it on, so it is on for every status;
+// email is kept for the statuses that need action or close out a shipment
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  OutForDelivery: { push: true, email: false },
+  Delivered: { push: true, email: true },
+  AttemptFail: { push: true, email: true },
+  Exception: { push: true, email: true }
+};
+
+/**
+ * Get a user's notification preferences with defaults filled in
+ * @param {Object} saved - user_settings.delivery_notifications (may be empty)
+ * @returns {Object} { [status]: { push, email } } for every notification status
+ */
+export const getNotificationPreferences = (saved = {}) => {
+  return Object.fromEntries(NOTIFICATION_STATUSES.map(({ value }) => [
+    value,
+    { ...DEFAULT_NOTIFICATION_PREFERENCES[value], ...saved?.[value] }
+  ]));
+};
+
+/**
+ * Get the channels to notify on for a tracking status
+ * @param {Object} saved - user_settings.delivery_notifications
+ * @param {string} trackingStatus - Normalized tracking status tag
+ * @returns {Array<string>} Channel values; empty for statuses that are not notified
+ */
+export const getNotificationChannels = (saved, trackingStatus) => {
+  if (!NOTIFICATION_STATUSES.some(({ value }) => value === trackingStatus)) return [];
+  const preferences = getNotificationPreferences(saved)[trackingStatus];
+  return NOTIFICATION_CHANNELS.map(({ value }) => value).filter(channel => preferences[channel]);
+};
+
+/**
+ * Build the notification for a part's new tracking status
+ * @param {Object} part - Part row with part (name) and tracking
+ * @param {Object} trackingData - Normalized tracking fields
+ * @returns {Object} { title, body, tag } where tag lets a newer push replace an older one
+ */
+export const buildDeliveryNotification = (part, trackingData) => {
+  const statusLabel = TRACKING_STATUS_CONFIG[trackingData.tracking_status]?.label || trackingData.tracking_status;
+  const latestMessage = trackingData.tracking_checkpoints?.[0]?.message;
+  const details = [latestMessage, trackingData.tracking_location].filter(Boolean).join(' - ');
+  return {
+    title: `${part.part || 'Part'}: ${statusLabel}`,
+    body: details || `Tracking ${part.tracking}`,
+    tag: `tracking-${part.id}`
+  };
+};
@@ -0,0 +1,126 @@
+// ========================================
+// VENDOR ORDER UTILITIES
+// ========================================
+
+// Shared order costs (shipping, duties, tax) are split across the parts in
+// the order. Each part stores its share, so part totals stay self-contained.
+
+export const ORDER_COST_FIELDS = ['shipping', 'duties', 'tax'];
+
+export const ORDER_ALLOCATION_METHODS = [
+  { value: 'price', label: 'By price' },
+  { value: 'quantity', label: 'By quantity' }
+];
+
+/**
+ * Split an amount into shares proportional to weights
+ * Works in cents and hands leftover cents to the largest remainders,
+ * so the shares always add back up to the original amount
+ * @param {number} amount - Amount to split
+ * @param {Array<number>} weights - Relative weight of each share
+ * @returns {Array<number>} Shares in the same order as weights
+ */
+export const apportionAmount = (amount, weights) => {
+  if (weights.length === 0) return [];
+
+  const cents = Math.round((amount || 0) * 100);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  // Nothing to weigh by - split evenly
+  const effectiveWeights = totalWeight > 0 ? weights : weights.map(() => 1);
+  const effectiveTotal = totalWeight > 0 ? totalWeight : weights.length;
+
+  const exact = effectiveWeights.map(weight => (cents * weight) / effectiveTotal);
+  const shares = exact.map(Math.floor);
+  let leftover = cents - shares.reduce((sum, share) => sum + share, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        shares[index] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares.map(share => share / 100);
+};
+
+/**
+ * Get the weight a part carries when splitting order costs
+ * @param {Object} part - Part (app format)
+ * @param {string} method - 'price' or 'quantity'
+ * @returns {number} Allocation weight
+ */
+const getAllocationWeight = (part, method) => {
+  const quantity = parseInt(part.quantity) || 1;
+  if (method === 'quantity') return quantity;
+  return (parseFloat(part.price) || 0) * quantity;
+};
+
+/**
+ * Calculate each part's share of an order's shared costs
+ * @param {Object} order - Order (app format)
+ * @param {Array} orderParts - Parts in the order (app format)
+ * @returns {Object} Map of part ID to { shipping, duties, tax }
+ */
+export const apportionOrderCosts = (order, orderParts) => {
+  const weights = orderParts.map(part => getAllocationWeight(part, order.allocationMethod));
+  const sharesByField = {};
+  ORDER_COST_FIELDS.forEach(field => {
+    sharesByField[field] = apportionAmount(parseFloat(order[field]) || 0, weights);
+  });
+
+  const allocations = {};
+  orderParts.forEach((part, index) => {
+    allocations[part.id] = {
+      shipping: sharesByField.shipping[index],
+      duties: sharesByField.duties[index],
+      tax: sharesByField.tax[index]
+    };
+  });
+  return allocations;
+};
+
+/**
+ * Get the currencies of an order's parts
+ * Shared costs are entered in the currency of the order's parts and split
+ * by price, so an order holds parts of one currency only
+ * @param {Array} orderParts - Parts in the order (app format)
+ * @param {string} homeCurrency - Currency of parts without one
+ * @returns {Array<string>} Distinct currency codes
+ */
+export const getOrderCurrencies = (orderParts, homeCurrency) => {
+  return [...new Set(orderParts.map(part => part.currency || homeCurrency))];
+};
+
+/**
+ * Summarize an order's costs
+ * @param {Object} order - Order (app format)
+ * @param {Array} orderParts - Parts in the order (app format)
+ * @returns {{ itemCount: number, subtotal: number, shared: number, total: number }} Order summary
+ */
+export const getOrderSummary = (order, orderParts) => {
+  const subtotal = orderParts.reduce(
+    (sum, part) => sum + (parseFloat(part.price) || 0) * (parseInt(part.quantity) || 1),
+    0
+  );
+  const shared = ORDER_COST_FIELDS.reduce((sum, field) => sum + (parseFloat(order[field]) || 0), 0);
+  return {
+    itemCount: orderParts.reduce((sum, part) => sum + (parseInt(part.quantity) || 1), 0),
+    subtotal,
+    shared,
+    total: subtotal + shared
+  };
+};
+
+/**
+ * Get a short label for an order (e.g. "Summit Racing #12345")
+ * @param {Object} order - Order (app format)
+ * @returns {string} Display label
+ */
+export const getOrderLabel = (order) => {
+  if (!order) return '';
+  const number = order.orderNumber ? `#${order.orderNumber}` : `Order ${order.id}`;
+  return order.vendor ? `${order.vendor} ${number}` : number;
+};
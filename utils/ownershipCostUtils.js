@@ -0,0 +1,103 @@
+import { calculateVehicleTotalSpent, calculateServicePartsTotal } from './dataUtils';
+import { getInstalledParts, parseOdometer } from './installUtils';
+
+// ========================================
+// OWNERSHIP COST UTILITIES
+// ========================================
+
+// A vehicle's total cost of ownership (TCO) is its purchase price plus
+// part spend, service costs and running expenses (insurance premiums,
+// registration fees and fuel). Parts and service are split the same way
+// as the vehicle budget: parts linked to a service event count as service.
+// Everything is in the home currency.
+//
+// Cost per km/mile divides by the distance in the odometer history: the
+// span between the lowest and highest readings from service events,
+// expenses, part installs and the vehicle's own odometer. The purchase
+// price only counts towards it when there is a reading from the day the
+// vehicle was bought, since the distance would otherwise miss the start
+// of the ownership; the running cost per distance leaves it out.
+
+// Running expense categories, in display order
+export const EXPENSE_CATEGORIES = [
+  { value: 'insurance', label: 'Insurance' },
+  { value: 'registration', label: 'Registration' },
+  { value: 'fuel', label: 'Fuel' }
+];
+
+/**
+ * Get the label for an expense category
+ * @param {string} category - Category value
+ * @returns {string} Label, or the value itself if unknown
+ */
+export const getExpenseCategoryLabel = (category) => {
+  return EXPENSE_CATEGORIES.find(option => option.value === category)?.label || category;
+};
+
+/**
+ * Collect a vehicle's odometer readings
+ * @param {Object} vehicle - Vehicle
+ * @param {Object} data - { parts, projects, serviceEvents, expenses } (any vehicle)
+ * @returns {Array<Object>} [{ odometer, date }] lowest reading first, where date is
+ *   YYYY-MM-DD or null for the vehicle's own odometer
+ */
+export const getOdometerHistory = (vehicle, { parts = [], projects = [], serviceEvents = [], expenses = [] }) => {
+  const readings = [
+    ...serviceEvents
+      .filter(event => event.vehicle_id === vehicle.id)
+      .map(event => ({ odometer: parseOdometer(event.odometer), date: event.event_date })),
+    ...expenses
+      .filter(expense => expense.vehicle_id === vehicle.id)
+      .map(expense => ({ odometer: parseOdometer(expense.odometer), date: expense.expense_date })),
+    ...getInstalledParts(vehicle.id, parts, projects)
+      .map(part => ({ odometer: parseOdometer(part.installedOdometer), date: part.installedAt || null })),
+    { odometer: parseOdometer(vehicle.odometer_range), date: null }
+  ];
+  return readings
+    .filter(reading => reading.odometer !== null)
+    .sort((a, b) => a.odometer - b.odometer);
+};
+
+/**
+ * Calculate a vehicle's total cost of ownership
+ * @param {Object} vehicle - Vehicle
+ * @param {Object} data - { parts, projects, serviceEvents, expenses } where service
+ *   events and expenses may cover other vehicles too
+ * @returns {Object} { purchase, parts, service, insurance, registration, fuel, running,
+ *   total, distance, unit, costPerDistance, runningCostPerDistance } where running is
+ *   everything but the purchase price and the per-distance figures are null when the
+ *   odometer history has no distance
+ */
+export const calculateVehicleTCO = (vehicle, data) => {
+  const { parts = [], projects = [], serviceEvents = [], expenses = [] } = data;
+  const vehicleServiceEvents = serviceEvents.filter(event => event.vehicle_id === vehicle.id);
+  const vehicleExpenses = expenses.filter(expense => expense.vehicle_id === vehicle.id);
+
+  const costs = {
+    purchase: parseFloat(vehicle.purchase_price) || 0,
+    parts: calculateVehicleTotalSpent(vehicle.id, projects, parts, vehicleServiceEvents),
+    service: calculateServicePartsTotal(vehicle.id, parts, vehicleServiceEvents)
+  };
+  EXPENSE_CATEGORIES.forEach(({ value }) => {
+    costs[value] = vehicleExpenses
+      .filter(expense => expense.category === value)
+      .reduce((sum, expense) => sum + (parseFloat(expense.amount) || 0), 0);
+  });
+
+  const running = costs.parts + costs.service + EXPENSE_CATEGORIES.reduce((sum, { value }) => sum + costs[value], 0);
+  const total = costs.purchase + running;
+
+  const history = getOdometerHistory(vehicle, data);
+  const distance = history.length > 1 ? history[history.length - 1].odometer - history[0].odometer : 0;
+  const coversPurchase = !!vehicle.purchase_date && history[0]?.date === vehicle.purchase_date;
+
+  return {
+    ...costs,
+    running,
+    total,
+    distance,
+    unit: vehicle.odometer_unit === 'mi' ? 'mi' : 'km',
+    costPerDistance: distance > 0 && coversPurchase ? total / distance : null,
+    runningCostPerDistance: distance > 0 ? running / distance : null
+  };
+};
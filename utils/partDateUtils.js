@@ -0,0 +1,230 @@
+import { normalizeStatusTag } from './trackingStatusMap';
+
+// ========================================
+// PART DATE UTILITIES
+// ========================================
+
+// Besides its created date, a part records when it was purchased, shipped
+// and delivered. Each status date is set the moment its flag turns on and
+// cleared when the flag turns off again, so moving a part back to an earlier
+// status forgets the later dates. Parts that reached a status before these
+// dates were recorded have no date for it. A part's lead time runs from
+// its purchase date to its delivery (the carrier's delivery scan if there
+// is one).
+
+// Status flags and the date recorded with each (database, app format)
+const STATUS_DATE_FIELDS = {
+  purchased: ['purchased_at', 'purchasedAt'],
+  shipped: ['shipped_at', 'shippedAt'],
+  delivered: ['delivered_at', 'deliveredAt']
+};
+
+// Dates the parts list can be filtered on
+export const PART_DATE_FIELDS = [
+  { value: 'created', label: 'Added', date: (part) => part.createdAt },
+  { value: 'purchased', label: 'Purchased', date: (part) => part.purchasedAt },
+  { value: 'shipped', label: 'Shipped', date: (part) => part.shippedAt },
+  { value: 'delivered', label: 'Delivered', date: (part) => part.deliveredAt }
+];
+
+// Date ranges; days counts back from today, custom uses from/to dates
+export const PART_DATE_RANGES = [
+  { value: 'all', label: 'All', shortLabel: 'All' },
+  { value: '1week', label: '1 week', shortLabel: '1w', days: 7 },
+  { value: '2weeks', label: '2 weeks', shortLabel: '2w', days: 14 },
+  { value: '1month', label: '1 month', shortLabel: '1m', days: 30 },
+  { value: 'custom', label: 'Custom range', shortLabel: 'Custom' }
+];
+
+/**
+ * Work out the status dates that change along with a part's status flags
+ * @param {Object} previous - Part before the change (app or database format; empty for a new part)
+ * @param {Object} flags - Status flags being set ({ purchased, shipped, delivered }, any subset)
+ * @param {string} at - Timestamp for flags that turn on
+ * @returns {Object} { dates, localDates } in database and app format, changed dates only
+ */
+export const getStatusDateChanges = (previous = {}, flags = {}, at = new Date().toISOString()) => {
+  const dates = {};
+  const localDates = {};
+
+  Object.entries(STATUS_DATE_FIELDS).forEach(([flag, [column, key]]) => {
+    if (flags[flag] === undefined || !!flags[flag] === !!previous?.[flag]) return;
+    dates[column] = flags[flag] ? at : null;
+    localDates[key] = dates[column];
+  });
+
+  return { dates, localDates };
+};
+
+// Status flags a tracking status change turned on, set to value
+const getTrackingAdvanceFlags = (advance, value) => (
+  Object.fromEntries(advance.flags.map(flag => [flag, value]))
+);
+
+/**
+ * Get a part's status fields after a tracking refresh
+ * The tracking API marks parts shipped or delivered when the carrier says so
+ * (unless the user turned that off) and lists them in its `advanced` response;
+ * a delivered part is also marked purchased and shipped if it was not yet
+ * @param {Object} part - Part before the refresh (app format)
+ * @param {Array} advanced - [{ partId, status, flags, at }] from the tracking API
+ * @returns {Object} The flags turned on and their dates, empty if the part did not advance
+ */
+export const getTrackingAdvanceFields = (part, advanced = []) => {
+  const advance = advanced.find(entry => entry.partId === part.id);
+  if (!advance) return {};
+  const flags = getTrackingAdvanceFlags(advance, true);
+  return { ...flags, ...getStatusDateChanges({}, flags, advance.at).localDates };
+};
+
+/**
+ * Get the fields that undo a tracking status change
+ * @param {Object} part - Part (app format)
+ * @param {Array} advanced - [{ partId, status, flags, at }] from the tracking API
+ * @returns {Object} The flags the change turned on, off again with their dates cleared;
+ *   empty if the part did not advance
+ */
+export const getTrackingAdvanceUndoFields = (part, advanced = []) => {
+  const advance = advanced.find(entry => entry.partId === part.id);
+  if (!advance) return {};
+  const flags = getTrackingAdvanceFlags(advance, false);
+  return { ...flags, ...getStatusDateChanges(getTrackingAdvanceFlags(advance, true), flags).localDates };
+};
+
+/**
+ * Get the parts table update that undoes a tracking status change
+ * @param {Object} advance - { partId, status, flags, at } from the tracking API
+ * @returns {Object} The flags the change turned on, off again with their dates cleared
+ */
+export const getTrackingAdvanceUndoUpdates = (advance) => {
+  const flags = getTrackingAdvanceFlags(advance, false);
+  return { ...flags, ...getStatusDateChanges(getTrackingAdvanceFlags(advance, true), flags).dates };
+};
+
+/**
+ * Get the date a part reached a status or was created
+ * @param {Object} part - Part (app format)
+ * @param {string} field - One of PART_DATE_FIELDS
+ * @returns {string|null} ISO timestamp, or null if not recorded
+ */
+export const getPartDate = (part, field) => {
+  const dateField = PART_DATE_FIELDS.find(option => option.value === field) || PART_DATE_FIELDS[0];
+  return dateField.date(part) || null;
+};
+
+/**
+ * Format a timestamp as a local calendar day
+ * @param {string} date - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+export const toLocalDay = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Check whether a part's date falls in a date range
+ * Parts without the chosen date only match 'all'
+ * @param {Object} part - Part (app format)
+ * @param {Object} filter - { range, field, from, to } with from/to as YYYY-MM-DD (either may be empty)
+ * @param {Date} now - Reference date
+ * @returns {boolean} True if the part matches
+ */
+export const matchesPartDateFilter = (part, { range = 'all', field = 'created', from = '', to = '' }, now = new Date()) => {
+  if (range === 'all') return true;
+  if (range === 'custom' && !from && !to) return true;
+
+  const date = getPartDate(part, field);
+  if (!date) return false;
+
+  if (range === 'custom') {
+    // Compare local calendar days so a part delivered late in the evening stays on that day
+    const day = toLocalDay(date);
+    return (!from || day >= from) && (!to || day <= to);
+  }
+
+  const preset = PART_DATE_RANGES.find(option => option.value === range);
+  if (!preset?.days) return true;
+  const daysAgo = (now - new Date(date)) / (1000 * 60 * 60 * 24);
+  return daysAgo <= preset.days;
+};
+
+/**
+ * Get when a part was delivered
+ * The carrier's delivery scan wins over the date the part was marked delivered,
+ * which can lag behind it
+ * @param {Object} part - Part (app format)
+ * @returns {string|null} ISO timestamp, or null if unknown
+ */
+export const getDeliveryTime = (part) => {
+  const deliveryScan = (part?.tracking_checkpoints || []).find(checkpoint => (
+    checkpoint.checkpoint_time && normalizeStatusTag(checkpoint.status) === 'Delivered'
+  ));
+  return deliveryScan?.checkpoint_time || part?.deliveredAt || null;
+};
+
+/**
+ * Get the days from ordering a part to its delivery
+ * @param {Object} part - Part (app format)
+ * @returns {number|null} Lead time in days, or null unless both dates are known
+ */
+export const getLeadTimeDays = (part) => {
+  const deliveredAt = getDeliveryTime(part);
+  if (!part?.purchasedAt || !deliveredAt) return null;
+  const days = (new Date(deliveredAt) - new Date(part.purchasedAt)) / (1000 * 60 * 60 * 24);
+  return days >= 0 ? days : null;
+};
+
+/**
+ * Average lead time per vendor over the parts with a recorded lead time
+ * @param {Array} parts - Parts (app format)
+ * @returns {Object} { [vendor]: { averageDays, count } }
+ */
+export const getVendorLeadTimes = (parts) => {
+  const totals = {};
+  parts.forEach(part => {
+    const days = getLeadTimeDays(part);
+    if (days === null || !part.vendor) return;
+    totals[part.vendor] = totals[part.vendor] || { totalDays: 0, count: 0 };
+    totals[part.vendor].totalDays += days;
+    totals[part.vendor].count += 1;
+  });
+
+  return Object.fromEntries(Object.entries(totals).map(([vendor, { totalDays, count }]) => (
+    [vendor, { averageDays: totalDays / count, count }]
+  )));
+};
+
+/**
+ * Format a number of days for display
+ * @param {number} days - Days (may be fractional)
+ * @returns {string} e.g. "Same day", "1 day", "4.5 days"
+ */
+export const formatDays = (days) => {
+  if (days < 0.5) return 'Same day';
+  const rounded = Math.round(days * 10) / 10;
+  return `${rounded} ${rounded === 1 ? 'day' : 'days'}`;
+};
+
+/**
+ * Describe a date range for a filter button
+ * @param {Object} filter - { range, field, from, to }
+ * @param {boolean} short - Use the short form for narrow screens
+ * @returns {string} Label, e.g. "Delivered: 1w" or "Mar 1 – Mar 31"
+ */
+export const getPartDateFilterLabel = ({ range = 'all', field = 'created', from = '', to = '' }, short = false) => {
+  const preset = PART_DATE_RANGES.find(option => option.value === range) || PART_DATE_RANGES[0];
+  let label = short ? preset.shortLabel : preset.label;
+
+  if (range === 'custom' && (from || to)) {
+    const format = (value) => new Date(`${value}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    if (from && to) label = `${format(from)} – ${format(to)}`;
+    else label = from ? `From ${format(from)}` : `Until ${format(to)}`;
+  }
+
+  if (range === 'all' || field === 'created') return label;
+  const fieldLabel = PART_DATE_FIELDS.find(option => option.value === field)?.label;
+  return fieldLabel ? `${fieldLabel}: ${label}` : label;
+};
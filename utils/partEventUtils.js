@@ -0,0 +1,135 @@
+import { getReturnStatusLabel } from './returnUtils';
+
+// ========================================
+// PART HISTORY UTILITIES
+// ========================================
+
+// Part history lives in part_events: one row per changed field with the
+// old and new value as text. The database trigger in
+// supabase/migrations/016_add_part_events.sql writes the rows; demo mode
+// has no database, so getPartChangeEvents does the same comparison on
+// app-format parts. Keep the two lists of fields in step.
+
+// Recorded fields: database column, app key, event type and label
+const PART_EVENT_FIELDS = [
+  { field: 'price', key: 'price', type: 'cost', label: 'Price', isAmount: true },
+  { field: 'quantity', key: 'quantity', type: 'cost', label: 'Quantity' },
+  { field: 'shipping', key: 'shipping', type: 'cost', label: 'Shipping', isAmount: true },
+  { field: 'duties', key: 'duties', type: 'cost', label: 'Duties', isAmount: true },
+  { field: 'tax', key: 'tax', type: 'cost', label: 'Tax', isAmount: true },
+  { field: 'discount', key: 'discount', type: 'cost', label: 'Discount', isAmount: true },
+  { field: 'core_charge', key: 'coreCharge', type: 'cost', label: 'Core charge', isAmount: true },
+  { field: 'core_refund', key: 'coreRefund', type: 'cost', label: 'Core refund', isAmount: true },
+  { field: 'project_id', key: 'projectId', type: 'project', label: 'Project' },
+  { field: 'vehicle_id', key: 'vehicleId', type: 'vehicle', label: 'Vehicle' },
+  { field: 'tracking', key: 'tracking', type: 'tracking', label: 'Tracking number' },
+  { field: 'tracking_status', key: 'tracking_status', type: 'tracking', label: 'Carrier status' }
+];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  purchased: 'Ordered',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  installed: 'Installed'
+};
+
+/**
+ * Get the status name recorded in a part's history
+ * Matches part_status_name() in the database
+ * @param {Object} part - Part (app format)
+ * @returns {string} Return status, installed, delivered, shipped, purchased or pending
+ */
+export const getPartStatusName = (part) => {
+  if (part.returnStatus) return part.returnStatus;
+  if (part.installed) return 'installed';
+  if (part.delivered) return 'delivered';
+  if (part.shipped) return 'shipped';
+  if (part.purchased) return 'purchased';
+  return 'pending';
+};
+
+/**
+ * Get the display label of a recorded status name
+ * @param {string} status - Status name from the history
+ * @returns {string} Label
+ */
+export const getStatusNameLabel = (status) => {
+  return STATUS_LABELS[status] || getReturnStatusLabel(status) || status;
+};
+
+// History values are stored as text; empty values are recorded as null
+const toEventValue = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+/**
+ * Work out the history rows for a change to a part
+ * @param {Object|null} before - Part before the change (app format), or null for a new part
+ * @param {Object} after - Part after the change (app format)
+ * @returns {Array<Object>} part_events rows without id, user_id and created_at
+ */
+export const getPartChangeEvents = (before, after) => {
+  if (!before) {
+    return [{ part_id: after.id, event_type: 'created', field: 'status', old_value: null, new_value: getPartStatusName(after) }];
+  }
+
+  const events = PART_EVENT_FIELDS
+    .filter(({ key }) => {
+      const oldValue = toEventValue(before[key]);
+      const newValue = toEventValue(after[key]);
+      // Numbers compare by value so 10 and 10.00 are the same
+      if (oldValue !== null && newValue !== null && !isNaN(oldValue) && !isNaN(newValue)) {
+        return Number(oldValue) !== Number(newValue);
+      }
+      return oldValue !== newValue;
+    })
+    .map(({ field, key, type }) => ({
+      part_id: after.id,
+      event_type: type,
+      field,
+      old_value: toEventValue(before[key]),
+      new_value: toEventValue(after[key])
+    }));
+
+  const oldStatus = getPartStatusName(before);
+  const newStatus = getPartStatusName(after);
+  if (oldStatus !== newStatus) {
+    events.push({ part_id: after.id, event_type: 'status', field: 'status', old_value: oldStatus, new_value: newStatus });
+  }
+  return events;
+};
+
+/**
+ * Describe a history row for display
+ * @param {Object} event - part_events row
+ * @param {Object} options - { projects, vehicles, formatAmount } where formatAmount formats a money value
+ * @returns {Object} { label, from, to } with display values (from is null for a new part)
+ */
+export const describePartEvent = (event, { projects = [], vehicles = [], formatAmount = (value) => value } = {}) => {
+  if (event.field === 'status') {
+    return {
+      label: event.event_type === 'created' ? 'Added' : (event.source === 'tracking' ? 'Status from tracking' : 'Status'),
+      from: event.old_value ? getStatusNameLabel(event.old_value) : null,
+      to: getStatusNameLabel(event.new_value)
+    };
+  }
+
+  const fieldInfo = PART_EVENT_FIELDS.find(option => option.field === event.field);
+  const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'None';
+    if (fieldInfo?.isAmount) return formatAmount(parseFloat(value) || 0);
+    if (event.field === 'project_id') {
+      return projects.find(project => String(project.id) === value)?.name || 'Deleted project';
+    }
+    if (event.field === 'vehicle_id') {
+      const vehicle = vehicles.find(v => String(v.id) === value);
+      return vehicle ? (vehicle.nickname || vehicle.name) : 'Deleted vehicle';
+    }
+    return value;
+  };
+
+  return {
+    label: fieldInfo?.label || event.field,
+    from: formatValue(event.old_value),
+    to: formatValue(event.new_value)
+  };
+};
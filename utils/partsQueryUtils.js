@@ -0,0 +1,267 @@
+// ========================================
+// PARTS SEARCH QUERY UTILITIES
+// ========================================
+
+// The parts search box takes plain words plus field filters, e.g.
+//   vendor:rockauto status:shipped price>100 project:"Brake refresh" -is:archived
+// - field:value matches text fields by substring (quote values with spaces)
+// - price>100, qty<=2 etc. compare numbers (> >= < <= =)
+// - status:value and is:value match a part's status or a flag
+// - a leading "-" negates any term
+// Plain words match the part name, part number, vendor, project and vehicle,
+// the same as the search box always has, even when they read like a status
+// ("shipped", "delivered"). Every term must match.
+
+// Text fields and how to read them from a part
+const TEXT_FIELDS = {
+  part: { label: 'Part name', value: (part) => [part.part] },
+  number: { label: 'Part number', value: (part) => [part.partNumber] },
+  vendor: { label: 'Vendor', value: (part) => [part.vendor] },
+  project: { label: 'Project', value: (part, context) => [context.project?.name] },
+  vehicle: { label: 'Vehicle', value: (part, context) => [context.vehicle?.name, context.vehicle?.nickname] },
+  tracking: { label: 'Tracking number', value: (part) => [part.tracking] },
+  location: { label: 'Storage location', value: (part) => [part.storageLocation] }
+};
+
+// Number fields and how to read them from a part
+const NUMBER_FIELDS = {
+  price: { label: 'Price', value: (part) => part.price },
+  total: { label: 'Total', value: (part) => part.total },
+  shipping: { label: 'Shipping', value: (part) => part.shipping },
+  qty: { label: 'Quantity', value: (part) => part.quantity }
+};
+
+const FIELD_ALIASES = {
+  name: 'part',
+  pn: 'number',
+  partnumber: 'number',
+  quantity: 'qty',
+  is: 'status'
+};
+
+// Statuses and flags for status:/is:
+const STATUS_MATCHERS = {
+  pending: (part) => !part.purchased,
+  ordered: (part) => part.purchased && !part.shipped,
+  shipped: (part) => part.shipped && !part.delivered,
+  delivered: (part) => part.delivered,
+  installed: (part) => !!part.installed,
+  archived: (part) => !!part.archived,
+  maintenance: (part) => !!part.vehicleId && !part.projectId,
+  returned: (part) => !!part.returnStatus,
+  return_in_transit: (part) => part.returnStatus === 'return_in_transit',
+  refunded: (part) => part.returnStatus === 'refunded'
+};
+
+const STATUS_ALIASES = {
+  purchased: 'ordered',
+  unordered: 'pending',
+  'return-shipped': 'return_in_transit'
+};
+
+const COMPARISONS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  ':': (a, b) => a === b
+};
+
+const TERM_PATTERN = /^(-?)([a-z_]+)(>=|<=|>|<|=|:)(.*)$/i;
+
+/**
+ * Split a query into terms, keeping quoted values together
+ * @param {string} query - Search box text
+ * @returns {Array<string>} Raw terms, quotes removed
+ */
+const splitQuery = (query) => {
+  const terms = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of query) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(char) && !inQuotes) {
+      if (current) terms.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) terms.push(current);
+  return terms;
+};
+
+const resolveField = (field) => {
+  const key = field.toLowerCase();
+  return FIELD_ALIASES[key] || key;
+};
+
+const resolveStatus = (value) => {
+  const key = value.toLowerCase().replace(/\s+/g, '_');
+  return STATUS_ALIASES[key] || key;
+};
+
+/**
+ * Parse the parts search box text
+ * Terms that aren't valid filters (unknown field, bad number) are searched as plain text
+ * @param {string} query - Search box text
+ * @returns {Object} { terms: [{ type, field, op, value, negate }] }
+ */
+export const parsePartsQuery = (query = '') => {
+  const terms = splitQuery(query.trim()).map(raw => {
+    const match = raw.match(TERM_PATTERN);
+    if (match) {
+      const [, minus, rawField, op, rawValue] = match;
+      const field = resolveField(rawField);
+      const negate = minus === '-';
+
+      // A known field still being typed ("vendor:", "price>") filters nothing yet
+      if (rawValue === '' && (TEXT_FIELDS[field] || NUMBER_FIELDS[field] || field === 'status')) {
+        return null;
+      }
+      if (field === 'status' && op === ':' && STATUS_MATCHERS[resolveStatus(rawValue)]) {
+        return { type: 'status', field, op, value: resolveStatus(rawValue), negate };
+      }
+      if (TEXT_FIELDS[field] && op === ':') {
+        return { type: 'text', field, op, value: rawValue.toLowerCase(), negate };
+      }
+      if (NUMBER_FIELDS[field] && rawValue !== '' && !isNaN(Number(rawValue))) {
+        return { type: 'number', field, op, value: Number(rawValue), negate };
+      }
+    }
+
+    const negate = raw.startsWith('-') && raw.length > 1;
+    const word = (negate ? raw.slice(1) : raw).toLowerCase();
+    return { type: 'search', field: null, op: ':', value: word, negate };
+  }).filter(Boolean);
+
+  return { terms };
+};
+
+/**
+ * Check whether a parsed query decides on archived parts itself
+ * When it does, the archive toggle no longer hides or shows archived parts
+ * @param {Object} parsedQuery - Result of parsePartsQuery
+ * @returns {boolean} True if the query has an archived term
+ */
+export const queryFiltersArchived = (parsedQuery) => {
+  return parsedQuery.terms.some(term => term.type === 'status' && term.value === 'archived');
+};
+
+const includesText = (values, text) => {
+  return values.some(value => (value || '').toLowerCase().includes(text));
+};
+
+/**
+ * Check whether a part matches a parsed query
+ * @param {Object} part - Part (app format)
+ * @param {Object} parsedQuery - Result of parsePartsQuery
+ * @param {Object} context - { project, vehicle } the part belongs to
+ * @returns {boolean} True if every term matches
+ */
+export const matchesPartsQuery = (part, parsedQuery, context = {}) => {
+  return parsedQuery.terms.every(term => {
+    let matches;
+    if (term.type === 'status') {
+      matches = STATUS_MATCHERS[term.value](part);
+    } else if (term.type === 'text') {
+      matches = includesText(TEXT_FIELDS[term.field].value(part, context), term.value);
+    } else if (term.type === 'number') {
+      const value = Number(NUMBER_FIELDS[term.field].value(part)) || 0;
+      matches = COMPARISONS[term.op](value, term.value);
+    } else {
+      const isMaintenance = part.vehicleId && !part.projectId;
+      matches = includesText([
+        part.part,
+        part.partNumber,
+        part.vendor,
+        context.project?.name,
+        context.vehicle?.name,
+        context.vehicle?.nickname
+      ], term.value) || (isMaintenance && 'maintenance'.includes(term.value));
+    }
+    return term.negate ? !matches : matches;
+  });
+};
+
+const quoteValue = (value) => (/\s/.test(value) ? `"${value}"` : value);
+
+/**
+ * Find where the last term of a query starts, treating quoted values as part of their term
+ * @param {string} query - Search box text
+ * @returns {number} Index of the last term, or -1 if the query ends with a finished term
+ */
+const getLastTermStart = (query) => {
+  let start = 0;
+  let inQuotes = false;
+  for (let i = 0; i < query.length; i++) {
+    if (query[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (/\s/.test(query[i]) && !inQuotes) {
+      start = i + 1;
+    }
+  }
+  const closedQuote = !inQuotes && query.endsWith('"');
+  return start === query.length || closedQuote ? -1 : start;
+};
+
+/**
+ * Suggest completions for the term being typed at the end of the query
+ * Field names while typing a word, values after "field:"
+ * @param {string} query - Search box text
+ * @param {Object} options - { vendors, projects, vehicles } to suggest values from
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<Object>} [{ label, hint, query }] where query is the completed search text
+ */
+export const getPartsQuerySuggestions = (query, { vendors = [], projects = [], vehicles = [] } = {}, limit = 8) => {
+  const lastTermStart = getLastTermStart(query);
+  if (lastTermStart === -1) return [];
+  const prefix = query.slice(0, lastTermStart);
+  const lastTerm = query.slice(lastTermStart);
+  const minus = lastTerm.startsWith('-') ? '-' : '';
+  const term = lastTerm.slice(minus.length);
+
+  const fieldMatch = term.match(/^([a-z_]+):"?(.*)$/i);
+  if (!fieldMatch) {
+    const typed = term.toLowerCase();
+    if (!typed) return [];
+    const fields = [
+      ...Object.entries(TEXT_FIELDS).map(([field, { label }]) => ({ field, label, suffix: ':' })),
+      ...Object.entries(NUMBER_FIELDS).map(([field, { label }]) => ({ field, label, suffix: '>' })),
+      { field: 'status', label: 'Status or flag', suffix: ':' }
+    ];
+    return fields
+      .filter(({ field }) => field.startsWith(typed) && field !== typed)
+      .slice(0, limit)
+      .map(({ field, label, suffix }) => ({
+        label: `${field}${suffix}`,
+        hint: label,
+        query: `${prefix}${minus}${field}${suffix}`
+      }));
+  }
+
+  const field = resolveField(fieldMatch[1]);
+  const typed = fieldMatch[2].toLowerCase();
+  let values = [];
+  if (field === 'vendor') {
+    values = vendors;
+  } else if (field === 'project') {
+    values = projects.filter(p => !p.archived).map(p => p.name);
+  } else if (field === 'vehicle') {
+    values = vehicles.filter(v => !v.archived).map(v => v.nickname || v.name);
+  } else if (field === 'status') {
+    values = Object.keys(STATUS_MATCHERS).map(status => (status === 'return_in_transit' ? 'return-shipped' : status));
+  }
+
+  return [...new Set(values.filter(Boolean))]
+    .filter(value => value.toLowerCase().includes(typed) && value.toLowerCase() !== typed)
+    .slice(0, limit)
+    .map(value => ({
+      label: value,
+      hint: TEXT_FIELDS[field]?.label || 'Status',
+      query: `${prefix}${minus}${fieldMatch[1]}:${quoteValue(value)} `
+    }));
+};
@@ -0,0 +1,182 @@
+import { WARRANTY_FILTERS } from './warrantyUtils';
+import { PART_DATE_FIELDS, PART_DATE_RANGES } from './partDateUtils';
+
+// ========================================
+// PARTS VIEW UTILITIES
+// ========================================
+
+// A parts view is the parts list's filters, sort and rows per page. Views
+// are saved by name, and the active view is mirrored into the URL query so
+// it can be bookmarked or shared. Only values that differ from the
+// defaults go into the URL, and values read back from a URL or a saved
+// view are checked so a stale or hand-edited link can't break the list.
+
+export const DEFAULT_PARTS_VIEW = {
+  searchTerm: '',
+  statusFilter: 'all',
+  vendorFilter: 'all',
+  deliveredFilter: 'all',
+  partsDateFilter: 'all',
+  partsDateField: 'created',
+  partsDateFrom: '',
+  partsDateTo: '',
+  warrantyFilter: 'all',
+  showArchivedParts: false,
+  sortBy: 'status',
+  sortOrder: 'asc',
+  rowsPerPage: 'auto'
+};
+
+// URL query parameter for each view field
+const VIEW_QUERY_PARAMS = {
+  searchTerm: 'q',
+  statusFilter: 'status',
+  vendorFilter: 'vendor',
+  deliveredFilter: 'delivered',
+  partsDateFilter: 'added',
+  partsDateField: 'date',
+  partsDateFrom: 'from',
+  partsDateTo: 'to',
+  warrantyFilter: 'warranty',
+  showArchivedParts: 'archived',
+  sortBy: 'sort',
+  sortOrder: 'order',
+  rowsPerPage: 'rows'
+};
+
+// Fields limited to a fixed set of values; the rest are free text
+const VIEW_ALLOWED_VALUES = {
+  statusFilter: ['all', 'delivered', 'shipped', 'purchased', 'pending'],
+  deliveredFilter: ['all', 'only', 'hide'],
+  partsDateFilter: PART_DATE_RANGES.map(option => option.value),
+  partsDateField: PART_DATE_FIELDS.map(option => option.value),
+  warrantyFilter: WARRANTY_FILTERS.map(option => option.value),
+  sortBy: ['status', 'vendor', 'project', 'vehicle', 'total'],
+  sortOrder: ['asc', 'desc']
+};
+
+// Custom date range bounds are calendar days
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const ROWS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+/**
+ * Clean up a parts view, replacing anything invalid or missing with the default
+ * @param {Object} view - Parts view (possibly partial)
+ * @returns {Object} Complete parts view
+ */
+export const normalizePartsView = (view = {}) => {
+  const normalized = { ...DEFAULT_PARTS_VIEW };
+
+  Object.keys(DEFAULT_PARTS_VIEW).forEach(key => {
+    const value = view[key];
+    if (value === undefined || value === null) return;
+
+    if (VIEW_ALLOWED_VALUES[key]) {
+      if (VIEW_ALLOWED_VALUES[key].includes(value)) normalized[key] = value;
+    } else if (key === 'showArchivedParts') {
+      normalized[key] = value === true || value === 'true' || value === '1';
+    } else if (key === 'rowsPerPage') {
+      const rows = parseInt(value, 10);
+      normalized[key] = ROWS_PER_PAGE_OPTIONS.includes(rows) ? rows : 'auto';
+    } else if (key === 'partsDateFrom' || key === 'partsDateTo') {
+      normalized[key] = DATE_PATTERN.test(value) ? value : '';
+    } else {
+      normalized[key] = String(value);
+    }
+  });
+
+  // The date field only applies to a date range, and the bounds only to a custom range
+  if (normalized.partsDateFilter === 'all') {
+    normalized.partsDateField = DEFAULT_PARTS_VIEW.partsDateField;
+  }
+  if (normalized.partsDateFilter !== 'custom') {
+    normalized.partsDateFrom = '';
+    normalized.partsDateTo = '';
+  }
+
+  return normalized;
+};
+
+/**
+ * Check whether a parts view differs from the defaults
+ * @param {Object} view - Parts view
+ * @returns {boolean} True if any field is not the default
+ */
+export const isCustomPartsView = (view) => {
+  return Object.keys(DEFAULT_PARTS_VIEW).some(key => view[key] !== DEFAULT_PARTS_VIEW[key]);
+};
+
+/**
+ * Check whether two parts views are the same
+ * @param {Object} a - Parts view
+ * @param {Object} b - Parts view
+ * @returns {boolean} True if every field matches
+ */
+export const isSamePartsView = (a, b) => {
+  const first = normalizePartsView(a);
+  const second = normalizePartsView(b);
+  return Object.keys(DEFAULT_PARTS_VIEW).every(key => first[key] === second[key]);
+};
+
+/**
+ * Encode a parts view as a URL query string
+ * @param {Object} view - Parts view
+ * @returns {string} Query string without the leading "?" (empty for the default view)
+ */
+export const encodePartsViewQuery = (view) => {
+  const normalized = normalizePartsView(view);
+  const params = new URLSearchParams();
+
+  Object.entries(VIEW_QUERY_PARAMS).forEach(([key, param]) => {
+    if (normalized[key] === DEFAULT_PARTS_VIEW[key]) return;
+    params.set(param, key === 'showArchivedParts' ? '1' : String(normalized[key]));
+  });
+
+  return params.toString();
+};
+
+/**
+ * Read a parts view from a URL query string
+ * @param {string} search - Query string, with or without the leading "?"
+ * @returns {Object|null} Parts view, or null if the query has no view parameters
+ */
+export const decodePartsViewQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const view = {};
+  let found = false;
+
+  Object.entries(VIEW_QUERY_PARAMS).forEach(([key, param]) => {
+    if (params.has(param)) {
+      view[key] = params.get(param);
+      found = true;
+    }
+  });
+
+  return found ? normalizePartsView(view) : null;
+};
+
+/**
+ * Replace the parts view parameters in a URL query string, keeping any others
+ * @param {string} search - Current query string, with or without the leading "?"
+ * @param {Object|null} view - Parts view, or null to remove the view parameters
+ * @returns {string} Query string without the leading "?"
+ */
+export const replacePartsViewQuery = (search, view) => {
+  const params = new URLSearchParams(search);
+  Object.values(VIEW_QUERY_PARAMS).forEach(param => params.delete(param));
+  if (view) {
+    new URLSearchParams(encodePartsViewQuery(view)).forEach((value, param) => params.set(param, value));
+  }
+  return params.toString();
+};
+
+/**
+ * Build a link to the app that opens a parts view
+ * @param {Object} view - Parts view
+ * @returns {string} Absolute URL
+ */
+export const getPartsViewUrl = (view) => {
+  const query = encodePartsViewQuery(view);
+  return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+};
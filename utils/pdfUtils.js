@@ -1,4 +1,22 @@
 import { jsPDF } from 'jspdf';
+import { DEFAULT_HOME_CURRENCY, getCurrencyParts, getPartHomeSpend } from './currencyUtils';
+import { PART_COST_COMPONENTS } from './costUtils';
+import { calculateCostBreakdown } from './dataUtils';
+import { calculateVehicleTCO } from './ownershipCostUtils';
+
+/**
+ * Format an amount for the PDF
+ * The built-in PDF fonts only cover Latin-1, so symbols outside it
+ * (e.g. ₩, ₹) fall back to the ISO code
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+const formatPdfCurrency = (amount, currency) => {
+  const { symbol, whole, fraction } = getCurrencyParts(amount, currency);
+  const prefix = /^[\x20-\xFF€]+$/.test(symbol) ? symbol : `${currency} `;
+  return `${prefix}${whole}${fraction ? `.${fraction}` : ''}`;
+};
 
 /**
  * Load an image from URL and convert to base64 data URL
@@ -95,9 +113,11 @@ const loadImageAsDataURL = (url, timeout = 10000, retries = 2) => {
  * @param {Array} projects - All projects (will be filtered for this vehicle)
  * @param {Array} parts - All parts (will be filtered for linked projects)
  * @param {Array} serviceEvents - Service events for this vehicle
+ * @param {string} homeCurrency - Currency all totals are reported in
+ * @param {Array} expenses - Insurance, registration and fuel expenses for this vehicle
  * @returns {Promise<Object>} { blob: Blob, filename: string }
  */
-export const generateVehicleReportPDF = async (vehicle, projects, parts, serviceEvents) => {
+export const generateVehicleReportPDF = async (vehicle, projects, parts, serviceEvents, homeCurrency = DEFAULT_HOME_CURRENCY, expenses = []) => {
   const doc = new jsPDF();
   const pageWidth = doc.internal.pageSize.getWidth();
   const pageHeight = doc.internal.pageSize.getHeight();
@@ -308,7 +328,7 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
         total += event.linked_part_ids.reduce((sum, partId) => {
           const part = parts.find(p => p.id === partId);
           if (part) {
-            return sum + (part.price || 0) + (part.shipping || 0) + (part.duties || 0);
+            return sum + getPartHomeSpend(part);
           }
           return sum;
         }, 0);
@@ -371,7 +391,7 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
       const eventCost = getEventCost(event);
       serviceHistoryTotal += eventCost;
       if (eventCost > 0) {
-        doc.text(`$${eventCost.toFixed(2)}`, pageWidth - margin - 15, yPos);
+        doc.text(formatPdfCurrency(eventCost, homeCurrency), pageWidth - margin - 15, yPos);
       } else {
         doc.setTextColor(150, 150, 150);
         doc.text('-', pageWidth - margin - 10, yPos);
@@ -386,7 +406,7 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
       checkPageBreak(10);
       doc.setFont('helvetica', 'bold');
       doc.setTextColor(60, 60, 60);
-      doc.text(`Service Total: $${serviceHistoryTotal.toFixed(2)}`, pageWidth - margin - 35, yPos);
+      doc.text(`Service Total: ${formatPdfCurrency(serviceHistoryTotal, homeCurrency)}`, pageWidth - margin - 35, yPos);
       yPos += 5;
     }
 
@@ -433,7 +453,7 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
         doc.setFontSize(9);
         doc.setFont('helvetica', 'normal');
         doc.setTextColor(100, 100, 100);
-        doc.text(`Budget: $${project.budget.toLocaleString()}`, margin, yPos);
+        doc.text(`Budget: ${formatPdfCurrency(project.budget, homeCurrency)}`, margin, yPos);
         yPos += 5;
       }
 
@@ -481,10 +501,10 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
           }
           doc.text(vendor, margin + 90, yPos);
 
-          // Total
-          const partTotal = (part.price || 0) + (part.shipping || 0) + (part.duties || 0);
+          // Total net of refunds (converted to the home currency)
+          const partTotal = getPartHomeSpend(part);
           projectTotal += partTotal;
-          doc.text(`$${partTotal.toFixed(2)}`, pageWidth - margin - 15, yPos);
+          doc.text(formatPdfCurrency(partTotal, homeCurrency), pageWidth - margin - 15, yPos);
 
           yPos += 5;
         });
@@ -492,7 +512,7 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
         // Project subtotal
         doc.setFont('helvetica', 'bold');
         doc.setTextColor(60, 60, 60);
-        doc.text(`Project Total: $${projectTotal.toFixed(2)}`, pageWidth - margin - 35, yPos);
+        doc.text(`Project Total: ${formatPdfCurrency(projectTotal, homeCurrency)}`, pageWidth - margin - 35, yPos);
         grandTotal += projectTotal;
         yPos += 8;
       } else {
@@ -508,17 +528,34 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
       checkPageBreak(10);
       doc.setFont('helvetica', 'bold');
       doc.setTextColor(60, 60, 60);
-      doc.text(`Parts Total: $${grandTotal.toFixed(2)}`, pageWidth - margin - 35, yPos);
-      yPos += 8;
+      doc.text(`Parts Total: ${formatPdfCurrency(grandTotal, homeCurrency)}`, pageWidth - margin - 35, yPos);
+      yPos += 5;
+
+      // What the parts total is made of (only the components that were used)
+      const costs = calculateCostBreakdown(
+        parts.filter(p => vehicleProjects.some(project => project.id === p.projectId))
+      );
+      const breakdownText = PART_COST_COMPONENTS
+        .filter(component => costs[component.key] > 0)
+        .map(component => `${component.label}: ${component.sign < 0 ? '-' : ''}${formatPdfCurrency(costs[component.key], homeCurrency)}`)
+        .concat(costs.refunds > 0 ? [`Refunds: -${formatPdfCurrency(costs.refunds, homeCurrency)}`] : [])
+        .join('   ');
+      doc.setFontSize(8);
+      doc.setFont('helvetica', 'normal');
+      doc.setTextColor(100, 100, 100);
+      doc.splitTextToSize(breakdownText, contentWidth).forEach((line) => {
+        checkPageBreak(5);
+        doc.text(line, margin + 5, yPos);
+        yPos += 4;
+      });
+      yPos += 4;
     }
   }
 
   // --- TOTAL INVESTMENT ---
   const totalInvestment = (vehicleProjects.length > 0 ? vehicleProjects.reduce((sum, project) => {
     const projectParts = parts.filter(p => p.projectId === project.id);
-    return sum + projectParts.reduce((partSum, part) => {
-      return partSum + (part.price || 0) + (part.shipping || 0) + (part.duties || 0);
-    }, 0);
+    return sum + projectParts.reduce((partSum, part) => partSum + getPartHomeSpend(part), 0);
   }, 0) : 0) + serviceHistoryTotal;
 
   if (totalInvestment > 0) {
@@ -530,7 +567,38 @@ export const generateVehicleReportPDF = async (vehicle, projects, parts, service
     doc.setFontSize(12);
     doc.setFont('helvetica', 'bold');
     doc.setTextColor(41, 128, 185);
-    doc.text(`Total Investment: $${totalInvestment.toFixed(2)}`, pageWidth - margin - 50, yPos);
+    doc.text(`Total Investment: ${formatPdfCurrency(totalInvestment, homeCurrency)}`, pageWidth - margin - 50, yPos);
+    yPos += 10;
+  }
+
+  // --- COST OF OWNERSHIP ---
+  const tco = calculateVehicleTCO(vehicle, { parts, projects, serviceEvents: serviceEvents || [], expenses });
+
+  if (tco.total > 0) {
+    addSectionHeader('Cost of Ownership');
+
+    const formatCost = (amount) => formatPdfCurrency(amount, homeCurrency);
+    addFieldRow('Purchase Price', formatCost(tco.purchase), 'Parts', formatCost(tco.parts));
+    addFieldRow('Service', formatCost(tco.service), 'Insurance', formatCost(tco.insurance));
+    addFieldRow('Registration', formatCost(tco.registration), 'Fuel', formatCost(tco.fuel));
+
+    const unitLabel = tco.unit === 'mi' ? 'mile' : 'km';
+    addFieldRow(
+      `Cost per ${unitLabel}`,
+      tco.costPerDistance !== null ? formatCost(tco.costPerDistance) : null,
+      `Running cost per ${unitLabel}`,
+      tco.runningCostPerDistance !== null ? formatCost(tco.runningCostPerDistance) : null
+    );
+    if (tco.distance > 0) {
+      addField('Odometer History', `${tco.distance.toLocaleString()} ${tco.unit}`);
+    }
+
+    checkPageBreak(12);
+    yPos += 3;
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(41, 128, 185);
+    doc.text(`Total Cost of Ownership: ${formatCost(tco.total)}`, pageWidth - margin, yPos, { align: 'right' });
     yPos += 10;
   }
 
@@ -0,0 +1,77 @@
+// ========================================
+// WEB PUSH UTILITIES
+// ========================================
+
+// Browser side of delivery notifications: registers public/sw.js and
+// subscribes this browser to push with the server's VAPID public key.
+// The subscription is saved to push_subscriptions by useNotificationSettings.
+
+const SERVICE_WORKER_PATH = '/sw.js';
+
+/**
+ * Check this browser can receive web push and the server is set up for it
+ * @returns {boolean} True if supported and NEXT_PUBLIC_VAPID_PUBLIC_KEY is set
+ */
+export const isPushSupported = () => {
+  return typeof window !== 'undefined'
+    && 'serviceWorker' in navigator
+    && 'PushManager' in window
+    && 'Notification' in window
+    && !!process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
+};
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+/**
+ * Get this browser's current push subscription
+ * @returns {Promise<PushSubscription|null>} Subscription, or null if not subscribed
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_PATH);
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+/**
+ * Ask for permission and subscribe this browser to push
+ * @returns {Promise<Object>} Subscription JSON { endpoint, keys: { p256dh, auth } }
+ * @throws {Error} If push is unsupported or permission is denied
+ */
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('Push notifications are not supported in this browser');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Notification permission was not granted');
+  }
+
+  const registration = await navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+  await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY)
+  });
+  return subscription.toJSON();
+};
+
+/**
+ * Remove the saved subscription of this browser, then unsubscribe the
+ * browser unless another account owns the endpoint
+ * @param {Function} deleteSaved - async (endpoint) => true if the saved row was removed
+ * @returns {Promise<boolean>} True if the browser was unsubscribed
+ */
+export const unsubscribeFromPush = async (deleteSaved) => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return false;
+  if (!await deleteSaved(subscription.endpoint)) return false;
+  await subscription.unsubscribe();
+  return true;
+};
@@ -0,0 +1,69 @@
+// ========================================
+// PART RETURN UTILITIES
+// ========================================
+
+// Return workflow: returned (RMA issued) -> return_in_transit -> refunded.
+// A part's purchase flags stay as they were; returnStatus sits on top of them.
+
+export const RETURN_STATUSES = [
+  { value: 'returned', label: 'Returned' },
+  { value: 'return_in_transit', label: 'Return Shipped' },
+  { value: 'refunded', label: 'Refunded' }
+];
+
+/**
+ * Check whether a status value is one of the return statuses
+ * @param {string} status - Status value
+ * @returns {boolean} True for returned, return_in_transit and refunded
+ */
+export const isReturnStatus = (status) => {
+  return RETURN_STATUSES.some(option => option.value === status);
+};
+
+/**
+ * Get the display label of a return status
+ * @param {string} returnStatus - Return status value
+ * @returns {string} Label, or empty string for no return
+ */
+export const getReturnStatusLabel = (returnStatus) => {
+  return RETURN_STATUSES.find(option => option.value === returnStatus)?.label || '';
+};
+
+/**
+ * Check whether a part is being returned but not yet refunded
+ * @param {Object} part - Part (app format)
+ * @returns {boolean} True while the return is open
+ */
+export const isOpenReturn = (part) => {
+  return part?.returnStatus === 'returned' || part?.returnStatus === 'return_in_transit';
+};
+
+/**
+ * Get the refund that counts against a part's spend
+ * Refunds only count once the part is marked refunded
+ * @param {Object} part - Part (app format)
+ * @returns {number} Refund amount in the part's currency
+ */
+export const getPartRefund = (part) => {
+  if (part?.returnStatus !== 'refunded') return 0;
+  return parseFloat(part.refundAmount) || 0;
+};
+
+/**
+ * Check a refund is no more than was paid for the part
+ * @param {number|string} refundAmount - Refund amount
+ * @param {number|string} total - Part total
+ * @returns {boolean} True if the refund fits within the total
+ */
+export const isRefundWithinTotal = (refundAmount, total) => {
+  return (parseFloat(refundAmount) || 0) <= (parseFloat(total) || 0);
+};
+
+/**
+ * Get a part's total net of refunds
+ * @param {Object} part - Part (app format)
+ * @returns {number} Net total in the part's currency
+ */
+export const getPartNetTotal = (part) => {
+  return (parseFloat(part?.total) || 0) - getPartRefund(part);
+};
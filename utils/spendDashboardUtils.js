@@ -0,0 +1,218 @@
+import { getPartHomeSpend } from './currencyUtils';
+import { toLocalDay } from './partDateUtils';
+
+// ========================================
+// SPEND DASHBOARD UTILITIES
+// ========================================
+
+// The dashboard turns ordered parts and service event costs into spend
+// entries and adds them up by month, vehicle, vendor and project priority.
+// Amounts are in the home currency and part spend is net of refunds.
+// Parts linked to a service event count as service spend, like the vehicle
+// budget does. A part belongs to its own vehicle, or else its project's.
+// Parts count from the day they were bought, or the day they were added if
+// bought before purchase dates were recorded.
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Label for spend that has no vehicle, vendor or project priority
+export const UNASSIGNED_LABEL = 'Unassigned';
+
+// Project priorities in display order; parts outside a project go under 'none'
+export const SPEND_PRIORITIES = [
+  { value: 'high', label: 'High' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'low', label: 'Low' },
+  { value: 'not_set', label: 'Not set' },
+  { value: 'none', label: 'No project' }
+];
+
+/**
+ * Turn ordered parts and service event costs into spend entries
+ * @param {Array} parts - Parts (app format)
+ * @param {Array} projects - Projects
+ * @param {Array} serviceEvents - Service events for every vehicle
+ * @returns {Array<Object>} [{ source, amount, day, kind, vehicleId, vendor, priority }] where
+ *   source is 'part' or 'event', day is YYYY-MM-DD (null if unknown) and kind is
+ *   'parts' or 'service'
+ */
+export const getSpendEntries = (parts, projects, serviceEvents) => {
+  const projectsById = new Map(projects.map(project => [project.id, project]));
+  const serviceVehicleByPartId = new Map();
+  serviceEvents.forEach(event => {
+    (event.linked_part_ids || []).forEach(partId => serviceVehicleByPartId.set(partId, event.vehicle_id));
+  });
+
+  const partEntries = parts
+    .filter(part => part.purchased)
+    .map(part => {
+      const project = projectsById.get(part.projectId);
+      const date = part.purchasedAt || part.createdAt;
+      const isService = serviceVehicleByPartId.has(part.id);
+      return {
+        source: 'part',
+        amount: getPartHomeSpend(part),
+        day: date ? toLocalDay(date) : null,
+        kind: isService ? 'service' : 'parts',
+        vehicleId: part.vehicleId || project?.vehicle_id || (isService ? serviceVehicleByPartId.get(part.id) : null),
+        vendor: part.vendor || null,
+        priority: project ? project.priority || 'not_set' : 'none'
+      };
+    });
+
+  const serviceEntries = serviceEvents
+    .filter(event => event.cost > 0)
+    .map(event => ({
+      source: 'event',
+      amount: event.cost,
+      day: event.event_date ? event.event_date.slice(0, 10) : null,
+      kind: 'service',
+      vehicleId: event.vehicle_id,
+      vendor: null,
+      priority: null
+    }));
+
+  return [...partEntries, ...serviceEntries].filter(entry => entry.amount !== 0);
+};
+
+/**
+ * Add up spend per month for the months up to and including this one
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @param {number} months - Number of months to cover
+ * @param {Date} now - Reference date
+ * @returns {Array<Object>} [{ month, label, parts, service, total }] oldest first,
+ *   where month is YYYY-MM
+ */
+export const getMonthlySpend = (entries, months = 12, now = new Date()) => {
+  const buckets = [];
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const date = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+    buckets.push({
+      month: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+      label: MONTH_LABELS[date.getMonth()],
+      parts: 0,
+      service: 0,
+      total: 0
+    });
+  }
+
+  entries.forEach(entry => {
+    const bucket = entry.day && buckets.find(b => b.month === entry.day.slice(0, 7));
+    if (!bucket) return;
+    bucket[entry.kind] += entry.amount;
+    bucket.total += entry.amount;
+  });
+  return buckets;
+};
+
+// Add up entries by a key, largest total first
+const sumBy = (entries, getKey) => {
+  const totals = new Map();
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    const row = totals.get(key) || { key, parts: 0, service: 0, total: 0 };
+    row[entry.kind] += entry.amount;
+    row.total += entry.amount;
+    totals.set(key, row);
+  });
+  return [...totals.values()].sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Add up spend per vehicle
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @param {Array} vehicles - Vehicles
+ * @returns {Array<Object>} [{ key, label, parts, service, total }] largest first, where
+ *   key is the vehicle ID (null for spend without a vehicle)
+ */
+export const getSpendByVehicle = (entries, vehicles) => {
+  return sumBy(entries, entry => entry.vehicleId || null).map(row => {
+    const vehicle = vehicles.find(v => v.id === row.key);
+    const label = vehicle
+      ? vehicle.nickname || [vehicle.year, vehicle.make, vehicle.name].filter(Boolean).join(' ')
+      : UNASSIGNED_LABEL;
+    return { ...row, label };
+  });
+};
+
+/**
+ * Add up part spend per vendor
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @returns {Array<Object>} [{ key, label, parts, service, total }] largest first
+ */
+export const getSpendByVendor = (entries) => {
+  return sumBy(entries.filter(entry => entry.source === 'part'), entry => entry.vendor)
+    .map(row => ({ ...row, label: row.key || UNASSIGNED_LABEL }));
+};
+
+/**
+ * Add up part spend per project priority
+ * Service event costs are left out as they never belong to a project
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @returns {Array<Object>} [{ key, label, parts, service, total }] in SPEND_PRIORITIES order,
+ *   priorities without spend left out
+ */
+export const getSpendByPriority = (entries) => {
+  const rows = sumBy(entries.filter(entry => entry.source === 'part'), entry => entry.priority);
+  return SPEND_PRIORITIES
+    .map(({ value, label }) => {
+      const row = rows.find(r => r.key === value);
+      return row ? { ...row, label } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Add up parts and service spend
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @returns {Object} { parts, service, total }
+ */
+export const getServiceVsPartsSpend = (entries) => {
+  return entries.reduce((totals, entry) => {
+    totals[entry.kind] += entry.amount;
+    totals.total += entry.amount;
+    return totals;
+  }, { parts: 0, service: 0, total: 0 });
+};
+
+/**
+ * Compare this year's spend with last year's, month by month
+ * To-date totals cover the same stretch of both years (January up to today's date)
+ * @param {Array<Object>} entries - Result of getSpendEntries
+ * @param {Date} now - Reference date
+ * @returns {Object} { year, months: [{ label, current, previous }], currentToDate,
+ *   previousToDate, previousTotal, change } where change is the to-date change as a
+ *   fraction (null when nothing was spent by this time last year)
+ */
+export const getYearOverYearSpend = (entries, now = new Date()) => {
+  const year = now.getFullYear();
+  const todayInYear = toLocalDay(now).slice(5);
+  const months = MONTH_LABELS.map(label => ({ label, current: 0, previous: 0 }));
+  let currentToDate = 0;
+  let previousToDate = 0;
+  let previousTotal = 0;
+
+  entries.forEach(entry => {
+    if (!entry.day) return;
+    const entryYear = Number(entry.day.slice(0, 4));
+    const month = Number(entry.day.slice(5, 7)) - 1;
+    const isToDate = entry.day.slice(5) <= todayInYear;
+    if (entryYear === year) {
+      months[month].current += entry.amount;
+      if (isToDate) currentToDate += entry.amount;
+    } else if (entryYear === year - 1) {
+      months[month].previous += entry.amount;
+      previousTotal += entry.amount;
+      if (isToDate) previousToDate += entry.amount;
+    }
+  });
+
+  return {
+    year,
+    months,
+    currentToDate,
+    previousToDate,
+    previousTotal,
+    change: previousToDate > 0 ? (currentToDate - previousToDate) / previousToDate : null
+  };
+};
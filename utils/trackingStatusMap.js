@@ -4,7 +4,7 @@
 
 /**
  * Map tracking status tag to display configuration
- * Ship24 statusMilestone values are normalized to PascalCase in trackingService.js
+ * Provider status milestones (snake_case) are normalized to PascalCase by buildTrackingFields in trackingUtils.js
  */
 export const TRACKING_STATUS_CONFIG = {
   Pending: {
@@ -108,6 +108,20 @@ export const TRACKING_STATUS_CONFIG = {
   }
 };
 
+// Map snake_case status milestones (as stored on checkpoints) to PascalCase config keys
+const STATUS_MILESTONE_TAGS = {
+  'pending': 'Pending',
+  'info_received': 'InfoReceived',
+  'in_transit': 'InTransit',
+  'out_for_delivery': 'OutForDelivery',
+  'attempt_fail': 'AttemptFail',
+  'failed_attempt': 'AttemptFail',
+  'delivered': 'Delivered',
+  'available_for_pickup': 'AvailableForPickup',
+  'exception': 'Exception',
+  'expired': 'Expired'
+};
+
 /**
  * Normalize snake_case status to PascalCase config key
  * @param {string} status - Status in any format (snake_case or PascalCase)
@@ -116,29 +130,33 @@ export const TRACKING_STATUS_CONFIG = {
 export const normalizeStatusTag = (status) => {
   if (!status) return 'Pending';
 
-  // Map snake_case Ship24 statuses to PascalCase config keys
-  const statusMap = {
-    'pending': 'Pending',
-    'info_received': 'InfoReceived',
-    'in_transit': 'InTransit',
-    'out_for_delivery': 'OutForDelivery',
-    'attempt_fail': 'AttemptFail',
-    'failed_attempt': 'AttemptFail',
-    'delivered': 'Delivered',
-    'available_for_pickup': 'AvailableForPickup',
-    'exception': 'Exception',
-    'expired': 'Expired'
-  };
-
   // Check if already PascalCase (exists in config)
   if (TRACKING_STATUS_CONFIG[status]) {
     return status;
   }
 
   // Convert snake_case to PascalCase key
-  return statusMap[status.toLowerCase()] || 'Pending';
+  return STATUS_MILESTONE_TAGS[status.toLowerCase()] || 'Pending';
 };
 
+/**
+ * Status milestones that can be entered as manual checkpoints, in the
+ * order a shipment moves through them. Labels and descriptions come from
+ * TRACKING_STATUS_CONFIG so manual entries look like provider ones.
+ */
+export const MANUAL_CHECKPOINT_STATUSES = [
+  'info_received',
+  'in_transit',
+  'out_for_delivery',
+  'attempt_fail',
+  'available_for_pickup',
+  'delivered',
+  'exception'
+].map(milestone => {
+  const config = TRACKING_STATUS_CONFIG[normalizeStatusTag(milestone)];
+  return { value: milestone, label: config.label, description: config.description };
+});
+
 /**
  * Get status configuration for a tracking tag
  * @param {string} tag - Tracking status tag (normalized from Ship24 statusMilestone or raw snake_case)
@@ -226,6 +244,7 @@ export const formatCheckpointTime = (date) => {
 
 /**
  * Check if tracking should auto-update part status
+ * getTrackingStatusAdvance in trackingUtils applies this to a part
  * @param {string} tag - Tracking status tag
  * @returns {Object} Status update recommendations
  */
@@ -233,6 +252,8 @@ export const getStatusUpdateRecommendation = (tag) => {
   switch (tag) {
     case 'Delivered':
       return { delivered: true, message: 'Package delivered' };
+    case 'InfoReceived':
+      return { shipped: true, message: 'Shipping label created' };
     case 'InTransit':
     case 'OutForDelivery':
       return { shipped: true, message: 'Package in transit' };
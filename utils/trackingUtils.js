@@ -1,3 +1,6 @@
+import { normalizeStatusTag, getStatusUpdateRecommendation } from './trackingStatusMap';
+import { getStatusDateChanges } from './partDateUtils';
+
 // ========================================
 // TRACKING UTILITIES
 // ========================================
@@ -8,6 +11,7 @@
  */
 export const getTrackingPurgeFields = () => ({
   ship24_id: null,
+  tracking_provider: null,
   tracking_status: null,
   tracking_substatus: null,
   tracking_location: null,
@@ -16,6 +20,152 @@ export const getTrackingPurgeFields = () => ({
   tracking_checkpoints: null
 });
 
+/**
+ * Get fields to purge when a return tracking number is removed or changed
+ * Returns an object with all return tracking fields set to null
+ */
+export const getReturnTrackingPurgeFields = () => ({
+  return_tracking_status: null,
+  return_tracking_location: null,
+  return_tracking_eta: null,
+  return_tracking_updated_at: null,
+  return_tracking_checkpoints: null
+});
+
+/**
+ * Map tracking data (tracking_* fields) onto the return tracking columns
+ * Return shipments are tracked the same way as outbound ones
+ * @param {Object} trackingData - Normalized tracking data
+ * @returns {Object} return_tracking_* fields
+ */
+export const toReturnTrackingFields = (trackingData) => ({
+  return_tracking_status: trackingData?.tracking_status || null,
+  return_tracking_location: trackingData?.tracking_location || null,
+  return_tracking_eta: trackingData?.tracking_eta || null,
+  return_tracking_updated_at: trackingData?.tracking_updated_at || null,
+  return_tracking_checkpoints: trackingData?.tracking_checkpoints || null
+});
+
+// Tracking providers a user can pick, in display order. The server-side
+// implementations live in services/trackingProviders; the mock provider
+// generates shipments locally and is only offered outside production.
+// Parts with hand-entered checkpoints record 'manual' as their provider.
+export const TRACKING_PROVIDER_OPTIONS = [
+  { value: 'ship24', label: 'Ship24' },
+  { value: 'mock', label: 'Mock (offline development)' }
+];
+
+// Carriers that can be routed to a specific provider (names from getCarrierName)
+export const PROVIDER_CARRIERS = ['UPS', 'FedEx', 'USPS', 'DHL', 'Orange Connex', 'ECMS'];
+
+/**
+ * Pick the tracking provider a user wants for a tracking number
+ * A per-carrier choice wins over the user's default provider
+ * @param {string} tracking - Tracking number
+ * @param {Object} settings - { tracking_provider, tracking_carrier_providers } from user_settings
+ * @returns {string|null} Provider name, or null to use the server default
+ */
+export const selectTrackingProviderName = (tracking, settings) => {
+  const carrierProviders = settings?.tracking_carrier_providers || {};
+  const carrier = getCarrierName(tracking);
+  return carrierProviders[carrier] || settings?.tracking_provider || null;
+};
+
+/**
+ * Build the tracking_* columns for a part from a provider's normalized events
+ * @param {Object} tracking - { provider, trackerId, statusMilestone, eta, checkpoints }
+ *   where checkpoints are { checkpoint_time, message, location, status, statusCode }
+ *   newest first and status is a snake_case milestone (e.g. in_transit)
+ * @returns {Object} Tracking fields for the parts table
+ */
+export const buildTrackingFields = ({ provider, trackerId, statusMilestone, eta, checkpoints = [] }) => {
+  const lastCheckpoint = checkpoints[0];
+  return {
+    ship24_id: trackerId || null, // Provider's tracker ID (column predates other providers)
+    tracking_provider: provider,
+    tracking_status: normalizeStatusTag(statusMilestone || lastCheckpoint?.status),
+    tracking_substatus: lastCheckpoint?.statusCode || null,
+    tracking_location: lastCheckpoint?.location || null,
+    tracking_eta: eta || null,
+    tracking_updated_at: new Date().toISOString(),
+    tracking_checkpoints: checkpoints
+  };
+};
+
+/**
+ * Build a checkpoint entered by hand
+ * Shipments no provider can follow (Amazon, URLs, "Local") get their timeline
+ * from these; they have the same shape as provider checkpoints, so the status
+ * config in trackingStatusMap.js styles them the same way
+ * @param {Object} checkpoint - { checkpointTime, location, statusMilestone, message }
+ *   with checkpointTime as an ISO timestamp and statusMilestone snake_case (e.g. in_transit)
+ * @returns {Object} Checkpoint
+ */
+export const buildManualCheckpoint = ({ checkpointTime, location, statusMilestone, message }) => ({
+  checkpoint_time: checkpointTime,
+  message: message?.trim() || null,
+  location: location?.trim() || null,
+  status: statusMilestone,
+  statusCode: null,
+  manual: true
+});
+
+/**
+ * Get the tracking fields for a part whose checkpoints are entered by hand
+ * The newest checkpoint sets the tracking status and location
+ * @param {Array<Object>} checkpoints - Manual checkpoints in any order
+ * @returns {Object} Tracking fields for the parts table (purged when there are none)
+ */
+export const getManualTrackingFields = (checkpoints) => {
+  if (checkpoints.length === 0) {
+    return getTrackingPurgeFields();
+  }
+  const sorted = [...checkpoints].sort((a, b) => new Date(b.checkpoint_time) - new Date(a.checkpoint_time));
+  return buildTrackingFields({
+    provider: 'manual',
+    statusMilestone: sorted[0].status,
+    checkpoints: sorted
+  });
+};
+
+/**
+ * Get the status change a tracking status calls for on a part
+ * Delivered marks any undelivered part delivered, along with the purchased and
+ * shipped flags it skipped; a created label or a package in transit marks a
+ * purchased part shipped. Parts already there are left alone.
+ * @param {Object} part - Part with purchased, shipped and delivered flags (database or app format)
+ * @param {string} trackingStatus - Normalized tracking status tag
+ * @param {string} at - ISO timestamp of the change (defaults to now)
+ * @returns {Object|null} { status, at, flags, updates } with the flags turned on and
+ *   the updates for the parts table, or null
+ */
+export const getTrackingStatusAdvance = (part, trackingStatus, at = new Date().toISOString()) => {
+  const recommendation = getStatusUpdateRecommendation(trackingStatus);
+  let status = null;
+  if (recommendation?.delivered && !part.delivered) {
+    status = 'delivered';
+  } else if (recommendation?.shipped && part.purchased && !part.shipped && !part.delivered) {
+    status = 'shipped';
+  }
+  if (!status) return null;
+
+  const flags = (status === 'delivered' ? ['purchased', 'shipped', 'delivered'] : ['shipped'])
+    .filter(flag => !part[flag]);
+  const flagUpdates = Object.fromEntries(flags.map(flag => [flag, true]));
+  const { dates } = getStatusDateChanges(part, flagUpdates, at);
+  return { status, at, flags, updates: { ...flagUpdates, ...dates } };
+};
+
+/**
+ * Check if a tracking provider call failed because of its rate limit
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} True for HTTP 429 or a rate limit message
+ */
+export const isTrackingRateLimitError = (error) => {
+  const message = error?.message?.toLowerCase() || '';
+  return error?.status === 429 || message.includes('429') || message.includes('rate limit');
+};
+
 /**
  * Check if tracking should skip Ship24 API
  * Returns true for URLs, Amazon tracking, and letter-only text (which Ship24 can't track)
@@ -5,6 +5,10 @@
  * that can be used to show appropriate feedback via toast notifications.
  */
 
+import { calculatePartTotal, resolvePartTax } from './costUtils';
+import { isValidCurrencyCode } from './currencyUtils';
+import { PART_NUMBER_PLACEHOLDER } from './vendorProfileUtils';
+
 /**
  * Validates a currency/price value
  * @param {string|number} value - The value to validate
@@ -131,28 +135,70 @@ export const validateOdometer = (value, fieldName = 'Odometer') => {
 };
 
 /**
- * Validates part cost fields (price, shipping, duties) and optional quantity
+ * Validates a percentage value
+ * @param {string|number} value - The percentage to validate (0-100)
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {{ isValid: boolean, value: number|null, error: string|null }}
+ */
+export const validatePercentage = (value, fieldName = 'Percentage') => {
+  // Empty/null is valid (no percentage entered)
+  if (value === '' || value === null || value === undefined) {
+    return { isValid: true, value: null, error: null };
+  }
+
+  const parsed = parseFloat(value);
+
+  if (isNaN(parsed)) {
+    return {
+      isValid: false,
+      value: null,
+      error: `${fieldName} must be a valid number`
+    };
+  }
+
+  if (parsed < 0 || parsed > 100) {
+    return {
+      isValid: false,
+      value: null,
+      error: `${fieldName} must be between 0 and 100`
+    };
+  }
+
+  return { isValid: true, value: parsed, error: null };
+};
+
+/**
+ * Validates part cost fields and optional quantity
  * Returns all validated values or first error encountered
- * @param {Object} costs - Object with price, shipping, duties, and optional quantity
+ * Tax is entered either as a percentage (taxRate) or an absolute amount (tax);
+ * the returned tax is always the resolved amount
+ * @param {Object} costs - Object with price, shipping, duties, and optional tax, taxRate, discount, coreCharge, coreRefund and quantity
  * @param {Object} toast - Toast notification object
- * @returns {{ isValid: boolean, values: { price: number, shipping: number, duties: number, quantity: number, total: number } | null }}
+ * @returns {{ isValid: boolean, values: { price: number, shipping: number, duties: number, tax: number, taxRate: number|null, discount: number, coreCharge: number, coreRefund: number, quantity: number, total: number } | null }}
  */
 export const validatePartCosts = (costs, toast) => {
-  const priceResult = validateCurrency(costs.price, 'Price');
-  if (!priceResult.isValid) {
-    toast?.warning(priceResult.error);
-    return { isValid: false, values: null };
-  }
-
-  const shippingResult = validateCurrency(costs.shipping, 'Shipping');
-  if (!shippingResult.isValid) {
-    toast?.warning(shippingResult.error);
-    return { isValid: false, values: null };
+  const currencyFields = [
+    ['price', 'Price'],
+    ['shipping', 'Shipping'],
+    ['duties', 'Duties'],
+    ['tax', 'Tax'],
+    ['discount', 'Discount'],
+    ['coreCharge', 'Core charge'],
+    ['coreRefund', 'Core refund']
+  ];
+  const amounts = {};
+  for (const [field, label] of currencyFields) {
+    const result = validateCurrency(costs[field], label);
+    if (!result.isValid) {
+      toast?.warning(result.error);
+      return { isValid: false, values: null };
+    }
+    amounts[field] = result.value;
   }
 
-  const dutiesResult = validateCurrency(costs.duties, 'Duties');
-  if (!dutiesResult.isValid) {
-    toast?.warning(dutiesResult.error);
+  const taxRateResult = validatePercentage(costs.taxRate, 'Tax rate');
+  if (!taxRateResult.isValid) {
+    toast?.warning(taxRateResult.error);
     return { isValid: false, values: null };
   }
 
@@ -167,19 +213,26 @@ export const validatePartCosts = (costs, toast) => {
     return { isValid: false, values: null };
   }
 
-  // Quantity only multiplies price, not shipping/duties (those are per-order costs)
-  const total = (priceResult.value * quantity) + shippingResult.value + dutiesResult.value;
+  // Quantity only multiplies price, not the other costs (those are per-order amounts)
+  const subtotal = amounts.price * quantity;
+  if (amounts.discount > subtotal) {
+    toast?.warning('Discount cannot exceed the price of the parts');
+    return { isValid: false, values: null };
+  }
+  if (amounts.coreRefund > amounts.coreCharge) {
+    toast?.warning('Core refund cannot exceed the core charge');
+    return { isValid: false, values: null };
+  }
 
-  return {
-    isValid: true,
-    values: {
-      price: priceResult.value,
-      shipping: shippingResult.value,
-      duties: dutiesResult.value,
-      quantity,
-      total
-    }
+  const values = {
+    ...amounts,
+    taxRate: taxRateResult.value,
+    quantity
   };
+  values.tax = resolvePartTax(values);
+  values.total = calculatePartTotal(values);
+
+  return { isValid: true, values };
 };
 
 /**
@@ -196,3 +249,144 @@ export const validateBudget = (budget, toast) => {
   }
   return { isValid: true, value: result.value };
 };
+
+/**
+ * Validates a manually entered exchange rate
+ * Empty means "look up the rate from the stored rate table"
+ * @param {string|number} rate - Home currency units per 1 unit of the part currency
+ * @param {Object} toast - Toast notification object
+ * @returns {{ isValid: boolean, value: number|null }}
+ */
+export const validateExchangeRate = (rate, toast) => {
+  if (rate === '' || rate === null || rate === undefined) {
+    return { isValid: true, value: null };
+  }
+
+  const parsed = parseFloat(rate);
+  if (isNaN(parsed) || parsed <= 0) {
+    toast?.warning('Exchange rate must be a positive number');
+    return { isValid: false, value: null };
+  }
+
+  return { isValid: true, value: parsed };
+};
+
+// Loose check: something@something.tld
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validates vendor profile fields
+ * Empty fields are allowed; the default shipping must be a valid amount,
+ * the default currency a valid ISO 4217 code and the search URL must say
+ * where the part number goes
+ * @param {Object} profile - Profile form values (see toVendorProfile)
+ * @param {Object} toast - Toast notification object
+ * @returns {{ isValid: boolean, values: Object|null }} values has defaultShipping as a number or ''
+ */
+export const validateVendorProfile = (profile, toast) => {
+  const shipping = profile.defaultShipping?.trim() ?? '';
+  const shippingResult = validateCurrency(shipping, 'Default shipping');
+  if (!shippingResult.isValid) {
+    toast?.warning(shippingResult.error);
+    return { isValid: false, values: null };
+  }
+
+  const currency = profile.defaultCurrency?.trim().toUpperCase() ?? '';
+  if (currency && !isValidCurrencyCode(currency)) {
+    toast?.warning('Default currency must be a 3-letter currency code');
+    return { isValid: false, values: null };
+  }
+
+  const searchUrl = profile.searchUrl?.trim() ?? '';
+  if (searchUrl && !searchUrl.includes(PART_NUMBER_PLACEHOLDER)) {
+    toast?.warning(`Part search URL must contain ${PART_NUMBER_PLACEHOLDER} where the part number goes`);
+    return { isValid: false, values: null };
+  }
+
+  const email = profile.email?.trim() ?? '';
+  if (email && !EMAIL_PATTERN.test(email)) {
+    toast?.warning('Please enter a valid email address');
+    return { isValid: false, values: null };
+  }
+
+  return {
+    isValid: true,
+    values: {
+      ...profile,
+      defaultShipping: shipping === '' ? '' : shippingResult.value,
+      defaultCurrency: currency
+    }
+  };
+};
+
+/**
+ * Validates a vehicle expense (insurance, registration or fuel)
+ * The amount and date are required; the odometer reading is optional
+ * @param {Object} expense - Form values { amount, expenseDate, odometer }
+ * @param {Object} toast - Toast notification object
+ * @returns {{ isValid: boolean, values: Object|null }} values has amount as a number
+ *   and odometer as a number or null
+ */
+export const validateVehicleExpense = (expense, toast) => {
+  if (expense.amount === '' || expense.amount === null || expense.amount === undefined) {
+    toast?.warning('Enter the amount');
+    return { isValid: false, values: null };
+  }
+  const amountResult = validateCurrency(expense.amount, 'Amount');
+  if (!amountResult.isValid) {
+    toast?.warning(amountResult.error);
+    return { isValid: false, values: null };
+  }
+
+  if (!expense.expenseDate) {
+    toast?.warning('Enter the date');
+    return { isValid: false, values: null };
+  }
+
+  const odometerResult = validateOdometer(expense.odometer);
+  if (!odometerResult.isValid) {
+    toast?.warning(odometerResult.error);
+    return { isValid: false, values: null };
+  }
+
+  return { isValid: true, values: { amount: amountResult.value, odometer: odometerResult.value } };
+};
+
+/**
+ * Validates a manual tracking checkpoint
+ * The time is required and can't be in the future
+ * @param {Object} checkpoint - Form values { checkpointTime } where checkpointTime is a
+ *   datetime-local value (YYYY-MM-DDTHH:mm)
+ * @param {Object} toast - Toast notification object
+ * @returns {{ isValid: boolean, values: Object|null }} values has checkpointTime as an ISO timestamp
+ */
+export const validateManualCheckpoint = (checkpoint, toast) => {
+  const time = checkpoint.checkpointTime ? new Date(checkpoint.checkpointTime) : null;
+  if (!time || isNaN(time.getTime())) {
+    toast?.warning('Enter the date and time');
+    return { isValid: false, values: null };
+  }
+  if (time.getTime() > Date.now()) {
+    toast?.warning('Checkpoint time can\'t be in the future');
+    return { isValid: false, values: null };
+  }
+
+  return { isValid: true, values: { checkpointTime: time.toISOString() } };
+};
+
+/**
+ * Validates the address for delivery email notifications
+ * Empty means the account's email
+ * @param {string} email - Entered address
+ * @param {Object} toast - Toast notification object
+ * @returns {{ isValid: boolean, values: Object|null }} values has email trimmed, or null for the account's email
+ */
+export const validateNotificationEmail = (email, toast) => {
+  const trimmed = email?.trim() ?? '';
+  if (trimmed && !EMAIL_PATTERN.test(trimmed)) {
+    toast?.warning('Please enter a valid email address');
+    return { isValid: false, values: null };
+  }
+
+  return { isValid: true, values: { email: trimmed || null } };
+};
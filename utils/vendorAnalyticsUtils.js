@@ -0,0 +1,96 @@
+import { getPartHomeSpend, toHomeCurrency } from './currencyUtils';
+import { getPartSubtotal } from './costUtils';
+import { getLeadTimeDays } from './partDateUtils';
+import { normalizeStatusTag } from './trackingStatusMap';
+
+// ========================================
+// VENDOR ANALYTICS UTILITIES
+// ========================================
+
+// Vendor figures cover every ordered part from the vendor, archived ones
+// included. Amounts are in the home currency and spend is net of refunds.
+// Lead time needs both a purchase and a delivery date, so it only covers
+// parts ordered since those dates were recorded. A tracked part counts as
+// a delivery exception if the carrier ever reported a failed attempt, an
+// exception or expired tracking, even if it was delivered later.
+
+// Carrier statuses that count as a delivery exception
+const EXCEPTION_STATUSES = ['AttemptFail', 'Exception', 'Expired'];
+
+// Metrics vendors can be ranked by; lowerIsBetter decides the ranking order
+export const VENDOR_METRICS = [
+  { value: 'totalSpend', label: 'Total spend' },
+  { value: 'orderedCount', label: 'Parts ordered' },
+  { value: 'shippingShare', label: 'Shipping share', lowerIsBetter: true },
+  { value: 'averageLeadDays', label: 'Lead time', lowerIsBetter: true },
+  { value: 'exceptionRate', label: 'Exception rate', lowerIsBetter: true }
+];
+
+/**
+ * Check whether a part's tracking ever reported a delivery exception
+ * @param {Object} part - Part (app format)
+ * @returns {boolean} True if the current status or any checkpoint is an exception
+ */
+export const hasDeliveryException = (part) => {
+  const statuses = [
+    part.tracking_status,
+    ...(part.tracking_checkpoints || []).map(checkpoint => checkpoint.status)
+  ].filter(Boolean);
+  return statuses.some(status => EXCEPTION_STATUSES.includes(normalizeStatusTag(status)));
+};
+
+/**
+ * Work out spend, shipping, lead time and delivery exceptions per vendor
+ * @param {Array} parts - Parts (app format)
+ * @param {Array<string>} vendors - Vendor names to include (vendors without parts get empty figures)
+ * @returns {Array<Object>} [{ vendor, partCount, orderedCount, totalSpend, shippingShare,
+ *   averageLeadDays, leadTimeCount, trackedCount, exceptionCount, exceptionRate }]
+ *   where a figure is null when no part has the data for it
+ */
+export const getVendorAnalytics = (parts, vendors) => {
+  return vendors.map(vendor => {
+    const vendorParts = parts.filter(part => part.vendor === vendor);
+    const orderedParts = vendorParts.filter(part => part.purchased);
+
+    const subtotal = orderedParts.reduce((sum, part) => sum + toHomeCurrency(getPartSubtotal(part), part), 0);
+    const shipping = orderedParts.reduce((sum, part) => sum + toHomeCurrency(part.shipping, part), 0);
+
+    const leadTimes = orderedParts.map(getLeadTimeDays).filter(days => days !== null);
+    const trackedParts = orderedParts.filter(part => part.tracking_status);
+    const exceptionCount = trackedParts.filter(hasDeliveryException).length;
+
+    return {
+      vendor,
+      partCount: vendorParts.length,
+      orderedCount: orderedParts.length,
+      totalSpend: orderedParts.reduce((sum, part) => sum + getPartHomeSpend(part), 0),
+      shippingShare: subtotal > 0 ? shipping / subtotal : null,
+      averageLeadDays: leadTimes.length > 0 ? leadTimes.reduce((sum, days) => sum + days, 0) / leadTimes.length : null,
+      leadTimeCount: leadTimes.length,
+      trackedCount: trackedParts.length,
+      exceptionCount,
+      exceptionRate: trackedParts.length > 0 ? exceptionCount / trackedParts.length : null
+    };
+  });
+};
+
+/**
+ * Rank vendors by a metric, best first
+ * Vendors without a value for the metric go last, by name
+ * @param {Array<Object>} analytics - Result of getVendorAnalytics
+ * @param {string} metric - One of VENDOR_METRICS
+ * @returns {Array<Object>} Analytics with a rank (null for vendors without a value)
+ */
+export const rankVendors = (analytics, metric) => {
+  const { lowerIsBetter } = VENDOR_METRICS.find(option => option.value === metric) || VENDOR_METRICS[0];
+  const ranked = analytics.filter(row => row[metric] !== null && row.orderedCount > 0);
+  const unranked = analytics.filter(row => !ranked.includes(row));
+
+  ranked.sort((a, b) => (lowerIsBetter ? a[metric] - b[metric] : b[metric] - a[metric]) || a.vendor.localeCompare(b.vendor));
+  unranked.sort((a, b) => a.vendor.localeCompare(b.vendor));
+
+  return [
+    ...ranked.map((row, index) => ({ ...row, rank: index + 1 })),
+    ...unranked.map(row => ({ ...row, rank: null }))
+  ];
+};
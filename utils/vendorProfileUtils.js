@@ -0,0 +1,103 @@
+// ========================================
+// VENDOR PROFILE UTILITIES
+// ========================================
+
+// Vendor profiles live on the vendors table next to the badge color. The
+// search URL is a template with {part} where the part number goes. The
+// default shipping cost and currency only fill empty fields on new parts,
+// so anything typed into the form wins.
+
+// Placeholder replaced with the part number in search URLs
+export const PART_NUMBER_PLACEHOLDER = '{part}';
+
+// Profile fields: database column, form key and label
+export const VENDOR_PROFILE_FIELDS = [
+  { field: 'website', key: 'website', label: 'Website' },
+  { field: 'search_url', key: 'searchUrl', label: 'Part search URL' },
+  { field: 'email', key: 'email', label: 'Email' },
+  { field: 'phone', key: 'phone', label: 'Phone' },
+  { field: 'account_number', key: 'accountNumber', label: 'Account number' },
+  { field: 'default_shipping', key: 'defaultShipping', label: 'Default shipping' },
+  { field: 'default_currency', key: 'defaultCurrency', label: 'Default currency' },
+  { field: 'notes', key: 'notes', label: 'Notes' }
+];
+
+/**
+ * Convert a vendors row into profile form values
+ * @param {Object|undefined} vendor - vendors row (or undefined for a vendor without one)
+ * @returns {Object} { website, searchUrl, email, phone, accountNumber, defaultShipping, defaultCurrency, notes }
+ *   with '' for empty values
+ */
+export const toVendorProfile = (vendor) => {
+  return VENDOR_PROFILE_FIELDS.reduce((profile, { field, key }) => {
+    const value = vendor?.[field];
+    profile[key] = value === null || value === undefined ? '' : String(value);
+    return profile;
+  }, {});
+};
+
+/**
+ * Convert validated profile form values into vendors columns
+ * @param {Object} profile - Profile values (see validateVendorProfile)
+ * @returns {Object} Database columns with null for empty values
+ */
+export const toVendorProfileRow = (profile) => {
+  return VENDOR_PROFILE_FIELDS.reduce((row, { field, key }) => {
+    const value = typeof profile[key] === 'string' ? profile[key].trim() : profile[key];
+    row[field] = value === '' || value === undefined ? null : value;
+    return row;
+  }, {});
+};
+
+/**
+ * Check whether a vendor has any profile details filled in
+ * @param {Object|undefined} vendor - vendors row
+ * @returns {boolean} True if any profile column is set
+ */
+export const hasVendorProfile = (vendor) => {
+  return VENDOR_PROFILE_FIELDS.some(({ field }) => vendor?.[field] !== null && vendor?.[field] !== undefined && vendor?.[field] !== '');
+};
+
+/**
+ * Turn a stored website or search URL into a link
+ * Adds https:// when the scheme was left off
+ * @param {string} url - URL as entered
+ * @returns {string|null} Link URL, or null if empty
+ */
+export const toVendorLink = (url) => {
+  const trimmed = url?.trim();
+  if (!trimmed) return null;
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+};
+
+/**
+ * Build the vendor search link for a part number
+ * @param {Object|undefined} vendor - vendors row
+ * @param {string} partNumber - Part number to search for
+ * @returns {string|null} Search URL, or null if the vendor has no template or there is no part number
+ */
+export const getVendorSearchUrl = (vendor, partNumber) => {
+  const template = toVendorLink(vendor?.search_url);
+  const trimmed = partNumber?.trim();
+  if (!template || !template.includes(PART_NUMBER_PLACEHOLDER) || !trimmed || trimmed === '—') return null;
+  return template.split(PART_NUMBER_PLACEHOLDER).join(encodeURIComponent(trimmed));
+};
+
+/**
+ * Get the new-part fields a vendor's defaults would fill in
+ * Only fields the part doesn't have yet are returned
+ * @param {Object|undefined} vendor - vendors row
+ * @param {Object} part - New part form values
+ * @returns {Object} Fields to merge into the form ({} if nothing to fill)
+ */
+export const getVendorPartDefaults = (vendor, part) => {
+  const defaults = {};
+  if (vendor?.default_shipping !== null && vendor?.default_shipping !== undefined && (part.shipping === '' || part.shipping === undefined)) {
+    defaults.shipping = String(vendor.default_shipping);
+  }
+  if (vendor?.default_currency && !part.currency) {
+    defaults.currency = vendor.default_currency;
+    defaults.exchangeRate = '';
+  }
+  return defaults;
+};
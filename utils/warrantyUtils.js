@@ -0,0 +1,108 @@
+// ========================================
+// PART WARRANTY UTILITIES
+// ========================================
+
+// A warranty runs for warrantyMonths from the install date, or from the
+// purchase date for parts that are not installed. An exact expiry date
+// (warrantyExpiresAt) wins over the duration. Returned parts have no
+// warranty to claim.
+
+// Warranties expiring within this many days are "expiring soon"
+export const WARRANTY_EXPIRING_DAYS = 30;
+
+export const WARRANTY_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'active', label: 'Under warranty' },
+  { value: 'expiring', label: 'Expiring soon' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'none', label: 'No warranty' }
+];
+
+/**
+ * Check whether a part has warranty information
+ * @param {Object} part - Part (app format)
+ * @returns {boolean} True if a duration or an expiry date is set
+ */
+export const hasWarranty = (part) => {
+  return !!part && (part.warrantyMonths > 0 || !!part.warrantyExpiresAt);
+};
+
+/**
+ * Get the date a part's warranty expires
+ * @param {Object} part - Part (app format)
+ * @returns {string|null} Expiry date (YYYY-MM-DD), or null if unknown
+ */
+export const getWarrantyExpiry = (part) => {
+  if (!hasWarranty(part)) return null;
+  if (part.warrantyExpiresAt) return part.warrantyExpiresAt;
+
+  const start = (part.installedAt || part.createdAt || '').slice(0, 10);
+  if (!start) return null;
+  const expiry = new Date(`${start}T00:00:00Z`);
+  expiry.setUTCMonth(expiry.getUTCMonth() + part.warrantyMonths);
+  return expiry.toISOString().slice(0, 10);
+};
+
+/**
+ * Get the days left on a part's warranty
+ * @param {Object} part - Part (app format)
+ * @param {Date} now - Reference date
+ * @returns {number|null} Days until expiry (negative once expired), or null if unknown
+ */
+export const getWarrantyDaysLeft = (part, now = new Date()) => {
+  const expiry = getWarrantyExpiry(part);
+  if (!expiry) return null;
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((Date.parse(`${expiry}T00:00:00Z`) - today) / (1000 * 60 * 60 * 24));
+};
+
+/**
+ * Get the warranty state of a part
+ * @param {Object} part - Part (app format)
+ * @param {Date} now - Reference date
+ * @returns {string} 'none', 'active', 'expiring' or 'expired'
+ */
+export const getWarrantyStatus = (part, now = new Date()) => {
+  if (part?.returnStatus) return 'none';
+  const daysLeft = getWarrantyDaysLeft(part, now);
+  if (daysLeft === null) return 'none';
+  if (daysLeft < 0) return 'expired';
+  return daysLeft <= WARRANTY_EXPIRING_DAYS ? 'expiring' : 'active';
+};
+
+/**
+ * Check whether a part matches a warranty filter
+ * Expiring warranties are also under warranty
+ * @param {Object} part - Part (app format)
+ * @param {string} filter - One of WARRANTY_FILTERS
+ * @returns {boolean} True if the part matches
+ */
+export const matchesWarrantyFilter = (part, filter) => {
+  if (!filter || filter === 'all') return true;
+  const status = getWarrantyStatus(part);
+  if (filter === 'active') return status === 'active' || status === 'expiring';
+  return status === filter;
+};
+
+/**
+ * Get parts whose warranty expires soon, soonest first
+ * @param {Array} parts - Parts (app format)
+ * @returns {Array} Parts with an expiring warranty
+ */
+export const getExpiringWarrantyParts = (parts) => {
+  return parts
+    .filter(part => !part.archived && getWarrantyStatus(part) === 'expiring')
+    .sort((a, b) => getWarrantyExpiry(a).localeCompare(getWarrantyExpiry(b)));
+};
+
+/**
+ * Describe the time left on a warranty
+ * @param {number} daysLeft - Days until expiry
+ * @returns {string} e.g. "Expires today", "12 days left", "Expired 3 days ago"
+ */
+export const formatWarrantyDaysLeft = (daysLeft) => {
+  if (daysLeft === 0) return 'Expires today';
+  if (daysLeft > 0) return `${daysLeft} day${daysLeft !== 1 ? 's' : ''} left`;
+  const ago = -daysLeft;
+  return `Expired ${ago} day${ago !== 1 ? 's' : ''} ago`;
+};